@@ -76,6 +76,10 @@ class APIClient {
         const formData = new FormData();
         formData.append('file', file);
         formData.append('fileType', fileType);
+        // How ambiguous QIF dates are read
+        if (typeof getCurrentSettings === 'function') {
+            formData.append('dateParsing', getCurrentSettings().dateParsing || 'MDY');
+        }
 
         const response = await fetch(`${this.baseURL}/reconciliation/parse`, {
             method: 'POST',
@@ -94,6 +98,29 @@ class APIClient {
         return data;
     }
 
+    /**
+     * Run server-side matching engine
+     * @param {Object} balances - Statement/book balances for the proof in summary.proof
+     */
+    async runReconciliation(bankData, glData, settings, balances) {
+        return this.request('/reconciliation/run', {
+            method: 'POST',
+            body: JSON.stringify({ bankData, glData, settings, balances })
+        });
+    }
+
+    /**
+     * Check the running balance of imported bank rows against the statement totals
+     * @param {Array} rows - Bank rows as imported
+     * @param {Object} totals - { openingBalance, closingBalance }
+     */
+    async validateStatement(rows, totals) {
+        return this.request('/reconciliation/validate-statement', {
+            method: 'POST',
+            body: JSON.stringify({ rows, ...totals })
+        });
+    }
+
     /**
      * Update reconciliation
      */
@@ -104,6 +131,85 @@ class APIClient {
         });
     }
 
+    /**
+     * Move a reconciliation through the sign-off workflow
+     * @param {string} id - Reconciliation ID
+     * @param {string} status - prepared, reviewed, approved, locked or draft
+     * @param {string} comment - Reviewer comment (required when sending back to draft)
+     */
+    async setReconciliationStatus(id, status, comment = '') {
+        return this.request(`/reconciliation/${id}/status`, {
+            method: 'POST',
+            body: JSON.stringify({ status, comment })
+        });
+    }
+
+    /**
+     * Add a match to a saved reconciliation
+     * @param {string} id - Reconciliation ID
+     * @param {Object} match - Match to store
+     * @param {Array} bankItemIds - Unmatched bank item IDs the match consumes
+     * @param {Array} glItemIds - Unmatched GL item IDs the match consumes
+     */
+    async addMatch(id, match, bankItemIds = [], glItemIds = []) {
+        return this.request(`/reconciliation/${id}/matches`, {
+            method: 'POST',
+            body: JSON.stringify({ match, bankItemIds, glItemIds })
+        });
+    }
+
+    /**
+     * Update a match in a saved reconciliation
+     */
+    async updateMatch(id, matchId, updates) {
+        return this.request(`/reconciliation/${id}/matches/${matchId}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    /**
+     * Remove a match from a saved reconciliation (its items become unmatched)
+     */
+    async removeMatch(id, matchId) {
+        return this.request(`/reconciliation/${id}/matches/${matchId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * Get the audit trail of a saved reconciliation, newest first
+     * @param {string} id - Reconciliation ID
+     * @param {Object} params - { limit, startAfter }
+     */
+    async getAuditTrail(id, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        return this.request(`/reconciliation/${id}/audit?${query}`);
+    }
+
+    /**
+     * Record a browser-side event (e.g. a Smart Match denial) in the audit trail
+     * @param {string} id - Reconciliation ID
+     * @param {Object} entry - { action, reason, details }
+     */
+    async recordAuditEvent(id, entry) {
+        return this.request(`/reconciliation/${id}/audit`, {
+            method: 'POST',
+            body: JSON.stringify(entry)
+        });
+    }
+
+    /**
+     * Get the outstanding items the bank account's previous period left unmatched
+     * @param {string} bankAccountId - Bank account ID
+     * @param {string} periodStart - Start of the new period (YYYY-MM-DD)
+     * @returns {Object} { source, unmatchedBank, unmatchedGL }
+     */
+    async getCarryForward(bankAccountId, periodStart) {
+        const query = new URLSearchParams({ bankAccountId, periodStart }).toString();
+        return this.request(`/reconciliation/carry-forward?${query}`);
+    }
+
     // ==================== History ====================
 
     /**
@@ -167,6 +273,148 @@ class APIClient {
         });
     }
 
+    // ==================== Smart Match Learning ====================
+
+    /**
+     * Get shared Smart Match learning data
+     */
+    async getLearning() {
+        return this.request('/learning');
+    }
+
+    /**
+     * Add learning counts (e.g. one accept/deny) to the shared data
+     */
+    async mergeLearning(data) {
+        return this.request('/learning/merge', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+    }
+
+    /**
+     * Export learning data
+     */
+    async exportLearning() {
+        return this.request('/learning/export');
+    }
+
+    /**
+     * Import a learning export file
+     */
+    async importLearning(file, mode = 'merge') {
+        return this.request('/learning/import', {
+            method: 'POST',
+            body: JSON.stringify({ file, mode })
+        });
+    }
+
+    /**
+     * Reset learning data
+     */
+    async resetLearning() {
+        return this.request('/learning', {
+            method: 'DELETE'
+        });
+    }
+
+    // ==================== Bank Accounts ====================
+
+    /**
+     * Get the bank accounts of the user's organization (or their own)
+     */
+    async getBankAccounts() {
+        return this.request('/bank-accounts');
+    }
+
+    /**
+     * Add a bank account (admins)
+     * @param {Object} account - { name, accountNumber, bankName, routingNumber, glCashAccount, fund }
+     */
+    async createBankAccount(account) {
+        return this.request('/bank-accounts', {
+            method: 'POST',
+            body: JSON.stringify(account)
+        });
+    }
+
+    /**
+     * Update a bank account (admins)
+     */
+    async updateBankAccount(id, updates) {
+        return this.request(`/bank-accounts/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    /**
+     * Delete a bank account (admins)
+     */
+    async deleteBankAccount(id) {
+        return this.request(`/bank-accounts/${id}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // ==================== Organizations ====================
+
+    /**
+     * Get the user's organization with its members
+     */
+    async getOrganization() {
+        return this.request('/organizations/current');
+    }
+
+    /**
+     * Create an organization with the current user as admin
+     */
+    async createOrganization(name) {
+        return this.request('/organizations', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        });
+    }
+
+    /**
+     * Update the organization (admins)
+     */
+    async updateOrganization(updates) {
+        return this.request('/organizations/current', {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    /**
+     * Add a user to the organization by email (admins)
+     */
+    async addOrganizationMember(email, role = 'member') {
+        return this.request('/organizations/current/members', {
+            method: 'POST',
+            body: JSON.stringify({ email, role })
+        });
+    }
+
+    /**
+     * Change a member's role (admins)
+     */
+    async updateOrganizationMember(uid, role) {
+        return this.request(`/organizations/current/members/${uid}`, {
+            method: 'PUT',
+            body: JSON.stringify({ role })
+        });
+    }
+
+    /**
+     * Remove a member, or leave when uid is your own
+     */
+    async removeOrganizationMember(uid) {
+        return this.request(`/organizations/current/members/${uid}`, {
+            method: 'DELETE'
+        });
+    }
+
     // ==================== Auth ====================
 
     /**
@@ -203,13 +451,23 @@ async function saveReconciliation(name, description) {
         description,
         bankFileName: app.bankFileName || '',
         glFileName: app.glFileName || '',
+        bankAccountId: app.bankAccountId || null,
+        period: app.period.start && app.period.end ? app.period : null,
+        carriedForwardFrom: app.carriedForward.source?.id || null,
+        balances: app.getBalances(),
         settings: app.settings,
         matchedTransactions: app.matchedTransactions.map(m => ({
             bankTransaction: m.bankTransaction,
             glEntry: m.glEntry,
             matchScore: m.matchScore,
             matchType: m.matchType,
-            isManual: m.isManual || false
+            matchRule: m.matchRule || null,
+            isManual: m.isManual || false,
+            isSmartMatch: m.isSmartMatch || false,
+            isMultiMatch: m.isMultiMatch || false,
+            matchedCount: m.matchedCount || 1,
+            ...(m.dayGap !== undefined && { dayGap: m.dayGap }),
+            ...(m.isCustom && { isCustom: true, customNotes: m.customNotes || '' })
         })),
         unmatchedBank: app.unmatchedBank,
         unmatchedGL: app.unmatchedGL
@@ -232,13 +490,30 @@ async function loadReconciliationFromHistory(id) {
     app.matchedTransactions = data.matchedTransactions || [];
     app.unmatchedBank = data.unmatchedBank || [];
     app.unmatchedGL = data.unmatchedGL || [];
+    app.localMatchReason = null;
     app.settings = data.settings || app.settings;
     app.bankFileName = data.bankFileName;
     app.glFileName = data.glFileName;
+    app.bankAccountId = data.bankAccountId || null;
+    // The files are not reloaded, so the saved balances stand in for detection
+    app.statementLedgerBalance = null;
+    setEnteredBalances(data.summary?.proof);
+
+    // Later match/unmatch edits are saved back to this session, unless it is
+    // locked or belongs to a teammate (opened for review)
+    app.savedReconciliationId = data.canEdit ? id : null;
+    app.savedReconciliationStatus = data.status;
+    if (!data.canEdit) {
+        console.log(`[HISTORY] Opened read-only (${data.status}) - match changes will not be saved`);
+    }
 
     // Update UI
     document.getElementById('bankFileName').textContent = data.bankFileName || 'Loaded from history';
     document.getElementById('glFileName').textContent = data.glFileName || 'Loaded from history';
+    if (typeof selectBankAccount === 'function') {
+        selectBankAccount(app.bankAccountId);
+    }
+    app.setPeriod(data.period, false);
 
     // Show results
     app.displayResults();
@@ -11,10 +11,29 @@ class BankReconciliation {
         this.manualMatchSource = null; // Current source item for manual matching
         this.bankFileName = '';
         this.glFileName = '';
+        this.bankAccountId = null; // Bank account the statement belongs to (picked or detected)
+        this.period = { start: '', end: '' }; // Statement period (YYYY-MM-DD)
+        this.carriedForward = { source: null, unmatchedBank: [], unmatchedGL: [] }; // Prior period's outstanding items
+        this.statementLedgerBalance = null; // Ending balance from the OFX statement header
+        this.statementRows = []; // Bank rows as imported, for the running balance check
+        this.statementTotals = { openingBalance: null, closingBalance: null }; // Totals printed on the statement
+        this.balanceCheck = null; // Result of the running balance check
+        this.proof = null; // Book-to-bank proof of the current results
         this.settings = {
             dateRange: 3,
-            amountTolerance: 0.00
+            amountTolerance: 0.00,
+            assignmentMode: 'greedy',
+            batchDeposits: true,
+            batchGroupBy: 'date',
+            splitSettlements: true,
+            expandSplits: false,
+            reconciledItems: 'exclude',
+            bankDateField: 'posted',
+            matchingRules: []
         };
+        this.assignmentReport = null; // Greedy vs optimal comparison from the server engine
+        this.previouslyReconciled = { bank: [], gl: [] }; // Lines the source file marks reconciled
+        this.localMatchReason = null; // Why the last run matched in the browser instead of on the server
         this.filters = {
             dateFrom: null,
             dateTo: null,
@@ -24,6 +43,10 @@ class BankReconciliation {
         };
         this.currentTab = 'matched';
         this.smartMatchSuggestions = []; // Smart match suggestions
+        this.learningData = null; // Shared Smart Match learning data (loaded from the server)
+        this.savedReconciliationId = null; // Saved session reopened from History; match edits are persisted to it
+        this.savedReconciliationStatus = null; // Its sign-off status; edits send a signed-off session back to draft
+        this.persistQueue = Promise.resolve(); // Keeps match edits reaching the server in order
         this.pageSize = 15; // Items per page: 15, 50, or Infinity (All)
         this.currentPage = 1;
         this.init();
@@ -53,6 +76,18 @@ class BankReconciliation {
             this.settings.amountTolerance = parseFloat(e.target.value);
         });
 
+        // Statement period
+        ['periodStart', 'periodEnd'].forEach(inputId => {
+            document.getElementById(inputId).addEventListener('change', () => this.changePeriod({
+                start: document.getElementById('periodStart').value,
+                end: document.getElementById('periodEnd').value
+            }));
+        });
+
+        // Statement totals
+        document.getElementById('statementOpening').addEventListener('change', (e) => this.changeStatementTotal('openingBalance', e.target.value));
+        document.getElementById('statementClosing').addEventListener('change', (e) => this.changeStatementTotal('closingBalance', e.target.value));
+
         // Reconcile button
         document.getElementById('reconcileBtn').addEventListener('click', () => this.startReconciliation());
 
@@ -164,26 +199,57 @@ class BankReconciliation {
             const result = await apiClient.parseFile(file, type);
 
             console.log(`[PARSE] Server parsed ${result.rowCount} rows from ${result.parser} file`);
+            if (result.warnings?.length > 0) {
+                console.warn('[PARSE] Parser warnings:', result.warnings);
+                alert(`${file.name}:\n\n${result.warnings.join('\n')}`);
+            }
+
+            // OFX files can hold several accounts' statements - reconcile one of them
+            let { data: rows, accountInfo, rowCount } = result;
+            let statementLabel = '';
+            if (type === 'bank' && result.statements?.length > 1) {
+                const statement = this.pickStatement(result.statements);
+                if (!statement) {
+                    fileNameElement.textContent = `${file.name} (no statement selected)`;
+                    fileNameElement.style.color = '#dc2626';
+                    return;
+                }
+                ({ transactions: rows, accountInfo } = statement);
+                rowCount = rows.length;
+                statementLabel = `, ${this.describeStatement(statement)}`;
+            }
 
             if (type === 'bank') {
                 // Transform server data to match expected format
-                this.bankData = result.data.map(item => ({
+                this.bankData = rows.map(item => ({
                     transactionNumber: item.fitId || item.checkNumber || '',
-                    date: item.date,
+                    date: this.toStatementDate(item.date, item.postedAt),
+                    // OFX initiated/available dates, for matching on them instead of the posting date
+                    dateUser: this.toStatementDate(item.dateUser, item.userAt),
+                    dateAvailable: this.toStatementDate(item.dateAvailable, item.availableAt),
+                    postedAt: item.postedAt || null,
+                    clearedStatus: item.clearedStatus || '',
                     description: item.description || item.name || item.payee || '',
                     memo: item.memo || '',
-                    amountCredit: item.amountCredit || (item.amount > 0 ? item.amount : 0),
+                    // PDF and QIF amounts are unsigned, with the direction in amountDebit/amountCredit
+                    amountCredit: item.amountCredit || (item.amount > 0 && !item.amountDebit && item.isDebit !== true ? item.amount : 0),
                     amountDebit: item.amountDebit || (item.amount < 0 ? Math.abs(item.amount) : 0),
                     balance: item.balance || 0,
                     checkNumber: item.checkNumber || '',
                     amount: item.amountCredit || item.amount || 0,
+                    type: item.type || '',
+                    isFee: ['FEE', 'SRVCHG'].includes(String(item.type || '').toUpperCase()),
                     rawRow: item.rawLine || JSON.stringify(item)
                 }));
 
                 console.log(`[SUCCESS] Parsed ${this.bankData.length} bank transactions from ${result.parser}`);
+                this.applyStatementAccount(accountInfo);
+                // Checked as parsed - PDF amounts are unsigned until mapped above
+                this.statementRows = rows;
+                this.checkStatementBalances();
             } else {
                 // GL data
-                this.glData = result.data.map(item => ({
+                this.glData = rows.map(item => ({
                     accountNumber: item.accountNumber || '',
                     description: item.description || '',
                     type: item.type || '',
@@ -191,13 +257,24 @@ class BankReconciliation {
                     endingBalance: item.endingBalance || 0,
                     debit: item.debit || item.amount || 0,
                     amount: item.debit || item.amount || 0,
+                    // QIF registers sign deposits positive and checks negative
+                    ...(result.parser === 'qif' && {
+                        date: this.toStatementDate(item.date),
+                        checkNumber: item.checkNumber || '',
+                        debit: item.amountCredit || 0,
+                        credit: item.amountDebit || 0,
+                        isDebit: item.amountCredit > 0
+                    }),
+                    // Split lines (fund/category), matched one by one with Expand GL Splits on
+                    splits: item.splits,
+                    clearedStatus: item.clearedStatus || '',
                     rawRow: item.rawLine || JSON.stringify(item)
                 }));
 
                 console.log(`[SUCCESS] Parsed ${this.glData.length} GL entries from ${result.parser}`);
             }
 
-            fileNameElement.textContent = `${file.name} (${result.rowCount} rows)`;
+            fileNameElement.textContent = `${file.name} (${rowCount} rows${statementLabel})`;
             fileNameElement.style.color = '#059669';
 
             this.checkReadyToReconcile();
@@ -219,6 +296,8 @@ class BankReconciliation {
 
                 const parsed = this.smartParseBankData(results.data);
                 this.bankData = parsed;
+                this.statementRows = parsed;
+                this.checkStatementBalances();
 
                 console.log(`[SUCCESS] Parsed ${this.bankData.length} bank transactions`);
                 if (this.bankData.length > 0) {
@@ -277,6 +356,8 @@ class BankReconciliation {
 
                 const parsed = this.smartParseBankData(jsonData);
                 this.bankData = parsed;
+                this.statementRows = parsed;
+                this.checkStatementBalances();
 
                 console.log(`[SUCCESS] Parsed ${this.bankData.length} bank transactions`);
                 if (this.bankData.length > 0) {
@@ -297,6 +378,250 @@ class BankReconciliation {
         reader.readAsArrayBuffer(file);
     }
 
+    /**
+     * Choose which statement of a multi-account OFX file to reconcile
+     * The one for the selected (or a detectable) bank account is taken without asking.
+     * @param {Array} statements - From the parse response
+     * @returns {Object|null} Statement, or null when the user cancels
+     */
+    pickStatement(statements) {
+        if (typeof detectBankAccount === 'function') {
+            const forAccount = statements.filter(statement => {
+                const account = detectBankAccount(statement.accountInfo);
+                return account && (!this.bankAccountId || account.id === this.bankAccountId);
+            });
+            if (forAccount.length === 1) {
+                console.log(`[PARSE] Using statement ${this.describeStatement(forAccount[0])} for the bank account`);
+                return forAccount[0];
+            }
+        }
+
+        const options = statements.map((statement, idx) =>
+            `${idx + 1}. ${this.describeStatement(statement)} - ${statement.transactions.length} transactions`
+        ).join('\n');
+        const choice = prompt(`This file contains ${statements.length} statements. Which one do you want to reconcile?\n\n${options}`, '1');
+        if (choice === null) return null;
+
+        const statement = statements[parseInt(choice) - 1];
+        if (!statement) {
+            alert('Please enter the number of one of the statements');
+            return null;
+        }
+        return statement;
+    }
+
+    describeStatement(statement) {
+        const { accountType, accountNumber, accountName } = statement.account;
+        const masked = accountNumber ? `****${String(accountNumber).slice(-4)}` : '';
+        const currency = statement.currency && statement.currency !== 'USD' ? ` ${statement.currency}` : '';
+        // QIF accounts are known by name, which usually holds the last digits already
+        if (accountName) return `${accountName} (${accountType})` + currency;
+        return [accountType, masked].filter(Boolean).join(' ') + currency || 'Statement';
+    }
+
+    /**
+     * Select the bank account a statement header refers to
+     * A choice the user already made is kept.
+     * @param {Object|null} info - { accountNumber, routingNumber, accountName }
+     */
+    applyStatementAccount(info) {
+        if (!info) return;
+
+        this.statementLedgerBalance = info.ledgerBalance ?? null;
+
+        // OFX statements carry their own period
+        if (info.statementStart && info.statementEnd && !this.period.start) {
+            this.setPeriod({ start: info.statementStart, end: info.statementEnd });
+        }
+
+        if (this.bankAccountId || typeof detectBankAccount !== 'function') return;
+
+        const account = detectBankAccount(info);
+        if (!account) return;
+
+        this.bankAccountId = account.id;
+        selectBankAccount(account.id, true);
+        console.log(`[ACCOUNTS] Detected bank account ${account.name} from the statement header`);
+        this.loadCarryForward();
+    }
+
+    // ==================== Statement Period ====================
+
+    /**
+     * Set the statement period and reload the prior period's outstanding items
+     * @param {Object} period - { start, end } as YYYY-MM-DD
+     * @param {boolean} loadCarried - false for sessions reopened from History,
+     *                                which already contain their carried items
+     */
+    setPeriod(period, loadCarried = true) {
+        this.period = { start: period?.start || '', end: period?.end || '' };
+        document.getElementById('periodStart').value = this.period.start;
+        document.getElementById('periodEnd').value = this.period.end;
+
+        if (loadCarried) {
+            this.loadCarryForward();
+        } else {
+            this.carriedForward = { source: null, unmatchedBank: [], unmatchedGL: [] };
+            this.renderCarryForwardInfo();
+        }
+    }
+
+    /**
+     * Period edited by the user; a session reopened from History saves it back
+     */
+    changePeriod(period) {
+        this.setPeriod(period);
+
+        if (this.savedReconciliationId && period.start && period.end && period.start <= period.end) {
+            this.persistMatchChange(async (reconciliationId) => {
+                await apiClient.updateReconciliation(reconciliationId, { period });
+            });
+        }
+    }
+
+    /**
+     * Fetch what the bank account's previous period left unmatched
+     * Not for sessions reopened from History - they already contain them.
+     */
+    async loadCarryForward() {
+        this.carriedForward = { source: null, unmatchedBank: [], unmatchedGL: [] };
+
+        if (this.bankAccountId && this.period.start && !this.savedReconciliationId && typeof apiClient !== 'undefined') {
+            try {
+                this.carriedForward = await apiClient.getCarryForward(this.bankAccountId, this.period.start);
+            } catch (error) {
+                console.error('[PERIOD] Failed to load carried-forward items:', error);
+            }
+        }
+
+        this.renderCarryForwardInfo();
+        this.checkReadyToReconcile();
+    }
+
+    renderCarryForwardInfo() {
+        const info = document.getElementById('carryForwardInfo');
+        if (!info) return;
+
+        const { source, unmatchedBank, unmatchedGL } = this.carriedForward;
+        const count = unmatchedBank.length + unmatchedGL.length;
+
+        if (!source) {
+            info.textContent = this.bankAccountId && this.period.start ? 'No earlier period for this account' : '';
+            return;
+        }
+
+        const aged = [...unmatchedBank, ...unmatchedGL].filter(item => item.ageDays > 90).length;
+        info.textContent = `${count} outstanding item${count === 1 ? '' : 's'} carried forward from ${source.name} (${source.period.start} to ${source.period.end}, ${source.status})` +
+            (aged > 0 ? ` - ${aged} older than 90 days` : '');
+    }
+
+    // ==================== Statement Balance Check ====================
+
+    /**
+     * Check the imported bank rows' running balance and the statement totals
+     * Runs on the server; without it the import is not checked.
+     */
+    async checkStatementBalances() {
+        this.balanceCheck = null;
+
+        if (this.statementRows.length > 0 && typeof apiClient !== 'undefined') {
+            try {
+                this.balanceCheck = await apiClient.validateStatement(this.statementRows, this.statementTotals);
+            } catch (error) {
+                console.warn('[IMPORT] Statement balance check unavailable:', error.message);
+            }
+        }
+
+        this.renderBalanceCheck();
+        this.checkReadyToReconcile();
+    }
+
+    /**
+     * Opening/closing balance typed in from the statement
+     * @param {string} field - openingBalance or closingBalance
+     * @param {string} value - Input value; blank clears it
+     */
+    changeStatementTotal(field, value) {
+        const trimmed = String(value).trim();
+        if (trimmed !== '' && !Number.isFinite(Number(trimmed))) {
+            alert('Please enter a number');
+            return;
+        }
+
+        this.statementTotals[field] = trimmed === '' ? null : Number(trimmed);
+        this.checkStatementBalances();
+    }
+
+    renderBalanceCheck() {
+        const info = document.getElementById('balanceCheckInfo');
+        if (!info) return;
+
+        const check = this.balanceCheck;
+        info.classList.toggle('balance-check-failed', Boolean(check && !check.isValid));
+
+        if (!check || !check.checked) {
+            info.textContent = this.statementRows.length > 0 ? 'No running balance to check' : '';
+        } else if (check.isValid) {
+            info.textContent = `Running balance checks out (${check.rowsChecked} rows)` +
+                (check.totals.opening || check.totals.closing ? ', statement totals agree' : '');
+        } else {
+            info.textContent = check.issues.join('. ');
+        }
+    }
+
+    // ==================== Reconciliation Proof ====================
+
+    /**
+     * Statement and book balances for the proof (entered, else detected)
+     */
+    getBalances() {
+        return getProofBalances(this.statementTotals.closingBalance ?? this.statementLedgerBalance);
+    }
+
+    /**
+     * Rebuild the book-to-bank proof from the current unmatched lists
+     */
+    updateProof() {
+        this.proof = buildReconciliationProof(this.getBalances(), this.unmatchedBank, this.unmatchedGL);
+        renderProof(this.proof);
+    }
+
+    /**
+     * Badge for an item rolled in from an earlier period, colored by age
+     */
+    getCarriedBadge(item) {
+        if (!item?.carriedForward) return '';
+        const title = `Outstanding since ${item.outstandingSince} (${item.ageDays} days at the start of this period)`;
+        return `<span class="carried-badge age-${this.escapeHtml(item.ageBucket)}" title="${this.escapeHtml(title)}">Carried · ${item.ageDays}d</span>`;
+    }
+
+    /**
+     * Split breakdown of a GL entry, for the matched table and exports
+     * Covers QIF splits on the entry, split lines matched as a group, and a
+     * single split line matched on its own.
+     * @returns {string} e.g. "Water: $100.00; Sewer: $200.00", or '' for unsplit entries
+     */
+    getSplitSummary(gl) {
+        // QIF categories read "Category:Subcategory/Class", the class holding the fund
+        const label = (category, fund) =>
+            [category, fund].map(part => (part || '').trim()).filter(Boolean).join(' / ') || 'Uncategorized';
+
+        if (gl.combinedItems?.some(item => item.splitOf)) {
+            return gl.combinedItems
+                .map(item => `${label(item.category, item.fund)}: ${this.formatCurrency(item.amount)}`)
+                .join('; ');
+        }
+        if (gl.splits?.length > 1) {
+            return gl.splits
+                .map(split => `${label(...String(split.category || '').split('/'))}: ${this.formatCurrency(Math.abs(split.amount || 0))}`)
+                .join('; ');
+        }
+        if (gl.splitOf) {
+            return `Split ${gl.splitOf.index} of ${gl.splitOf.count} of ${gl.splitOf.description} (${this.formatCurrency(gl.splitOf.amount)})`;
+        }
+        return '';
+    }
+
     smartParseBankData(rows) {
         console.log('[SMART] Starting intelligent bank data parsing...');
 
@@ -323,6 +648,11 @@ class BankReconciliation {
         const cleanedRows = startIdx > 0 ? rows.slice(startIdx) : rows;
         console.log(`[SMART] Skipped ${startIdx} metadata rows`);
 
+        // The skipped rows often name the account ("Account Number : XXXX1234")
+        if (startIdx > 0 && typeof extractStatementAccountInfo === 'function') {
+            this.applyStatementAccount(extractStatementAccountInfo(rows.slice(0, startIdx)));
+        }
+
         // Check if this is a headerless format (like the complex bank export format)
         // Look for timestamp patterns like "20251205000000[-5:EST]*" in first column
         const firstRow = cleanedRows[0];
@@ -384,6 +714,7 @@ class BankReconciliation {
             const rawDebit = this.parseAmount(row[columnMap.debit] || '0');
             const credit = Math.abs(rawCredit);
             const debit = Math.abs(rawDebit);
+            const fees = Math.abs(this.parseAmount(row[columnMap.fees] || '0'));
 
             // Determine net amount: credits are positive (inflow), debits are negative (outflow)
             let amount;
@@ -399,6 +730,12 @@ class BankReconciliation {
                 amount = 0;
             }
 
+            // Processor fee lines carry their amount only in the fees column
+            const isFee = amount === 0 && fees > 0;
+            if (isFee) {
+                amount = -fees;
+            }
+
             // Skip if no amount
             if (amount === 0) {
                 continue;
@@ -421,11 +758,13 @@ class BankReconciliation {
                 description: row[columnMap.description] || '',
                 memo: row[columnMap.memo] || '',
                 amountCredit: credit,
-                amountDebit: debit,
+                amountDebit: isFee ? fees : debit,
                 balance: this.parseAmount(row[columnMap.balance] || '0'),
                 checkNumber: checkNumber,
                 amount: Math.abs(amount),
                 isDebit: amount < 0,
+                fees: isFee ? 0 : fees,
+                isFee,
                 rawRow: row
             });
         }
@@ -1083,6 +1422,26 @@ class BankReconciliation {
         return map;
     }
 
+    /**
+     * Calendar day of a server-parsed statement date, in the user's timezone
+     * OFX lines posted at a time of day come with the exact instant, so a
+     * late-evening posting lands on the same day as in the GL.
+     * @param {string} date - YYYY-MM-DD or MM/DD/YYYY
+     * @param {string|null} timestamp - ISO 8601 instant, when the statement has one
+     * @returns {Date|string|null}
+     */
+    toStatementDate(date, timestamp) {
+        if (timestamp) {
+            const instant = new Date(timestamp);
+            return new Date(instant.getFullYear(), instant.getMonth(), instant.getDate());
+        }
+
+        const iso = String(date || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (iso) return new Date(iso[1], iso[2] - 1, iso[3]);
+
+        return date || null;
+    }
+
     parseDate(dateStr) {
         if (!dateStr) return null;
 
@@ -1181,6 +1540,7 @@ class BankReconciliation {
         const statusIndicator = document.getElementById('statusIndicator');
         const statusText = document.getElementById('statusText');
         const ready = this.bankData.length > 0 && this.glData.length > 0;
+        const carriedCount = this.carriedForward.unmatchedBank.length + this.carriedForward.unmatchedGL.length;
 
         console.log(`[STATUS] Ready to reconcile: ${ready} (Bank: ${this.bankData.length}, GL: ${this.glData.length})`);
 
@@ -1191,7 +1551,9 @@ class BankReconciliation {
             statusIndicator.style.display = 'block';
             statusIndicator.style.background = '#d1fae5';
             statusIndicator.style.borderColor = '#059669';
-            statusText.textContent = `READY - Bank: ${this.bankData.length} rows, GL: ${this.glData.length} rows`;
+            statusText.textContent = `READY - Bank: ${this.bankData.length} rows, GL: ${this.glData.length} rows` +
+                (carriedCount > 0 ? `, ${carriedCount} carried forward` : '') +
+                (this.balanceCheck && !this.balanceCheck.isValid ? ' - statement failed the balance check' : '');
             console.log('[READY] Reconcile button is now ENABLED');
         } else {
             btn.style.cursor = 'not-allowed';
@@ -1222,6 +1584,12 @@ class BankReconciliation {
     }
 
     startReconciliation() {
+        // A statement with a broken running balance is missing or repeating rows
+        if (this.balanceCheck && !this.balanceCheck.isValid) {
+            const issues = this.balanceCheck.issues.map(issue => `- ${issue}`).join('\n');
+            if (!confirm(`The bank statement failed the balance check:\n\n${issues}\n\nReconcile anyway?`)) return;
+        }
+
         console.log('[START] Starting reconciliation...');
 
         // Show progress
@@ -1234,8 +1602,11 @@ class BankReconciliation {
         setTimeout(() => {
             this.updateProgress(60, 'Matching with GL entries...');
 
-            setTimeout(() => {
-                this.performReconciliation();
+            setTimeout(async () => {
+                if (!await this.runReconciliation()) {
+                    document.getElementById('progressSection').style.display = 'none';
+                    return;
+                }
                 this.updateProgress(100, 'Complete!');
 
                 setTimeout(() => {
@@ -1245,7 +1616,64 @@ class BankReconciliation {
         }, 500);
     }
 
-    performReconciliation() {
+    /**
+     * Match on the server engine, so every run gives the same audited result
+     * If the server fails, the user chooses whether to match in the browser
+     * instead; those results are labeled as browser matches.
+     * @returns {Promise<boolean>} false when the user cancelled
+     */
+    async runReconciliation() {
+        this.savedReconciliationId = null;
+
+        // Last period's outstanding items are matched against the new statement too
+        const bankData = [...this.carriedForward.unmatchedBank, ...this.bankData];
+        const glData = [...this.carriedForward.unmatchedGL, ...this.glData];
+
+        let reason = 'the server is not available';
+        if (typeof apiClient !== 'undefined') {
+            try {
+                const result = await apiClient.runReconciliation(bankData, glData, this.settings, this.getBalances());
+                this.matchedTransactions = result.matchedTransactions || [];
+                this.unmatchedBank = result.unmatchedBank || [];
+                this.unmatchedGL = result.unmatchedGL || [];
+                this.assignmentReport = result.assignmentReport || null;
+                this.previouslyReconciled = result.previouslyReconciled || { bank: [], gl: [] };
+                this.localMatchReason = null;
+
+                console.log('[COMPLETE] Server reconciliation finished:', result.summary);
+                return true;
+            } catch (error) {
+                console.error('[MATCH] Server engine failed:', error.message);
+                reason = `the server engine failed: ${error.message}`;
+            }
+        }
+
+        if (!confirm(`Could not match on the server - ${reason}.\n\n` +
+            'Match in this browser instead? Browser matching can pair lines differently from the server engine, and the results will be labeled as browser matches.')) {
+            return false;
+        }
+
+        this.assignmentReport = null;
+        this.previouslyReconciled = { bank: [], gl: [] };
+        this.localMatchReason = reason;
+        this.performReconciliation(this.selectBankDates(bankData), glData);
+        return true;
+    }
+
+    /**
+     * Put the bank date chosen for matching in `date` (mirrors the server engine)
+     * Rows without that date keep their posting date, also kept as datePosted.
+     */
+    selectBankDates(bankData) {
+        const field = { user: 'dateUser', available: 'dateAvailable' }[this.settings.bankDateField];
+        if (!field) return bankData;
+
+        return bankData.map(tx => tx[field]
+            ? { ...tx, datePosted: tx.datePosted || tx.date, date: tx[field] }
+            : tx);
+    }
+
+    performReconciliation(bankData = this.bankData, glData = this.glData) {
         this.matchedTransactions = [];
         this.unmatchedBank = [];
         this.unmatchedGL = [];
@@ -1256,12 +1684,12 @@ class BankReconciliation {
         console.log('[MATCH] Starting matching algorithm...');
 
         // Try to match each bank transaction with GL entries
-        this.bankData.forEach((bankTx, bankIdx) => {
+        bankData.forEach((bankTx, bankIdx) => {
             let bestMatch = null;
             let bestMatchScore = 0;
             let bestGLIdx = -1;
 
-            this.glData.forEach((glEntry, glIdx) => {
+            glData.forEach((glEntry, glIdx) => {
                 if (matchedGLIndices.has(glIdx)) return;
 
                 const score = this.calculateMatchScore(bankTx, glEntry);
@@ -1282,6 +1710,8 @@ class BankReconciliation {
                     glEntry: bestMatch,
                     matchScore: bestMatchScore,
                     matchType: this.getMatchType(bankTx, bestMatch),
+                    dayGap: this.getDayGap(bankTx.date, bestMatch.date),
+                    matchRule: { id: 'default', name: 'Default scoring' },
                     isManual: false
                 });
 
@@ -1290,13 +1720,13 @@ class BankReconciliation {
         });
 
         // Collect unmatched items
-        this.bankData.forEach((tx, idx) => {
+        bankData.forEach((tx, idx) => {
             if (!matchedBankIndices.has(idx)) {
                 this.unmatchedBank.push(tx);
             }
         });
 
-        this.glData.forEach((entry, idx) => {
+        glData.forEach((entry, idx) => {
             if (!matchedGLIndices.has(idx)) {
                 this.unmatchedGL.push(entry);
             }
@@ -1329,25 +1759,47 @@ class BankReconciliation {
         }
 
         // Check number matching
+        let checkMatched = false;
         if (bankTx.checkNumber && glEntry.accountNumber) {
             const checkNum = bankTx.checkNumber.replace(/\D/g, '');
             const acctNum = glEntry.accountNumber.replace(/\D/g, '');
 
             if (checkNum && acctNum.includes(checkNum)) {
                 score += weights.checkNumber;
+                checkMatched = true;
             }
         }
 
-        // Date proximity (if dates are available)
-        if (bankTx.date && this.settings.dateRange > 0) {
-            // For GL, we'll use a general date match since GL might not have transaction dates
-            // This is a placeholder - can be enhanced if GL has date fields
+        // Date proximity
+        const dayGap = this.getDayGap(bankTx.date, glEntry.date);
+        if (dayGap !== null) {
+            // Both dates known - reject pairs outside the configured window
+            if (dayGap > this.settings.dateRange) {
+                return 0;
+            }
+            score += weights.date * (1 - dayGap / (this.settings.dateRange + 1));
+        } else if (bankTx.date && this.settings.dateRange > 0) {
+            // GL might not have transaction dates, so give partial credit
             score += weights.date * 0.5;
         }
 
+        // An amount outside the tolerance only matches on a check number
+        if (amountDiff > this.settings.amountTolerance && !checkMatched) {
+            return Math.min(score, 0.5);
+        }
+
         return score;
     }
 
+    getDayGap(dateA, dateB) {
+        if (!dateA || !dateB) return null;
+        const date1 = dateA instanceof Date ? dateA : new Date(dateA);
+        const date2 = dateB instanceof Date ? dateB : new Date(dateB);
+        if (isNaN(date1.getTime()) || isNaN(date2.getTime())) return null;
+        // Round to absorb DST shifts
+        return Math.abs(Math.round((date1 - date2) / (1000 * 60 * 60 * 24)));
+    }
+
     getMatchType(bankTx, glEntry) {
         const types = [];
 
@@ -1367,22 +1819,128 @@ class BankReconciliation {
     // Smart Match (Experimental) - Algorithm
     // ========================================
 
+    /**
+     * Refresh learning data from the server so teammates' feedback is included.
+     * Learning recorded before server storage existed is merged up once.
+     */
+    async loadSmartMatchLearning() {
+        if (typeof apiClient === 'undefined') return;
+
+        try {
+            let data = await apiClient.getLearning();
+
+            const legacy = this.getLocalSmartMatchLearning();
+            if (legacy && !localStorage.getItem('bankRecSmartMatchLearningMigrated') &&
+                (legacy.totalAccepted > 0 || legacy.totalDenied > 0)) {
+                data = await apiClient.mergeLearning(legacy);
+                localStorage.setItem('bankRecSmartMatchLearningMigrated', 'true');
+                console.log('[SMART] Merged local learning data into shared store');
+            }
+
+            this.learningData = data;
+            localStorage.setItem('bankRecSmartMatchLearning', JSON.stringify(data));
+        } catch (error) {
+            console.warn('[SMART] Shared learning data unavailable, using local copy:', error.message);
+        }
+    }
+
     getSmartMatchLearning() {
+        return this.learningData || this.getLocalSmartMatchLearning() || this.createEmptyLearningData();
+    }
+
+    getLocalSmartMatchLearning() {
         try {
             const raw = localStorage.getItem('bankRecSmartMatchLearning');
-            return raw ? JSON.parse(raw) : this.createEmptyLearningData();
+            return raw ? JSON.parse(raw) : null;
         } catch (e) {
             console.warn('[SMART] Failed to load learning data:', e);
-            return this.createEmptyLearningData();
+            return null;
         }
     }
 
-    saveSmartMatchLearning(data) {
+    /**
+     * Store learning data locally and send the change to the shared store
+     * @param {Object} data - Full learning data after the change
+     * @param {Object} delta - Only the counts added by this change
+     */
+    saveSmartMatchLearning(data, delta) {
         data.lastUpdated = new Date().toISOString();
         if (data.feedbackLog && data.feedbackLog.length > 200) {
             data.feedbackLog = data.feedbackLog.slice(-200);
         }
+        this.learningData = data;
         localStorage.setItem('bankRecSmartMatchLearning', JSON.stringify(data));
+
+        if (delta && typeof apiClient !== 'undefined') {
+            apiClient.mergeLearning(delta)
+                .then(shared => {
+                    // The server's merge is authoritative (it caps the pattern sizes)
+                    this.learningData = shared;
+                    localStorage.setItem('bankRecSmartMatchLearning', JSON.stringify(shared));
+                })
+                .catch(error => console.warn('[SMART] Failed to share learning feedback:', error.message));
+        }
+    }
+
+    /**
+     * Record an accept/deny for a suggestion
+     * @param {Object} suggestion - Smart Match suggestion
+     * @param {string} action - 'accepted' or 'denied'
+     */
+    recordSmartMatchFeedback(suggestion, action) {
+        const field = action === 'accepted' ? 'accepted' : 'denied';
+        const descKey = this.normalizeForLearning(suggestion.bankTx.description);
+        const acctKey = (suggestion.glEntry.accountNumber || '').trim();
+        const glDescKey = this.normalizeForLearning(suggestion.glEntry.description);
+        const amtBucket = this.amountBucket(suggestion.bankTx.amount);
+        const count = () => ({ accepted: 0, denied: 0, [field]: 1 });
+
+        // Blank keys are not stored (the server drops them), so skip them here too
+        const delta = this.createEmptyLearningData();
+        if (descKey && acctKey) delta.patterns.descToAccount[descKey] = { [acctKey]: count() };
+        if (amtBucket && acctKey) delta.patterns.amountToAccount[amtBucket] = { [acctKey]: count() };
+        if (descKey && glDescKey) delta.patterns.descToDesc[descKey] = { [glDescKey]: count() };
+        delta.totalAccepted = field === 'accepted' ? 1 : 0;
+        delta.totalDenied = field === 'denied' ? 1 : 0;
+        delta.feedbackLog.push({
+            timestamp: new Date().toISOString(),
+            action,
+            bankDesc: suggestion.bankTx.description,
+            bankAmount: suggestion.bankTx.amount,
+            glAccount: acctKey,
+            glDesc: suggestion.glEntry.description,
+            score: suggestion.score
+        });
+
+        const learningData = this.mergeLearningCounts(this.getSmartMatchLearning(), delta);
+        this.saveSmartMatchLearning(learningData, delta);
+    }
+
+    /**
+     * Add the counts in delta to data (same rules as the server merge)
+     */
+    mergeLearningCounts(data, delta) {
+        const merged = JSON.parse(JSON.stringify(data));
+        if (!merged.patterns) merged.patterns = { descToAccount: {}, amountToAccount: {}, descToDesc: {} };
+
+        Object.entries(delta.patterns).forEach(([type, keys]) => {
+            if (!merged.patterns[type]) merged.patterns[type] = {};
+            Object.entries(keys).forEach(([key, targets]) => {
+                if (!merged.patterns[type][key]) merged.patterns[type][key] = {};
+                Object.entries(targets).forEach(([target, rec]) => {
+                    const existing = merged.patterns[type][key][target] || { accepted: 0, denied: 0 };
+                    merged.patterns[type][key][target] = {
+                        accepted: (existing.accepted || 0) + rec.accepted,
+                        denied: (existing.denied || 0) + rec.denied
+                    };
+                });
+            });
+        });
+
+        merged.totalAccepted = (merged.totalAccepted || 0) + delta.totalAccepted;
+        merged.totalDenied = (merged.totalDenied || 0) + delta.totalDenied;
+        merged.feedbackLog = [...(merged.feedbackLog || []), ...delta.feedbackLog];
+        return merged;
     }
 
     createEmptyLearningData() {
@@ -1538,6 +2096,60 @@ class BankReconciliation {
         return results;
     }
 
+    /**
+     * Bank-side subsets that reach a GL amount once processor fees are added back.
+     * Fees come from a separate fee line (isFee) or the fees column on the credits.
+     */
+    findFeeAdjustedSplits(glAmount, bankItems, maxItems = 3) {
+        const results = [];
+        const tolerance = Math.max(this.settings.amountTolerance || 0, 0.01);
+        const credits = [];
+        const feeLines = [];
+
+        bankItems.forEach((item, idx) => {
+            const amount = Math.abs(item.amount || item.amountCredit || item.amountDebit || 0);
+            if (item.isFee) {
+                feeLines.push({ idx, item, amount });
+            } else if ((item.amountCredit || 0) > 0 && amount < glAmount) {
+                credits.push({ idx, item, amount, fees: Math.abs(item.fees || 0) });
+            }
+        });
+
+        const cap = credits.slice(0, 50);
+        const consider = (chosen) => {
+            const creditTotal = chosen.reduce((s, c) => s + c.amount, 0);
+            const embeddedFees = chosen.reduce((s, c) => s + c.fees, 0);
+            const options = feeLines.map(fee => ({ feeAmount: fee.amount, feeLine: fee }));
+            if (embeddedFees > 0) options.push({ feeAmount: embeddedFees, feeLine: null });
+
+            options.forEach(({ feeAmount, feeLine }) => {
+                const diff = Math.abs(creditTotal + feeAmount - glAmount);
+                if (diff > tolerance) return;
+                const picked = feeLine ? [...chosen, feeLine] : chosen;
+                results.push({
+                    indices: picked.map(c => c.idx),
+                    items: picked.map(c => c.item),
+                    sum: creditTotal,
+                    feeAmount,
+                    diff
+                });
+            });
+        };
+
+        for (let i = 0; i < cap.length; i++) {
+            consider([cap[i]]);
+            if (maxItems < 2) continue;
+            for (let j = i + 1; j < cap.length; j++) {
+                consider([cap[i], cap[j]]);
+                if (maxItems < 3) continue;
+                for (let k = j + 1; k < cap.length; k++) {
+                    consider([cap[i], cap[j], cap[k]]);
+                }
+            }
+        }
+        return results;
+    }
+
     buildReasons(bankTx, glEntry, scores) {
         const reasons = [];
         const diff = Math.abs(Math.abs(bankTx.amount || 0) - Math.abs(glEntry.amount || glEntry.debit || 0));
@@ -1590,7 +2202,9 @@ class BankReconciliation {
         container.innerHTML = '';
         emptyState.style.display = 'none';
 
-        setTimeout(() => {
+        setTimeout(async () => {
+            await this.loadSmartMatchLearning();
+
             const source = this.manualMatchSource;
             const sourceItem = source.type === 'bank' ? this.unmatchedBank[source.idx] : this.unmatchedGL[source.idx];
             const targetItems = source.type === 'bank' ? this.unmatchedGL : this.unmatchedBank;
@@ -1646,6 +2260,24 @@ class BankReconciliation {
                 });
             }
 
+            // Settlements posted net of fees: several bank credits (+ fee) for one GL entry
+            if (source.type === 'gl' && !suggestions.some(s => s.score >= 0.85)) {
+                const feeSplits = this.findFeeAdjustedSplits(sourceAmount, targetItems);
+                feeSplits.forEach(subset => {
+                    suggestions.push({
+                        score: 0.75,
+                        scores: { amount: 0.95, text: 0, date: 0, ref: 0, learningBias: 0 },
+                        bankTx: subset.items[0],
+                        glEntry: sourceItem,
+                        targetIndices: subset.indices,
+                        targetItems: subset.items,
+                        feeAmount: subset.feeAmount,
+                        isSplit: true,
+                        reasons: [{ icon: '$', text: `${this.formatCurrency(subset.sum)} deposited + ${this.formatCurrency(subset.feeAmount)} fees = ${this.formatCurrency(subset.sum + subset.feeAmount)} (target: ${this.formatCurrency(sourceAmount)})`, score: 'Fees' }]
+                    });
+                });
+            }
+
             suggestions.sort((a, b) => b.score - a.score);
             this.smartMatchSuggestions = suggestions.slice(0, 5);
 
@@ -1688,8 +2320,11 @@ class BankReconciliation {
                     </tr>`;
                 }).join('');
                 const splitTotal = suggestion.targetItems.reduce((s, i) => s + Math.abs(i.amount || i.debit || i.credit || 0), 0);
+                const feeLabel = suggestion.feeAmount
+                    ? ` (includes ${this.formatCurrency(suggestion.feeAmount)} fees)`
+                    : '';
                 targetHtml = `
-                    <div class="smart-match-split-label">Split match: ${suggestion.targetItems.length} items totalling ${this.formatCurrency(splitTotal)}</div>
+                    <div class="smart-match-split-label">Split match: ${suggestion.targetItems.length} items totalling ${this.formatCurrency(splitTotal)}${feeLabel}</div>
                     <table class="smart-target-table">
                         <thead><tr><th>Date</th><th>Description</th><th>Account</th><th>Amount</th></tr></thead>
                         <tbody>${rows}</tbody>
@@ -1748,39 +2383,7 @@ class BankReconciliation {
         const suggestion = this.smartMatchSuggestions[suggestionIndex];
         if (!suggestion) return;
 
-        const learningData = this.getSmartMatchLearning();
-        const descKey = this.normalizeForLearning(suggestion.bankTx.description);
-        const acctKey = (suggestion.glEntry.accountNumber || '').trim();
-        const glDescKey = this.normalizeForLearning(suggestion.glEntry.description);
-        const amtBucket = this.amountBucket(suggestion.bankTx.amount);
-
-        // Update descToAccount
-        if (!learningData.patterns.descToAccount[descKey]) learningData.patterns.descToAccount[descKey] = {};
-        if (!learningData.patterns.descToAccount[descKey][acctKey]) learningData.patterns.descToAccount[descKey][acctKey] = { accepted: 0, denied: 0 };
-        learningData.patterns.descToAccount[descKey][acctKey].accepted++;
-
-        // Update amountToAccount
-        if (!learningData.patterns.amountToAccount[amtBucket]) learningData.patterns.amountToAccount[amtBucket] = {};
-        if (!learningData.patterns.amountToAccount[amtBucket][acctKey]) learningData.patterns.amountToAccount[amtBucket][acctKey] = { accepted: 0, denied: 0 };
-        learningData.patterns.amountToAccount[amtBucket][acctKey].accepted++;
-
-        // Update descToDesc
-        if (!learningData.patterns.descToDesc[descKey]) learningData.patterns.descToDesc[descKey] = {};
-        if (!learningData.patterns.descToDesc[descKey][glDescKey]) learningData.patterns.descToDesc[descKey][glDescKey] = { accepted: 0, denied: 0 };
-        learningData.patterns.descToDesc[descKey][glDescKey].accepted++;
-
-        learningData.totalAccepted++;
-        learningData.feedbackLog.push({
-            timestamp: new Date().toISOString(),
-            action: 'accepted',
-            bankDesc: suggestion.bankTx.description,
-            bankAmount: suggestion.bankTx.amount,
-            glAccount: acctKey,
-            glDesc: suggestion.glEntry.description,
-            score: suggestion.score
-        });
-
-        this.saveSmartMatchLearning(learningData);
+        this.recordSmartMatchFeedback(suggestion, 'accepted');
         this.executeSmartMatchAccept(suggestion);
     }
 
@@ -1796,7 +2399,7 @@ class BankReconciliation {
                 sortedIndices.forEach(idx => this.unmatchedGL.splice(idx, 1));
                 this.unmatchedBank.splice(source.idx, 1);
 
-                this.matchedTransactions.push({
+                const match = {
                     bankTransaction: bankItem,
                     glEntry: {
                         accountNumber: targetItems.map(g => g.accountNumber).join(', '),
@@ -1808,31 +2411,41 @@ class BankReconciliation {
                     },
                     matchScore: suggestion.score,
                     matchType: `Smart Match (${targetItems.length}-way split)`,
+                    matchRule: { id: 'smart', name: 'Smart Match' },
                     isManual: true,
                     isSmartMatch: true,
                     isMultiMatch: true,
                     matchedCount: targetItems.length
-                });
+                };
+                this.matchedTransactions.push(match);
+                this.persistNewMatch(match, [bankItem], targetItems);
             } else {
                 const glItem = this.unmatchedGL[source.idx];
                 sortedIndices.forEach(idx => this.unmatchedBank.splice(idx, 1));
                 this.unmatchedGL.splice(source.idx, 1);
 
-                this.matchedTransactions.push({
+                const feeAmount = suggestion.feeAmount || 0;
+                const credits = feeAmount ? targetItems.filter(b => !b.isFee) : targetItems;
+
+                const match = {
                     bankTransaction: {
                         description: `[${targetItems.length} items combined] ` + targetItems.map(b => b.description).filter(Boolean).join('; '),
                         date: targetItems[0].date,
-                        amount: targetItems.reduce((s, i) => s + Math.abs(i.amount || i.amountCredit || 0), 0),
+                        amount: credits.reduce((s, i) => s + Math.abs(i.amount || i.amountCredit || 0), 0),
+                        feeAmount,
                         combinedItems: targetItems
                     },
                     glEntry: glItem,
                     matchScore: suggestion.score,
-                    matchType: `Smart Match (${targetItems.length}-way split)`,
+                    matchType: `Smart Match (${targetItems.length}-way split${feeAmount ? ' + fees' : ''})`,
+                    matchRule: { id: 'smart', name: 'Smart Match' },
                     isManual: true,
                     isSmartMatch: true,
                     isMultiMatch: true,
                     matchedCount: targetItems.length
-                });
+                };
+                this.matchedTransactions.push(match);
+                this.persistNewMatch(match, targetItems, [glItem]);
             }
         } else {
             let bankItem, glItem;
@@ -1850,14 +2463,17 @@ class BankReconciliation {
                 this.unmatchedGL.splice(source.idx, 1);
             }
 
-            this.matchedTransactions.push({
+            const match = {
                 bankTransaction: bankItem,
                 glEntry: glItem,
                 matchScore: suggestion.score,
                 matchType: 'Smart Match',
+                matchRule: { id: 'smart', name: 'Smart Match' },
                 isManual: true,
                 isSmartMatch: true
-            });
+            };
+            this.matchedTransactions.push(match);
+            this.persistNewMatch(match, [bankItem], [glItem]);
         }
 
         document.getElementById('manualMatchModal').style.display = 'none';
@@ -1871,37 +2487,23 @@ class BankReconciliation {
         const suggestion = this.smartMatchSuggestions[suggestionIndex];
         if (!suggestion) return;
 
-        const learningData = this.getSmartMatchLearning();
-        const descKey = this.normalizeForLearning(suggestion.bankTx.description);
-        const acctKey = (suggestion.glEntry.accountNumber || '').trim();
-        const glDescKey = this.normalizeForLearning(suggestion.glEntry.description);
-        const amtBucket = this.amountBucket(suggestion.bankTx.amount);
-
-        if (!learningData.patterns.descToAccount[descKey]) learningData.patterns.descToAccount[descKey] = {};
-        if (!learningData.patterns.descToAccount[descKey][acctKey]) learningData.patterns.descToAccount[descKey][acctKey] = { accepted: 0, denied: 0 };
-        learningData.patterns.descToAccount[descKey][acctKey].denied++;
-
-        if (!learningData.patterns.amountToAccount[amtBucket]) learningData.patterns.amountToAccount[amtBucket] = {};
-        if (!learningData.patterns.amountToAccount[amtBucket][acctKey]) learningData.patterns.amountToAccount[amtBucket][acctKey] = { accepted: 0, denied: 0 };
-        learningData.patterns.amountToAccount[amtBucket][acctKey].denied++;
-
-        if (!learningData.patterns.descToDesc[descKey]) learningData.patterns.descToDesc[descKey] = {};
-        if (!learningData.patterns.descToDesc[descKey][glDescKey]) learningData.patterns.descToDesc[descKey][glDescKey] = { accepted: 0, denied: 0 };
-        learningData.patterns.descToDesc[descKey][glDescKey].denied++;
-
-        learningData.totalDenied++;
-        learningData.feedbackLog.push({
-            timestamp: new Date().toISOString(),
-            action: 'denied',
-            bankDesc: suggestion.bankTx.description,
-            bankAmount: suggestion.bankTx.amount,
-            glAccount: acctKey,
-            glDesc: suggestion.glEntry.description,
-            score: suggestion.score
+        this.recordSmartMatchFeedback(suggestion, 'denied');
+
+        // Denials change no stored data, so only the audit trail records them
+        this.persistMatchChange(async (reconciliationId) => {
+            await apiClient.recordAuditEvent(reconciliationId, {
+                action: 'smart_match_deny',
+                details: {
+                    bankItemId: suggestion.bankTx.id || null,
+                    glItemId: suggestion.glEntry.id || null,
+                    bankDescription: suggestion.bankTx.description,
+                    glDescription: suggestion.glEntry.description,
+                    amount: suggestion.bankTx.amount,
+                    score: suggestion.score
+                }
+            });
         });
 
-        this.saveSmartMatchLearning(learningData);
-
         this.smartMatchSuggestions.splice(suggestionIndex, 1);
         this.renderSmartMatchSuggestions();
     }
@@ -1932,10 +2534,104 @@ class BankReconciliation {
         document.getElementById('totalAmount').textContent = this.formatCurrency(totalMatched);
         document.getElementById('unmatchedTotal').textContent = this.formatCurrency(totalUnmatched);
 
+        this.renderAssignmentReport();
+        this.renderReconciledNotice();
+        this.renderLocalMatchNotice();
+        this.updateProof();
+
         // Display the current tab
         this.switchTab(this.currentTab);
     }
 
+    renderAssignmentReport() {
+        const container = document.getElementById('assignmentReport');
+        if (!container) return;
+
+        const report = this.assignmentReport;
+        if (!report || (report.differences.length === 0 && !report.greedyRows)) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const greedyNote = report.greedyRows
+            ? `<div>${report.greedyRows} bank transaction(s) competing for the same GL entries were too many to optimize and were matched in file order.</div>`
+            : '';
+
+        const describeGL = (gl) => gl
+            ? `${this.escapeHtml(gl.accountNumber)} ${this.escapeHtml(this.truncate(gl.description, 30))} (${this.formatCurrency(gl.amount)})`
+            : '<em>unmatched</em>';
+
+        const rows = report.differences.map(diff => `
+            <tr>
+                <td>${this.formatDate(diff.bankTransaction.date)}</td>
+                <td>${this.escapeHtml(this.truncate(diff.bankTransaction.description, 30))}</td>
+                <td>${this.formatCurrency(diff.bankTransaction.amount)}</td>
+                <td>${describeGL(diff.greedyGLEntry)}</td>
+                <td>${describeGL(diff.optimalGLEntry)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div>
+                <strong>Optimal assignment changed ${report.differences.length} match(es) compared to file-order matching.</strong>
+                Total score ${report.optimalTotalScore.toFixed(2)} vs ${report.greedyTotalScore.toFixed(2)} greedy.
+            </div>
+            ${greedyNote}
+            <table class="candidate-table">
+                <thead>
+                    <tr><th>Bank Date</th><th>Bank Description</th><th>Amount</th><th>Greedy GL</th><th>Optimal GL</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        container.style.display = 'flex';
+    }
+
+    /**
+     * Note the lines left out because the source file marks them reconciled
+     */
+    renderReconciledNotice() {
+        const notice = document.getElementById('reconciledNotice');
+        if (!notice) return;
+
+        const { bank = [], gl = [] } = this.previouslyReconciled || {};
+        if (bank.length === 0 && gl.length === 0) {
+            notice.style.display = 'none';
+            return;
+        }
+
+        notice.textContent = `${bank.length} bank line(s) and ${gl.length} GL entr${gl.length === 1 ? 'y' : 'ies'} ` +
+            'are marked reconciled in the source file (an earlier period) and were left out of matching.';
+        notice.style.display = 'block';
+    }
+
+    /**
+     * Label results matched in the browser because the server engine failed
+     */
+    renderLocalMatchNotice() {
+        const notice = document.getElementById('localMatchNotice');
+        if (!notice) return;
+
+        if (!this.localMatchReason) {
+            notice.style.display = 'none';
+            return;
+        }
+
+        notice.textContent = `Browser matching: these results were matched in this browser because ${this.localMatchReason}. ` +
+            'They can differ from the server engine; run the reconciliation again once the server is available.';
+        notice.style.display = 'block';
+    }
+
+    /**
+     * Cleared state the source file gave a line (QIF C field)
+     */
+    getClearedLabel(item) {
+        if (item?.clearedStatus === 'reconciled') return 'Reconciled';
+        if (item?.clearedStatus === 'cleared' || item?.cleared === true) return 'Cleared';
+        return '';
+    }
+
     switchTab(tab) {
         // Reset page to 1 when switching tabs
         if (this.currentTab !== tab) {
@@ -2052,9 +2748,11 @@ class BankReconciliation {
             { label: 'Bank Description', key: 'bankDesc', sortable: true },
             { label: 'Bank Credit', key: 'bankAmount', sortable: true },
             { label: 'GL Date', key: 'glDate', sortable: true },
+            { label: 'Day Gap', key: 'dayGap', sortable: true },
             { label: 'GL Description', key: 'glDesc', sortable: true },
             { label: 'GL Account #', key: 'glAccount', sortable: true },
             { label: 'GL Debit', key: 'glAmount', sortable: true },
+            { label: 'Cleared (Bank / GL)', key: 'cleared', sortable: false },
             { label: 'Match Type', key: 'matchType', sortable: true },
             { label: 'Actions', key: 'actions', sortable: false }
         ];
@@ -2079,8 +2777,12 @@ class BankReconciliation {
             const glAmount = gl.amount || gl.debit || 0;
             const manualBadge = match.isManual ? '<span class="manual-badge">Manual</span>' : '';
             const multiBadge = match.isMultiMatch ? `<span class="manual-badge" style="background:#fef3c7;color:#b45309;">×${match.matchedCount}</span>` : '';
-            const difference = Math.abs(bankAmount - glAmount);
+            const feeAmount = bank.feeAmount || 0;
+            const feeBadge = feeAmount > 0 ? `<span class="diff-badge fee-badge">Fees: ${this.formatCurrency(feeAmount)}</span>` : '';
+            const difference = Math.abs(bankAmount + feeAmount - glAmount);
             const diffDisplay = difference > 0.01 ? `<span class="diff-badge">Diff: ${this.formatCurrency(difference)}</span>` : '';
+            const dayGap = this.getDayGap(bank.date, gl.date);
+            const splitSummary = this.getSplitSummary(gl);
 
             return `
                 <tr>
@@ -2088,13 +2790,20 @@ class BankReconciliation {
                     <td title="${this.escapeHtml(bank.description)}">${this.escapeHtml(this.truncate(bank.description, 40))}</td>
                     <td class="amount-credit">${this.formatCurrency(bankAmount)}</td>
                     <td>${this.formatDate(gl.date)}</td>
-                    <td title="${this.escapeHtml(gl.description)}">${this.escapeHtml(this.truncate(gl.description, 40))}</td>
+                    <td>${dayGap === null ? '' : dayGap}</td>
+                    <td title="${this.escapeHtml(gl.description)}">
+                        ${this.escapeHtml(this.truncate(gl.description, 40))}
+                        ${splitSummary ? `<div class="split-breakdown" title="${this.escapeHtml(splitSummary)}">${this.escapeHtml(splitSummary)}</div>` : ''}
+                    </td>
                     <td>${this.escapeHtml(gl.accountNumber)}</td>
                     <td class="amount-debit">${this.formatCurrency(glAmount)}</td>
+                    <td>${this.escapeHtml(this.getClearedLabel(bank) || '—')} / ${this.escapeHtml(this.getClearedLabel(gl) || '—')}</td>
                     <td>
-                        <span class="match-status matched">${this.escapeHtml(match.matchType)}</span>
+                        <span class="match-status matched" title="${this.escapeHtml(match.matchRule ? 'Rule: ' + match.matchRule.name : '')}">${this.escapeHtml(match.matchType)}</span>
                         ${manualBadge}
                         ${multiBadge}
+                        ${this.getCarriedBadge(bank) || this.getCarriedBadge(gl)}
+                        ${feeBadge}
                         ${diffDisplay}
                     </td>
                     <td>
@@ -2109,10 +2818,10 @@ class BankReconciliation {
             <tr class="table-footer">
                 <td colspan="2" class="total-label">TOTALS (${data.length} transactions)</td>
                 <td class="amount-credit total-value">${this.formatCurrency(totalBankAmount)}</td>
-                <td colspan="2"></td>
+                <td colspan="3"></td>
                 <td></td>
                 <td class="amount-debit total-value">${this.formatCurrency(totalGLAmount)}</td>
-                <td colspan="2"></td>
+                <td colspan="3"></td>
             </tr>
         `;
 
@@ -2165,6 +2874,10 @@ class BankReconciliation {
                     return Math.abs(item.bankTransaction?.amount || item.bankTransaction?.amountCredit || 0);
                 case 'glDate':
                     return item.glEntry?.date ? new Date(item.glEntry.date).getTime() : 0;
+                case 'dayGap': {
+                    const gap = this.getDayGap(item.bankTransaction?.date, item.glEntry?.date);
+                    return gap === null ? -1 : gap;
+                }
                 case 'glAccount':
                     return item.glEntry?.accountNumber?.toLowerCase() || '';
                 case 'glDesc':
@@ -2232,6 +2945,7 @@ class BankReconciliation {
             { label: 'Description', key: 'description', sortable: true },
             { label: 'Credit Amount', key: 'amount', sortable: true },
             { label: 'Balance', key: 'balance', sortable: true },
+            { label: 'Cleared', key: 'cleared', sortable: false },
             { label: 'Actions', key: 'actions', sortable: false }
         ];
         thead.innerHTML = '<tr>' + newHeaders.map(h =>
@@ -2248,12 +2962,16 @@ class BankReconciliation {
 
         tbody.innerHTML = pageData.map((tx, i) => {
             const idx = pageOffset + i;
+            const ignoredBadge = tx.ignoredByRule
+                ? `<span class="manual-badge" title="Skipped by matching rule">Ignored: ${this.escapeHtml(tx.ignoredByRule.name)}</span>`
+                : '';
             return `
             <tr>
                 <td>${this.formatDate(tx.date)}</td>
-                <td title="${this.escapeHtml(tx.description)}">${this.escapeHtml(this.truncate(tx.description, 50))}</td>
+                <td title="${this.escapeHtml(tx.description)}">${this.escapeHtml(this.truncate(tx.description, 50))}${ignoredBadge}${this.getCarriedBadge(tx)}</td>
                 <td class="amount-credit">${this.formatCurrency(tx.amountCredit || tx.amount || 0)}</td>
                 <td>${this.formatCurrency(tx.balance)}</td>
+                <td>${this.escapeHtml(this.getClearedLabel(tx))}</td>
                 <td>
                     <button class="action-btn match-btn" data-action="find-match" data-type="bank" data-idx="${idx}">Find Match</button>
                 </td>
@@ -2265,7 +2983,7 @@ class BankReconciliation {
             <tr class="table-footer">
                 <td colspan="2" class="total-label">TOTAL UNMATCHED BANK (${data.length} items)</td>
                 <td class="amount-credit total-value">${this.formatCurrency(totalAmount)}</td>
-                <td colspan="2"></td>
+                <td colspan="3"></td>
             </tr>
         `;
 
@@ -2293,6 +3011,7 @@ class BankReconciliation {
             { label: 'Account Number', key: 'accountNumber', sortable: true },
             { label: 'Type', key: 'type', sortable: true },
             { label: 'Debit Amount', key: 'amount', sortable: true },
+            { label: 'Cleared', key: 'cleared', sortable: false },
             { label: 'Actions', key: 'actions', sortable: false }
         ];
         thead.innerHTML = '<tr>' + newHeaders.map(h =>
@@ -2312,10 +3031,11 @@ class BankReconciliation {
             return `
             <tr>
                 <td>${this.formatDate(entry.date)}</td>
-                <td title="${this.escapeHtml(entry.description)}">${this.escapeHtml(this.truncate(entry.description, 50))}</td>
+                <td title="${this.escapeHtml(entry.description)}">${this.escapeHtml(this.truncate(entry.description, 50))}${this.getCarriedBadge(entry)}</td>
                 <td>${this.escapeHtml(entry.accountNumber)}</td>
                 <td>${this.escapeHtml(entry.type)}</td>
                 <td class="amount-debit">${this.formatCurrency(entry.debit || entry.amount || 0)}</td>
+                <td>${this.escapeHtml(this.getClearedLabel(entry))}</td>
                 <td>
                     <button class="action-btn match-btn" data-action="find-match" data-type="gl" data-idx="${idx}">Find Match</button>
                 </td>
@@ -2327,7 +3047,7 @@ class BankReconciliation {
             <tr class="table-footer">
                 <td colspan="4" class="total-label">TOTAL UNMATCHED GL (${data.length} items)</td>
                 <td class="amount-debit total-value">${this.formatCurrency(totalAmount)}</td>
-                <td></td>
+                <td colspan="2"></td>
             </tr>
         `;
 
@@ -2353,29 +3073,29 @@ class BankReconciliation {
 
         if (!confirm(confirmMsg)) return;
 
+        let restoredBank, restoredGL;
+
         // Handle multi-match - restore all original items
-        if (match.isMultiMatch) {
-            if (match.bankTransaction.combinedItems) {
-                // Multiple bank items were matched to one GL
-                match.bankTransaction.combinedItems.forEach(item => {
-                    this.unmatchedBank.push(item);
-                });
-                this.unmatchedGL.push(match.glEntry);
-            } else if (match.glEntry.combinedItems) {
-                // Multiple GL items were matched to one bank
-                match.glEntry.combinedItems.forEach(item => {
-                    this.unmatchedGL.push(item);
-                });
-                this.unmatchedBank.push(match.bankTransaction);
-            }
+        if (match.isMultiMatch && match.bankTransaction.combinedItems) {
+            // Multiple bank items were matched to one GL
+            restoredBank = match.bankTransaction.combinedItems;
+            restoredGL = [match.glEntry];
+        } else if (match.isMultiMatch && match.glEntry.combinedItems) {
+            // Multiple GL items were matched to one bank
+            restoredBank = [match.bankTransaction];
+            restoredGL = match.glEntry.combinedItems;
         } else {
             // Standard single match
-            this.unmatchedBank.push(match.bankTransaction);
-            this.unmatchedGL.push(match.glEntry);
+            restoredBank = [match.bankTransaction];
+            restoredGL = [match.glEntry];
         }
 
+        this.unmatchedBank.push(...restoredBank);
+        this.unmatchedGL.push(...restoredGL);
+
         // Remove from matched
         this.matchedTransactions.splice(matchIdx, 1);
+        this.persistUnmatch(match, restoredBank, restoredGL);
 
         console.log('[UNMATCH] Transaction unmatched', match.isMultiMatch ? `(${match.matchedCount} items restored)` : '');
 
@@ -2625,13 +3345,16 @@ class BankReconciliation {
             }
 
             // Add to matched
-            this.matchedTransactions.push({
+            const match = {
                 bankTransaction: bankItem,
                 glEntry: glItem,
                 matchScore: 1.0,
                 matchType: 'Manual Match',
+                matchRule: { id: 'manual', name: 'Manual match' },
                 isManual: true
-            });
+            };
+            this.matchedTransactions.push(match);
+            this.persistNewMatch(match, [bankItem], [glItem]);
 
             console.log('[MANUAL] Manual match created');
         } else {
@@ -2675,7 +3398,7 @@ class BankReconciliation {
             this.unmatchedBank.splice(source.idx, 1);
 
             // Create a combined match entry
-            this.matchedTransactions.push({
+            const match = {
                 bankTransaction: bankItem,
                 glEntry: {
                     accountNumber: glItems.map(g => g.accountNumber).join(', '),
@@ -2689,10 +3412,13 @@ class BankReconciliation {
                 },
                 matchScore: 1.0,
                 matchType: `Multi-Match (${glItems.length} GL → 1 Bank)`,
+                matchRule: { id: 'manual', name: 'Manual match' },
                 isManual: true,
                 isMultiMatch: true,
                 matchedCount: glItems.length
-            });
+            };
+            this.matchedTransactions.push(match);
+            this.persistNewMatch(match, [bankItem], glItems);
 
             console.log(`[MULTI-MATCH] Matched ${glItems.length} GL items to 1 Bank item`);
         } else {
@@ -2711,7 +3437,7 @@ class BankReconciliation {
             this.unmatchedGL.splice(source.idx, 1);
 
             // Create a combined match entry
-            this.matchedTransactions.push({
+            const match = {
                 bankTransaction: {
                     transactionNumber: bankItems.map(b => b.transactionNumber || b.checkNumber).filter(n => n).join(', '),
                     date: bankItems[0].date, // Use first item's date
@@ -2725,10 +3451,13 @@ class BankReconciliation {
                 glEntry: glItem,
                 matchScore: 1.0,
                 matchType: `Multi-Match (${bankItems.length} Bank → 1 GL)`,
+                matchRule: { id: 'manual', name: 'Manual match' },
                 isManual: true,
                 isMultiMatch: true,
                 matchedCount: bankItems.length
-            });
+            };
+            this.matchedTransactions.push(match);
+            this.persistNewMatch(match, bankItems, [glItem]);
 
             console.log(`[MULTI-MATCH] Matched ${bankItems.length} Bank items to 1 GL item`);
         }
@@ -2785,21 +3514,104 @@ class BankReconciliation {
         }
 
         // Add to matched
-        this.matchedTransactions.push({
+        const match = {
             bankTransaction: bankItem,
             glEntry: glItem,
             matchScore: 1.0,
             matchType: `Custom ${customData.type.charAt(0).toUpperCase() + customData.type.slice(1)}`,
+            matchRule: { id: 'manual', name: 'Manual match' },
             isManual: true,
             isCustom: true,
             customNotes: customData.notes
-        });
+        };
+        this.matchedTransactions.push(match);
+
+        // Only the source item came from the unmatched lists; the other side is new
+        this.persistNewMatch(
+            match,
+            source.type === 'bank' ? [bankItem] : [],
+            source.type === 'bank' ? [] : [glItem]
+        );
 
         console.log('[CUSTOM] Custom match created:', customData);
 
         this.displayResults();
     }
 
+    // ==================== Saved Session Edits ====================
+
+    /**
+     * Queue a change to the saved reconciliation this session was loaded from
+     * Does nothing for sessions that have not been reopened from History.
+     * @param {Function} task - async (reconciliationId) => void
+     */
+    persistMatchChange(task) {
+        if (!this.savedReconciliationId || typeof apiClient === 'undefined') return;
+
+        const reconciliationId = this.savedReconciliationId;
+        this.persistQueue = this.persistQueue
+            .then(() => task(reconciliationId))
+            .catch(error => {
+                console.error('[PERSIST] Failed to save match change:', error);
+                alert(`This change could not be saved to the stored reconciliation: ${error.message}\n\nReopen it from History to see the saved state.`);
+            });
+    }
+
+    /**
+     * Track the saved session's sign-off status after an edit
+     * The server sends a signed-off session back to draft when its matches or
+     * balances change; say so once, since it needs signing off again.
+     * @param {string} status - Status returned with the edit
+     */
+    noteSignoffStatus(status) {
+        if (!status || status === this.savedReconciliationStatus) return;
+
+        if (status === 'draft' && this.savedReconciliationStatus) {
+            alert(`This reconciliation was ${this.savedReconciliationStatus} and has gone back to draft because it changed. It needs to be prepared, reviewed and approved again.`);
+        }
+        this.savedReconciliationStatus = status;
+    }
+
+    /**
+     * Store a new match and remove the unmatched items it used
+     * @param {Object} match - Match just added to matchedTransactions
+     * @param {Array} bankItems - Unmatched bank items consumed by the match
+     * @param {Array} glItems - Unmatched GL items consumed by the match
+     */
+    persistNewMatch(match, bankItems, glItems) {
+        this.persistMatchChange(async (reconciliationId) => {
+            const result = await apiClient.addMatch(
+                reconciliationId,
+                match,
+                bankItems.map(item => item.id).filter(Boolean),
+                glItems.map(item => item.id).filter(Boolean)
+            );
+            match.id = result.id;
+            this.noteSignoffStatus(result.status);
+            console.log('[PERSIST] Match saved', result.id);
+        });
+    }
+
+    /**
+     * Remove a stored match and pick up the IDs of the restored items
+     */
+    persistUnmatch(match, restoredBank, restoredGL) {
+        this.persistMatchChange(async (reconciliationId) => {
+            // Matches whose own save failed never reached the server
+            if (!match.id) return;
+
+            const result = await apiClient.removeMatch(reconciliationId, match.id);
+            (result.unmatchedBank || []).forEach((item, i) => {
+                if (restoredBank[i]) restoredBank[i].id = item.id;
+            });
+            (result.unmatchedGL || []).forEach((item, i) => {
+                if (restoredGL[i]) restoredGL[i].id = item.id;
+            });
+            this.noteSignoffStatus(result.status);
+            console.log('[PERSIST] Match removed', match.id);
+        });
+    }
+
     closeManualMatchModal() {
         document.getElementById('manualMatchModal').style.display = 'none';
         // Reset selection state
@@ -2993,6 +3805,12 @@ class BankReconciliation {
     exportToExcel() {
         const wb = XLSX.utils.book_new();
 
+        // Reconciliation statement (book-to-bank proof) sheet
+        if (this.proof) {
+            const wsProof = XLSX.utils.aoa_to_sheet([['Reconciliation Statement', ''], ...getProofRows(this.proof)]);
+            XLSX.utils.book_append_sheet(wb, wsProof, 'Reconciliation Statement');
+        }
+
         // Matched transactions sheet
         const matchedData = this.matchedTransactions.map(match => ({
             'Bank Date': this.formatDate(match.bankTransaction.date),
@@ -3002,7 +3820,12 @@ class BankReconciliation {
             'GL Account': match.glEntry.accountNumber,
             'GL Description': match.glEntry.description,
             'GL Amount': match.glEntry.amount,
+            'GL Splits': this.getSplitSummary(match.glEntry),
+            'Bank Cleared': this.getClearedLabel(match.bankTransaction),
+            'GL Cleared': this.getClearedLabel(match.glEntry),
+            'Day Gap': this.getDayGap(match.bankTransaction.date, match.glEntry.date) ?? '',
             'Match Type': match.matchType,
+            'Match Rule': match.matchRule?.name || '',
             'Manual': match.isManual ? 'Yes' : 'No'
         }));
         const wsMatched = XLSX.utils.json_to_sheet(matchedData);
@@ -3053,10 +3876,19 @@ class BankReconciliation {
         }
 
         this.downloadCSV(csv, `${this.currentTab}_${this.formatDateFilename(new Date())}.csv`);
+
+        // The reconciliation statement goes alongside whichever list was exported
+        if (this.proof) {
+            this.downloadCSV(this.generateProofCSV(), `reconciliation-statement_${this.formatDateFilename(new Date())}.csv`);
+        }
+    }
+
+    generateProofCSV() {
+        return Papa.unparse({ fields: ['Line', 'Amount'], data: getProofRows(this.proof) });
     }
 
     generateMatchedCSV() {
-        const headers = ['Bank Date', 'Description', 'Check Number', 'Bank Amount', 'GL Account', 'GL Description', 'GL Amount', 'Match Type', 'Manual'];
+        const headers = ['Bank Date', 'Description', 'Check Number', 'Bank Amount', 'GL Account', 'GL Description', 'GL Amount', 'GL Splits', 'Bank Cleared', 'GL Cleared', 'Day Gap', 'Match Type', 'Match Rule', 'Manual'];
         const rows = this.matchedTransactions.map(match => [
             this.formatDate(match.bankTransaction.date),
             match.bankTransaction.description,
@@ -3065,7 +3897,12 @@ class BankReconciliation {
             match.glEntry.accountNumber,
             match.glEntry.description,
             match.glEntry.amount,
+            this.getSplitSummary(match.glEntry),
+            this.getClearedLabel(match.bankTransaction),
+            this.getClearedLabel(match.glEntry),
+            this.getDayGap(match.bankTransaction.date, match.glEntry.date) ?? '',
             match.matchType,
+            match.matchRule?.name || '',
             match.isManual ? 'Yes' : 'No'
         ]);
 
@@ -3149,10 +3986,26 @@ class BankReconciliation {
         this.unmatchedGL = [];
         this.manualMatches = [];
         this.smartMatchSuggestions = [];
+        this.assignmentReport = null;
+        this.previouslyReconciled = { bank: [], gl: [] };
+        this.localMatchReason = null;
         this.pageSize = 15;
         this.currentPage = 1;
         this.bankFileName = '';
         this.glFileName = '';
+        this.bankAccountId = null;
+        this.savedReconciliationId = null;
+        this.statementLedgerBalance = null;
+        this.statementRows = [];
+        this.statementTotals = { openingBalance: null, closingBalance: null };
+        this.balanceCheck = null;
+        this.proof = null;
+        setEnteredBalances(null);
+        document.getElementById('statementOpening').value = '';
+        document.getElementById('statementClosing').value = '';
+        this.renderBalanceCheck();
+        if (typeof selectBankAccount === 'function') selectBankAccount(null);
+        this.setPeriod({ start: '', end: '' });
 
         document.getElementById('bankFile').value = '';
         document.getElementById('glFile').value = '';
@@ -1,6 +1,7 @@
 /**
  * Authentication Manager
- * Handles Firebase Authentication and session management
+ * Handles Firebase Authentication, local sign-in (on-prem installs without
+ * Firebase) and session management
  */
 
 // Firebase configuration
@@ -18,11 +19,13 @@ class AuthManager {
     constructor() {
         this.user = null;
         this.token = null;
+        this.role = 'admin'; // Organization role from the profile (viewer, preparer, reviewer, admin)
         this.isInitialized = false;
         this.demoMode = localStorage.getItem('demoMode') === 'true';
+        this.provider = 'firebase'; // firebase, local or demo (see GET /api/auth/config)
         this.onAuthStateChangedCallback = null;
 
-        this.init();
+        this.ready = Promise.resolve(this.init());
     }
 
     /**
@@ -31,21 +34,7 @@ class AuthManager {
     init() {
         // Check if Firebase is configured
         if (firebaseConfig.apiKey === 'YOUR_API_KEY') {
-            console.warn('[AUTH] Firebase not configured - running in demo mode');
-            this.demoMode = true;
-            this.isInitialized = true;
-
-            if (this.demoMode) {
-                // Set up demo user
-                this.user = {
-                    uid: 'demo-user',
-                    email: 'demo@example.com',
-                    displayName: 'Demo User'
-                };
-                this.token = 'demo-token';
-                this.updateUI(true);
-            }
-            return;
+            return this.initWithoutFirebase();
         }
 
         try {
@@ -93,6 +82,66 @@ class AuthManager {
         }
     }
 
+    /**
+     * Without Firebase the server either signs users in locally (file backend)
+     * or runs every request as the demo user
+     */
+    async initWithoutFirebase() {
+        this.provider = await this.fetchProvider();
+
+        if (this.provider === 'local') {
+            this.demoMode = false;
+            const session = JSON.parse(localStorage.getItem('localSession') || 'null');
+
+            if (session && session.expiresAt > Date.now()) {
+                this.user = session.user;
+                this.token = session.token;
+                await this.syncProfile();
+                console.log('[AUTH] User signed in:', this.user.email);
+            } else {
+                localStorage.removeItem('localSession');
+                if (window.location.pathname === '/app') {
+                    window.location.href = '/login.html';
+                }
+            }
+        } else {
+            console.warn('[AUTH] Firebase not configured - running in demo mode');
+            this.provider = 'demo';
+            this.demoMode = true;
+
+            // Set up demo user
+            this.user = {
+                uid: 'demo-user',
+                email: 'demo@example.com',
+                displayName: 'Demo User'
+            };
+            this.token = 'demo-token';
+        }
+
+        this.isInitialized = true;
+        this.updateUI(!!this.user);
+
+        if (this.onAuthStateChangedCallback) {
+            this.onAuthStateChangedCallback(this.user);
+        }
+    }
+
+    /**
+     * Ask the server how users sign in (firebase, local or demo)
+     */
+    async fetchProvider() {
+        try {
+            const response = await fetch('/api/auth/config');
+            if (response.ok) {
+                const config = await response.json();
+                return config.provider;
+            }
+        } catch (error) {
+            console.error('[AUTH] Could not load auth config:', error);
+        }
+        return 'demo';
+    }
+
     /**
      * Sync user profile with backend
      */
@@ -110,7 +159,8 @@ class AuthManager {
 
             if (response.ok) {
                 const profile = await response.json();
-                console.log('[AUTH] Profile synced:', profile.displayName);
+                this.role = profile.role || 'admin';
+                console.log('[AUTH] Profile synced:', profile.displayName, `(${this.role})`);
                 return profile;
             }
         } catch (error) {
@@ -184,6 +234,12 @@ class AuthManager {
      * Sign out
      */
     async signOut() {
+        if (this.provider === 'local') {
+            localStorage.removeItem('localSession');
+            this.showLogoutSuccess();
+            return;
+        }
+
         if (this.demoMode) {
             localStorage.removeItem('demoMode');
             this.showLogoutSuccess();
@@ -300,10 +356,16 @@ class AuthManager {
      * Get current ID token (refreshed if needed)
      */
     async getToken() {
+        await this.ready;
+
         if (this.demoMode) {
             return 'demo-token';
         }
 
+        if (this.provider === 'local') {
+            return this.token;
+        }
+
         if (!this.user) {
             return null;
         }
@@ -327,6 +389,15 @@ class AuthManager {
         return this.user;
     }
 
+    /**
+     * Check the user's organization role (the server enforces the same levels)
+     * @param {string} minimumRole - viewer, preparer, reviewer or admin
+     */
+    hasRole(minimumRole) {
+        const roles = ['viewer', 'preparer', 'reviewer', 'admin'];
+        return roles.indexOf(this.role) >= roles.indexOf(minimumRole);
+    }
+
     /**
      * Check if running in demo mode
      */
@@ -0,0 +1,261 @@
+/**
+ * Bank Accounts Module
+ * The accounts reconciliations are run for: the picker in the upload step,
+ * the History filter and the list in Settings. Also picks the account a
+ * statement belongs to from its header (OFX/QIF account info or the metadata
+ * rows at the top of a bank CSV/Excel export).
+ */
+
+let bankAccounts = [];
+
+/**
+ * Load the bank accounts of the user's organization (or their own)
+ */
+async function loadBankAccounts() {
+    try {
+        const response = await apiClient.getBankAccounts();
+        bankAccounts = response.accounts || [];
+    } catch (error) {
+        console.error('[ACCOUNTS] Load failed:', error);
+        bankAccounts = [];
+    }
+    renderBankAccountOptions();
+    renderBankAccountsSettings();
+}
+
+function formatBankAccount(account) {
+    return account.maskedNumber ? `${account.name} (${account.maskedNumber})` : account.name;
+}
+
+/**
+ * Fill the upload-step picker and the History filter, keeping their selection
+ */
+function renderBankAccountOptions() {
+    const fill = (select, emptyLabel) => {
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = '';
+
+        const empty = document.createElement('option');
+        empty.value = emptyLabel.value;
+        empty.textContent = emptyLabel.text;
+        select.appendChild(empty);
+
+        bankAccounts.forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = formatBankAccount(account);
+            select.appendChild(option);
+        });
+
+        select.value = bankAccounts.some(a => a.id === current) ? current : emptyLabel.value;
+    };
+
+    fill(document.getElementById('bankAccountSelect'), { value: '', text: 'No account selected' });
+    fill(document.getElementById('historyAccountFilter'), { value: 'all', text: 'All accounts' });
+
+    if (typeof app !== 'undefined' && app) {
+        selectBankAccount(app.bankAccountId, false);
+    }
+}
+
+/**
+ * Show an account as selected in the upload step
+ * @param {string|null} id - Bank account ID
+ * @param {boolean} detected - true when picked from the statement header
+ */
+function selectBankAccount(id, detected = false) {
+    const select = document.getElementById('bankAccountSelect');
+    const hint = document.getElementById('bankAccountHint');
+    if (!select) return;
+
+    select.value = bankAccounts.some(a => a.id === id) ? id : '';
+    if (hint) {
+        hint.textContent = detected && select.value ? 'Detected from the statement header' : '';
+    }
+}
+
+/**
+ * Pick the stored account a statement header refers to
+ * Matches on the last four digits of the account number (narrowed by routing
+ * number when several accounts share them), then on the account name.
+ * @param {Object} info - { accountNumber, routingNumber, accountName }
+ * @returns {Object|null} Bank account, or null when none or several match
+ */
+function detectBankAccount(info) {
+    if (!info) return null;
+
+    const last4 = String(info.accountNumber || '').replace(/\D/g, '').slice(-4);
+    if (last4.length === 4) {
+        let candidates = bankAccounts.filter(account => account.last4 === last4);
+        if (candidates.length > 1 && info.routingNumber) {
+            candidates = candidates.filter(account => account.routingNumber === info.routingNumber);
+        }
+        if (candidates.length === 1) return candidates[0];
+    }
+
+    const name = String(info.accountName || '').trim().toLowerCase();
+    if (name) {
+        const candidates = bankAccounts.filter(account => account.name.toLowerCase() === name);
+        if (candidates.length === 1) return candidates[0];
+    }
+
+    return null;
+}
+
+/**
+ * Read account details from the metadata rows smartParseBankData() skips
+ * e.g. "Account Number : XXXXXX1234", "Account Name : Operating"
+ * @param {Array} rows - Raw leading rows
+ * @returns {Object} { accountNumber, routingNumber, accountName }
+ */
+function extractStatementAccountInfo(rows) {
+    const info = { accountNumber: '', routingNumber: '', accountName: '' };
+
+    rows.forEach(row => {
+        const text = row.filter(Boolean).join(' ').trim();
+        let match;
+
+        if ((match = text.match(/account\s*(?:number|no\.?|#)\s*[:\-]?\s*([\dXx*\-\s]{4,})/i))) {
+            info.accountNumber = info.accountNumber || match[1].trim();
+        } else if ((match = text.match(/routing\s*(?:number|no\.?|#)?\s*[:\-]?\s*(\d{9})/i))) {
+            info.routingNumber = info.routingNumber || match[1];
+        } else if ((match = text.match(/account\s*name\s*[:\-]?\s*(.+)/i))) {
+            info.accountName = info.accountName || match[1].trim();
+        }
+    });
+
+    return info;
+}
+
+/**
+ * Render the Settings list (admins also get the add form and row actions)
+ */
+function renderBankAccountsSettings() {
+    const tbody = document.getElementById('bankAccountsList');
+    if (!tbody) return;
+
+    const isAdmin = authManager.hasRole('admin');
+    document.getElementById('bankAccountForm').style.display = isAdmin ? '' : 'none';
+    tbody.innerHTML = '';
+
+    if (bankAccounts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-rules">No bank accounts yet</td></tr>';
+        return;
+    }
+
+    bankAccounts.forEach(account => {
+        const row = document.createElement('tr');
+        const cell = (text) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+            return td;
+        };
+
+        cell(account.name);
+        cell(account.maskedNumber || '-');
+        cell(account.bankName || '-');
+        cell(account.glCashAccount || '-');
+        cell(account.fund || '-');
+
+        const actionsCell = cell('');
+        actionsCell.className = 'rule-actions';
+        if (isAdmin) {
+            [
+                { label: 'Edit', onClick: () => editBankAccount(account) },
+                { label: 'Delete', onClick: () => deleteBankAccount(account) }
+            ].forEach(btnDef => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'action-btn';
+                btn.textContent = btnDef.label;
+                btn.addEventListener('click', btnDef.onClick);
+                actionsCell.appendChild(btn);
+            });
+        }
+
+        tbody.appendChild(row);
+    });
+}
+
+async function addBankAccount() {
+    const fields = {
+        name: 'newBankAccountName',
+        accountNumber: 'newBankAccountNumber',
+        bankName: 'newBankAccountBank',
+        routingNumber: 'newBankAccountRouting',
+        glCashAccount: 'newBankAccountGL',
+        fund: 'newBankAccountFund'
+    };
+
+    const account = {};
+    Object.entries(fields).forEach(([field, inputId]) => {
+        account[field] = document.getElementById(inputId).value.trim();
+    });
+
+    if (!account.name) {
+        alert('Please enter a name for the bank account');
+        return;
+    }
+
+    try {
+        await apiClient.createBankAccount(account);
+        Object.values(fields).forEach(inputId => { document.getElementById(inputId).value = ''; });
+        await loadBankAccounts();
+    } catch (error) {
+        alert('Failed to add bank account: ' + error.message);
+    }
+}
+
+async function editBankAccount(account) {
+    const name = prompt('Account name:', account.name);
+    if (name === null || !name.trim()) return;
+    const glCashAccount = prompt('GL cash account:', account.glCashAccount || '');
+    if (glCashAccount === null) return;
+    const fund = prompt('Fund:', account.fund || '');
+    if (fund === null) return;
+
+    try {
+        await apiClient.updateBankAccount(account.id, { name: name.trim(), glCashAccount, fund });
+        await loadBankAccounts();
+    } catch (error) {
+        alert('Failed to update bank account: ' + error.message);
+    }
+}
+
+async function deleteBankAccount(account) {
+    if (!confirm(`Delete ${formatBankAccount(account)}? Saved reconciliations keep the account name.`)) return;
+
+    try {
+        await apiClient.deleteBankAccount(account.id);
+        await loadBankAccounts();
+    } catch (error) {
+        alert('Failed to delete bank account: ' + error.message);
+    }
+}
+
+/**
+ * Picking an account for a session reopened from History updates the saved copy
+ */
+async function changeSessionBankAccount(id) {
+    app.bankAccountId = id || null;
+    selectBankAccount(app.bankAccountId);
+
+    if (!app.savedReconciliationId) {
+        app.loadCarryForward();
+        return;
+    }
+
+    try {
+        await apiClient.updateReconciliation(app.savedReconciliationId, { bankAccountId: app.bankAccountId });
+    } catch (error) {
+        alert('Failed to change the bank account of the saved reconciliation: ' + error.message);
+    }
+}
+
+// Set up event listeners when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('addBankAccount')?.addEventListener('click', addBankAccount);
+    document.getElementById('bankAccountSelect')?.addEventListener('change', (e) => changeSessionBankAccount(e.target.value));
+});
@@ -8,6 +8,34 @@ let historyLoading = false;
 let historyHasMore = false;
 let historyLastId = null;
 
+// Audit trail modal state
+let auditReconciliationId = null;
+let auditLastId = null;
+
+// Button labels for each sign-off transition target
+const SIGNOFF_ACTIONS = {
+    prepared: { label: 'Prepare', title: 'Mark as prepared' },
+    reviewed: { label: 'Review', title: 'Mark as reviewed' },
+    approved: { label: 'Approve', title: 'Approve reconciliation' },
+    locked: { label: 'Lock', title: 'Lock reconciliation' },
+    draft: { label: 'Send back', title: 'Return to draft' }
+};
+
+// Readable names for audit trail actions
+const AUDIT_ACTION_LABELS = {
+    save: 'Saved',
+    update: 'Details edited',
+    match: 'Matched',
+    custom_match: 'Custom entry created',
+    smart_match_accept: 'Smart Match accepted',
+    smart_match_deny: 'Smart Match denied',
+    match_update: 'Match edited',
+    unmatch: 'Unmatched',
+    status: 'Status changed',
+    duplicate: 'Duplicated',
+    delete: 'Deleted'
+};
+
 /**
  * Load reconciliation history
  */
@@ -31,11 +59,15 @@ async function loadHistory(reset = true) {
     try {
         const search = document.getElementById('historySearch')?.value || '';
         const status = document.getElementById('historyFilter')?.value || 'all';
+        const scope = document.getElementById('historyScope')?.value || 'all';
+        const bankAccountId = document.getElementById('historyAccountFilter')?.value || 'all';
 
         const params = {
             limit: 20,
             ...(historyLastId && { startAfter: historyLastId }),
             ...(status !== 'all' && { status }),
+            ...(scope === 'mine' && { scope }),
+            ...(bankAccountId !== 'all' && { bankAccountId }),
             ...(search && { search })
         };
 
@@ -83,11 +115,16 @@ function renderHistoryList() {
     historyList.innerHTML = historyData.map(item => `
         <div class="history-item" onclick="openHistoryItem('${item.id}')">
             <div class="history-item-info">
-                <h4>${escapeHtml(item.name)}</h4>
+                <h4>
+                    ${escapeHtml(item.name)}
+                    <span class="status-badge status-${item.status}">${escapeHtml(item.status)}</span>
+                </h4>
                 <p>
-                    ${formatHistoryDate(item.createdAt)}
+                    ${item.bankAccountName ? `${escapeHtml(item.bankAccountName)} · ` : ''}${item.period ? `${escapeHtml(item.period.start)} to ${escapeHtml(item.period.end)} · ` : ''}${formatHistoryDate(item.createdAt)}
                     ${item.description ? ` - ${escapeHtml(item.description.substring(0, 50))}${item.description.length > 50 ? '...' : ''}` : ''}
                 </p>
+                ${item.savedBy && !item.savedByMe ? `<div class="signoff-stamps">Saved by ${escapeHtml(item.savedBy)}</div>` : ''}
+                ${renderSignoffStamps(item.signoff)}
             </div>
             <div class="history-item-meta">
                 <div class="history-item-stat">
@@ -102,12 +139,24 @@ function renderHistoryList() {
                     <button class="action-btn match-btn" onclick="openHistoryItem('${item.id}')" title="Open">
                         Open
                     </button>
-                    <button class="action-btn secondary-btn" onclick="duplicateHistoryItem('${item.id}')" title="Duplicate" style="padding: 0.375rem 0.5rem;">
-                        Copy
-                    </button>
-                    <button class="action-btn unmatch-btn" onclick="deleteHistoryItem('${item.id}')" title="Delete" style="padding: 0.375rem 0.5rem;">
-                        Delete
+                    <button class="action-btn secondary-btn" onclick="showAuditTrail('${item.id}')" title="Audit trail" style="padding: 0.375rem 0.5rem;">
+                        Audit
                     </button>
+                    ${(item.nextStatuses || []).map(status => `
+                        <button class="action-btn secondary-btn" onclick="changeHistoryStatus('${item.id}', '${status}')" title="${SIGNOFF_ACTIONS[status].title}" style="padding: 0.375rem 0.5rem;">
+                            ${SIGNOFF_ACTIONS[status].label}
+                        </button>
+                    `).join('')}
+                    ${authManager.hasRole('preparer') ? `
+                        <button class="action-btn secondary-btn" onclick="duplicateHistoryItem('${item.id}')" title="Duplicate" style="padding: 0.375rem 0.5rem;">
+                            Copy
+                        </button>
+                    ` : ''}
+                    ${item.status !== 'locked' && authManager.hasRole('admin') ? `
+                        <button class="action-btn unmatch-btn" onclick="deleteHistoryItem('${item.id}')" title="Delete" style="padding: 0.375rem 0.5rem;">
+                            Delete
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         </div>
@@ -175,6 +224,136 @@ async function duplicateHistoryItem(id) {
     }
 }
 
+/**
+ * Show who signed each workflow step
+ */
+function renderSignoffStamps(signoff = {}) {
+    const stamps = ['prepared', 'reviewed', 'approved', 'locked']
+        .filter(step => signoff[step])
+        .map(step => `${step.charAt(0).toUpperCase() + step.slice(1)} by ${escapeHtml(signoff[step].email || signoff[step].by)} ${formatHistoryDate(signoff[step].at)}`);
+
+    return stamps.length > 0 ? `<div class="signoff-stamps">${stamps.join(' · ')}</div>` : '';
+}
+
+/**
+ * Move a history item to the next sign-off status
+ */
+async function changeHistoryStatus(id, status) {
+    const action = SIGNOFF_ACTIONS[status];
+    let comment = '';
+
+    if (status === 'draft') {
+        comment = prompt('Why is this reconciliation being sent back? (required)');
+        if (comment === null) return;
+        if (!comment.trim()) {
+            alert('A comment is required when sending a reconciliation back.');
+            return;
+        }
+    } else {
+        comment = prompt(`${action.title}. Optional comment:`, '');
+        if (comment === null) return;
+    }
+
+    if (status === 'locked' && !confirm('Locked reconciliations can no longer be edited or deleted. Continue?')) {
+        return;
+    }
+
+    try {
+        await apiClient.setReconciliationStatus(id, status, comment);
+        loadHistory(true);
+    } catch (error) {
+        console.error('[HISTORY] Status change failed:', error);
+        alert('Failed to update status: ' + error.message);
+    }
+}
+
+/**
+ * Open the audit trail of a saved reconciliation
+ */
+function showAuditTrail(id) {
+    const item = historyData.find(entry => entry.id === id);
+
+    auditReconciliationId = id;
+    document.getElementById('auditModalTitle').textContent = `Audit Trail${item ? ` - ${item.name}` : ''}`;
+    document.getElementById('auditModal').style.display = 'flex';
+    loadAuditTrail(true);
+}
+
+/**
+ * Load a page of audit entries into the modal
+ */
+async function loadAuditTrail(reset = true) {
+    const auditList = document.getElementById('auditList');
+    const loadMoreBtn = document.getElementById('auditLoadMoreBtn');
+
+    if (reset) {
+        auditLastId = null;
+        auditList.innerHTML = '<div class="signoff-stamps">Loading...</div>';
+    }
+
+    try {
+        const response = await apiClient.getAuditTrail(auditReconciliationId, {
+            limit: 50,
+            ...(auditLastId && { startAfter: auditLastId })
+        });
+
+        const rows = response.entries.map(renderAuditEntry).join('');
+        if (reset) {
+            auditList.innerHTML = rows || '<div class="signoff-stamps">No changes recorded yet.</div>';
+        } else {
+            auditList.innerHTML += rows;
+        }
+
+        auditLastId = response.lastId;
+        loadMoreBtn.style.display = response.hasMore ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('[HISTORY] Audit trail load failed:', error);
+        auditList.innerHTML = `<div class="alert alert-error">${escapeHtml(error.message)}</div>`;
+        loadMoreBtn.style.display = 'none';
+    }
+}
+
+/**
+ * One audit entry: who, when, what and why, with the before/after snapshots
+ */
+function renderAuditEntry(entry) {
+    const label = AUDIT_ACTION_LABELS[entry.action] || entry.action;
+    const at = entry.at ? new Date(entry.at).toLocaleString() : 'Unknown date';
+    const actor = entry.actor?.email || entry.actor?.uid || 'Unknown user';
+    const role = entry.actor?.role ? ` (${escapeHtml(entry.actor.role)})` : '';
+    const statusChange = entry.action === 'status'
+        ? `: ${escapeHtml(entry.before?.status || '')} → ${escapeHtml(entry.after?.status || '')}`
+        : '';
+    const snapshots = [['Before', entry.before], ['After', entry.after], ['Details', entry.details]]
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([title, value]) => `
+            <details>
+                <summary>${title}</summary>
+                <pre>${escapeHtml(JSON.stringify(value, null, 2))}</pre>
+            </details>
+        `).join('');
+
+    return `
+        <div class="audit-entry">
+            <div class="audit-entry-header">
+                <strong>${escapeHtml(label)}${statusChange}</strong>
+                <span class="signoff-stamps">${escapeHtml(at)}</span>
+            </div>
+            <div class="signoff-stamps">By ${escapeHtml(actor)}${role}</div>
+            ${entry.reason ? `<div class="audit-entry-reason">“${escapeHtml(entry.reason)}”</div>` : ''}
+            ${snapshots}
+        </div>
+    `;
+}
+
+/**
+ * Close the audit trail modal
+ */
+function closeAuditModal() {
+    document.getElementById('auditModal').style.display = 'none';
+    auditReconciliationId = null;
+}
+
 /**
  * Format date for history display
  */
@@ -247,9 +426,11 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Filter select
-    const historyFilter = document.getElementById('historyFilter');
-    if (historyFilter) {
-        historyFilter.addEventListener('change', () => loadHistory(true));
-    }
+    // Filter selects
+    ['historyFilter', 'historyScope', 'historyAccountFilter'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (select) {
+            select.addEventListener('change', () => loadHistory(true));
+        }
+    });
 });
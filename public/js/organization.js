@@ -0,0 +1,175 @@
+/**
+ * Organization Module
+ * Organization (town/district) membership shown in Settings. Members share
+ * reconciliation history, sign-off and Smart Match learning.
+ */
+
+let currentOrganization = null;
+
+const ROLE_LABELS = {
+    viewer: 'Viewer',
+    preparer: 'Preparer',
+    reviewer: 'Reviewer',
+    admin: 'Admin'
+};
+
+/**
+ * Load the user's organization and render the Settings panel
+ */
+async function loadOrganization() {
+    try {
+        currentOrganization = await apiClient.getOrganization();
+    } catch (error) {
+        // 404 = not in an organization yet
+        currentOrganization = null;
+    }
+    renderOrganization();
+}
+
+/**
+ * Render organization details, or the create form for users without one
+ */
+function renderOrganization() {
+    const details = document.getElementById('organizationDetails');
+    const createForm = document.getElementById('organizationCreateForm');
+    if (!details || !createForm) return;
+
+    if (!currentOrganization) {
+        details.style.display = 'none';
+        createForm.style.display = '';
+        return;
+    }
+
+    details.style.display = '';
+    createForm.style.display = 'none';
+
+    const isAdmin = currentOrganization.role === 'admin';
+    document.getElementById('organizationName').textContent = currentOrganization.name;
+    document.getElementById('organizationRole').textContent = ROLE_LABELS[currentOrganization.role] || currentOrganization.role;
+    document.getElementById('organizationMemberForm').style.display = isAdmin ? '' : 'none';
+    document.getElementById('renameOrganization').style.display = isAdmin ? '' : 'none';
+
+    const tbody = document.getElementById('organizationMembersList');
+    tbody.innerHTML = '';
+
+    currentOrganization.members.forEach(member => {
+        const row = document.createElement('tr');
+        const cell = (text) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+            return td;
+        };
+
+        const isSelf = member.uid === authManager.getUser()?.uid;
+        cell(member.displayName || member.email);
+        cell(member.email);
+
+        const roleCell = cell('');
+        if (isAdmin && !isSelf) {
+            const select = document.createElement('select');
+            Object.entries(ROLE_LABELS).forEach(([role, label]) => {
+                const option = document.createElement('option');
+                option.value = role;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = member.role;
+            select.addEventListener('change', () => changeMemberRole(member.uid, select.value));
+            roleCell.appendChild(select);
+        } else {
+            roleCell.textContent = ROLE_LABELS[member.role] || member.role;
+        }
+
+        const actionsCell = cell('');
+        actionsCell.className = 'rule-actions';
+        if (isSelf || isAdmin) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'action-btn';
+            btn.textContent = isSelf ? 'Leave' : 'Remove';
+            btn.addEventListener('click', () => removeMember(member, isSelf));
+            actionsCell.appendChild(btn);
+        }
+
+        tbody.appendChild(row);
+    });
+}
+
+async function createOrganization() {
+    const input = document.getElementById('newOrganizationName');
+    const name = input.value.trim();
+    if (!name) {
+        alert('Please enter a name for your organization');
+        return;
+    }
+
+    try {
+        await apiClient.createOrganization(name);
+        input.value = '';
+        await loadOrganization();
+        refreshLearningSummary();
+    } catch (error) {
+        alert('Failed to create organization: ' + error.message);
+    }
+}
+
+async function renameOrganization() {
+    const name = prompt('Organization name:', currentOrganization?.name || '');
+    if (name === null || !name.trim()) return;
+
+    try {
+        await apiClient.updateOrganization({ name: name.trim() });
+        await loadOrganization();
+    } catch (error) {
+        alert('Failed to rename organization: ' + error.message);
+    }
+}
+
+async function addOrganizationMember() {
+    const emailInput = document.getElementById('memberEmail');
+    const email = emailInput.value.trim();
+    if (!email) {
+        alert('Please enter the email of the person to add');
+        return;
+    }
+
+    try {
+        await apiClient.addOrganizationMember(email, document.getElementById('memberRole').value);
+        emailInput.value = '';
+        await loadOrganization();
+    } catch (error) {
+        alert('Failed to add member: ' + error.message);
+    }
+}
+
+async function changeMemberRole(uid, role) {
+    try {
+        await apiClient.updateOrganizationMember(uid, role);
+    } catch (error) {
+        alert('Failed to change role: ' + error.message);
+    }
+    await loadOrganization();
+}
+
+async function removeMember(member, isSelf) {
+    const message = isSelf
+        ? 'Leave this organization? Reconciliations you saved stay with the organization.'
+        : `Remove ${member.email} from the organization? Their reconciliations stay with the organization.`;
+    if (!confirm(message)) return;
+
+    try {
+        await apiClient.removeOrganizationMember(member.uid);
+        await loadOrganization();
+        if (isSelf) refreshLearningSummary();
+    } catch (error) {
+        alert('Failed to remove member: ' + error.message);
+    }
+}
+
+// Set up event listeners when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('createOrganization')?.addEventListener('click', createOrganization);
+    document.getElementById('renameOrganization')?.addEventListener('click', renameOrganization);
+    document.getElementById('addOrganizationMember')?.addEventListener('click', addOrganizationMember);
+});
@@ -0,0 +1,263 @@
+/**
+ * Reconciliation Proof Module
+ * The book-to-bank proof shown under the results summary, in exports and
+ * saved as summary.proof. Mirrors server/engine/proof.js so sessions matched
+ * locally or edited by hand show the same figures the server stores.
+ *
+ *   statement balance + deposits in transit - outstanding checks ± bank errors
+ *   = adjusted bank balance
+ *   book balance + bank credits not booked - bank debits not booked
+ *   = adjusted book balance
+ */
+
+// Balances the preparer typed in; null means "use the detected balance"
+let enteredBalances = { statementBalance: null, bookBalance: null, bankErrors: 0 };
+
+const PROOF_TOLERANCE = 0.005;
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function toProofNumber(value) {
+    const num = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(num) ? 0 : num;
+}
+
+/**
+ * GL receipts (debits to cash) are deposits in transit; everything else is a disbursement
+ */
+function isProofReceipt(entry) {
+    if (entry.isDebit !== undefined) return Boolean(entry.isDebit);
+    return toProofNumber(entry.debit) > 0;
+}
+
+function isProofBankCredit(tx) {
+    if (toProofNumber(tx.amountCredit) > 0) return true;
+    if (tx.isDebit !== undefined) return !tx.isDebit;
+    return toProofNumber(tx.amountDebit) === 0;
+}
+
+/**
+ * Total the unmatched items by proof line
+ */
+function summarizeOutstanding(unmatchedBank = [], unmatchedGL = []) {
+    const line = () => ({ count: 0, total: 0 });
+    const outstanding = {
+        depositsInTransit: line(),
+        outstandingChecks: line(),
+        bankCredits: line(),
+        bankDebits: line()
+    };
+
+    const add = (key, item) => {
+        outstanding[key].count++;
+        outstanding[key].total += Math.abs(toProofNumber(
+            item.amount || item.debit || item.credit || item.amountCredit || item.amountDebit
+        ));
+    };
+
+    unmatchedGL.forEach(entry => add(isProofReceipt(entry) ? 'depositsInTransit' : 'outstandingChecks', entry));
+    unmatchedBank
+        .filter(tx => !tx.ignoredByRule)
+        .forEach(tx => add(isProofBankCredit(tx) ? 'bankCredits' : 'bankDebits', tx));
+
+    Object.values(outstanding).forEach(entry => {
+        entry.total = roundCents(entry.total);
+    });
+
+    return outstanding;
+}
+
+/**
+ * Build the proof (same shape as the server's summary.proof)
+ * @param {Object} balances - { statementBalance, bookBalance, bankErrors }
+ */
+function buildReconciliationProof(balances, unmatchedBank, unmatchedGL) {
+    const toBalance = (value) => value === null || value === undefined || value === '' ? null : roundCents(Number(value));
+    const statementBalance = toBalance(balances.statementBalance);
+    const bookBalance = toBalance(balances.bookBalance);
+    const bankErrors = toBalance(balances.bankErrors) || 0;
+    const outstanding = summarizeOutstanding(unmatchedBank, unmatchedGL);
+
+    const adjustedBankBalance = statementBalance === null ? null : roundCents(
+        statementBalance + outstanding.depositsInTransit.total - outstanding.outstandingChecks.total + bankErrors
+    );
+    const adjustedBookBalance = bookBalance === null ? null : roundCents(
+        bookBalance + outstanding.bankCredits.total - outstanding.bankDebits.total
+    );
+    const difference = adjustedBankBalance === null || adjustedBookBalance === null
+        ? null
+        : roundCents(adjustedBankBalance - adjustedBookBalance);
+
+    return {
+        statementBalance,
+        bookBalance,
+        bankErrors,
+        ...outstanding,
+        adjustedBankBalance,
+        adjustedBookBalance,
+        difference,
+        isBalanced: difference !== null && Math.abs(difference) < PROOF_TOLERANCE
+    };
+}
+
+/**
+ * Statement ending balance from the running balance column (latest-dated row)
+ */
+function detectStatementBalance(bankData = []) {
+    let latest = null;
+
+    bankData.forEach(tx => {
+        if (!tx.balance || toProofNumber(tx.balance) === 0) return;
+        const date = tx.date ? new Date(tx.date) : null;
+        const time = date && !isNaN(date) ? date.getTime() : -Infinity;
+        if (!latest || time >= latest.time) {
+            latest = { time, balance: toProofNumber(tx.balance) };
+        }
+    });
+
+    return latest ? roundCents(latest.balance) : null;
+}
+
+/**
+ * GL book balance from the ending balance column, preferring the bank
+ * account's GL cash account rows
+ */
+function detectBookBalance(glData = [], glCashAccount = '') {
+    const withBalance = glData.filter(entry => toProofNumber(entry.endingBalance) !== 0);
+    const cashRows = glCashAccount
+        ? withBalance.filter(entry => String(entry.accountNumber || '').includes(glCashAccount))
+        : [];
+    const rows = cashRows.length > 0 ? cashRows : withBalance;
+
+    return rows.length > 0 ? roundCents(toProofNumber(rows[rows.length - 1].endingBalance)) : null;
+}
+
+/**
+ * Balances the proof is built from: what the preparer entered, else what the
+ * statement and GL files show
+ * @param {number|null} statementClosing - Closing balance from the statement
+ *                                         (entered total or OFX LEDGERBAL)
+ */
+function getProofBalances(statementClosing = null) {
+    const account = typeof bankAccounts !== 'undefined'
+        ? bankAccounts.find(a => a.id === app.bankAccountId)
+        : null;
+
+    return {
+        statementBalance: enteredBalances.statementBalance
+            ?? statementClosing
+            ?? detectStatementBalance(app.bankData),
+        bookBalance: enteredBalances.bookBalance
+            ?? detectBookBalance(app.glData, account?.glCashAccount),
+        bankErrors: enteredBalances.bankErrors || 0
+    };
+}
+
+function setEnteredBalances(balances) {
+    enteredBalances = {
+        statementBalance: balances?.statementBalance ?? null,
+        bookBalance: balances?.bookBalance ?? null,
+        bankErrors: balances?.bankErrors || 0
+    };
+}
+
+/**
+ * Render the proof panel in the results dashboard
+ */
+function renderProof(proof) {
+    const panel = document.getElementById('proofPanel');
+    if (!panel) return;
+
+    const money = (value) => value === null ? '—' : app.formatCurrency(value);
+    const setInput = (id, value) => {
+        const input = document.getElementById(id);
+        // Don't overwrite what the user is typing
+        if (input && document.activeElement !== input) input.value = value === null ? '' : value;
+    };
+
+    setInput('proofStatementBalance', proof.statementBalance);
+    setInput('proofBookBalance', proof.bookBalance);
+    setInput('proofBankErrors', proof.bankErrors || '');
+
+    const line = (id, entry) => {
+        document.getElementById(id).textContent = `${money(entry.total)} (${entry.count})`;
+    };
+    line('proofDepositsInTransit', proof.depositsInTransit);
+    line('proofOutstandingChecks', proof.outstandingChecks);
+    line('proofBankCredits', proof.bankCredits);
+    line('proofBankDebits', proof.bankDebits);
+    document.getElementById('proofAdjustedBank').textContent = money(proof.adjustedBankBalance);
+    document.getElementById('proofAdjustedBook').textContent = money(proof.adjustedBookBalance);
+
+    const result = document.getElementById('proofResult');
+    if (proof.difference === null) {
+        result.className = 'alert alert-warning proof-result';
+        result.textContent = 'Enter the statement ending balance and the GL book balance to complete the proof';
+    } else if (proof.isBalanced) {
+        result.className = 'alert alert-success proof-result';
+        result.textContent = 'Reconciled - adjusted bank and book balances agree';
+    } else {
+        result.className = 'alert alert-error proof-result';
+        result.textContent = `Unexplained difference of ${app.formatCurrency(proof.difference)}`;
+    }
+}
+
+/**
+ * A balance typed into the proof panel; a session reopened from History saves it back
+ * @param {string} field - statementBalance, bookBalance or bankErrors
+ * @param {string} value - Input value; blank goes back to the detected balance
+ */
+function changeProofBalance(field, value) {
+    const trimmed = String(value).trim();
+    if (trimmed !== '' && !Number.isFinite(Number(trimmed))) {
+        alert('Please enter a number');
+        return;
+    }
+
+    enteredBalances[field] = trimmed === '' ? (field === 'bankErrors' ? 0 : null) : Number(trimmed);
+    app.updateProof();
+
+    if (app.savedReconciliationId) {
+        const balances = app.getBalances();
+        app.persistMatchChange(async (reconciliationId) => {
+            const result = await apiClient.updateReconciliation(reconciliationId, { balances });
+            app.noteSignoffStatus(result.status);
+        });
+    }
+}
+
+/**
+ * Rows of the reconciliation statement, for the Excel and CSV exports
+ * @returns {Array} [label, amount] pairs
+ */
+function getProofRows(proof) {
+    const amount = (value) => value === null ? '' : value;
+
+    return [
+        ['Statement ending balance', amount(proof.statementBalance)],
+        [`Add: deposits in transit (${proof.depositsInTransit.count})`, proof.depositsInTransit.total],
+        [`Less: outstanding checks (${proof.outstandingChecks.count})`, -proof.outstandingChecks.total],
+        ['Add/(less): bank errors', proof.bankErrors],
+        ['Adjusted bank balance', amount(proof.adjustedBankBalance)],
+        ['', ''],
+        ['GL book balance', amount(proof.bookBalance)],
+        [`Add: bank credits not in books (${proof.bankCredits.count})`, proof.bankCredits.total],
+        [`Less: bank debits not in books (${proof.bankDebits.count})`, -proof.bankDebits.total],
+        ['Adjusted book balance', amount(proof.adjustedBookBalance)],
+        ['', ''],
+        ['Unexplained difference', amount(proof.difference)]
+    ];
+}
+
+// Set up event listeners when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    [
+        ['proofStatementBalance', 'statementBalance'],
+        ['proofBookBalance', 'bookBalance'],
+        ['proofBankErrors', 'bankErrors']
+    ].forEach(([inputId, field]) => {
+        document.getElementById(inputId)?.addEventListener('change', (e) => changeProofBalance(field, e.target.value));
+    });
+});
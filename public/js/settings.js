@@ -4,6 +4,20 @@
  */
 
 let currentSettings = null;
+let editingRules = []; // Matching rules being edited (saved with the other settings)
+
+const RULE_FIELD_LABELS = {
+    description: 'Description',
+    memo: 'Memo',
+    type: 'Transaction type',
+    checkNumber: 'Check #'
+};
+
+const RULE_OPERATOR_LABELS = {
+    contains: 'contains',
+    equals: 'equals',
+    startsWith: 'starts with'
+};
 
 /**
  * Load user settings
@@ -13,6 +27,9 @@ async function loadSettings() {
         currentSettings = await apiClient.getSettings();
         applySettingsToUI();
         applyTheme(currentSettings.theme);
+        refreshLearningSummary();
+        if (typeof loadOrganization === 'function') loadOrganization();
+        if (typeof loadBankAccounts === 'function') loadBankAccounts();
     } catch (error) {
         console.error('[SETTINGS] Load failed:', error);
         // Use defaults
@@ -32,6 +49,14 @@ function getDefaultSettings() {
         matchByCheck: true,
         matchByDescription: false,
         minConfidence: 50,
+        assignmentMode: 'greedy',
+        batchDeposits: true,
+        batchGroupBy: 'date',
+        splitSettlements: true,
+        expandSplits: false,
+        reconciledItems: 'exclude',
+        bankDateField: 'posted',
+        matchingRules: [],
         // Data parsing
         autoDetectHeaders: true,
         absoluteAmounts: true,
@@ -67,6 +92,16 @@ function applySettingsToUI() {
     setChecked('settingsMatchByCheck', currentSettings.matchByCheck ?? true);
     setChecked('settingsMatchByDescription', currentSettings.matchByDescription ?? false);
     setVal('settingsMinConfidence', currentSettings.minConfidence ?? 50);
+    setVal('settingsAssignmentMode', currentSettings.assignmentMode ?? 'greedy');
+    setChecked('settingsBatchDeposits', currentSettings.batchDeposits ?? true);
+    setVal('settingsBatchGroupBy', currentSettings.batchGroupBy ?? 'date');
+    setChecked('settingsSplitSettlements', currentSettings.splitSettlements ?? true);
+    setChecked('settingsExpandSplits', currentSettings.expandSplits ?? false);
+    setVal('settingsReconciledItems', currentSettings.reconciledItems ?? 'exclude');
+    setVal('settingsBankDateField', currentSettings.bankDateField ?? 'posted');
+    editingRules = [...(currentSettings.matchingRules || [])].sort((a, b) => a.priority - b.priority);
+    applySharedSettingsAccess();
+    renderMatchingRules();
 
     // Data parsing
     setChecked('settingsAutoDetectHeaders', currentSettings.autoDetectHeaders ?? true);
@@ -113,6 +148,226 @@ function applyDefaultsToReconciliation() {
     if (typeof app !== 'undefined' && app.settings) {
         app.settings.dateRange = currentSettings.defaultDateRange;
         app.settings.amountTolerance = currentSettings.defaultAmountTolerance;
+        app.settings.assignmentMode = currentSettings.assignmentMode ?? 'greedy';
+        app.settings.batchDeposits = currentSettings.batchDeposits ?? true;
+        app.settings.batchGroupBy = currentSettings.batchGroupBy ?? 'date';
+        app.settings.splitSettlements = currentSettings.splitSettlements ?? true;
+        app.settings.expandSplits = currentSettings.expandSplits ?? false;
+        app.settings.reconciledItems = currentSettings.reconciledItems ?? 'exclude';
+        app.settings.bankDateField = currentSettings.bankDateField ?? 'posted';
+        app.settings.matchingRules = currentSettings.matchingRules || [];
+    }
+}
+
+/**
+ * Whether this user may change the settings the organization shares
+ */
+function canEditSharedSettings() {
+    return currentSettings?.sharedSettings?.canEdit !== false;
+}
+
+/**
+ * Lock the shared settings (tolerances, matching rules) for non-admins
+ */
+function applySharedSettingsAccess() {
+    const canEdit = canEditSharedSettings();
+    ['settingsDateRange', 'settingsAmountTolerance', 'ruleName', 'ruleField', 'ruleOperator',
+        'ruleValue', 'ruleAction', 'ruleAccountNumber', 'addMatchingRule'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.disabled = !canEdit;
+    });
+
+    const note = document.getElementById('sharedSettingsNote');
+    if (note) note.style.display = canEdit ? 'none' : 'block';
+}
+
+/**
+ * Render the matching rules list in priority order
+ */
+function renderMatchingRules() {
+    const tbody = document.getElementById('matchingRulesList');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    if (editingRules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="empty-rules">No rules yet - all bank lines use default scoring</td></tr>';
+        return;
+    }
+
+    editingRules.forEach((rule, idx) => {
+        const row = document.createElement('tr');
+        const cell = (text) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            row.appendChild(td);
+            return td;
+        };
+
+        cell(String(idx + 1));
+        cell(rule.name);
+        cell(`${RULE_FIELD_LABELS[rule.field] || rule.field} ${RULE_OPERATOR_LABELS[rule.operator] || rule.operator} "${rule.value}"`);
+        cell(describeRuleAction(rule));
+
+        const enabledCell = cell('');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = rule.enabled !== false;
+        enabled.disabled = !canEditSharedSettings();
+        enabled.addEventListener('change', () => { rule.enabled = enabled.checked; });
+        enabledCell.appendChild(enabled);
+
+        const actionsCell = cell('');
+        actionsCell.className = 'rule-actions';
+        [
+            { label: '↑', title: 'Move up', onClick: () => moveMatchingRule(idx, -1), disabled: idx === 0 },
+            { label: '↓', title: 'Move down', onClick: () => moveMatchingRule(idx, 1), disabled: idx === editingRules.length - 1 },
+            { label: 'Remove', title: 'Remove rule', onClick: () => removeMatchingRule(idx) }
+        ].forEach(btnDef => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'action-btn';
+            btn.textContent = btnDef.label;
+            btn.title = btnDef.title;
+            btn.disabled = Boolean(btnDef.disabled) || !canEditSharedSettings();
+            btn.addEventListener('click', btnDef.onClick);
+            actionsCell.appendChild(btn);
+        });
+
+        tbody.appendChild(row);
+    });
+}
+
+function describeRuleAction(rule) {
+    switch (rule.action) {
+        case 'matchAccount':
+            return `Match GL ${rule.accountNumber} by amount only`;
+        case 'ignore':
+            return 'Ignore';
+        case 'requireCheckNumber':
+            return 'Require exact check #';
+        default:
+            return rule.action;
+    }
+}
+
+/**
+ * Add a rule from the rule form (persisted on Save Settings)
+ */
+function addMatchingRule() {
+    const name = document.getElementById('ruleName').value.trim();
+    const value = document.getElementById('ruleValue').value.trim();
+    const action = document.getElementById('ruleAction').value;
+    const accountNumber = document.getElementById('ruleAccountNumber').value.trim();
+
+    if (!name || !value) {
+        alert('Please enter a rule name and a value to match');
+        return;
+    }
+    if (action === 'matchAccount' && !accountNumber) {
+        alert('Please enter the GL account this rule should match');
+        return;
+    }
+
+    editingRules.push({
+        id: `rule-${Date.now()}`,
+        name,
+        enabled: true,
+        priority: editingRules.length + 1,
+        field: document.getElementById('ruleField').value,
+        operator: document.getElementById('ruleOperator').value,
+        value,
+        action,
+        ...(action === 'matchAccount' ? { accountNumber } : {})
+    });
+
+    document.getElementById('ruleName').value = '';
+    document.getElementById('ruleValue').value = '';
+    document.getElementById('ruleAccountNumber').value = '';
+    renderMatchingRules();
+}
+
+function moveMatchingRule(idx, delta) {
+    const target = idx + delta;
+    if (target < 0 || target >= editingRules.length) return;
+    [editingRules[idx], editingRules[target]] = [editingRules[target], editingRules[idx]];
+    renderMatchingRules();
+}
+
+function removeMatchingRule(idx) {
+    editingRules.splice(idx, 1);
+    renderMatchingRules();
+}
+
+/**
+ * Show the size of the shared learning data
+ */
+async function refreshLearningSummary() {
+    const summary = document.getElementById('learningSummary');
+    if (!summary) return;
+
+    // Replacing or resetting shared learning is an admin action
+    ['importLearning', 'resetLearning'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.style.display = authManager.hasRole('admin') ? '' : 'none';
+    });
+
+    try {
+        const data = await apiClient.getLearning();
+        summary.textContent = `${data.totalAccepted} accepted, ${data.totalDenied} denied - shared with your organization`;
+    } catch (error) {
+        console.error('[LEARNING] Load failed:', error);
+    }
+}
+
+/**
+ * Download learning data as a JSON file
+ */
+async function exportLearning() {
+    try {
+        const exported = await apiClient.exportLearning();
+        const blob = new Blob([JSON.stringify(exported, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `smart-match-learning_${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        alert('Failed to export learning data: ' + error.message);
+    }
+}
+
+/**
+ * Import a learning export file (merged into the shared data)
+ */
+async function importLearning(file) {
+    try {
+        const content = JSON.parse(await file.text());
+        const replace = confirm('Replace the existing learning data?\n\nOK = replace, Cancel = merge with existing data');
+        const data = await apiClient.importLearning(content, replace ? 'replace' : 'merge');
+
+        if (typeof app !== 'undefined' && app) app.learningData = data;
+        refreshLearningSummary();
+        alert(`Learning data imported (${data.totalAccepted} accepted, ${data.totalDenied} denied)`);
+    } catch (error) {
+        alert('Failed to import learning data: ' + error.message);
+    }
+}
+
+/**
+ * Reset learning data for the whole organization
+ */
+async function resetLearning() {
+    if (!confirm('Reset Smart Match learning data for everyone in your organization? This cannot be undone.')) return;
+
+    try {
+        const data = await apiClient.resetLearning();
+        localStorage.removeItem('bankRecSmartMatchLearning');
+        if (typeof app !== 'undefined' && app) app.learningData = data;
+        refreshLearningSummary();
+    } catch (error) {
+        alert('Failed to reset learning data: ' + error.message);
     }
 }
 
@@ -152,6 +407,14 @@ function gatherSettingsFromUI() {
         matchByCheck: document.getElementById('settingsMatchByCheck')?.checked ?? true,
         matchByDescription: document.getElementById('settingsMatchByDescription')?.checked ?? false,
         minConfidence: parseInt(document.getElementById('settingsMinConfidence')?.value) || 50,
+        assignmentMode: document.getElementById('settingsAssignmentMode')?.value || 'greedy',
+        batchDeposits: document.getElementById('settingsBatchDeposits')?.checked ?? true,
+        batchGroupBy: document.getElementById('settingsBatchGroupBy')?.value || 'date',
+        splitSettlements: document.getElementById('settingsSplitSettlements')?.checked ?? true,
+        expandSplits: document.getElementById('settingsExpandSplits')?.checked ?? false,
+        reconciledItems: document.getElementById('settingsReconciledItems')?.value || 'exclude',
+        bankDateField: document.getElementById('settingsBankDateField')?.value || 'posted',
+        matchingRules: editingRules.map((rule, idx) => ({ ...rule, priority: idx + 1 })),
         // Data parsing
         autoDetectHeaders: document.getElementById('settingsAutoDetectHeaders')?.checked ?? true,
         absoluteAmounts: document.getElementById('settingsAbsoluteAmounts')?.checked ?? true,
@@ -184,6 +447,11 @@ async function saveSettings() {
     try {
         const settings = gatherSettingsFromUI();
 
+        // Shared settings are left to the organization's admins
+        if (!canEditSharedSettings()) {
+            currentSettings.sharedSettings.keys.forEach(key => delete settings[key]);
+        }
+
         currentSettings = await apiClient.updateSettings(settings);
 
         // Apply theme immediately
@@ -214,7 +482,16 @@ async function saveSettings() {
  * Reset settings to defaults
  */
 function resetSettings() {
+    const previous = currentSettings;
     currentSettings = getDefaultSettings();
+
+    // Settings shared by the organization stay as its admins set them
+    if (previous?.sharedSettings) {
+        currentSettings.sharedSettings = previous.sharedSettings;
+        if (!canEditSharedSettings()) {
+            previous.sharedSettings.keys.forEach(key => { currentSettings[key] = previous[key]; });
+        }
+    }
     applySettingsToUI();
     applyTheme(currentSettings.theme);
     console.log('[SETTINGS] Reset to defaults');
@@ -260,6 +537,32 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Matching rules
+    const addRuleBtn = document.getElementById('addMatchingRule');
+    if (addRuleBtn) {
+        addRuleBtn.addEventListener('click', addMatchingRule);
+    }
+
+    const ruleAction = document.getElementById('ruleAction');
+    const ruleAccount = document.getElementById('ruleAccountNumber');
+    if (ruleAction && ruleAccount) {
+        ruleAction.addEventListener('change', () => {
+            ruleAccount.style.display = ruleAction.value === 'matchAccount' ? '' : 'none';
+        });
+    }
+
+    // Smart Match learning
+    const importFile = document.getElementById('importLearningFile');
+    document.getElementById('exportLearning')?.addEventListener('click', exportLearning);
+    document.getElementById('resetLearning')?.addEventListener('click', resetLearning);
+    document.getElementById('importLearning')?.addEventListener('click', () => importFile?.click());
+    if (importFile) {
+        importFile.addEventListener('change', () => {
+            if (importFile.files[0]) importLearning(importFile.files[0]);
+            importFile.value = '';
+        });
+    }
+
     // Theme change - apply immediately
     const themeSelect = document.getElementById('settingsTheme');
     if (themeSelect) {
@@ -2,6 +2,7 @@ const admin = require('firebase-admin');
 
 // Initialize Firebase Admin SDK
 let db, auth;
+let hasCredentials = false;
 
 try {
     // Check if Firebase is already initialized
@@ -15,7 +16,9 @@ try {
         };
 
         // Only initialize if we have valid credentials
-        if (serviceAccount.project_id && serviceAccount.private_key && serviceAccount.client_email) {
+        hasCredentials = Boolean(serviceAccount.project_id && serviceAccount.private_key && serviceAccount.client_email);
+
+        if (hasCredentials) {
             admin.initializeApp({
                 credential: admin.credential.cert(serviceAccount),
                 projectId: process.env.FIREBASE_PROJECT_ID
@@ -43,4 +46,4 @@ try {
     console.warn('[FIREBASE] Some features may not work without proper Firebase configuration');
 }
 
-module.exports = { admin, db, auth };
+module.exports = { admin, db, auth, hasCredentials };
@@ -0,0 +1,107 @@
+/**
+ * Local Sign-in
+ * Email/password accounts for on-prem installs (STORAGE_BACKEND=file) that run
+ * without Firebase Authentication. Passwords are hashed with scrypt and kept in
+ * the store's credentials, apart from user profiles. Sessions are HMAC-signed
+ * tokens shaped like Firebase ID tokens ({ uid, email, name }).
+ *
+ * Tokens are signed with LOCAL_AUTH_SECRET; without it a random secret is
+ * generated at startup and everyone signs in again after a restart.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_LIFETIME_MS = 12 * 60 * 60 * 1000; // 12 hours
+const MIN_PASSWORD_LENGTH = 6;
+const KEY_LENGTH = 64;
+
+const secret = process.env.LOCAL_AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Hash a password for storage
+ * @returns {Promise<string>} "scrypt$<salt>$<hash>"
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, salt, expected] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+    const hash = await scrypt(password, salt);
+    const expectedHash = Buffer.from(expected, 'hex');
+    return expectedHash.length === hash.length && crypto.timingSafeEqual(hash, expectedHash);
+}
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(String(password), salt, KEY_LENGTH, (error, key) => {
+            if (error) reject(error);
+            else resolve(key);
+        });
+    });
+}
+
+/**
+ * Issue a session token for a signed-in user
+ * @param {Object} user - { uid, email, name }
+ * @returns {string}
+ */
+function createSessionToken({ uid, email, name }, now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+        uid,
+        email,
+        name,
+        exp: now + TOKEN_LIFETIME_MS
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token
+ * Errors carry the Firebase Auth codes so callers handle both alike.
+ * @returns {Object} { uid, email, name }
+ */
+function verifySessionToken(token, now = Date.now()) {
+    const [payload, signature] = String(token || '').split('.');
+    const expected = payload ? sign(payload) : '';
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw createAuthError('auth/argument-error', 'Invalid session token');
+    }
+
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (!decoded.exp || decoded.exp <= now) {
+        throw createAuthError('auth/id-token-expired', 'Session token has expired');
+    }
+
+    return { uid: decoded.uid, email: decoded.email, name: decoded.name };
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createAuthError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    MIN_PASSWORD_LENGTH,
+    TOKEN_LIFETIME_MS
+};
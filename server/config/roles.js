@@ -0,0 +1,27 @@
+/**
+ * Organization Roles
+ * Least to most privileged; each role can do everything the roles before it can:
+ *   viewer   - open and export history
+ *   preparer - run, save and edit reconciliations; mark them prepared
+ *   reviewer - review, or send back to draft
+ *   admin    - approve, lock, delete; manage members and shared learning
+ */
+
+const ROLES = ['viewer', 'preparer', 'reviewer', 'admin'];
+
+// Roles stored before the role levels existed
+const LEGACY_ROLES = { member: 'preparer' };
+
+function normalizeRole(role) {
+    if (ROLES.includes(role)) return role;
+    return LEGACY_ROLES[role] || 'preparer';
+}
+
+/**
+ * Whether a user (req.user) has at least the given role
+ */
+function hasRole(user, minimumRole) {
+    return ROLES.indexOf(user?.role) >= ROLES.indexOf(minimumRole);
+}
+
+module.exports = { ROLES, normalizeRole, hasRole };
@@ -0,0 +1,257 @@
+/**
+ * Match Assignment
+ * Chooses which bank/GL pairs become matches from a set of scored candidates.
+ * - greedy:  bank rows in file order take their best unclaimed GL entry
+ * - optimal: one-to-one assignment maximizing the total match score
+ */
+
+// Largest group of competing rows solved optimally. The Hungarian algorithm
+// is O(n^3) and runs inside the request, so bigger groups (thousands of
+// same-amount lines) are assigned greedily rather than blocking the server.
+const MAX_OPTIMAL_SIZE = 300;
+
+/**
+ * Greedy assignment (original behavior)
+ * @param {number} bankCount - Number of bank transactions
+ * @param {Array} candidates - Scored pairs: { bankIdx, glIdx, score }
+ * @returns {Array} Assigned pairs in bank order
+ */
+function assignGreedy(bankCount, candidates) {
+    const byBank = groupByBank(candidates);
+    const claimedGL = new Set();
+    const pairs = [];
+
+    for (let bankIdx = 0; bankIdx < bankCount; bankIdx++) {
+        let best = null;
+
+        for (const candidate of byBank.get(bankIdx) || []) {
+            if (claimedGL.has(candidate.glIdx)) continue;
+            // Earlier GL rows win ties, same as scanning the GL list in order
+            if (!best || candidate.score > best.score) {
+                best = candidate;
+            }
+        }
+
+        if (best) {
+            claimedGL.add(best.glIdx);
+            pairs.push(best);
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Globally optimal one-to-one assignment
+ * Splits candidates into connected components and solves each with the
+ * Hungarian algorithm, so large files stay fast when most rows only compete
+ * with a handful of same-amount entries. Components larger than maxSize
+ * are assigned greedily.
+ * @param {Array} candidates - Scored pairs: { bankIdx, glIdx, score }
+ * @param {number} maxSize - Largest component (bank or GL rows) solved optimally
+ * @returns {Object} { pairs: assigned pairs sorted by bank index,
+ *                     greedyRows: bank rows in components assigned greedily }
+ */
+function assignOptimal(candidates, maxSize = MAX_OPTIMAL_SIZE) {
+    const pairs = [];
+    let greedyRows = 0;
+
+    for (const component of findComponents(candidates)) {
+        const bankIds = [...new Set(component.map(c => c.bankIdx))];
+        const glIds = [...new Set(component.map(c => c.glIdx))];
+
+        // Single candidate - nothing to optimize
+        if (component.length === 1) {
+            pairs.push(component[0]);
+            continue;
+        }
+
+        const size = Math.max(bankIds.length, glIds.length);
+        if (size > maxSize) {
+            pairs.push(...assignGreedy(Math.max(...bankIds) + 1, component));
+            greedyRows += bankIds.length;
+            console.log(`[ASSIGN] ${bankIds.length} bank x ${glIds.length} GL rows compete for the same entries - assigned greedily (limit ${maxSize})`);
+            continue;
+        }
+
+        const bankPos = new Map(bankIds.map((id, i) => [id, i]));
+        const glPos = new Map(glIds.map((id, i) => [id, i]));
+
+        // Square cost matrix; pairs without a candidate cost 0 (left unmatched)
+        const cost = Array.from({ length: size }, () => new Array(size).fill(0));
+        const lookup = new Map();
+
+        component.forEach(c => {
+            const row = bankPos.get(c.bankIdx);
+            const col = glPos.get(c.glIdx);
+            cost[row][col] = -c.score;
+            lookup.set(`${row}:${col}`, c);
+        });
+
+        const assignment = hungarian(cost);
+
+        assignment.forEach((col, row) => {
+            const candidate = lookup.get(`${row}:${col}`);
+            if (candidate) pairs.push(candidate);
+        });
+    }
+
+    return { pairs: pairs.sort((a, b) => a.bankIdx - b.bankIdx), greedyRows };
+}
+
+/**
+ * Compare greedy and optimal results
+ * @returns {Object} Totals plus the bank rows whose GL assignment differs
+ */
+function compareAssignments(greedyPairs, optimalPairs) {
+    const greedyByBank = new Map(greedyPairs.map(p => [p.bankIdx, p]));
+    const optimalByBank = new Map(optimalPairs.map(p => [p.bankIdx, p]));
+    const bankIds = [...new Set([...greedyByBank.keys(), ...optimalByBank.keys()])].sort((a, b) => a - b);
+
+    const differences = [];
+    bankIds.forEach(bankIdx => {
+        const greedy = greedyByBank.get(bankIdx);
+        const optimal = optimalByBank.get(bankIdx);
+
+        if (greedy?.glIdx !== optimal?.glIdx) {
+            differences.push({
+                bankIndex: bankIdx,
+                greedyGLIndex: greedy ? greedy.glIdx : null,
+                greedyScore: greedy ? greedy.score : null,
+                optimalGLIndex: optimal ? optimal.glIdx : null,
+                optimalScore: optimal ? optimal.score : null
+            });
+        }
+    });
+
+    return {
+        greedyMatched: greedyPairs.length,
+        optimalMatched: optimalPairs.length,
+        greedyTotalScore: sumScores(greedyPairs),
+        optimalTotalScore: sumScores(optimalPairs),
+        differences
+    };
+}
+
+/**
+ * Hungarian algorithm (minimization) for a square cost matrix
+ * @param {Array<Array<number>>} cost - n x n matrix
+ * @returns {Array<number>} Column assigned to each row
+ */
+function hungarian(cost) {
+    const n = cost.length;
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const p = new Array(n + 1).fill(0);   // p[col] = row assigned to col (1-based)
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                if (cur < minv[j]) {
+                    minv[j] = cur;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[p[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+
+            j0 = j1;
+        } while (p[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const result = new Array(n).fill(-1);
+    for (let j = 1; j <= n; j++) {
+        if (p[j] > 0) result[p[j] - 1] = j - 1;
+    }
+    return result;
+}
+
+/**
+ * Split candidates into connected components of the bank/GL graph
+ */
+function findComponents(candidates) {
+    // Union-find over bank rows (0..b-1) followed by GL rows (b..)
+    let bankCount = 0;
+    let glCount = 0;
+    candidates.forEach(c => {
+        bankCount = Math.max(bankCount, c.bankIdx + 1);
+        glCount = Math.max(glCount, c.glIdx + 1);
+    });
+
+    const parent = new Int32Array(bankCount + glCount).map((_, i) => i);
+    const find = (node) => {
+        while (parent[node] !== node) {
+            parent[node] = parent[parent[node]];
+            node = parent[node];
+        }
+        return node;
+    };
+
+    candidates.forEach(c => {
+        const rootA = find(c.bankIdx);
+        const rootB = find(bankCount + c.glIdx);
+        if (rootA !== rootB) parent[rootA] = rootB;
+    });
+
+    const components = new Map();
+    candidates.forEach(c => {
+        const root = find(c.bankIdx);
+        if (!components.has(root)) components.set(root, []);
+        components.get(root).push(c);
+    });
+
+    return [...components.values()];
+}
+
+function groupByBank(candidates) {
+    const byBank = new Map();
+    candidates.forEach(c => {
+        if (!byBank.has(c.bankIdx)) byBank.set(c.bankIdx, []);
+        byBank.get(c.bankIdx).push(c);
+    });
+    // Keep GL file order within each bank row
+    byBank.forEach(list => list.sort((a, b) => a.glIdx - b.glIdx));
+    return byBank;
+}
+
+function sumScores(pairs) {
+    return pairs.reduce((sum, p) => sum + p.score, 0);
+}
+
+module.exports = {
+    assignGreedy,
+    assignOptimal,
+    compareAssignments,
+    hungarian,
+    MAX_OPTIMAL_SIZE
+};
@@ -0,0 +1,69 @@
+/**
+ * Reconciliation Audit Trail
+ * Append-only record of who changed a saved reconciliation, when and why.
+ * Entries are written by the routes and never updated or deleted - they are
+ * kept even after the reconciliation itself is deleted.
+ *
+ * Entry shape:
+ *   { action, actor: { uid, email, role }, at, reason, before, after, details }
+ */
+
+const AUDIT_ACTIONS = [
+    'save',
+    'update',
+    'match',
+    'custom_match',
+    'smart_match_accept',
+    'smart_match_deny',
+    'match_update',
+    'unmatch',
+    'status',
+    'duplicate',
+    'delete'
+];
+
+// Events the browser may report directly (they change no stored data)
+const CLIENT_AUDIT_ACTIONS = ['smart_match_deny'];
+
+/**
+ * Build an audit entry for the acting user
+ * @param {Object} user - req.user
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} fields - { reason, before, after, details }
+ */
+function createAuditEntry(user, action, { reason = '', before = null, after = null, details = null } = {}) {
+    return {
+        action,
+        actor: {
+            uid: user.uid,
+            email: user.email || '',
+            role: user.role || null
+        },
+        at: new Date(),
+        reason: String(reason || '').trim(),
+        before: stripUndefined(before),
+        after: stripUndefined(after),
+        details: stripUndefined(details)
+    };
+}
+
+/**
+ * Audit action for a newly added match
+ */
+function getMatchAction(match) {
+    if (match.isCustom) return 'custom_match';
+    if (match.isSmartMatch) return 'smart_match_accept';
+    return 'match';
+}
+
+// Firestore rejects undefined values anywhere in a document
+function stripUndefined(value) {
+    return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    createAuditEntry,
+    getMatchAction,
+    AUDIT_ACTIONS,
+    CLIENT_AUDIT_ACTIONS
+};
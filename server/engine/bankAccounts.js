@@ -0,0 +1,80 @@
+/**
+ * Bank Accounts
+ * The operating, payroll and fund accounts a town or district reconciles.
+ * Only the last four digits of the account number are kept; the masked form
+ * is what statement headers are matched against.
+ *
+ * Account shape:
+ *   { name, maskedNumber, last4, bankName, routingNumber, glCashAccount, fund }
+ */
+
+const TEXT_FIELDS = ['name', 'bankName', 'glCashAccount', 'fund'];
+const MAX_TEXT_LENGTH = 100;
+
+/**
+ * Validate a create/update body
+ * @param {Object} input - Request body
+ * @param {boolean} partial - true for updates (name may be omitted)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBankAccount(input, partial = false) {
+    if (!input || typeof input !== 'object') {
+        return 'Bank account data is required';
+    }
+
+    if (!partial || input.name !== undefined) {
+        if (!String(input.name || '').trim()) {
+            return 'name is required';
+        }
+    }
+
+    for (const field of TEXT_FIELDS) {
+        if (input[field] !== undefined && String(input[field]).length > MAX_TEXT_LENGTH) {
+            return `${field} must be ${MAX_TEXT_LENGTH} characters or fewer`;
+        }
+    }
+
+    if (input.accountNumber !== undefined && input.accountNumber !== '' && digitsOf(input.accountNumber).length < 4) {
+        return 'accountNumber must contain at least 4 digits';
+    }
+
+    if (input.routingNumber !== undefined && input.routingNumber !== '' && !/^\d{9}$/.test(digitsOf(input.routingNumber))) {
+        return 'routingNumber must be 9 digits';
+    }
+
+    return null;
+}
+
+/**
+ * Keep the known fields, masking the account number
+ * @param {Object} input - Validated request body
+ * @returns {Object} Fields to store (only those present in input)
+ */
+function normalizeBankAccount(input) {
+    const account = {};
+
+    TEXT_FIELDS.forEach(field => {
+        if (input[field] !== undefined) account[field] = String(input[field]).trim();
+    });
+
+    if (input.accountNumber !== undefined) {
+        const last4 = digitsOf(input.accountNumber).slice(-4);
+        account.last4 = last4;
+        account.maskedNumber = last4 ? `****${last4}` : '';
+    }
+
+    if (input.routingNumber !== undefined) {
+        account.routingNumber = digitsOf(input.routingNumber);
+    }
+
+    return account;
+}
+
+function digitsOf(value) {
+    return String(value ?? '').replace(/\D/g, '');
+}
+
+module.exports = {
+    validateBankAccount,
+    normalizeBankAccount
+};
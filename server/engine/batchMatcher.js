@@ -0,0 +1,143 @@
+/**
+ * Deposit Batch Matcher
+ * Matches one bank deposit to a group of GL receipt lines posted the same day.
+ * Treasurer deposits often cover a whole day's receipts (5-40 GL lines) but
+ * post to the bank as a single credit.
+ */
+
+const { toNumber, toDateKey, getDayGap, roundCents } = require('./helpers');
+const { BUILT_IN_RULES } = require('./matchingRules');
+
+// Supported GL grouping keys
+const BATCH_GROUPINGS = ['date', 'dateAndRef'];
+
+/**
+ * Match unmatched bank deposits to grouped GL receipts
+ * @param {Array} bankItems - Unmatched bank transactions
+ * @param {Array} glItems - Unmatched GL entries
+ * @param {Object} settings - Normalized engine settings
+ * @returns {Object} { matches, usedBank: Set, usedGL: Set } (indices into the inputs)
+ */
+function matchDepositBatches(bankItems, glItems, settings) {
+    const matches = [];
+    const usedBank = new Set();
+    const usedGL = new Set();
+    const tolerance = Math.max(settings.amountTolerance, 0.005);
+
+    const groups = groupReceipts(glItems, settings.batchGroupBy);
+
+    groups.forEach(group => {
+        // A single receipt is a one-to-one match, handled by the main pass
+        if (group.indices.length < 2) return;
+
+        let best = null;
+
+        bankItems.forEach((bankTx, bankIdx) => {
+            if (usedBank.has(bankIdx) || !isBankCredit(bankTx)) return;
+
+            const diff = Math.abs(Math.abs(toNumber(bankTx.amount)) - group.total);
+            if (diff > tolerance) return;
+
+            const dayGap = getDayGap(bankTx.date, group.date);
+            if (dayGap !== null && dayGap > settings.dateRange) return;
+
+            const gap = dayGap === null ? settings.dateRange : dayGap;
+            if (!best || gap < best.gap) {
+                best = { bankIdx, gap, dayGap };
+            }
+        });
+
+        if (!best) return;
+
+        usedBank.add(best.bankIdx);
+        group.indices.forEach(idx => usedGL.add(idx));
+
+        const items = group.indices.map(idx => glItems[idx]);
+        const bankTx = bankItems[best.bankIdx];
+
+        matches.push({
+            bankTransaction: bankTx,
+            glEntry: {
+                accountNumber: [...new Set(items.map(g => g.accountNumber).filter(Boolean))].join(', '),
+                description: `[${items.length} items combined] ` + items.map(g => g.description).filter(Boolean).join('; '),
+                type: 'Combined',
+                date: items[0].date,
+                refNumber: group.ref || '',
+                amount: group.total,
+                debit: group.total,
+                combinedItems: items
+            },
+            matchScore: 0.8 + 0.2 * (1 - best.gap / (settings.dateRange + 1)),
+            matchType: `Deposit Batch (${items.length} GL → 1 Bank)`,
+            dayGap: best.dayGap,
+            matchRule: BUILT_IN_RULES.batch,
+            isManual: false,
+            isMultiMatch: true,
+            matchedCount: items.length
+        });
+
+        console.log(`[BATCH] ${items.length} GL receipts on ${group.key} matched bank deposit of ${group.total.toFixed(2)}`);
+    });
+
+    return { matches, usedBank, usedGL };
+}
+
+/**
+ * Group GL receipt lines by posting date (and optionally by batch/ref number)
+ */
+function groupReceipts(glItems, groupBy = 'date') {
+    const groups = new Map();
+
+    glItems.forEach((entry, idx) => {
+        if (!isGLReceipt(entry)) return;
+
+        const dateKey = toDateKey(entry.date);
+        if (!dateKey) return;
+
+        const ref = groupBy === 'dateAndRef' ? String(entry.refNumber || '').trim() : '';
+        const key = ref ? `${dateKey} #${ref}` : dateKey;
+
+        if (!groups.has(key)) {
+            groups.set(key, { key, date: entry.date, ref, indices: [], total: 0 });
+        }
+
+        const group = groups.get(key);
+        group.indices.push(idx);
+        group.total += Math.abs(toNumber(entry.amount || entry.debit));
+    });
+
+    // Round totals to cents to avoid floating point drift across many lines
+    groups.forEach(group => {
+        group.total = roundCents(group.total);
+    });
+
+    return [...groups.values()];
+}
+
+/**
+ * GL receipts increase cash, so they are debits to the cash account
+ */
+function isGLReceipt(entry) {
+    if (entry.combinedItems) return false;
+    if (entry.isDebit !== undefined) return Boolean(entry.isDebit);
+    return toNumber(entry.debit) > 0;
+}
+
+/**
+ * Bank deposits are credits on the statement
+ */
+function isBankCredit(bankTx) {
+    if (toNumber(bankTx.amountCredit) > 0) return true;
+    if (bankTx.isDebit !== undefined) return !bankTx.isDebit;
+    if (toNumber(bankTx.amountDebit) > 0) return false;
+    // Without debit/credit columns the sign of the amount says which way it went
+    return toNumber(bankTx.amount) > 0;
+}
+
+module.exports = {
+    matchDepositBatches,
+    groupReceipts,
+    isGLReceipt,
+    isBankCredit,
+    BATCH_GROUPINGS
+};
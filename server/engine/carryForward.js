@@ -0,0 +1,115 @@
+/**
+ * Period Carry-Forward
+ * Month-end reconciliations are tied to a bank account and statement period.
+ * Whatever the previous period left unmatched - outstanding checks, deposits
+ * in transit, unrecorded bank charges - rolls into the next period so it can
+ * be matched against the new statement.
+ *
+ * Carried items are tagged:
+ *   { carriedForward: true, carriedFromId, outstandingSince, ageDays, ageBucket }
+ * outstandingSince is the end of the first period the item was left open in,
+ * so it survives several roll-forwards.
+ */
+
+const { toDate, getDayGap } = require('./helpers');
+const { normalizeStatus, SIGNOFF_STATUSES } = require('./signoff');
+
+// Upper bound (days) of each age bucket; the last bucket is open-ended
+const AGE_BUCKETS = [
+    { id: '0-30', maxDays: 30 },
+    { id: '31-60', maxDays: 60 },
+    { id: '61-90', maxDays: 90 },
+    { id: '90+', maxDays: Infinity }
+];
+
+const PERIOD_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate a statement period
+ * @param {Object} period - { start, end } as YYYY-MM-DD
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePeriod(period) {
+    if (!period || typeof period !== 'object') {
+        return 'period must be an object with start and end dates';
+    }
+
+    if (!PERIOD_PATTERN.test(period.start || '') || !toDate(period.start)) {
+        return 'period.start must be a date (YYYY-MM-DD)';
+    }
+
+    if (!PERIOD_PATTERN.test(period.end || '') || !toDate(period.end)) {
+        return 'period.end must be a date (YYYY-MM-DD)';
+    }
+
+    if (period.start > period.end) {
+        return 'period.start must be on or before period.end';
+    }
+
+    return null;
+}
+
+/**
+ * Pick the session the new period carries forward from: the latest period
+ * that ended before periodStart. Ties go to the furthest-signed-off session,
+ * then the most recently saved.
+ * @param {Array} records - Sessions for the same bank account
+ * @param {string} periodStart - YYYY-MM-DD
+ * @returns {Object|null}
+ */
+function selectPriorReconciliation(records, periodStart) {
+    const candidates = records.filter(record => record.period?.end && record.period.end < periodStart);
+    if (candidates.length === 0) return null;
+
+    const statusRank = (record) => SIGNOFF_STATUSES.indexOf(normalizeStatus(record.status));
+    const savedAt = (record) => toDate(record.createdAt?.toDate?.() || record.createdAt)?.getTime() || 0;
+
+    return candidates.sort((a, b) =>
+        b.period.end.localeCompare(a.period.end) ||
+        statusRank(b) - statusRank(a) ||
+        savedAt(b) - savedAt(a)
+    )[0];
+}
+
+/**
+ * Age bucket id for a number of days outstanding
+ */
+function getAgeBucket(ageDays) {
+    return AGE_BUCKETS.find(bucket => ageDays <= bucket.maxDays).id;
+}
+
+/**
+ * Tag a prior session's unmatched items for the new period
+ * Stored item IDs are dropped - the items are new rows in the new session.
+ * @param {Array} items - unmatchedBank or unmatchedGL of the prior session
+ * @param {Object} source - Prior session (needs id and period)
+ * @param {string} periodStart - Start of the new period (YYYY-MM-DD)
+ * @returns {Array}
+ */
+function carryForwardItems(items, source, periodStart) {
+    return items
+        // Lines a matching rule ignored are noise, not outstanding items
+        .filter(item => !item.ignoredByRule)
+        .map(({ id, ...item }) => {
+            const outstandingSince = item.outstandingSince || source.period.end;
+            // Age from the transaction date when there is one, else from when it was first left open
+            const ageDays = getDayGap(toDate(item.date) ? item.date : outstandingSince, periodStart) || 0;
+
+            return {
+                ...item,
+                carriedForward: true,
+                carriedFromId: source.id,
+                outstandingSince,
+                ageDays,
+                ageBucket: getAgeBucket(ageDays)
+            };
+        });
+}
+
+module.exports = {
+    validatePeriod,
+    selectPriorReconciliation,
+    carryForwardItems,
+    getAgeBucket,
+    AGE_BUCKETS
+};
@@ -0,0 +1,122 @@
+/**
+ * Cleared Status
+ * Quicken registers mark each line uncleared, cleared (C field * or c) or
+ * reconciled (X or R). Reconciled lines were settled in an earlier period,
+ * so they are set aside (or paired off first) instead of being reconciled
+ * again; cleared lines are likely on this statement and score a little higher.
+ * OFX statements carry no such state - every line on them has posted.
+ */
+
+const { toNumber, getDayGap } = require('./helpers');
+const { BUILT_IN_RULES } = require('./matchingRules');
+
+// What to do with lines the source file marks reconciled
+const RECONCILED_MODES = ['exclude', 'prematch', 'match'];
+
+// Added to the match score when either side is marked cleared
+const CLEARED_BOOST = 0.1;
+
+/**
+ * Cleared state of a bank line or GL entry
+ * @returns {string} 'reconciled', 'cleared' or ''
+ */
+function getClearedStatus(item) {
+    if (item?.clearedStatus === 'reconciled' || item?.clearedStatus === 'cleared') {
+        return item.clearedStatus;
+    }
+    return item?.cleared === true ? 'cleared' : '';
+}
+
+/**
+ * Score boost for a pair whose amounts agree and one side is marked cleared
+ */
+function getClearedBoost(bankTx, glEntry) {
+    return getClearedStatus(bankTx) === 'cleared' || getClearedStatus(glEntry) === 'cleared'
+        ? CLEARED_BOOST
+        : 0;
+}
+
+/**
+ * Take the lines marked reconciled out of matching
+ * With prematch, each reconciled line is first paired with a line of the
+ * same amount on the other side within the date range (preferring one also
+ * marked reconciled); lines left over are set aside either way.
+ * @param {Array} bankData
+ * @param {Array} glData
+ * @param {Object} settings - Normalized engine settings
+ * @returns {Object} { bankData, glData, matches, previouslyReconciled: { bank, gl } }
+ */
+function separateReconciled(bankData, glData, settings) {
+    const isReconciled = item => getClearedStatus(item) === 'reconciled';
+    const usedBank = new Set();
+    const usedGL = new Set();
+    const matches = [];
+
+    if (settings.reconciledItems === 'prematch') {
+        const tolerance = Math.max(settings.amountTolerance, 0.005);
+
+        const findPartner = (item, others, used) => {
+            let best = null;
+            others.forEach((other, idx) => {
+                if (used.has(idx)) return;
+                if (Math.abs(Math.abs(toNumber(item.amount)) - Math.abs(toNumber(other.amount))) > tolerance) return;
+
+                const dayGap = getDayGap(item.date, other.date);
+                if (dayGap !== null && dayGap > settings.dateRange) return;
+
+                const rank = (isReconciled(other) ? 0 : 1) * (settings.dateRange + 1) + (dayGap ?? settings.dateRange);
+                if (!best || rank < best.rank) best = { idx, rank, dayGap };
+            });
+            return best;
+        };
+
+        const addMatch = (bankIdx, glIdx, dayGap) => {
+            usedBank.add(bankIdx);
+            usedGL.add(glIdx);
+            matches.push({
+                bankTransaction: bankData[bankIdx],
+                glEntry: glData[glIdx],
+                matchScore: 1,
+                matchType: 'Previously Reconciled',
+                dayGap,
+                matchRule: BUILT_IN_RULES.reconciled,
+                isManual: false
+            });
+        };
+
+        bankData.forEach((bankTx, bankIdx) => {
+            if (!isReconciled(bankTx)) return;
+            const partner = findPartner(bankTx, glData, usedGL);
+            if (partner) addMatch(bankIdx, partner.idx, partner.dayGap);
+        });
+        glData.forEach((glEntry, glIdx) => {
+            if (usedGL.has(glIdx) || !isReconciled(glEntry)) return;
+            const partner = findPartner(glEntry, bankData, usedBank);
+            if (partner) addMatch(partner.idx, glIdx, partner.dayGap);
+        });
+    }
+
+    const previouslyReconciled = {
+        bank: bankData.filter((tx, idx) => !usedBank.has(idx) && isReconciled(tx)),
+        gl: glData.filter((entry, idx) => !usedGL.has(idx) && isReconciled(entry))
+    };
+
+    if (matches.length > 0 || previouslyReconciled.bank.length > 0 || previouslyReconciled.gl.length > 0) {
+        console.log(`[CLEARED] Paired ${matches.length} reconciled line(s), set aside ${previouslyReconciled.bank.length} bank and ${previouslyReconciled.gl.length} GL`);
+    }
+
+    return {
+        bankData: bankData.filter((tx, idx) => !usedBank.has(idx) && !isReconciled(tx)),
+        glData: glData.filter((entry, idx) => !usedGL.has(idx) && !isReconciled(entry)),
+        matches,
+        previouslyReconciled
+    };
+}
+
+module.exports = {
+    getClearedStatus,
+    getClearedBoost,
+    separateReconciled,
+    RECONCILED_MODES,
+    CLEARED_BOOST
+};
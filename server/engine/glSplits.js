@@ -0,0 +1,206 @@
+/**
+ * GL Split Matcher
+ * A QIF-based GL books one check split across several funds (S/E/$ lines),
+ * while the bank clears the check as a single amount. With expandSplits on,
+ * each split becomes its own GL line carrying its category and fund, so it
+ * can be matched on its own, and the lines of a split still unmatched after
+ * the main pass are matched together to a bank line for the whole amount.
+ */
+
+const { toNumber, getDayGap, roundCents } = require('./helpers');
+const { BUILT_IN_RULES } = require('./matchingRules');
+
+/**
+ * Read a QIF category: "Category:Subcategory/Class", where the class holds the fund
+ * @returns {Object} { category, fund }
+ */
+function parseSplitCategory(value) {
+    const [category, fund] = String(value || '').split('/');
+    return { category: category.trim(), fund: (fund || '').trim() };
+}
+
+/**
+ * Replace GL entries that carry splits with one line per split
+ * Entries whose splits do not add up to the entry amount are left whole.
+ * @param {Array} glData - GL entries; split entries carry splits: [{ category, memo, amount }]
+ * @param {Object} settings - Normalized engine settings
+ * @returns {Array} GL lines; split lines carry splitOf: { id, description, amount, isDebit, count, index }
+ */
+function expandSplits(glData, settings) {
+    const tolerance = Math.max(settings.amountTolerance, 0.005);
+    let expanded = 0;
+
+    const lines = glData.flatMap((entry, entryIdx) => {
+        const splits = (entry.splits || []).filter(split => toNumber(split.amount) !== 0);
+        if (splits.length < 2) return [entry];
+
+        const amount = Math.abs(toNumber(entry.amount || entry.debit || entry.credit));
+        const splitTotal = splits.reduce((sum, split) => sum + toNumber(split.amount), 0);
+        if (Math.abs(Math.abs(splitTotal) - amount) > tolerance) {
+            console.log(`[SPLITS] Splits of "${entry.description}" total ${Math.abs(splitTotal).toFixed(2)}, not ${amount.toFixed(2)} - kept whole`);
+            return [entry];
+        }
+
+        expanded++;
+        const { splits: _, ...parent } = entry;
+        const isReceipt = entry.isDebit !== undefined ? Boolean(entry.isDebit) : toNumber(entry.debit) > 0;
+        const id = entry.id || `split-${entryIdx}`;
+
+        return splits.map((split, index) => {
+            const splitAmount = roundCents(Math.abs(toNumber(split.amount)));
+            // A split signed against the others (a refund inside a payment) runs the other way
+            const isDebit = Math.sign(toNumber(split.amount)) === Math.sign(splitTotal) ? isReceipt : !isReceipt;
+            const { category, fund } = parseSplitCategory(split.category);
+
+            return {
+                ...parent,
+                id: `${id}-${index + 1}`,
+                description: [entry.description, category || fund].filter(Boolean).join(' - '),
+                memo: split.memo || entry.memo || '',
+                category,
+                fund,
+                amount: splitAmount,
+                debit: isDebit ? splitAmount : 0,
+                credit: isDebit ? 0 : splitAmount,
+                isDebit,
+                splitOf: {
+                    id,
+                    description: entry.description || '',
+                    amount: roundCents(amount),
+                    isDebit: isReceipt,
+                    count: splits.length,
+                    index: index + 1
+                }
+            };
+        });
+    });
+
+    if (expanded > 0) {
+        console.log(`[SPLITS] Expanded ${expanded} split GL entries into ${lines.length - glData.length + expanded} lines`);
+    }
+    return lines;
+}
+
+/**
+ * Split entries whose whole amount shows up as one bank line within the date range
+ * Their lines are kept out of the one-to-one pass so a single split cannot take
+ * a coincidental bank line (or the cleared check, on its number) and leave the
+ * rest of the split unmatched.
+ * @returns {Set} splitOf ids
+ */
+function findWholeSplits(bankData, glData, settings) {
+    const tolerance = Math.max(settings.amountTolerance, 0.005);
+    const ids = new Set();
+
+    glData.forEach(entry => {
+        if (!entry.splitOf || ids.has(entry.splitOf.id)) return;
+
+        const cleared = bankData.some(bankTx => {
+            if (Math.abs(Math.abs(toNumber(bankTx.amount)) - entry.splitOf.amount) > tolerance) return false;
+            const dayGap = getDayGap(bankTx.date, entry.date);
+            return dayGap === null || dayGap <= settings.dateRange;
+        });
+        if (cleared) ids.add(entry.splitOf.id);
+    });
+
+    return ids;
+}
+
+/**
+ * Group unmatched split lines by the entry they came from
+ * Only splits with every line still unmatched are matched as a group.
+ */
+function groupSplitLines(glItems) {
+    const groups = new Map();
+
+    glItems.forEach((entry, idx) => {
+        if (!entry.splitOf) return;
+        const { id } = entry.splitOf;
+        if (!groups.has(id)) {
+            groups.set(id, { splitOf: entry.splitOf, indices: [] });
+        }
+        groups.get(id).indices.push(idx);
+    });
+
+    return [...groups.values()].filter(group => group.indices.length === group.splitOf.count);
+}
+
+/**
+ * Match each whole split to the bank line that cleared it
+ * @param {Array} bankItems - Unmatched bank transactions
+ * @param {Array} glItems - Unmatched GL lines
+ * @param {Object} settings - Normalized engine settings
+ * @returns {Object} { matches, usedBank: Set, usedGL: Set } (indices into the inputs)
+ */
+function matchSplitGroups(bankItems, glItems, settings) {
+    const matches = [];
+    const usedBank = new Set();
+    const usedGL = new Set();
+    const tolerance = Math.max(settings.amountTolerance, 0.005);
+
+    groupSplitLines(glItems).forEach(group => {
+        const items = group.indices.map(idx => glItems[idx]);
+        const first = items[0];
+        const checkNumber = String(first.checkNumber || first.refNumber || '').replace(/\D/g, '');
+        let best = null;
+
+        bankItems.forEach((bankTx, bankIdx) => {
+            if (usedBank.has(bankIdx)) return;
+
+            const diff = Math.abs(Math.abs(toNumber(bankTx.amount)) - group.splitOf.amount);
+            if (diff > tolerance) return;
+
+            const dayGap = getDayGap(bankTx.date, first.date);
+            if (dayGap !== null && dayGap > settings.dateRange) return;
+
+            const gap = dayGap === null ? settings.dateRange : dayGap;
+            const sameCheck = Boolean(checkNumber) && String(bankTx.checkNumber || '').replace(/\D/g, '') === checkNumber;
+            if (!best || sameCheck > best.sameCheck || (sameCheck === best.sameCheck && gap < best.gap)) {
+                best = { bankIdx, gap, dayGap, sameCheck };
+            }
+        });
+
+        if (!best) return;
+
+        usedBank.add(best.bankIdx);
+        group.indices.forEach(idx => usedGL.add(idx));
+
+        const { isDebit } = group.splitOf;
+        const amount = group.splitOf.amount;
+
+        matches.push({
+            bankTransaction: bankItems[best.bankIdx],
+            glEntry: {
+                accountNumber: first.accountNumber || '',
+                description: `[${items.length} splits] ${group.splitOf.description}`,
+                type: 'Split',
+                date: first.date,
+                refNumber: first.refNumber || '',
+                checkNumber: first.checkNumber || '',
+                amount,
+                debit: isDebit ? amount : 0,
+                credit: isDebit ? 0 : amount,
+                isDebit,
+                combinedItems: items
+            },
+            matchScore: 0.8 + 0.1 * (1 - best.gap / (settings.dateRange + 1)) + (best.sameCheck ? 0.1 : 0),
+            matchType: `GL Split (${items.length} GL → 1 Bank)`,
+            dayGap: best.dayGap,
+            matchRule: BUILT_IN_RULES.glSplit,
+            isManual: false,
+            isMultiMatch: true,
+            matchedCount: items.length
+        });
+
+        console.log(`[SPLITS] ${items.length} split lines of "${group.splitOf.description}" matched bank line of ${amount.toFixed(2)}`);
+    });
+
+    return { matches, usedBank, usedGL };
+}
+
+module.exports = {
+    expandSplits,
+    findWholeSplits,
+    matchSplitGroups,
+    parseSplitCategory
+};
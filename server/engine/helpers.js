@@ -0,0 +1,75 @@
+/**
+ * Engine Helpers
+ * Value coercion shared by the matching modules. Transactions arrive as JSON,
+ * so dates may be ISO strings, MM/DD/YYYY strings or Date objects.
+ */
+
+// Balance differences under half a cent are rounding
+const BALANCE_TOLERANCE = 0.005;
+
+/**
+ * Whole days between two dates, or null when either is missing
+ */
+function getDayGap(dateA, dateB) {
+    const a = toDate(dateA);
+    const b = toDate(dateB);
+    if (!a || !b) return null;
+
+    // Round to absorb DST shifts and client/server timezone differences
+    return Math.abs(Math.round((a - b) / (1000 * 60 * 60 * 24)));
+}
+
+/**
+ * Coerce a Date, ISO string or MM/DD/YYYY string to a Date
+ * Date-only strings (YYYY-MM-DD, MM/DD/YYYY) are local calendar days, not UTC midnight.
+ */
+function toDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    const str = String(value).trim();
+    const usMatch = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const isoMatch = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    let date;
+    if (usMatch) {
+        date = new Date(parseInt(usMatch[3]), parseInt(usMatch[1]) - 1, parseInt(usMatch[2]));
+    } else if (isoMatch) {
+        date = new Date(parseInt(isoMatch[1]), parseInt(isoMatch[2]) - 1, parseInt(isoMatch[3]));
+    } else {
+        date = new Date(str);
+    }
+
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Calendar day key (YYYY-MM-DD) in local time, or '' when the date is missing
+ */
+function toDateKey(value) {
+    const date = toDate(value);
+    if (!date) return '';
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Coerce a JSON amount to a number
+ */
+function toNumber(value) {
+    const num = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(num) ? 0 : num;
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether an entered value was left empty (0 is not blank)
+ */
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+module.exports = { toNumber, toDate, toDateKey, getDayGap, roundCents, isBlank, BALANCE_TOLERANCE };
@@ -0,0 +1,216 @@
+/**
+ * Smart Match Learning Data
+ * Accept/deny counts the Smart Match tab uses to bias its suggestions.
+ * Shape (version 1):
+ *   { version, lastUpdated, totalAccepted, totalDenied,
+ *     patterns: { descToAccount, amountToAccount, descToDesc },
+ *     feedbackLog: [] }
+ * Each pattern maps key -> target -> { accepted, denied }.
+ */
+
+const LEARNING_VERSION = 1;
+const PATTERN_TYPES = ['descToAccount', 'amountToAccount', 'descToDesc'];
+const EXPORT_FORMAT = 'bankrec-smart-match-learning';
+
+// Keep only the most recent feedback entries (same cap the browser used)
+const MAX_FEEDBACK_LOG = 200;
+
+// Guard against documents growing past Firestore's 1 MB limit; enforced on
+// every merge, keeping the keys with the most feedback
+const MAX_PATTERN_KEYS = 5000;
+
+function createEmptyLearningData() {
+    return {
+        version: LEARNING_VERSION,
+        lastUpdated: new Date().toISOString(),
+        totalAccepted: 0,
+        totalDenied: 0,
+        patterns: { descToAccount: {}, amountToAccount: {}, descToDesc: {} },
+        feedbackLog: []
+    };
+}
+
+/**
+ * Validate learning data sent by a client
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLearningData(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return 'Learning data must be an object';
+    }
+    if (data.version !== undefined && data.version !== LEARNING_VERSION) {
+        return `Unsupported learning data version ${data.version}`;
+    }
+    if (data.patterns !== undefined && (typeof data.patterns !== 'object' || data.patterns === null)) {
+        return 'patterns must be an object';
+    }
+
+    for (const type of PATTERN_TYPES) {
+        const pattern = data.patterns?.[type];
+        if (pattern === undefined) continue;
+
+        if (typeof pattern !== 'object' || pattern === null || Array.isArray(pattern)) {
+            return `patterns.${type} must be an object`;
+        }
+        if (Object.keys(pattern).length > MAX_PATTERN_KEYS) {
+            return `patterns.${type} has more than ${MAX_PATTERN_KEYS} keys`;
+        }
+
+        for (const targets of Object.values(pattern)) {
+            if (typeof targets !== 'object' || targets === null) {
+                return `patterns.${type} entries must be objects`;
+            }
+            for (const rec of Object.values(targets)) {
+                if (!isCount(rec?.accepted) || !isCount(rec?.denied)) {
+                    return `patterns.${type} counts must be non-negative numbers`;
+                }
+            }
+        }
+    }
+
+    if (data.feedbackLog !== undefined && !Array.isArray(data.feedbackLog)) {
+        return 'feedbackLog must be an array';
+    }
+
+    return null;
+}
+
+/**
+ * Add the counts of one learning data set into another
+ * Used both for team-wide merges and for applying a single accept/deny delta.
+ * @param {Object} base - Stored learning data
+ * @param {Object} incoming - Data (or delta) to add
+ * @returns {Object} New merged learning data
+ */
+function mergeLearningData(base, incoming) {
+    const merged = normalizeLearningData(base);
+    const source = normalizeLearningData(incoming);
+
+    PATTERN_TYPES.forEach(type => {
+        Object.entries(source.patterns[type]).forEach(([key, targets]) => {
+            if (!merged.patterns[type][key]) merged.patterns[type][key] = {};
+
+            Object.entries(targets).forEach(([target, rec]) => {
+                const existing = merged.patterns[type][key][target] || { accepted: 0, denied: 0 };
+                merged.patterns[type][key][target] = {
+                    accepted: existing.accepted + (rec.accepted || 0),
+                    denied: existing.denied + (rec.denied || 0)
+                };
+            });
+        });
+
+        merged.patterns[type] = capPattern(merged.patterns[type]);
+    });
+
+    merged.totalAccepted += source.totalAccepted;
+    merged.totalDenied += source.totalDenied;
+    merged.feedbackLog = [...merged.feedbackLog, ...source.feedbackLog]
+        .sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')))
+        .slice(-MAX_FEEDBACK_LOG);
+    merged.lastUpdated = new Date().toISOString();
+
+    return merged;
+}
+
+/**
+ * Fill in missing sections so stored or imported data always has the full shape
+ */
+function normalizeLearningData(data = {}) {
+    const empty = createEmptyLearningData();
+    const patterns = {};
+
+    PATTERN_TYPES.forEach(type => {
+        patterns[type] = copyPattern(data?.patterns?.[type]);
+    });
+
+    return {
+        ...empty,
+        lastUpdated: data?.lastUpdated || empty.lastUpdated,
+        totalAccepted: Number(data?.totalAccepted) || 0,
+        totalDenied: Number(data?.totalDenied) || 0,
+        patterns,
+        feedbackLog: Array.isArray(data?.feedbackLog) ? data.feedbackLog.slice(-MAX_FEEDBACK_LOG) : []
+    };
+}
+
+/**
+ * Wrap learning data in the portable export format
+ */
+function buildExport(data, scope) {
+    return {
+        format: EXPORT_FORMAT,
+        version: LEARNING_VERSION,
+        exportedAt: new Date().toISOString(),
+        scope,
+        data: normalizeLearningData(data)
+    };
+}
+
+/**
+ * Unwrap an export file (plain learning data is accepted too)
+ * @returns {Object} { data } or { error }
+ */
+function parseExport(payload) {
+    if (payload?.format !== undefined) {
+        if (payload.format !== EXPORT_FORMAT) {
+            return { error: `Unknown export format ${payload.format}` };
+        }
+        payload = payload.data;
+    }
+
+    const error = validateLearningData(payload);
+    return error ? { error } : { data: normalizeLearningData(payload) };
+}
+
+/**
+ * Deep copy a pattern map, dropping empty keys (Firestore rejects empty field names)
+ */
+function copyPattern(pattern = {}) {
+    const copy = {};
+    Object.entries(pattern || {}).forEach(([key, targets]) => {
+        if (!key || !targets || typeof targets !== 'object') return;
+
+        Object.entries(targets).forEach(([target, rec]) => {
+            if (!target) return;
+            if (!copy[key]) copy[key] = {};
+            copy[key][target] = { accepted: rec?.accepted || 0, denied: rec?.denied || 0 };
+        });
+    });
+    return copy;
+}
+
+/**
+ * Keep at most MAX_PATTERN_KEYS keys, those with the most accepts and denies
+ * (on a tie the key stored first stays)
+ */
+function capPattern(pattern) {
+    const keys = Object.keys(pattern);
+    if (keys.length <= MAX_PATTERN_KEYS) return pattern;
+
+    const feedback = (key) => Object.values(pattern[key])
+        .reduce((sum, rec) => sum + rec.accepted + rec.denied, 0);
+    const kept = keys
+        .map((key, order) => ({ key, order, total: feedback(key) }))
+        .sort((a, b) => (b.total - a.total) || (a.order - b.order))
+        .slice(0, MAX_PATTERN_KEYS)
+        .sort((a, b) => a.order - b.order);
+
+    console.log(`[LEARNING] Dropped ${keys.length - MAX_PATTERN_KEYS} pattern keys with the least feedback`);
+    return Object.fromEntries(kept.map(({ key }) => [key, pattern[key]]));
+}
+
+function isCount(value) {
+    return value === undefined || (typeof value === 'number' && value >= 0);
+}
+
+module.exports = {
+    createEmptyLearningData,
+    validateLearningData,
+    mergeLearningData,
+    normalizeLearningData,
+    buildExport,
+    parseExport,
+    EXPORT_FORMAT,
+    PATTERN_TYPES,
+    MAX_PATTERN_KEYS
+};
@@ -0,0 +1,176 @@
+/**
+ * Matching Rules
+ * User-defined rules evaluated in priority order before scoring. The first
+ * enabled rule whose condition matches a bank line decides how that line is
+ * matched:
+ * - matchAccount:       only pair with GL entries for one account, by amount only
+ * - ignore:             leave the bank line out of matching entirely
+ * - requireCheckNumber: only pair with GL entries carrying the exact check number
+ */
+
+const { toNumber } = require('./helpers');
+
+const RULE_ACTIONS = ['matchAccount', 'ignore', 'requireCheckNumber'];
+const RULE_FIELDS = ['description', 'memo', 'type', 'checkNumber'];
+const RULE_OPERATORS = ['contains', 'equals', 'startsWith'];
+const MAX_RULES = 50;
+
+// Recorded on matches that did not come from a user rule
+const BUILT_IN_RULES = {
+    default: { id: 'default', name: 'Default scoring' },
+    batch: { id: 'batch', name: 'Deposit batch' },
+    split: { id: 'split', name: 'Bank split' },
+    glSplit: { id: 'glSplit', name: 'GL split' },
+    reconciled: { id: 'reconciled', name: 'Previously reconciled' }
+};
+
+/**
+ * Validate a list of rules from the settings API
+ * @param {*} rules - Value sent by the client
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'matchingRules must be an array';
+    }
+    if (rules.length > MAX_RULES) {
+        return `matchingRules may contain at most ${MAX_RULES} rules`;
+    }
+
+    const ids = new Set();
+    for (const [i, rule] of rules.entries()) {
+        const label = `matchingRules[${i}]`;
+
+        if (!rule || typeof rule !== 'object') {
+            return `${label} must be an object`;
+        }
+        if (typeof rule.id !== 'string' || !rule.id.trim()) {
+            return `${label}.id is required`;
+        }
+        if (ids.has(rule.id)) {
+            return `${label}.id must be unique`;
+        }
+        ids.add(rule.id);
+
+        if (typeof rule.name !== 'string' || !rule.name.trim()) {
+            return `${label}.name is required`;
+        }
+        if (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority)) {
+            return `${label}.priority must be a number`;
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            return `${label}.enabled must be a boolean`;
+        }
+        if (!RULE_FIELDS.includes(rule.field)) {
+            return `${label}.field must be one of ${RULE_FIELDS.join(', ')}`;
+        }
+        if (!RULE_OPERATORS.includes(rule.operator)) {
+            return `${label}.operator must be one of ${RULE_OPERATORS.join(', ')}`;
+        }
+        if (typeof rule.value !== 'string' || !rule.value.trim()) {
+            return `${label}.value is required`;
+        }
+        if (!RULE_ACTIONS.includes(rule.action)) {
+            return `${label}.action must be one of ${RULE_ACTIONS.join(', ')}`;
+        }
+        if (rule.action === 'matchAccount' &&
+            (typeof rule.accountNumber !== 'string' || !rule.accountNumber.trim())) {
+            return `${label}.accountNumber is required for matchAccount rules`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Enabled rules in evaluation order (lowest priority number first)
+ */
+function normalizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+
+    return rules
+        .filter(rule => rule && rule.enabled !== false &&
+            RULE_ACTIONS.includes(rule.action) &&
+            RULE_FIELDS.includes(rule.field) &&
+            RULE_OPERATORS.includes(rule.operator))
+        .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+}
+
+/**
+ * First rule whose condition matches the bank transaction
+ * @param {Object} bankTx - Bank transaction
+ * @param {Array} rules - Output of normalizeRules
+ * @returns {Object|null}
+ */
+function findRule(bankTx, rules) {
+    return rules.find(rule => conditionMatches(rule, bankTx)) || null;
+}
+
+function conditionMatches(rule, bankTx) {
+    const actual = String(bankTx[rule.field] ?? '').trim().toUpperCase();
+    const expected = String(rule.value).trim().toUpperCase();
+    if (!actual) return false;
+
+    switch (rule.operator) {
+        case 'equals':
+            return actual === expected;
+        case 'startsWith':
+            return actual.startsWith(expected);
+        default:
+            return actual.includes(expected);
+    }
+}
+
+/**
+ * Score a bank/GL pair under a rule
+ * @param {Object} rule - Rule returned by findRule
+ * @param {Function} defaultScore - (bankTx, glEntry) => score used when the rule only filters
+ * @returns {number} Score (0 = not eligible)
+ */
+function scoreWithRule(rule, bankTx, glEntry, settings, defaultScore) {
+    switch (rule.action) {
+        case 'ignore':
+            return 0;
+
+        case 'matchAccount': {
+            const account = String(glEntry.accountNumber || '').trim();
+            if (account !== rule.accountNumber.trim()) return 0;
+
+            const diff = Math.abs(Math.abs(toNumber(bankTx.amount)) - Math.abs(toNumber(glEntry.amount)));
+            return diff <= settings.amountTolerance ? 1 : 0;
+        }
+
+        case 'requireCheckNumber': {
+            const checkNum = String(bankTx.checkNumber || '').replace(/\D/g, '');
+            if (!checkNum) return 0;
+
+            const glNumbers = [glEntry.accountNumber, glEntry.refNumber]
+                .map(value => String(value || '').replace(/\D/g, ''));
+            if (!glNumbers.includes(checkNum)) return 0;
+
+            return defaultScore(bankTx, glEntry);
+        }
+
+        default:
+            return defaultScore(bankTx, glEntry);
+    }
+}
+
+/**
+ * Rule reference stored on each match
+ */
+function describeRule(rule) {
+    return { id: rule.id, name: rule.name };
+}
+
+module.exports = {
+    validateRules,
+    normalizeRules,
+    findRule,
+    scoreWithRule,
+    describeRule,
+    BUILT_IN_RULES,
+    RULE_ACTIONS,
+    RULE_FIELDS,
+    RULE_OPERATORS
+};
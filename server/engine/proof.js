@@ -0,0 +1,210 @@
+/**
+ * Reconciliation Proof
+ * The book-to-bank proof of a bank reconciliation statement:
+ *
+ *   statement ending balance
+ *     + deposits in transit       (unmatched GL receipts)
+ *     - outstanding checks        (unmatched GL disbursements)
+ *     ± bank errors               (entered by the preparer)
+ *     = adjusted bank balance
+ *
+ *   GL book balance
+ *     + bank credits not booked   (unmatched bank deposits, interest)
+ *     - bank debits not booked    (unmatched bank fees, NSF, charges)
+ *     = adjusted book balance
+ *
+ * The two adjusted balances should agree; anything left is an unexplained
+ * difference. Stored on the session as summary.proof.
+ */
+
+const { toNumber, toDate, roundCents, isBlank, BALANCE_TOLERANCE } = require('./helpers');
+const { isGLReceipt, isBankCredit } = require('./batchMatcher');
+
+const BALANCE_FIELDS = ['statementBalance', 'bookBalance', 'bankErrors'];
+
+function getItemAmount(item) {
+    return Math.abs(toNumber(item.amount || item.debit || item.credit || item.amountCredit || item.amountDebit));
+}
+
+/**
+ * Validate the balances a proof is built from
+ * @param {Object} balances - { statementBalance, bookBalance, bankErrors }; blank values are allowed
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBalances(balances) {
+    if (!balances || typeof balances !== 'object' || Array.isArray(balances)) {
+        return 'balances must be an object';
+    }
+
+    for (const field of BALANCE_FIELDS) {
+        const value = balances[field];
+        if (!isBlank(value) && !Number.isFinite(Number(value))) {
+            return `balances.${field} must be a number`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Coerce balances to numbers; unknown balances stay null, bank errors default to 0
+ */
+function normalizeBalances(balances = {}) {
+    const toBalance = (value) => isBlank(value) ? null : roundCents(Number(value));
+
+    return {
+        statementBalance: toBalance(balances.statementBalance),
+        bookBalance: toBalance(balances.bookBalance),
+        bankErrors: toBalance(balances.bankErrors) || 0
+    };
+}
+
+/**
+ * Total the unmatched items by the proof line they belong to
+ * @returns {Object} { depositsInTransit, outstandingChecks, bankCredits, bankDebits }
+ *                   each { count, total }
+ */
+function summarizeOutstanding(unmatchedBank = [], unmatchedGL = []) {
+    const line = () => ({ count: 0, total: 0 });
+    const outstanding = {
+        depositsInTransit: line(),
+        outstandingChecks: line(),
+        bankCredits: line(),
+        bankDebits: line()
+    };
+
+    const add = (key, item) => {
+        outstanding[key].count++;
+        outstanding[key].total += getItemAmount(item);
+    };
+
+    unmatchedGL.forEach(entry => add(isGLReceipt(entry) ? 'depositsInTransit' : 'outstandingChecks', entry));
+    // Lines a matching rule ignored are not bank-only items either
+    unmatchedBank
+        .filter(tx => !tx.ignoredByRule)
+        .forEach(tx => add(isBankCredit(tx) ? 'bankCredits' : 'bankDebits', tx));
+
+    Object.values(outstanding).forEach(entry => {
+        entry.total = roundCents(entry.total);
+    });
+
+    return outstanding;
+}
+
+/**
+ * Build the proof
+ * Without both the statement and book balance the adjusted balances cannot
+ * be compared, so they and the difference stay null.
+ * @param {Object} balances - { statementBalance, bookBalance, bankErrors }
+ * @param {Array} unmatchedBank
+ * @param {Array} unmatchedGL
+ * @returns {Object} Proof in the shape stored as summary.proof
+ */
+function buildProof(balances, unmatchedBank, unmatchedGL) {
+    return computeProof(normalizeBalances(balances), summarizeOutstanding(unmatchedBank, unmatchedGL));
+}
+
+function computeProof(balances, outstanding) {
+    const { statementBalance, bookBalance, bankErrors } = balances;
+
+    const adjustedBankBalance = statementBalance === null ? null : roundCents(
+        statementBalance +
+        outstanding.depositsInTransit.total -
+        outstanding.outstandingChecks.total +
+        bankErrors
+    );
+    const adjustedBookBalance = bookBalance === null ? null : roundCents(
+        bookBalance +
+        outstanding.bankCredits.total -
+        outstanding.bankDebits.total
+    );
+
+    const difference = adjustedBankBalance === null || adjustedBookBalance === null
+        ? null
+        : roundCents(adjustedBankBalance - adjustedBookBalance);
+
+    return {
+        statementBalance,
+        bookBalance,
+        bankErrors,
+        ...outstanding,
+        adjustedBankBalance,
+        adjustedBookBalance,
+        difference,
+        isBalanced: difference !== null && Math.abs(difference) < BALANCE_TOLERANCE
+    };
+}
+
+/**
+ * Move items into or out of the unmatched lists of a stored proof
+ * Used when a single match is added or undone so the proof stays current
+ * without reloading every unmatched item.
+ * @param {Object|undefined} proof - Stored summary.proof
+ * @param {Object} removed - { unmatchedBank, unmatchedGL } leaving the lists
+ * @param {Object} added - { unmatchedBank, unmatchedGL } returning to the lists
+ * @returns {Object|undefined}
+ */
+function adjustProof(proof, removed = {}, added = {}) {
+    if (!proof) return proof;
+
+    const removedLines = summarizeOutstanding(removed.unmatchedBank, removed.unmatchedGL);
+    const addedLines = summarizeOutstanding(added.unmatchedBank, added.unmatchedGL);
+
+    const outstanding = {};
+    Object.keys(removedLines).forEach(key => {
+        outstanding[key] = {
+            count: Math.max(0, (proof[key]?.count || 0) - removedLines[key].count + addedLines[key].count),
+            total: roundCents((proof[key]?.total || 0) - removedLines[key].total + addedLines[key].total)
+        };
+    });
+
+    return computeProof(normalizeBalances(proof), outstanding);
+}
+
+/**
+ * Statement ending balance from a running balance column
+ * Takes the balance on the latest-dated row (the last one on ties, as
+ * statements list oldest first).
+ * @returns {number|null}
+ */
+function detectStatementBalance(bankData = []) {
+    let latest = null;
+
+    bankData.forEach(tx => {
+        if (isBlank(tx.balance) || toNumber(tx.balance) === 0) return;
+        const time = toDate(tx.date)?.getTime() ?? -Infinity;
+        if (!latest || time >= latest.time) {
+            latest = { time, balance: toNumber(tx.balance) };
+        }
+    });
+
+    return latest ? roundCents(latest.balance) : null;
+}
+
+/**
+ * GL book balance from the ending balance column of a GL detail report
+ * Rows of the bank account's GL cash account win when it is known.
+ * @param {Array} glData
+ * @param {string} glCashAccount - Optional GL account of the bank account
+ * @returns {number|null}
+ */
+function detectBookBalance(glData = [], glCashAccount = '') {
+    const withBalance = glData.filter(entry => toNumber(entry.endingBalance) !== 0);
+    const cashRows = glCashAccount
+        ? withBalance.filter(entry => String(entry.accountNumber || '').includes(glCashAccount))
+        : [];
+    const rows = cashRows.length > 0 ? cashRows : withBalance;
+
+    return rows.length > 0 ? roundCents(toNumber(rows[rows.length - 1].endingBalance)) : null;
+}
+
+module.exports = {
+    validateBalances,
+    normalizeBalances,
+    summarizeOutstanding,
+    buildProof,
+    adjustProof,
+    detectStatementBalance,
+    detectBookBalance,
+    BALANCE_FIELDS
+};
@@ -0,0 +1,380 @@
+/**
+ * Reconciliation Engine
+ * Server-side matching of bank transactions against GL entries.
+ * Mirrors the browser matcher so results can be reproduced and audited.
+ */
+
+const assignment = require('./assignment');
+const batchMatcher = require('./batchMatcher');
+const splitMatcher = require('./splitMatcher');
+const glSplits = require('./glSplits');
+const clearedStatus = require('./clearedStatus');
+const matchingRules = require('./matchingRules');
+const { toNumber, getDayGap } = require('./helpers');
+
+// Default matching settings (same defaults as the reconciliation view)
+const DEFAULT_SETTINGS = {
+    dateRange: 3,
+    amountTolerance: 0.00,
+    assignmentMode: 'greedy',
+    batchDeposits: true,
+    batchGroupBy: 'date',
+    splitSettlements: true,
+    expandSplits: false,
+    reconciledItems: 'exclude',
+    bankDateField: 'posted',
+    matchingRules: []
+};
+
+// Supported assignment strategies
+const ASSIGNMENT_MODES = ['greedy', 'optimal'];
+
+// Bank date to match on -> transaction field holding it (OFX DTPOSTED, DTUSER, DTAVAIL)
+const BANK_DATE_FIELDS = {
+    posted: 'date',
+    user: 'dateUser',
+    available: 'dateAvailable'
+};
+
+// Minimum score for an automatic match
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Run reconciliation
+ * @param {Array} bankData - Normalized bank transactions
+ * @param {Array} glData - Normalized GL entries
+ * @param {Object} settings - Matching settings (dateRange, amountTolerance, assignmentMode, batchDeposits, batchGroupBy, splitSettlements, expandSplits, reconciledItems, bankDateField, matchingRules)
+ * @returns {Object} { matchedTransactions, unmatchedBank, unmatchedGL, summary, assignmentReport, previouslyReconciled }
+ */
+function reconcile(bankData = [], glData = [], settings = {}) {
+    const config = normalizeSettings(settings);
+    bankData = selectBankDates(bankData, config.bankDateField);
+    if (config.expandSplits) {
+        glData = glSplits.expandSplits(glData, config);
+    }
+
+    // Lines the source file marks reconciled were settled in an earlier period
+    let reconciledMatches = [];
+    let previouslyReconciled = { bank: [], gl: [] };
+    if (config.reconciledItems !== 'match') {
+        ({ bankData, glData, matches: reconciledMatches, previouslyReconciled } =
+            clearedStatus.separateReconciled(bankData, glData, config));
+    }
+
+    console.log(`[ENGINE] Reconciling ${bankData.length} bank transactions against ${glData.length} GL entries (${config.assignmentMode})`);
+
+    // User rules are evaluated before scoring; the first matching rule wins
+    const rules = matchingRules.normalizeRules(config.matchingRules);
+    const ruleByBank = new Map();
+    const ignoredBankIndices = new Set();
+    const defaultScore = (bankTx, glEntry) => calculateMatchScore(bankTx, glEntry, config);
+    // Split GL entries cleared as one bank line are left for the split group pass
+    const wholeSplits = config.expandSplits ? glSplits.findWholeSplits(bankData, glData, config) : new Set();
+
+    // Score every eligible bank/GL pair
+    const candidates = [];
+    bankData.forEach((bankTx, bankIdx) => {
+        const rule = matchingRules.findRule(bankTx, rules);
+        if (rule) ruleByBank.set(bankIdx, rule);
+        if (rule?.action === 'ignore') {
+            ignoredBankIndices.add(bankIdx);
+            return;
+        }
+
+        glData.forEach((glEntry, glIdx) => {
+            if (wholeSplits.has(glEntry.splitOf?.id)) return;
+
+            const score = rule
+                ? matchingRules.scoreWithRule(rule, bankTx, glEntry, config, defaultScore)
+                : defaultScore(bankTx, glEntry);
+            if (score > MATCH_THRESHOLD) {
+                candidates.push({ bankIdx, glIdx, score });
+            }
+        });
+    });
+
+    const greedyPairs = assignment.assignGreedy(bankData.length, candidates);
+    let pairs = greedyPairs;
+    let assignmentReport = null;
+
+    if (config.assignmentMode === 'optimal') {
+        const optimal = assignment.assignOptimal(candidates);
+        pairs = optimal.pairs;
+        assignmentReport = describeReport(
+            { ...assignment.compareAssignments(greedyPairs, pairs), greedyRows: optimal.greedyRows },
+            bankData,
+            glData
+        );
+        console.log(`[ENGINE] Optimal assignment differs from greedy on ${assignmentReport.differences.length} bank transactions`);
+    }
+
+    const matchedBankIndices = new Set();
+    const matchedGLIndices = new Set();
+
+    const matchedTransactions = [...reconciledMatches, ...pairs.map(pair => {
+        const bankTx = bankData[pair.bankIdx];
+        const glEntry = glData[pair.glIdx];
+        matchedBankIndices.add(pair.bankIdx);
+        matchedGLIndices.add(pair.glIdx);
+        const rule = ruleByBank.get(pair.bankIdx);
+
+        return {
+            bankTransaction: bankTx,
+            glEntry,
+            matchScore: pair.score,
+            matchType: rule?.action === 'matchAccount'
+                ? 'Rule: Account by Amount'
+                : getMatchType(bankTx, glEntry, config),
+            dayGap: getDayGap(bankTx.date, glEntry.date),
+            matchRule: rule ? matchingRules.describeRule(rule) : matchingRules.BUILT_IN_RULES.default,
+            isManual: false
+        };
+    })];
+
+    // Collect unmatched items (ignored lines stay out of the batch/split passes)
+    let unmatchedBank = bankData.filter((tx, idx) => !matchedBankIndices.has(idx) && !ignoredBankIndices.has(idx));
+    let unmatchedGL = glData.filter((entry, idx) => !matchedGLIndices.has(idx));
+
+    // Many-to-one: the lines of one split GL entry cleared as a single bank line
+    if (config.expandSplits) {
+        const splitGroups = glSplits.matchSplitGroups(unmatchedBank, unmatchedGL, config);
+        matchedTransactions.push(...splitGroups.matches);
+        unmatchedBank = unmatchedBank.filter((tx, idx) => !splitGroups.usedBank.has(idx));
+        unmatchedGL = unmatchedGL.filter((entry, idx) => !splitGroups.usedGL.has(idx));
+    }
+
+    // Many-to-one: one bank deposit covering a day's GL receipts
+    if (config.batchDeposits) {
+        const batches = batchMatcher.matchDepositBatches(unmatchedBank, unmatchedGL, config);
+        matchedTransactions.push(...batches.matches);
+        unmatchedBank = unmatchedBank.filter((tx, idx) => !batches.usedBank.has(idx));
+        unmatchedGL = unmatchedGL.filter((entry, idx) => !batches.usedGL.has(idx));
+    }
+
+    // One-to-many: several bank lines (net of fees) covering one GL entry
+    if (config.splitSettlements) {
+        const splits = splitMatcher.matchBankSplits(unmatchedBank, unmatchedGL, config);
+        matchedTransactions.push(...splits.matches);
+        unmatchedBank = unmatchedBank.filter((tx, idx) => !splits.usedBank.has(idx));
+        unmatchedGL = unmatchedGL.filter((entry, idx) => !splits.usedGL.has(idx));
+    }
+
+    // Ignored lines are reported as unmatched, tagged with the rule that skipped them
+    ignoredBankIndices.forEach(idx => {
+        unmatchedBank.push({
+            ...bankData[idx],
+            ignoredByRule: matchingRules.describeRule(ruleByBank.get(idx))
+        });
+    });
+
+    console.log(`[ENGINE] Matched ${matchedTransactions.length}, unmatched bank ${unmatchedBank.length} (${ignoredBankIndices.size} ignored by rules), unmatched GL ${unmatchedGL.length}`);
+
+    return {
+        matchedTransactions,
+        unmatchedBank,
+        unmatchedGL,
+        summary: {
+            ...buildSummary(matchedTransactions, unmatchedBank, unmatchedGL),
+            totalPreviouslyReconciled: previouslyReconciled.bank.length + previouslyReconciled.gl.length
+        },
+        assignmentReport,
+        previouslyReconciled
+    };
+}
+
+/**
+ * Attach readable transaction details to a greedy/optimal comparison
+ */
+function describeReport(report, bankData, glData) {
+    const describeGL = (idx) => idx === null ? null : {
+        index: idx,
+        accountNumber: glData[idx].accountNumber,
+        description: glData[idx].description,
+        date: glData[idx].date,
+        amount: glData[idx].amount
+    };
+
+    return {
+        ...report,
+        differences: report.differences.map(diff => ({
+            ...diff,
+            bankTransaction: {
+                index: diff.bankIndex,
+                checkNumber: bankData[diff.bankIndex].checkNumber,
+                description: bankData[diff.bankIndex].description,
+                date: bankData[diff.bankIndex].date,
+                amount: bankData[diff.bankIndex].amount
+            },
+            greedyGLEntry: describeGL(diff.greedyGLIndex),
+            optimalGLEntry: describeGL(diff.optimalGLIndex)
+        }))
+    };
+}
+
+/**
+ * Calculate match score between a bank transaction and a GL entry
+ */
+function calculateMatchScore(bankTx, glEntry, settings = DEFAULT_SETTINGS) {
+    let score = 0;
+    const weights = {
+        amount: 0.5,
+        checkNumber: 0.3,
+        date: 0.2
+    };
+
+    // Amount matching (most important)
+    const bankAmount = Math.abs(toNumber(bankTx.amount));
+    const glAmount = Math.abs(toNumber(glEntry.amount));
+    const amountDiff = Math.abs(bankAmount - glAmount);
+
+    if (amountDiff <= settings.amountTolerance) {
+        score += weights.amount;
+    } else if (amountDiff < bankAmount * 0.01) { // Within 1%
+        score += weights.amount * 0.8;
+    }
+
+    // A line the source file marks cleared is likely on this statement
+    if (score > 0) {
+        score += clearedStatus.getClearedBoost(bankTx, glEntry);
+    }
+
+    // Check number matching
+    let checkMatched = false;
+    if (bankTx.checkNumber && glEntry.accountNumber) {
+        const checkNum = String(bankTx.checkNumber).replace(/\D/g, '');
+        const acctNum = String(glEntry.accountNumber).replace(/\D/g, '');
+
+        if (checkNum && acctNum.includes(checkNum)) {
+            score += weights.checkNumber;
+            checkMatched = true;
+        }
+    }
+
+    // Date proximity
+    const dayGap = getDayGap(bankTx.date, glEntry.date);
+    if (dayGap !== null) {
+        // Both dates known - reject pairs outside the configured window
+        if (dayGap > settings.dateRange) {
+            return 0;
+        }
+        score += weights.date * (1 - dayGap / (settings.dateRange + 1));
+    } else if (bankTx.date && settings.dateRange > 0) {
+        // GL exports do not always carry transaction dates, so give partial credit
+        score += weights.date * 0.5;
+    }
+
+    // An amount outside the tolerance only matches on a check number
+    if (amountDiff > settings.amountTolerance && !checkMatched) {
+        return Math.min(score, MATCH_THRESHOLD);
+    }
+
+    return Math.min(score, 1);
+}
+
+/**
+ * Describe why a pair matched
+ */
+function getMatchType(bankTx, glEntry, settings = DEFAULT_SETTINGS) {
+    const types = [];
+
+    if (Math.abs(Math.abs(toNumber(bankTx.amount)) - Math.abs(toNumber(glEntry.amount))) <= settings.amountTolerance) {
+        types.push('Exact Amount');
+    }
+
+    const checkNum = String(bankTx.checkNumber || '').replace(/\D/g, '');
+    if (checkNum && glEntry.accountNumber &&
+        String(glEntry.accountNumber).includes(checkNum)) {
+        types.push('Check #');
+    }
+
+    return types.length > 0 ? types.join(' + ') : 'Amount Match';
+}
+
+/**
+ * Put the bank date chosen for matching in `date`
+ * Transactions without that date (CSV rows, or OFX lines without DTUSER/DTAVAIL)
+ * keep their posting date, which stays available as datePosted.
+ * @param {Array} bankData
+ * @param {string} bankDateField - posted, user or available
+ * @returns {Array}
+ */
+function selectBankDates(bankData, bankDateField) {
+    const field = BANK_DATE_FIELDS[bankDateField];
+    if (!field || field === 'date') return bankData;
+
+    return bankData.map(bankTx => bankTx[field]
+        ? { ...bankTx, datePosted: bankTx.datePosted || bankTx.date, date: bankTx[field] }
+        : bankTx);
+}
+
+/**
+ * Amount a match adds to totalMatchedAmount (its bank side)
+ */
+function getMatchedAmount(match) {
+    return Math.abs(match.bankTransaction?.amount || 0);
+}
+
+/**
+ * Build summary in the same shape /save stores
+ */
+function buildSummary(matchedTransactions, unmatchedBank, unmatchedGL) {
+    return {
+        totalMatched: matchedTransactions.length,
+        totalUnmatchedBank: unmatchedBank.length,
+        totalUnmatchedGL: unmatchedGL.length,
+        totalMatchedAmount: matchedTransactions.reduce((sum, m) => sum + getMatchedAmount(m), 0)
+    };
+}
+
+/**
+ * Merge user settings with defaults and coerce numeric values
+ */
+function normalizeSettings(settings = {}) {
+    const dateRange = parseInt(settings.dateRange);
+    const amountTolerance = parseFloat(settings.amountTolerance);
+
+    return {
+        ...DEFAULT_SETTINGS,
+        ...settings,
+        dateRange: isNaN(dateRange) ? DEFAULT_SETTINGS.dateRange : dateRange,
+        amountTolerance: isNaN(amountTolerance) ? DEFAULT_SETTINGS.amountTolerance : amountTolerance,
+        assignmentMode: ASSIGNMENT_MODES.includes(settings.assignmentMode)
+            ? settings.assignmentMode
+            : DEFAULT_SETTINGS.assignmentMode,
+        batchDeposits: settings.batchDeposits === undefined
+            ? DEFAULT_SETTINGS.batchDeposits
+            : settings.batchDeposits !== false && settings.batchDeposits !== 'false',
+        batchGroupBy: batchMatcher.BATCH_GROUPINGS.includes(settings.batchGroupBy)
+            ? settings.batchGroupBy
+            : DEFAULT_SETTINGS.batchGroupBy,
+        splitSettlements: settings.splitSettlements === undefined
+            ? DEFAULT_SETTINGS.splitSettlements
+            : settings.splitSettlements !== false && settings.splitSettlements !== 'false',
+        reconciledItems: clearedStatus.RECONCILED_MODES.includes(settings.reconciledItems)
+            ? settings.reconciledItems
+            : DEFAULT_SETTINGS.reconciledItems,
+        expandSplits: settings.expandSplits === undefined
+            ? DEFAULT_SETTINGS.expandSplits
+            : settings.expandSplits !== false && settings.expandSplits !== 'false',
+        bankDateField: Object.hasOwn(BANK_DATE_FIELDS, settings.bankDateField)
+            ? settings.bankDateField
+            : DEFAULT_SETTINGS.bankDateField,
+        matchingRules: Array.isArray(settings.matchingRules)
+            ? settings.matchingRules
+            : DEFAULT_SETTINGS.matchingRules
+    };
+}
+
+module.exports = {
+    reconcile,
+    calculateMatchScore,
+    getMatchType,
+    getDayGap,
+    getMatchedAmount,
+    buildSummary,
+    normalizeSettings,
+    selectBankDates,
+    DEFAULT_SETTINGS,
+    ASSIGNMENT_MODES,
+    BANK_DATE_FIELDS
+};
@@ -0,0 +1,154 @@
+/**
+ * Reconciliation Sign-off Workflow
+ * Segregation of duties for saved reconciliations:
+ *
+ *   draft → prepared → reviewed → approved → locked
+ *
+ * Each step records who moved it and when. Prepared, reviewed and approved
+ * sessions can be sent back to draft with a comment; locked is final.
+ * Neither the preparer nor the user who saved the session may approve it,
+ * and each step needs a minimum organization role (SIGNOFF_ROLES). Changing
+ * the matches or balances of a signed-off session sends it back to draft.
+ */
+
+const { hasRole } = require('../config/roles');
+
+const SIGNOFF_STATUSES = ['draft', 'prepared', 'reviewed', 'approved', 'locked'];
+
+const TRANSITIONS = {
+    draft: ['prepared'],
+    prepared: ['reviewed', 'draft'],
+    reviewed: ['approved', 'draft'],
+    approved: ['locked', 'draft'],
+    locked: []
+};
+
+// Minimum role needed to move a session to each status
+const SIGNOFF_ROLES = {
+    prepared: 'preparer',
+    reviewed: 'reviewer',
+    draft: 'reviewer',
+    approved: 'admin',
+    locked: 'admin'
+};
+
+// Sessions saved before the workflow existed were stored as 'completed'
+const LEGACY_STATUSES = { completed: 'draft' };
+
+// Keep the audit trail bounded so the session document stays small
+const MAX_HISTORY = 100;
+
+function normalizeStatus(status) {
+    if (SIGNOFF_STATUSES.includes(status)) return status;
+    return LEGACY_STATUSES[status] || 'draft';
+}
+
+function isLocked(record) {
+    return normalizeStatus(record?.status) === 'locked';
+}
+
+/**
+ * Statuses a session can move to next (only those the user's role allows, when given)
+ */
+function getNextStatuses(record, user = null) {
+    return TRANSITIONS[normalizeStatus(record?.status)]
+        .filter(status => !user || hasRole(user, SIGNOFF_ROLES[status]));
+}
+
+/**
+ * Check whether a user may move a session to a new status
+ * @param {Object} record - Stored reconciliation
+ * @param {string} toStatus - Requested status
+ * @param {Object} user - Acting user ({ uid, role })
+ * @param {string} comment - Optional reviewer comment
+ * @returns {string|null} Error message, or null when allowed
+ */
+function validateTransition(record, toStatus, user, comment) {
+    const fromStatus = normalizeStatus(record.status);
+
+    if (!SIGNOFF_STATUSES.includes(toStatus)) {
+        return `status must be one of: ${SIGNOFF_STATUSES.join(', ')}`;
+    }
+
+    if (!TRANSITIONS[fromStatus].includes(toStatus)) {
+        return fromStatus === 'locked'
+            ? 'Locked reconciliations cannot change status'
+            : `Cannot move from ${fromStatus} to ${toStatus}`;
+    }
+
+    if (!hasRole(user, SIGNOFF_ROLES[toStatus])) {
+        return `Moving to ${toStatus} requires the ${SIGNOFF_ROLES[toStatus]} role or higher`;
+    }
+
+    if (toStatus === 'approved' && record.signoff?.prepared?.by === user.uid) {
+        return 'The preparer cannot approve their own reconciliation';
+    }
+
+    if (toStatus === 'approved' && record.userId === user.uid) {
+        return 'The user who saved a reconciliation cannot approve it';
+    }
+
+    if (toStatus === 'draft' && !String(comment || '').trim()) {
+        return 'A comment is required when sending a reconciliation back to draft';
+    }
+
+    return null;
+}
+
+/**
+ * Build the stored updates for a validated transition
+ * @param {Object} record - Stored reconciliation
+ * @param {string} toStatus - New status
+ * @param {Object} user - { uid, email }
+ * @param {string} comment - Optional reviewer comment
+ * @returns {Object} Fields to update on the session
+ */
+function buildTransition(record, toStatus, user, comment) {
+    const at = new Date();
+    const stamp = { by: user.uid, email: user.email || '', at };
+
+    const entry = {
+        from: normalizeStatus(record.status),
+        to: toStatus,
+        ...stamp,
+        comment: String(comment || '').trim()
+    };
+
+    // Sending back to draft clears the stamps so every step is signed again
+    const signoff = toStatus === 'draft'
+        ? {}
+        : { ...(record.signoff || {}), [toStatus]: stamp };
+
+    return {
+        status: toStatus,
+        signoff,
+        signoffHistory: [...(record.signoffHistory || []), entry].slice(-MAX_HISTORY),
+        updatedAt: at
+    };
+}
+
+/**
+ * Updates that send a signed-off session back to draft after its content changed
+ * Draft and locked sessions are left alone ({}).
+ * @param {Object} record - Stored reconciliation
+ * @param {Object} user - { uid, email }
+ * @param {string} reason - Recorded as the history comment
+ * @returns {Object} Fields to update on the session
+ */
+function resetForEdit(record, user, reason) {
+    const status = normalizeStatus(record.status);
+    if (status === 'draft' || status === 'locked') return {};
+    return buildTransition(record, 'draft', user, reason);
+}
+
+module.exports = {
+    normalizeStatus,
+    isLocked,
+    getNextStatuses,
+    validateTransition,
+    buildTransition,
+    resetForEdit,
+    SIGNOFF_STATUSES,
+    SIGNOFF_ROLES,
+    TRANSITIONS
+};
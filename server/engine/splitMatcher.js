@@ -0,0 +1,183 @@
+/**
+ * Bank Split Matcher
+ * Matches several bank lines to one GL entry. Card processor settlements and
+ * state aid ACH payments often post as multiple credits net of fees, while the
+ * GL books a single gross revenue entry. Fee lines (from the bank fees column
+ * or OFX FEE/SRVCHG transactions) may be included to close the gap.
+ */
+
+const { toNumber, getDayGap, roundCents } = require('./helpers');
+const { isBankCredit, isGLReceipt } = require('./batchMatcher');
+const { BUILT_IN_RULES } = require('./matchingRules');
+
+// Largest number of bank credits combined into one match
+const MAX_SPLIT_ITEMS = 4;
+
+// Closest-dated credits considered per GL entry (keeps the search bounded)
+const MAX_CANDIDATES = 30;
+
+/**
+ * Find the best bank-side subset for a GL amount
+ * @param {number} glAmount - GL entry amount
+ * @param {Array} credits - Candidate bank credits: { idx, amount, fees }
+ * @param {Array} feeLines - Candidate bank fee lines: { idx, amount }
+ * @param {number} tolerance - Allowed difference
+ * @param {number} maxItems - Largest number of credits to combine
+ * @returns {Object|null} { creditIndices, feeIndex, creditTotal, feeAmount, diff }
+ */
+function findBankSubset(glAmount, credits, feeLines, tolerance, maxItems = MAX_SPLIT_ITEMS) {
+    let best = null;
+    const sorted = [...credits].sort((a, b) => b.amount - a.amount);
+
+    const consider = (chosen, creditTotal, feeAmount, feeIndex) => {
+        const diff = Math.abs(creditTotal + feeAmount - glAmount);
+        if (diff > tolerance) return;
+
+        // A single credit without fees is a plain one-to-one match
+        if (chosen.length < 2 && feeAmount === 0) return;
+
+        const itemCount = chosen.length + (feeIndex === null ? 0 : 1);
+
+        if (!best || diff < best.diff - 0.001 ||
+            (Math.abs(diff - best.diff) <= 0.001 && itemCount < best.itemCount)) {
+            best = {
+                creditIndices: chosen.map(c => c.idx),
+                feeIndex,
+                creditTotal: roundCents(creditTotal),
+                feeAmount: roundCents(feeAmount),
+                diff: roundCents(diff),
+                itemCount
+            };
+        }
+    };
+
+    const search = (start, chosen, creditTotal, embeddedFees) => {
+        if (chosen.length > 0) {
+            consider(chosen, creditTotal, 0, null);
+            // Settlements that report their own fee amount
+            if (embeddedFees > 0) consider(chosen, creditTotal, embeddedFees, null);
+            // Separate fee lines
+            feeLines.forEach(fee => consider(chosen, creditTotal, fee.amount, fee.idx));
+        }
+
+        if (chosen.length >= maxItems) return;
+
+        for (let i = start; i < sorted.length; i++) {
+            const next = creditTotal + sorted[i].amount;
+            // Credits are sorted descending; fees only ever add, so skip overshoots
+            if (next - tolerance > glAmount) continue;
+            chosen.push(sorted[i]);
+            search(i + 1, chosen, next, embeddedFees + sorted[i].fees);
+            chosen.pop();
+        }
+    };
+
+    search(0, [], 0, 0);
+    return best;
+}
+
+/**
+ * Match unmatched GL receipts to subsets of unmatched bank lines
+ * @param {Array} bankItems - Unmatched bank transactions
+ * @param {Array} glItems - Unmatched GL entries
+ * @param {Object} settings - Normalized engine settings
+ * @returns {Object} { matches, usedBank: Set, usedGL: Set } (indices into the inputs)
+ */
+function matchBankSplits(bankItems, glItems, settings) {
+    const matches = [];
+    const usedBank = new Set();
+    const usedGL = new Set();
+    const tolerance = Math.max(settings.amountTolerance, 0.005);
+
+    glItems.forEach((glEntry, glIdx) => {
+        if (!isGLReceipt(glEntry)) return;
+
+        const glAmount = Math.abs(toNumber(glEntry.amount || glEntry.debit));
+        if (glAmount === 0) return;
+
+        const inWindow = (bankTx) => {
+            const gap = getDayGap(bankTx.date, glEntry.date);
+            return gap === null || gap <= settings.dateRange;
+        };
+
+        const credits = [];
+        const feeLines = [];
+
+        bankItems.forEach((bankTx, bankIdx) => {
+            if (usedBank.has(bankIdx) || !inWindow(bankTx)) return;
+
+            const amount = Math.abs(toNumber(bankTx.amount));
+            if (bankTx.isFee) {
+                feeLines.push({ idx: bankIdx, amount });
+            } else if (isBankCredit(bankTx) && amount <= glAmount + tolerance) {
+                credits.push({
+                    idx: bankIdx,
+                    amount,
+                    fees: Math.abs(toNumber(bankTx.fees)),
+                    gap: getDayGap(bankTx.date, glEntry.date) ?? settings.dateRange
+                });
+            }
+        });
+
+        const candidates = credits
+            .sort((a, b) => a.gap - b.gap)
+            .slice(0, MAX_CANDIDATES);
+
+        const subset = findBankSubset(glAmount, candidates, feeLines, tolerance);
+        if (!subset) return;
+
+        usedGL.add(glIdx);
+        subset.creditIndices.forEach(idx => usedBank.add(idx));
+        if (subset.feeIndex !== null) usedBank.add(subset.feeIndex);
+
+        const creditItems = subset.creditIndices.map(idx => bankItems[idx]);
+        const items = subset.feeIndex === null
+            ? creditItems
+            : [...creditItems, bankItems[subset.feeIndex]];
+
+        matches.push(buildSplitMatch(items, glEntry, subset, settings));
+
+        console.log(`[SPLIT] ${items.length} bank lines matched GL ${glEntry.accountNumber || ''} (${glAmount.toFixed(2)}), fees ${subset.feeAmount.toFixed(2)}`);
+    });
+
+    return { matches, usedBank, usedGL };
+}
+
+/**
+ * Build a combined match record (same shape as a Smart Match split)
+ */
+function buildSplitMatch(items, glEntry, subset, settings) {
+    const credits = items.filter(item => !item.isFee);
+    const dayGaps = credits
+        .map(item => getDayGap(item.date, glEntry.date))
+        .filter(gap => gap !== null);
+    const maxGap = dayGaps.length > 0 ? Math.max(...dayGaps) : null;
+    const feeLabel = subset.feeAmount > 0 ? ' + fees' : '';
+
+    return {
+        bankTransaction: {
+            transactionNumber: items.map(b => b.transactionNumber || b.checkNumber).filter(Boolean).join(', '),
+            date: credits[0].date,
+            description: `[${items.length} items combined] ` + items.map(b => b.description).filter(Boolean).join('; '),
+            amount: subset.creditTotal,
+            amountCredit: subset.creditTotal,
+            feeAmount: subset.feeAmount,
+            combinedItems: items
+        },
+        glEntry,
+        matchScore: 0.8 + 0.2 * (1 - (maxGap ?? settings.dateRange) / (settings.dateRange + 1)),
+        matchType: `Bank Split (${items.length} Bank → 1 GL${feeLabel})`,
+        dayGap: maxGap,
+        feeDifference: subset.feeAmount,
+        matchRule: BUILT_IN_RULES.split,
+        isManual: false,
+        isMultiMatch: true,
+        matchedCount: items.length
+    };
+}
+
+module.exports = {
+    matchBankSplits,
+    findBankSubset,
+    MAX_SPLIT_ITEMS
+};
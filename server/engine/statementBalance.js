@@ -0,0 +1,240 @@
+/**
+ * Statement Balance Continuity
+ * Bank CSV/PDF exports carry a running balance on each row. Walking the rows
+ * and checking previous balance ± amount = balance catches statements that
+ * lost a row or a whole page, or picked up a duplicated row, before they are
+ * reconciled. The opening/closing balances the rows imply are checked against
+ * the totals printed on the statement, when the preparer enters them.
+ *
+ * Rows without a balance (many banks only print the end-of-day balance) are
+ * rolled into the next row that has one. Rows whose direction is unknown
+ * (PDF amounts are unsigned) are accepted either way.
+ */
+
+const { toNumber, toDate, getDayGap, roundCents, isBlank, BALANCE_TOLERANCE } = require('./helpers');
+
+// A break across a longer date gap than this is reported as a missing page
+const MISSING_PAGE_DAYS = 7;
+
+const TOTAL_FIELDS = ['openingBalance', 'closingBalance'];
+
+function sameAmount(a, b) {
+    return Math.abs(a - b) < BALANCE_TOLERANCE;
+}
+
+/**
+ * Validate user-entered statement totals
+ * @param {Object} totals - { openingBalance, closingBalance }; blank values are allowed
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateStatementTotals(totals) {
+    if (!totals || typeof totals !== 'object' || Array.isArray(totals)) {
+        return 'totals must be an object';
+    }
+
+    for (const field of TOTAL_FIELDS) {
+        if (!isBlank(totals[field]) && !Number.isFinite(Number(totals[field]))) {
+            return `${field} must be a number`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Running balance of a row, or null when it has none
+ * Missing balance columns parse as 0, so 0 counts as "no balance".
+ */
+function getRowBalance(row) {
+    if (isBlank(row.balance)) return null;
+    const balance = toNumber(row.balance);
+    return balance === 0 ? null : roundCents(balance);
+}
+
+/**
+ * Signed effect of a row on the balance (credits positive)
+ * @returns {Object} { amount, known } - amount is unsigned when known is false
+ */
+function getRowEffect(row) {
+    const credit = toNumber(row.amountCredit);
+    const debit = toNumber(row.amountDebit);
+    if (credit !== 0 || debit !== 0) {
+        return { amount: Math.abs(credit) - Math.abs(debit), known: true };
+    }
+
+    const amount = toNumber(row.amount);
+    if (row.isDebit !== undefined) {
+        return { amount: row.isDebit ? -Math.abs(amount) : Math.abs(amount), known: true };
+    }
+
+    // Negative amounts are outflows; unsigned positives could be either
+    return amount < 0 ? { amount, known: true } : { amount, known: false };
+}
+
+/**
+ * Balances a group of rows can end on, starting from a balance
+ * @returns {Array|null} Candidate balances, or null when too many rows are unsigned to tell
+ */
+function getExpectedBalances(start, rows) {
+    const effects = rows.map(getRowEffect);
+    const unknown = effects.filter(effect => !effect.known);
+    if (unknown.length > 1) return null;
+
+    const known = effects.filter(effect => effect.known).reduce((sum, effect) => sum + effect.amount, 0);
+    if (unknown.length === 0) return [roundCents(start + known)];
+    return [roundCents(start + known + unknown[0].amount), roundCents(start + known - unknown[0].amount)];
+}
+
+function isDuplicateOf(row, previous) {
+    if (!previous) return false;
+    return String(row.date || '') === String(previous.date || '') &&
+        sameAmount(Math.abs(toNumber(row.amount)), Math.abs(toNumber(previous.amount))) &&
+        String(row.description || '').trim() === String(previous.description || '').trim();
+}
+
+/**
+ * Describe a continuity break
+ */
+function describeBreak(row, rowNumber, previous, previousRowNumber, expected, actual) {
+    const difference = roundCents(actual - expected[0]);
+    const dayGap = getDayGap(previous.row.date, row.date);
+    let cause;
+    let message;
+
+    if (isDuplicateOf(row, previous.row) && sameAmount(actual, previous.balance)) {
+        cause = 'duplicate_row';
+        message = `Row ${rowNumber} repeats row ${previousRowNumber} without moving the balance - it looks duplicated`;
+    } else if (dayGap !== null && dayGap > MISSING_PAGE_DAYS) {
+        cause = 'missing_page';
+        message = `Balance jumps by ${difference.toFixed(2)} between row ${previousRowNumber} and row ${rowNumber} ` +
+            `(${dayGap} days apart) - a page of the statement may be missing`;
+    } else {
+        cause = 'missing_row';
+        message = `Balance on row ${rowNumber} is off by ${difference.toFixed(2)} - ` +
+            `a row between row ${previousRowNumber} and row ${rowNumber} may be missing`;
+    }
+
+    return {
+        rowNumber,
+        previousRowNumber,
+        date: row.date || null,
+        expectedBalance: expected[0],
+        actualBalance: actual,
+        difference,
+        cause,
+        message
+    };
+}
+
+/**
+ * Check one entered total against the balance the rows imply
+ */
+function compareTotal(entered, statement) {
+    if (isBlank(entered)) return null;
+    const value = roundCents(Number(entered));
+
+    return {
+        entered: value,
+        statement,
+        difference: statement === null ? null : roundCents(statement - value),
+        matches: statement !== null && sameAmount(statement, value)
+    };
+}
+
+/**
+ * Walk the statement rows and check the running balance
+ * @param {Array} rows - Bank rows in file order ({ date, amount, amountCredit, amountDebit, isDebit, balance })
+ * @param {Object} totals - Optional { openingBalance, closingBalance } from the statement
+ * @returns {Object} {
+ *   checked, isValid, rowsChecked, breakCount, firstBreak,
+ *   openingBalance, closingBalance, totals: { opening, closing }, issues
+ * }
+ */
+function checkBalanceContinuity(rows = [], totals = {}) {
+    // Statements listed newest first are walked oldest first; row numbers stay in file order
+    const numbered = rows.map((row, index) => ({ row, rowNumber: index + 1 }));
+    const dated = numbered.filter(entry => toDate(entry.row.date));
+    const newestFirst = dated.length > 1 &&
+        toDate(dated[0].row.date) > toDate(dated[dated.length - 1].row.date);
+    const ordered = newestFirst ? [...numbered].reverse() : numbered;
+
+    let previous = null;
+    let pending = [];
+    let openingBalance = null;
+    let rowsChecked = 0;
+    let breakCount = 0;
+    let firstBreak = null;
+
+    ordered.forEach(({ row, rowNumber }) => {
+        pending.push(row);
+        const balance = getRowBalance(row);
+        if (balance === null) return;
+
+        if (!previous) {
+            // Opening balance = first balance before the rows leading up to it
+            const before = getExpectedBalances(0, pending);
+            openingBalance = before && before.length === 1 ? roundCents(balance - before[0]) : null;
+        } else {
+            const expected = getExpectedBalances(previous.balance, pending);
+            if (expected) {
+                rowsChecked += pending.length;
+                if (!expected.some(value => sameAmount(value, balance))) {
+                    breakCount++;
+                    firstBreak = firstBreak ||
+                        describeBreak(row, rowNumber, previous, previous.rowNumber, expected, balance);
+                }
+            }
+        }
+
+        // A break resyncs on the printed balance so later rows are checked on their own
+        previous = { balance, row, rowNumber };
+        pending = [];
+    });
+
+    let closingBalance = null;
+    if (previous) {
+        const after = getExpectedBalances(previous.balance, pending);
+        closingBalance = after && after.length === 1 ? after[0] : null;
+    } else if (!isBlank(totals.openingBalance)) {
+        // No running balance - the totals can still be proven from the amounts
+        const after = getExpectedBalances(Number(totals.openingBalance), pending);
+        openingBalance = roundCents(Number(totals.openingBalance));
+        closingBalance = after && after.length === 1 ? after[0] : null;
+    }
+
+    const opening = compareTotal(totals.openingBalance, openingBalance);
+    const closing = compareTotal(totals.closingBalance, closingBalance);
+
+    const issues = [];
+    if (firstBreak) {
+        issues.push(firstBreak.message + (breakCount > 1 ? ` (${breakCount - 1} more break(s) after it)` : ''));
+    }
+    if (opening && !opening.matches) {
+        issues.push(opening.statement === null
+            ? 'The opening balance cannot be worked out from the statement rows'
+            : `Opening balance from the rows is ${opening.statement.toFixed(2)}, statement shows ${opening.entered.toFixed(2)}`);
+    }
+    if (closing && !closing.matches) {
+        issues.push(closing.statement === null
+            ? 'The closing balance cannot be worked out from the statement rows'
+            : `Closing balance from the rows is ${closing.statement.toFixed(2)}, statement shows ${closing.entered.toFixed(2)}`);
+    }
+
+    return {
+        checked: Boolean(previous) || Boolean(opening || closing),
+        isValid: issues.length === 0,
+        rowsChecked,
+        breakCount,
+        firstBreak,
+        openingBalance,
+        closingBalance,
+        totals: { opening, closing },
+        issues
+    };
+}
+
+module.exports = {
+    checkBalanceContinuity,
+    validateStatementTotals,
+    TOTAL_FIELDS
+};
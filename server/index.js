@@ -11,7 +11,12 @@ const authRoutes = require('./routes/auth');
 const reconciliationRoutes = require('./routes/reconciliation');
 const historyRoutes = require('./routes/history');
 const settingsRoutes = require('./routes/settings');
+const learningRoutes = require('./routes/learning');
+const organizationRoutes = require('./routes/organizations');
+const bankAccountRoutes = require('./routes/bankAccounts');
 const errorHandler = require('./middleware/errorHandler');
+const { getStore } = require('./stores');
+const { getAuthProvider } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -111,6 +116,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/reconciliation', reconciliationRoutes);
 app.use('/api/history', historyRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/learning', learningRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/bank-accounts', bankAccountRoutes);
 
 // Health check endpoint (for load balancers and monitoring)
 app.get('/api/health', (req, res) => {
@@ -125,11 +133,8 @@ app.get('/api/health', (req, res) => {
 // Readiness check (for Kubernetes/cloud deployments)
 app.get('/api/ready', async (req, res) => {
     try {
-        // Check Firebase connection
-        const { db } = require('./config/firebase');
-        if (db) {
-            await db.collection('_health').doc('check').get();
-        }
+        // Check the storage backend (Firestore, data directory, ...)
+        await getStore().ping();
         res.json({ ready: true });
     } catch (error) {
         res.status(503).json({ ready: false, error: 'Database not ready' });
@@ -163,6 +168,25 @@ const gracefulShutdown = (signal) => {
     }, 10000);
 };
 
+// Open the store before listening, so data that cannot be read stops the
+// server instead of being replaced by an empty store
+try {
+    getStore();
+} catch (error) {
+    console.error('[STORE] Failed to open storage:', error.message);
+    process.exit(1);
+}
+
+const authProvider = getAuthProvider(getStore().backend);
+if (authProvider === 'local') {
+    console.log('[AUTH] Firebase Auth not configured - using local email/password sign-in');
+    if (!process.env.LOCAL_AUTH_SECRET) {
+        console.warn('[AUTH] LOCAL_AUTH_SECRET is not set - users sign in again after every restart');
+    }
+} else if (authProvider === 'demo' && isProduction) {
+    console.warn('[AUTH] Firebase Auth not configured - every request runs as the demo user');
+}
+
 // Start server
 const server = app.listen(PORT, () => {
     const env = process.env.NODE_ENV || 'development';
@@ -0,0 +1,26 @@
+/**
+ * Reconciliation access
+ * Sessions saved by an organization member belong to the organization: every
+ * current member can open them (what they may change depends on their role).
+ * Sessions saved outside an organization stay private to the user who saved them.
+ * @param {Object} reconciliation - Stored session
+ * @param {Object} user - req.user with organizationId from verifyToken
+ */
+function canAccessReconciliation(reconciliation, user) {
+    if (reconciliation.organizationId) {
+        return user.organizationId === reconciliation.organizationId;
+    }
+    return reconciliation.userId === user.uid;
+}
+
+/**
+ * Owner scope for shared data (Smart Match learning, bank accounts)
+ * Organization members share one scope; everyone else keeps a personal one.
+ * @param {Object} user - req.user with organizationId from verifyToken
+ */
+function getDataScope(user) {
+    if (user.organizationId) return `org:${user.organizationId}`;
+    return `user:${user.uid}`;
+}
+
+module.exports = { canAccessReconciliation, getDataScope };
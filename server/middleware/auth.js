@@ -1,4 +1,34 @@
-const { auth } = require('../config/firebase');
+const { auth, hasCredentials } = require('../config/firebase');
+const { getStore } = require('../stores');
+const { verifySessionToken } = require('../config/localAuth');
+const { ROLES, hasRole, normalizeRole } = require('../config/roles');
+
+/**
+ * How requests are signed in:
+ *   firebase - Firebase ID tokens (credentials or the Auth emulator are set)
+ *   local    - local email/password accounts, for the file backend (on-prem)
+ *   demo     - every request runs as one demo user
+ * The demo user administers its own workspace, so on-prem installs on real
+ * data sign in locally instead.
+ * @param {string} storageBackend - Store backend in use
+ * @returns {string}
+ */
+function getAuthProvider(storageBackend) {
+    if (auth && (hasCredentials || process.env.FIREBASE_AUTH_EMULATOR_HOST)) {
+        return 'firebase';
+    }
+    return storageBackend === 'file' ? 'local' : 'demo';
+}
+
+/**
+ * Attach organization and role from the user's profile
+ * Users outside an organization fully control their own workspace (admin).
+ */
+async function attachMembership(user) {
+    const profile = await getStore().users.get(user.uid);
+    user.organizationId = profile?.organizationId || null;
+    user.role = user.organizationId ? normalizeRole(profile.organizationRole) : 'admin';
+}
 
 /**
  * Middleware to verify Firebase ID tokens
@@ -17,31 +47,26 @@ const verifyToken = async (req, res, next) => {
 
     const token = authHeader.split('Bearer ')[1];
 
-    // Check if auth is available
-    if (!auth) {
-        console.warn('[AUTH] Firebase Auth not initialized - allowing request in demo mode');
+    const provider = getAuthProvider(getStore().backend);
+
+    // Without a way to verify tokens, run as the demo user
+    if (provider === 'demo') {
+        console.warn('[AUTH] Firebase Auth not configured - allowing request in demo mode');
         // Demo mode - create mock user
         req.user = {
             uid: 'demo-user',
             email: 'demo@example.com',
             name: 'Demo User'
         };
-        return next();
+        return attachMembership(req.user).then(() => next(), next);
     }
 
+    let decodedToken;
     try {
-        // Verify the ID token
-        const decodedToken = await auth.verifyIdToken(token);
-
-        // Attach user info to request
-        req.user = {
-            uid: decodedToken.uid,
-            email: decodedToken.email,
-            name: decodedToken.name || decodedToken.email?.split('@')[0] || 'User',
-            emailVerified: decodedToken.email_verified
-        };
-
-        next();
+        // Verify the ID token (local session tokens use the same error codes)
+        decodedToken = provider === 'local'
+            ? verifySessionToken(token)
+            : await auth.verifyIdToken(token);
     } catch (error) {
         console.error('[AUTH] Token verification failed:', error.code, error.message);
 
@@ -65,6 +90,34 @@ const verifyToken = async (req, res, next) => {
             message: 'Invalid authentication token'
         });
     }
+
+    // Attach user info to request
+    req.user = {
+        uid: decodedToken.uid,
+        email: decodedToken.email,
+        name: decodedToken.name || decodedToken.email?.split('@')[0] || 'User',
+        emailVerified: decodedToken.email_verified
+    };
+
+    try {
+        await attachMembership(req.user);
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Middleware to require a minimum organization role
+ * Use after verifyToken: router.post('/save', verifyToken, requireRole('preparer'), ...)
+ */
+const requireRole = (minimumRole) => (req, res, next) => {
+    if (hasRole(req.user, minimumRole)) return next();
+
+    res.status(403).json({
+        error: 'Insufficient role',
+        message: `This action requires the ${minimumRole} role or higher`
+    });
 };
 
 /**
@@ -102,4 +155,12 @@ const optionalAuth = async (req, res, next) => {
     next();
 };
 
-module.exports = { verifyToken, optionalAuth };
+module.exports = {
+    verifyToken,
+    getAuthProvider,
+    optionalAuth,
+    requireRole,
+    hasRole,
+    normalizeRole,
+    ROLES
+};
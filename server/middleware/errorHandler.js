@@ -57,6 +57,14 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    // Store conflicts (item already moved by another request)
+    if (err.name === 'Conflict') {
+        return res.status(409).json({
+            error: 'Conflict',
+            message: err.message
+        });
+    }
+
     // Default server error
     const statusCode = err.statusCode || 500;
     res.status(statusCode).json({
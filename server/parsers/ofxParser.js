@@ -1,46 +1,172 @@
 /**
  * OFX/QFX (Open Financial Exchange) Parser
- * Parses SGML-like OFX format commonly exported by banks
+ * Parses OFX 1.x (SGML, elements without closing tags) and OFX 2.x (XML)
+ * bank and credit card statements. XML files are first normalized to the
+ * same tag shape - namespace prefixes, attributes, CDATA and self-closing
+ * tags removed - so one set of patterns reads both.
  */
 
+// Statement types the parser cannot reconcile, reported instead of parsed
+const UNSUPPORTED_STATEMENTS = {
+    INVSTMTRS: 'investment statement'
+};
+
 /**
  * Parse OFX/QFX content
+ * A file can hold several statements (e.g. checking and savings, or a credit
+ * card), so transactions are kept with the statement they belong to.
  * @param {string} content - OFX file content as string
- * @returns {Array} Parsed transactions
+ * @returns {Object} { statements: [{ account, period, balances, currency, transactions }], unsupported }
+ *   account: { accountNumber, routingNumber, accountType, accountName }
+ *   period: { start, end } as YYYY-MM-DD or ''
+ *   balances: { ledger, available } - each { amount, asOf } or null
+ *   unsupported: [{ type, accountNumber, message }] for statements that were skipped
  */
 function parse(content) {
-    const transactions = [];
-
     console.log('[OFX] Parsing OFX/QFX content');
 
-    // Remove SGML headers (everything before <OFX>)
-    const ofxStart = content.indexOf('<OFX>');
-    if (ofxStart === -1) {
-        // Try case-insensitive
-        const lowerContent = content.toLowerCase();
-        const ofxStartLower = lowerContent.indexOf('<ofx>');
-        if (ofxStartLower === -1) {
-            console.warn('[OFX] No <OFX> tag found in content');
-            return transactions;
-        }
+    content = normalizeContent(content);
+
+    // Everything before <OFX> is the SGML header
+    if (!/<OFX>/i.test(content)) {
+        console.warn('[OFX] No <OFX> tag found in content');
+        return { statements: [], unsupported: [] };
+    }
+
+    // Investment statements hold STMTTRN blocks too (INVBANKTRAN), so they are
+    // cut out before bank transactions are looked for
+    const unsupported = [];
+    Object.entries(UNSUPPORTED_STATEMENTS).forEach(([tagName, label]) => {
+        const pattern = new RegExp(`<${tagName}>([\\s\\S]*?)</${tagName}>`, 'gi');
+        content = content.replace(pattern, (block, body) => {
+            const accountNumber = extractTag(body, 'ACCTID');
+            unsupported.push({
+                type: tagName,
+                accountNumber,
+                message: `Skipped ${[label, maskAccount(accountNumber)].filter(Boolean).join(' ')} - ` +
+                    'only bank and credit card statements can be reconciled'
+            });
+            console.warn(`[OFX] Skipping unsupported ${tagName} section`);
+            return '';
+        });
+    });
+
+    // Bank (STMTRS) and credit card (CCSTMTRS) statement responses
+    const statementPattern = /<(STMTRS|CCSTMTRS)>([\s\S]*?)<\/\1>/gi;
+    const blocks = [];
+    let match;
+
+    while ((match = statementPattern.exec(content)) !== null) {
+        blocks.push(match[2]);
+    }
+
+    // Files that never close the statement aggregate are read as a single statement
+    if (blocks.length === 0 && /<STMTTRN>/i.test(content)) {
+        blocks.push(content);
     }
 
-    // Extract all STMTTRN (statement transaction) blocks
+    const statements = blocks.map(parseStatement);
+
+    statements.forEach((statement, index) => {
+        const { account, period } = statement;
+        console.log(`[OFX] Statement ${index + 1}: ${account.accountType || 'account'} ${maskAccount(account.accountNumber)}, ` +
+            `${statement.transactions.length} transactions` +
+            (period.start && period.end ? `, ${period.start} to ${period.end}` : ''));
+    });
+
+    return { statements, unsupported };
+}
+
+/**
+ * Bring OFX 2.x XML to the tag shape of OFX 1.x SGML
+ * - XML declaration, OFX processing instruction and comments removed
+ * - CDATA sections become escaped text (decoded again by extractTag)
+ * - namespace prefixes and attributes dropped: <ofx:OFX xmlns:ofx="..."> -> <OFX>
+ * - self-closing elements expanded: <MEMO/> -> <MEMO></MEMO>
+ * SGML content passes through unchanged.
+ */
+function normalizeContent(content) {
+    return content
+        .replace(/<\?[\s\S]*?\?>/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (section, text) =>
+            text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+        .replace(/<(\/?)(?:[\w.-]+:)?([\w.]+)(?:\s[^<>]*?)?(\/?)>/g, (tag, closing, name, selfClosing) =>
+            selfClosing ? `<${name}></${name}>` : `<${closing}${name}>`);
+}
+
+/**
+ * Decode XML/SGML character entities in an element value
+ */
+function decodeEntities(value) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+    return value.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos|nbsp);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const charCode = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return String.fromCodePoint(charCode);
+        }
+        return named[code.toLowerCase()];
+    });
+}
+
+/**
+ * Parse one statement aggregate
+ */
+function parseStatement(block) {
+    const ledger = parseBalance(block, 'LEDGERBAL');
+
+    return {
+        account: {
+            accountNumber: extractTag(block, 'ACCTID'),
+            routingNumber: extractTag(block, 'BANKID'),
+            // Credit card accounts have no ACCTTYPE
+            accountType: extractTag(block, 'ACCTTYPE') || (/<CCACCTFROM>/i.test(block) ? 'CREDITCARD' : ''),
+            accountName: ''
+        },
+        period: {
+            start: toIsoDate(extractTag(block, 'DTSTART')),
+            end: toIsoDate(extractTag(block, 'DTEND'))
+        },
+        balances: {
+            ledger,
+            available: parseBalance(block, 'AVAILBAL')
+        },
+        currency: extractTag(block, 'CURDEF'),
+        transactions: parseTransactions(block)
+    };
+}
+
+/**
+ * Extract the STMTTRN (statement transaction) blocks of a statement
+ */
+function parseTransactions(block) {
+    const transactions = [];
     const stmtTrnPattern = /<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi;
     let match;
 
-    while ((match = stmtTrnPattern.exec(content)) !== null) {
-        const block = match[1];
+    while ((match = stmtTrnPattern.exec(block)) !== null) {
+        const trnBlock = match[1];
+
+        // Posting date, plus the date the customer initiated it and the date funds became available
+        const posted = parseOFXDate(extractTag(trnBlock, 'DTPOSTED'));
+        const user = parseOFXDate(extractTag(trnBlock, 'DTUSER'));
+        const available = parseOFXDate(extractTag(trnBlock, 'DTAVAIL'));
 
         const transaction = {
-            type: extractTag(block, 'TRNTYPE') || 'OTHER',
-            date: parseOFXDate(extractTag(block, 'DTPOSTED')),
-            amount: parseFloat(extractTag(block, 'TRNAMT') || '0'),
-            fitId: extractTag(block, 'FITID'),
-            name: extractTag(block, 'NAME'),
-            memo: extractTag(block, 'MEMO'),
-            checkNumber: extractTag(block, 'CHECKNUM'),
-            refNumber: extractTag(block, 'REFNUM')
+            type: extractTag(trnBlock, 'TRNTYPE') || 'OTHER',
+            date: posted?.date || null,
+            postedAt: posted?.timestamp || null,
+            dateUser: user?.date || null,
+            userAt: user?.timestamp || null,
+            dateAvailable: available?.date || null,
+            availableAt: available?.timestamp || null,
+            amount: parseFloat(extractTag(trnBlock, 'TRNAMT') || '0'),
+            fitId: extractTag(trnBlock, 'FITID'),
+            name: extractTag(trnBlock, 'NAME'),
+            memo: extractTag(trnBlock, 'MEMO'),
+            checkNumber: extractTag(trnBlock, 'CHECKNUM'),
+            refNumber: extractTag(trnBlock, 'REFNUM')
         };
 
         // Build description from available fields
@@ -63,23 +189,59 @@ function parse(content) {
         transactions.push(transaction);
     }
 
-    // Also try to extract bank account info
-    const bankAcctInfo = {
-        bankId: extractTag(content, 'BANKID'),
-        acctId: extractTag(content, 'ACCTID'),
-        acctType: extractTag(content, 'ACCTTYPE')
+    return transactions;
+}
+
+/**
+ * Balance aggregate (LEDGERBAL or AVAILBAL)
+ * @returns {Object|null} { amount, asOf } - asOf as YYYY-MM-DD or ''
+ */
+function parseBalance(block, tagName) {
+    // SGML files may leave the aggregate unclosed; it then ends at the next aggregate
+    const pattern = new RegExp(`<${tagName}>([\\s\\S]*?)(</${tagName}>|<AVAILBAL>|<BALLIST>|<MKTGINFO>|</STMTRS>|</CCSTMTRS>|$)`, 'i');
+    const match = block.match(pattern);
+    if (!match) return null;
+
+    const amount = parseFloat(extractTag(match[1], 'BALAMT'));
+    if (isNaN(amount)) return null;
+
+    return { amount, asOf: toIsoDate(extractTag(match[1], 'DTASOF')) };
+}
+
+/**
+ * Flatten a statement into the account info used for account detection,
+ * the statement period and the reconciliation proof (same shape as the QIF parser)
+ * @param {Object} statement - One of parse().statements
+ * @returns {Object} { accountNumber, routingNumber, accountType, accountName,
+ *                     statementStart, statementEnd, ledgerBalance, availableBalance, currency }
+ */
+function toAccountInfo(statement) {
+    return {
+        ...statement.account,
+        statementStart: statement.period.start,
+        statementEnd: statement.period.end,
+        ledgerBalance: statement.balances.ledger?.amount ?? null,
+        availableBalance: statement.balances.available?.amount ?? null,
+        currency: statement.currency
     };
+}
 
-    // Extract statement date range
-    const dtStart = parseOFXDate(extractTag(content, 'DTSTART'));
-    const dtEnd = parseOFXDate(extractTag(content, 'DTEND'));
+/**
+ * Account info of the file's first statement
+ * @param {string} content - OFX file content as string
+ * @returns {Object|null} See toAccountInfo()
+ */
+function parseAccountInfo(content) {
+    const [statement] = parse(content).statements;
+    return statement ? toAccountInfo(statement) : null;
+}
 
-    console.log(`[OFX] Extracted ${transactions.length} transactions`);
-    if (dtStart && dtEnd) {
-        console.log(`[OFX] Date range: ${dtStart} to ${dtEnd}`);
-    }
+function toIsoDate(value) {
+    return parseOFXDate(value)?.date || '';
+}
 
-    return transactions;
+function maskAccount(accountNumber) {
+    return accountNumber ? `****${String(accountNumber).slice(-4)}` : '';
 }
 
 /**
@@ -92,7 +254,7 @@ function extractTag(block, tagName) {
     let match = block.match(closingPattern);
 
     if (match) {
-        return match[1].trim();
+        return decodeEntities(match[1].trim());
     }
 
     // Try without closing tag (SGML style)
@@ -100,30 +262,30 @@ function extractTag(block, tagName) {
     match = block.match(openPattern);
 
     if (match) {
-        return match[1].trim();
+        return decodeEntities(match[1].trim());
     }
 
     return '';
 }
 
 /**
- * Parse OFX date format
- * OFX dates are in format: YYYYMMDDHHMMSS or YYYYMMDD
- * Sometimes with timezone: YYYYMMDDHHMMSS[-5:EST]
+ * Parse an OFX date-time
+ * Format: YYYYMMDD[HHMMSS[.XXX]][offset:TZ], e.g. 20250105233000.000[-5:EST].
+ * The bracketed offset is honored; a time without one is GMT, as the spec
+ * says. A time of exactly midnight is how most banks write a date-only
+ * posting, so it is kept as a plain calendar date.
+ * @param {string} value - OFX date-time
+ * @returns {Object|null} { date, timestamp } - date is the calendar day as
+ *   written (YYYY-MM-DD); timestamp is the instant in ISO 8601 (UTC), or null
+ *   when the value carries no time of day
  */
-function parseOFXDate(dateStr) {
-    if (!dateStr) return null;
-
-    // Remove timezone info if present
-    const cleanDate = dateStr.split('[')[0].trim();
-
-    if (cleanDate.length < 8) return null;
-
-    const year = cleanDate.substring(0, 4);
-    const month = cleanDate.substring(4, 6);
-    const day = cleanDate.substring(6, 8);
+function parseOFXDate(value) {
+    const match = String(value || '').trim().match(
+        /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.(\d{1,3}))?)?\s*(?:\[\s*([+-]?\d{1,2}(?:\.\d+)?)\s*(?::[^\]]*)?\])?/
+    );
+    if (!match) return null;
 
-    // Validate
+    const [, year, month, day, hours, minutes, seconds = '00', millis = '0', offset] = match;
     const y = parseInt(year);
     const m = parseInt(month);
     const d = parseInt(day);
@@ -132,7 +294,16 @@ function parseOFXDate(dateStr) {
         return null;
     }
 
-    return `${month}/${day}/${year}`;
+    const date = `${year}-${month}-${day}`;
+    if (hours === undefined || `${hours}${minutes}${seconds}` === '000000') {
+        return { date, timestamp: null };
+    }
+
+    const offsetHours = offset === undefined ? 0 : parseFloat(offset);
+    const utc = Date.UTC(y, m - 1, d, parseInt(hours), parseInt(minutes), parseInt(seconds), parseInt(millis.padEnd(3, '0'))) -
+        offsetHours * 60 * 60 * 1000;
+
+    return { date, timestamp: new Date(utc).toISOString() };
 }
 
 /**
@@ -162,4 +333,4 @@ function getTransactionTypeDescription(type) {
     return types[type?.toUpperCase()] || type || 'Unknown';
 }
 
-module.exports = { parse, parseOFXDate, extractTag };
+module.exports = { parse, parseAccountInfo, toAccountInfo, parseOFXDate, extractTag };
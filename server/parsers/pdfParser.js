@@ -1,14 +1,53 @@
 const pdfParse = require('pdf-parse');
+const { findTemplate, findSection, isIgnoredRow } = require('./pdfTemplates');
+
+// Text pieces whose baselines are this close (PDF units) sit on one row
+const ROW_TOLERANCE = 3;
+
+// Pieces closer than this (or 1.5 characters) are one cell, e.g. "$" and "1,234.56"
+const CELL_GAP = 3;
+
+const MONTH_NUMBERS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Column headings of a bank statement transaction table, first match wins
+const COLUMN_HEADERS = [
+    { key: 'date', pattern: /\bdate\b/i },
+    { key: 'debit', pattern: /debit|withdrawal|paid out|money out|charges|checks paid/i },
+    { key: 'credit', pattern: /credit|deposit|paid in|money in/i },
+    { key: 'balance', pattern: /balance/i },
+    { key: 'amount', pattern: /^amount$/i },
+    { key: 'description', pattern: /description|details|transaction|payee|particulars|memo/i }
+];
+
+const AMOUNT_COLUMNS = ['debit', 'credit', 'amount', 'balance'];
+
+// Rows inside the table that are not transactions
+const SKIP_ROW_PATTERN = /^(page \d+|continued|(sub)?total|beginning balance|ending balance|opening balance|closing balance|balance (forward|brought forward|carried forward))\b/i;
+
+// 1,234.56 with an optional $, leading -/+, parentheses or trailing -, CR or DR
+const AMOUNT_PATTERN = /^(\()?([-+])?\s*\$?\s*(\d{1,3}(?:,\d{3})+|\d+)\.(\d{2})\s*(\))?\s*(-|CR|DR)?$/i;
 
 /**
  * Parse PDF file and extract transaction data
+ * Bank statements are read from the position of each piece of text, so
+ * separate Debit/Credit/Balance columns and descriptions wrapped over
+ * several lines come out right. Statements from a bank with a template
+ * (see pdfTemplates.js) are read with its sections and column positions;
+ * statements without a recognizable column header fall back to reading
+ * the text line by line.
  * @param {Buffer} buffer - PDF file buffer
  * @param {string} fileType - 'bank' or 'gl'
  * @returns {Promise<Array>} Parsed transactions
  */
 async function parse(buffer, fileType = 'bank') {
     try {
-        const data = await pdfParse(buffer);
+        const pages = [];
+        const data = await pdfParse(buffer, {
+            pagerender: (pageData) => renderPage(pageData, pages)
+        });
         const text = data.text;
         const lines = text.split('\n')
             .map(line => line.trim())
@@ -17,7 +56,21 @@ async function parse(buffer, fileType = 'bank') {
         console.log(`[PDF] Extracted ${lines.length} lines from PDF`);
 
         if (fileType === 'bank') {
-            return parseBankStatementPDF(lines);
+            const period = findStatementPeriod(lines);
+
+            const template = findTemplate(text);
+            if (template) {
+                console.log(`[PDF] Using statement template "${template.name}"`);
+                const transactions = parseTemplateLayout(pages, template, period);
+                if (transactions.length > 0) return transactions;
+                console.log(`[PDF] Template "${template.name}" found no transactions, using the generic reader`);
+            }
+
+            const transactions = parseBankStatementLayout(pages, period);
+            if (transactions.length > 0) return transactions;
+
+            console.log('[PDF] No transaction table header found, reading text lines');
+            return parseBankStatementPDF(lines, period);
         }
 
         return parseGLReportPDF(lines);
@@ -28,73 +81,538 @@ async function parse(buffer, fileType = 'bank') {
 }
 
 /**
- * Parse bank statement PDF
+ * Keep each page's positioned text pieces, and return its text for the line-based parsers
  */
-function parseBankStatementPDF(lines) {
-    const transactions = [];
+async function renderPage(pageData, pages) {
+    const content = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    });
+
+    const pieces = content.items.map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || 0
+    }));
+    pages.push(pieces);
+
+    return buildRows(pieces).map(row => row.text).join('\n');
+}
+
+/**
+ * Group text pieces into rows (top to bottom) of cells (left to right)
+ * @param {Array} pieces - { text, x, y, width } in PDF units (y grows upwards)
+ * @returns {Array} [{ y, cells: [{ text, left, right, center }], text }]
+ */
+function buildRows(pieces) {
+    const sorted = pieces
+        .filter(piece => piece.text && piece.text.trim())
+        .sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+    const rows = [];
+    sorted.forEach(piece => {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(row.y - piece.y) <= ROW_TOLERANCE) {
+            row.pieces.push(piece);
+        } else {
+            rows.push({ y: piece.y, pieces: [piece] });
+        }
+    });
+
+    return rows.map(row => {
+        const cells = [];
+        row.pieces.sort((a, b) => a.x - b.x).forEach(piece => {
+            const text = piece.text.trim();
+            const cell = cells[cells.length - 1];
+            const charWidth = piece.width / Math.max(piece.text.length, 1);
+            const gap = cell ? piece.x - cell.right : Infinity;
+
+            if (cell && gap <= Math.max(CELL_GAP, charWidth * 1.5)) {
+                cell.text += (gap > 0.5 || /\s$/.test(cell.raw) || /^\s/.test(piece.text) ? ' ' : '') + text;
+                cell.raw = piece.text;
+                cell.right = Math.max(cell.right, piece.x + piece.width);
+            } else {
+                cells.push({ text, raw: piece.text, left: piece.x, right: piece.x + piece.width });
+            }
+        });
+
+        cells.forEach(cell => {
+            cell.center = (cell.left + cell.right) / 2;
+            delete cell.raw;
+        });
+
+        return { y: row.y, cells, text: cells.map(cell => cell.text).join(' ') };
+    });
+}
+
+/**
+ * Column positions from a transaction table header row
+ * @returns {Object|null} key -> { left, right, center }; null unless the row
+ *                        has a date column and at least one amount column
+ */
+function detectColumns(row) {
+    if (row.cells.length < 3) return null;
+
+    const columns = {};
+    row.cells.forEach(cell => {
+        if (cell.text.length > 40) return;
+        const header = COLUMN_HEADERS.find(({ key, pattern }) => !columns[key] && pattern.test(cell.text));
+        if (header) {
+            columns[header.key] = { left: cell.left, right: cell.right, center: cell.center };
+        }
+    });
+
+    const hasAmounts = AMOUNT_COLUMNS.some(key => columns[key] && key !== 'balance') ||
+        (columns.balance && Object.keys(columns).length > 2);
+    return columns.date && hasAmounts ? columns : null;
+}
+
+/**
+ * Amount column a number belongs to, by its alignment with the column headings
+ */
+function findAmountColumn(cell, columns) {
+    let best = null;
+    AMOUNT_COLUMNS.forEach(key => {
+        const column = columns[key];
+        if (!column) return;
+        const distance = Math.min(
+            Math.abs(cell.right - column.right),
+            Math.abs(cell.center - column.center),
+            Math.abs(cell.left - column.left)
+        );
+        if (!best || distance < best.distance) best = { key, distance };
+    });
+    return best?.key || null;
+}
+
+/**
+ * Parse an amount token
+ * 123.45- and (123.45) are negative, CR/DR say which way the money moved
+ * @returns {Object|null} { value, negative, marker, signed }
+ */
+function parseAmountToken(text) {
+    const match = String(text).trim().match(AMOUNT_PATTERN);
+    if (!match) return null;
 
-    // Common date patterns
-    const datePatterns = [
-        /(\d{1,2}\/\d{1,2}\/\d{2,4})/,           // MM/DD/YYYY or M/D/YY
-        /(\d{1,2}-\d{1,2}-\d{2,4})/,             // MM-DD-YYYY
-        /(\d{4}-\d{2}-\d{2})/,                   // YYYY-MM-DD
-        /(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{1,2},?\s+\d{4}/i  // Month DD, YYYY
+    const [, openParen, sign, whole, cents, closeParen, suffix] = match;
+    const marker = suffix && suffix !== '-' ? suffix.toUpperCase() : null;
+    const negative = sign === '-' || suffix === '-' || Boolean(openParen && closeParen) || marker === 'DR';
+
+    return {
+        value: parseFloat(`${whole.replace(/,/g, '')}.${cents}`),
+        negative,
+        marker,
+        signed: negative || sign === '+' || marker === 'CR'
+    };
+}
+
+/**
+ * Parse a date at the start of a cell; dates without a year take it from
+ * the statement period
+ * @param {string} dateOrder - 'MDY' or 'DMY', for numeric dates
+ * @returns {Object|null} { date: MM/DD/YYYY, rest } - rest is the text after the date
+ */
+function parseDateToken(text, period, dateOrder = 'MDY') {
+    const value = String(text).trim();
+    const dayFirst = dateOrder === 'DMY';
+    const patterns = [
+        { pattern: /^(\d{4})-(\d{2})-(\d{2})\b/, parts: m => [m[2], m[3], m[1]] },
+        { pattern: /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})\b/, parts: m => dayFirst ? [m[2], m[1], m[3]] : [m[1], m[2], m[3]] },
+        { pattern: /^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})\b/, parts: m => [MONTH_NUMBERS[m[1].toLowerCase()], m[2], m[3]] },
+        { pattern: /^(\d{1,2})[\/\-](\d{1,2})(?![\/\-\d.,])/, parts: m => dayFirst ? [m[2], m[1], null] : [m[1], m[2], null] },
+        { pattern: /^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2})\b(?!,?\s*\d{4})/, parts: m => [MONTH_NUMBERS[m[1].toLowerCase()], m[2], null] }
     ];
 
-    // Amount pattern - matches currency amounts
-    const amountPattern = /\$?\s*([\d,]+\.?\d*)/g;
+    for (const { pattern, parts } of patterns) {
+        const match = value.match(pattern);
+        if (!match) continue;
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
+        const [monthPart, dayPart, yearPart] = parts(match);
+        const month = parseInt(monthPart);
+        const day = parseInt(dayPart);
+        if (!month || month > 12 || !day || day > 31) continue;
 
-        // Try to find a date in the line
-        let date = null;
-        for (const pattern of datePatterns) {
-            const dateMatch = line.match(pattern);
-            if (dateMatch) {
-                date = normalizeDate(dateMatch[0]);
-                break;
+        let year = yearPart ? parseInt(yearPart) : getPeriodYear(month, period);
+        if (year < 100) year += 2000;
+
+        return {
+            date: `${String(month).padStart(2, '0')}/${String(day).padStart(2, '0')}/${year}`,
+            rest: value.substring(match[0].length).trim()
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Year of a year-less date: the statement period's, or for periods running
+ * over the new year, the start year for months from the start month on
+ */
+function getPeriodYear(month, period) {
+    if (!period) return new Date().getFullYear();
+    if (period.start.year === period.end.year) return period.end.year;
+    return month >= period.start.month ? period.start.year : period.end.year;
+}
+
+/**
+ * Statement period from the first line holding two full dates
+ * ("Statement Period 12/01/2025 - 12/31/2025", "December 1, 2025 through December 31, 2025")
+ * @returns {Object|null} { start: { year, month, day }, end: { year, month, day } }
+ */
+function findStatementPeriod(lines) {
+    const fullDate = /(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})|([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})/g;
+
+    for (const line of lines) {
+        if (!/period|through|thru|\bto\b|\bfrom\b|\s-\s/i.test(line)) continue;
+
+        const dates = [...line.matchAll(fullDate)].map(m => {
+            const month = m[1] ? parseInt(m[1]) : MONTH_NUMBERS[m[4].toLowerCase()];
+            const day = parseInt(m[2] || m[5]);
+            let year = parseInt(m[3] || m[6]);
+            if (year < 100) year += 2000;
+            return month && month <= 12 ? { year, month, day } : null;
+        }).filter(Boolean);
+
+        if (dates.length >= 2) {
+            console.log(`[PDF] Statement period ${dates[0].month}/${dates[0].day}/${dates[0].year} - ${dates[1].month}/${dates[1].day}/${dates[1].year}`);
+            return { start: dates[0], end: dates[1] };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Parse bank statement pages from text positions
+ * A row starting with a date opens a transaction; rows below it with text
+ * in the description column and no date continue its description. Amounts
+ * go to the Debit/Credit/Amount/Balance column they line up with.
+ * @param {Array} pages - Per page, the text pieces { text, x, y, width }
+ * @param {Object|null} period - Statement period, for dates without a year
+ * @returns {Array} Transactions { date, description, amount, amountDebit, amountCredit, isDebit, balance, rawLine }
+ */
+function parseBankStatementLayout(pages, period = null) {
+    const rowsFound = [];
+    let columns = null;
+
+    pages.forEach(pieces => {
+        let current = null;
+        let lastDate = null;
+
+        buildRows(pieces).forEach(row => {
+            const header = detectColumns(row);
+            if (header) {
+                columns = header;
+                current = null;
+                return;
+            }
+            if (!columns) return;
+
+            const descriptionLeft = columns.description?.left ?? columns.date.right;
+            const parsed = readRow(row, columns, period);
+
+            if (SKIP_ROW_PATTERN.test(parsed.description) || SKIP_ROW_PATTERN.test(row.text)) {
+                current = null;
+                return;
+            }
+
+            const hasAmount = parsed.amounts.debit || parsed.amounts.credit || parsed.amounts.amount;
+
+            if (parsed.date || (hasAmount && !(current && !current.hasAmount))) {
+                // Statements that print the date once per day leave it off the day's other rows
+                const date = parsed.date || lastDate;
+                if (!date) return;
+
+                current = { date, descriptions: [], amounts: {}, hasAmount: false, lines: [] };
+                rowsFound.push(current);
+                lastDate = date;
+            } else if (!current) {
+                return;
+            } else if (!hasAmount && (!parsed.description || row.cells[0].left < descriptionLeft - ROW_TOLERANCE)) {
+                // Text starting left of the description column is a page footer, not a wrapped line
+                return;
+            }
+
+            if (parsed.description) current.descriptions.push(parsed.description);
+            Object.entries(parsed.amounts).forEach(([key, amount]) => {
+                if (!current.amounts[key]) current.amounts[key] = amount;
+            });
+            current.hasAmount = current.hasAmount || Boolean(hasAmount);
+            current.lines.push(row.text);
+        });
+    });
+
+    if (!columns) return [];
+
+    const transactions = toTransactions(rowsFound.filter(row => row.hasAmount));
+    console.log(`[PDF] Extracted ${transactions.length} bank transactions from the column layout`);
+    return transactions;
+}
+
+/**
+ * Split a row into its date, description text and column amounts
+ */
+function readRow(row, columns, period) {
+    const descriptionLeft = columns.description?.left ?? columns.date.right;
+    const amounts = {};
+    const text = [];
+    let date = null;
+
+    row.cells.forEach((cell, idx) => {
+        if (idx === 0 && cell.left < descriptionLeft) {
+            const parsedDate = parseDateToken(cell.text, period);
+            if (parsedDate) {
+                date = parsedDate.date;
+                if (parsedDate.rest) text.push(parsedDate.rest);
+                return;
             }
         }
 
-        // If we found a date, try to extract transaction data
-        if (date) {
-            const amounts = [];
-            let match;
-            const tempPattern = /\$?\s*([\d,]+\.\d{2})/g;
+        const amount = cell.left >= descriptionLeft ? parseAmountToken(cell.text) : null;
+        const column = amount ? findAmountColumn(cell, columns) : null;
+        if (column && !amounts[column]) {
+            amounts[column] = amount;
+            return;
+        }
 
-            while ((match = tempPattern.exec(line)) !== null) {
-                const amount = parseFloat(match[1].replace(/,/g, ''));
-                if (!isNaN(amount) && amount > 0) {
-                    amounts.push(amount);
-                }
+        text.push(cell.text);
+    });
+
+    return { date, amounts, description: text.join(' ').replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Parse bank statement pages with the bank's template
+ * Rows below a section heading are read with the section's column sets
+ * (several when tables are printed side by side, as check listings often
+ * are) and move money the section's way. When the template lists sections,
+ * rows outside them are skipped. A row with only description text
+ * continues the transaction above it.
+ * @param {Array} pages - Per page, the text pieces { text, x, y, width }
+ * @param {Object} template - Loaded template (see pdfTemplates.js)
+ * @param {Object|null} period - Statement period, for dates without a year
+ * @returns {Array} Transactions, as parseBankStatementLayout, plus checkNumber for checks
+ */
+function parseTemplateLayout(pages, template, period = null) {
+    const rowsFound = [];
+    let section = template.sections.length > 0
+        ? null
+        : { title: '', direction: null, skip: false, columns: [template.columns] };
+
+    pages.forEach(pieces => {
+        let current = null;
+        let lastDate = null;
+
+        buildRows(pieces).forEach(row => {
+            const heading = findSection(row.text, template);
+            if (heading) {
+                section = heading;
+                current = null;
+                return;
             }
+            if (!section || section.skip) return;
 
-            if (amounts.length > 0) {
-                // Extract description (text between date and first amount)
-                const dateIdx = line.search(/\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}/);
-                const amountIdx = line.search(/\$?\s*[\d,]+\.\d{2}/);
+            if (SKIP_ROW_PATTERN.test(row.text) || isIgnoredRow(row.text, template) || detectColumns(row)) {
+                current = null;
+                return;
+            }
 
-                let description = '';
-                if (dateIdx >= 0 && amountIdx > dateIdx) {
-                    description = line.substring(dateIdx + 10, amountIdx).trim();
+            const entries = section.columns.map(columns => readTemplateRow(row, columns, template, period));
+            const found = entries.filter(entry => entry.amounts.debit || entry.amounts.credit || entry.amounts.amount);
+
+            if (found.length === 0) {
+                const [entry] = entries;
+                if (current && section.columns.length === 1 && !entry.date && entry.description) {
+                    current.descriptions.push(entry.description);
+                    current.lines.push(row.text);
+                } else {
+                    current = null;
                 }
+                return;
+            }
 
-                // Clean up description
-                description = description
-                    .replace(/^\s*[-:]\s*/, '')
-                    .replace(/\s+/g, ' ')
-                    .trim();
+            found.forEach(entry => {
+                // Statements that print the date once per day leave it off the day's other rows
+                const date = entry.date || lastDate;
+                if (!date) return;
+                lastDate = date;
 
-                transactions.push({
+                current = {
                     date,
-                    description: description || 'Transaction',
-                    amount: amounts[amounts.length - 1], // Usually the last amount is the transaction amount
-                    balance: amounts.length > 1 ? amounts[0] : null,
-                    rawLine: line
-                });
+                    descriptions: [entry.description || (entry.checkNumber ? `Check ${entry.checkNumber}` : '')],
+                    amounts: entry.amounts,
+                    hasAmount: true,
+                    lines: [row.text],
+                    checkNumber: entry.checkNumber,
+                    isDebit: getTemplateDirection(entry.amounts, section, template)
+                };
+                rowsFound.push(current);
+            });
+        });
+    });
+
+    const transactions = toTransactions(rowsFound);
+    console.log(`[PDF] Extracted ${transactions.length} bank transactions with template "${template.name}"`);
+    return transactions;
+}
+
+/**
+ * Read the cells of a row that fall in one of a template's column sets
+ * A cell belongs to the column its center is in; a date run together with
+ * the text after it is still read as the date.
+ * @returns {Object} { date, checkNumber, amounts, description }
+ */
+function readTemplateRow(row, columns, template, period) {
+    const amounts = {};
+    const text = [];
+    let date = null;
+    let checkNumber = '';
+
+    row.cells.forEach(cell => {
+        if (!date && columns.date && cell.left >= columns.date[0] && cell.left < columns.date[1]) {
+            const parsedDate = parseDateToken(cell.text, period, template.dateOrder);
+            if (parsedDate) {
+                date = parsedDate.date;
+                if (parsedDate.rest) text.push(parsedDate.rest);
+                return;
+            }
+        }
+
+        const key = Object.keys(columns).find(column =>
+            cell.center >= columns[column][0] && cell.center < columns[column][1]
+        );
+
+        if (key === 'description') {
+            text.push(cell.text);
+        } else if (key === 'checkNumber') {
+            // A mark after the number (1234*) flags a break in the check sequence
+            checkNumber = checkNumber || cell.text.replace(/\D/g, '');
+        } else if (AMOUNT_COLUMNS.includes(key) && !amounts[key]) {
+            const amount = parseAmountToken(cell.text);
+            if (amount) amounts[key] = amount;
+        }
+    });
+
+    return { date, checkNumber, amounts, description: text.join(' ').replace(/\s+/g, ' ').trim() };
+}
+
+/**
+ * Direction of a template row: the section's, then the Debit/Credit column
+ * it sits in, then its CR/DR marker, then its sign read by the template's
+ * sign convention
+ * @returns {boolean|undefined} true for money out; undefined leaves it to the running balance
+ */
+function getTemplateDirection(amounts, section, template) {
+    if (section.direction) return section.direction === 'debit';
+    if (amounts.debit) return true;
+    if (amounts.credit) return amounts.credit.negative;
+
+    const { amount } = amounts;
+    if (amount.marker) return amount.marker === 'DR';
+    // Card-style statements print payments and refunds negative and charges unsigned
+    if (template.signs === 'minusIsCredit') return !amount.negative;
+    return amount.signed ? amount.negative : undefined;
+}
+
+/**
+ * Turn collected rows into transactions with the money's direction
+ * Rows whose direction is already known (template sections) keep it;
+ * unsigned amounts in a single Amount column take their direction from
+ * the running balance when there is one.
+ */
+function toTransactions(rows) {
+    let previousBalance = null;
+
+    return rows.map(row => {
+        const { debit, credit, amount, balance } = row.amounts;
+        const balanceValue = balance ? (balance.negative ? -balance.value : balance.value) : null;
+        const value = (debit || credit || amount).value;
+
+        let isDebit = row.isDebit;
+        if (isDebit === undefined) {
+            if (debit || credit) {
+                isDebit = debit ? true : credit.negative;
+            } else if (amount.signed) {
+                isDebit = amount.negative;
+            } else if (balanceValue !== null && previousBalance !== null) {
+                isDebit = balanceValue < previousBalance;
+            }
+        }
+
+        if (balanceValue !== null) previousBalance = balanceValue;
+
+        return {
+            date: row.date,
+            description: row.descriptions.join(' ').replace(/\s+/g, ' ').trim() || 'Transaction',
+            amount: value,
+            amountDebit: isDebit === true ? value : 0,
+            amountCredit: isDebit === false ? value : 0,
+            isDebit,
+            balance: balanceValue,
+            ...(row.checkNumber && { checkNumber: row.checkNumber }),
+            rawLine: row.lines.join(' | ')
+        };
+    });
+}
+
+/**
+ * Parse bank statement PDF text line by line
+ * Used when no transaction table header is found. A line needs a date and
+ * an amount; with two or more amounts the last is the running balance.
+ * Lines without either that follow a transaction continue its description.
+ */
+function parseBankStatementPDF(lines, period = null) {
+    const transactions = [];
+    const amountToken = /\(?[-+]?\$?\s*(?:\d{1,3}(?:,\d{3})+|\d+)\.\d{2}\)?(?:\s?(?:-|CR|DR)(?![A-Za-z]))?/gi;
+    let current = null;
+    let previousBalance = null;
+
+    for (const line of lines) {
+        const parsedDate = parseDateToken(line, period);
+        const rest = parsedDate ? parsedDate.rest : line;
+        const tokens = [...rest.matchAll(amountToken)];
+        const amounts = tokens.map(match => parseAmountToken(match[0].replace(/\s+(?=-|CR|DR)/i, ''))).filter(Boolean);
+
+        if (!parsedDate || amounts.length === 0) {
+            // Wrapped description under the last transaction
+            if (current && amounts.length === 0 && !parsedDate && !SKIP_ROW_PATTERN.test(line)) {
+                current.description = `${current.description} ${line}`.replace(/\s+/g, ' ').trim();
+                current.rawLine += ` | ${line}`;
+            } else {
+                current = null;
             }
+            continue;
         }
+
+        const transaction = amounts.length > 1 ? amounts[amounts.length - 2] : amounts[0];
+        const balance = amounts.length > 1 ? amounts[amounts.length - 1] : null;
+        const balanceValue = balance ? (balance.negative ? -balance.value : balance.value) : null;
+
+        // Unsigned amounts take their direction from the running balance
+        let isDebit = transaction.signed ? transaction.negative : undefined;
+        if (isDebit === undefined && balanceValue !== null && previousBalance !== null) {
+            isDebit = balanceValue < previousBalance;
+        }
+        if (balanceValue !== null) previousBalance = balanceValue;
+
+        // Description = text between the date and the first amount
+        const description = rest.substring(0, tokens[0].index)
+            .replace(/^\s*[-:]\s*/, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        current = {
+            date: parsedDate.date,
+            description: description || 'Transaction',
+            amount: transaction.value,
+            amountDebit: isDebit === true ? transaction.value : 0,
+            amountCredit: isDebit === false ? transaction.value : 0,
+            isDebit,
+            balance: balanceValue,
+            rawLine: line
+        };
+        transactions.push(current);
     }
 
     console.log(`[PDF] Extracted ${transactions.length} bank transactions`);
@@ -164,33 +682,4 @@ function parseGLReportPDF(lines) {
     return entries;
 }
 
-/**
- * Normalize date string to MM/DD/YYYY format
- */
-function normalizeDate(dateStr) {
-    // Handle Month DD, YYYY format
-    const monthNames = {
-        'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
-        'may': '05', 'jun': '06', 'jul': '07', 'aug': '08',
-        'sep': '09', 'oct': '10', 'nov': '11', 'dec': '12'
-    };
-
-    const monthMatch = dateStr.match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+(\d{1,2}),?\s+(\d{4})/i);
-    if (monthMatch) {
-        const month = monthNames[monthMatch[1].toLowerCase()];
-        const day = monthMatch[2].padStart(2, '0');
-        const year = monthMatch[3];
-        return `${month}/${day}/${year}`;
-    }
-
-    // Handle YYYY-MM-DD
-    const isoMatch = dateStr.match(/(\d{4})-(\d{2})-(\d{2})/);
-    if (isoMatch) {
-        return `${isoMatch[2]}/${isoMatch[3]}/${isoMatch[1]}`;
-    }
-
-    // Handle MM-DD-YYYY (convert dashes to slashes)
-    return dateStr.replace(/-/g, '/');
-}
-
-module.exports = { parse };
+module.exports = { parse, parseBankStatementLayout, parseTemplateLayout, parseAmountToken, parseDateToken };
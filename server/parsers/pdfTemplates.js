@@ -0,0 +1,251 @@
+/**
+ * PDF Statement Templates
+ * The generic PDF reader guesses columns from the table header. Banks whose
+ * statements it cannot read get a template: a JSON file saying how to spot
+ * the bank, where each section of the statement starts and which way its
+ * money moves, where the columns sit and how amounts are signed. Templates
+ * for real banks ship in server/parsers/templates/; a town adds its own
+ * banks by dropping files into PDF_TEMPLATES_DIR (a template there replaces
+ * a built-in one with the same id). docs/examples/ has a worked example.
+ * Files are read once, on first use.
+ *
+ * Template shape:
+ *   {
+ *     id, name,
+ *     detect: ['First National Bank of Springfield'],  // all must appear in the statement text
+ *     columns: { date: [0, 70], description: [70, 400], amount: [400, 490], balance: [490, 612] },
+ *     sections: [{ title: 'Checks Paid', direction: 'debit', columns: [{ ... }, { ... }] },
+ *                { title: 'Daily Balance Summary', skip: true }],
+ *     signs: 'minusIsDebit' | 'minusIsCredit',
+ *     dateOrder: 'MDY' | 'DMY',
+ *     ignore: ['Total Checks Paid']
+ *   }
+ * Column ranges are [from, to] in PDF units (72 per inch) from the left edge
+ * of the page; a cell belongs to the column its center falls in. A section
+ * may list several column sets for tables printed side by side on one row.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+
+const COLUMN_KEYS = ['date', 'checkNumber', 'description', 'amount', 'debit', 'credit', 'balance'];
+const DIRECTIONS = ['credit', 'debit'];
+const SIGN_CONVENTIONS = ['minusIsDebit', 'minusIsCredit'];
+const DATE_ORDERS = ['MDY', 'DMY'];
+
+let cachedTemplates = null;
+
+/**
+ * Validate a set of column ranges
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateColumns(columns, label) {
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+        return `${label} must be an object`;
+    }
+
+    for (const [key, range] of Object.entries(columns)) {
+        if (!COLUMN_KEYS.includes(key)) {
+            return `${label}.${key} is not a column (${COLUMN_KEYS.join(', ')})`;
+        }
+        if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] >= range[1]) {
+            return `${label}.${key} must be [from, to] with from < to`;
+        }
+    }
+
+    if (!columns.date) {
+        return `${label} needs a date column`;
+    }
+    if (!columns.amount && !columns.debit && !columns.credit) {
+        return `${label} needs an amount, debit or credit column`;
+    }
+
+    return null;
+}
+
+/**
+ * Validate a template read from disk
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return 'Template must be an object';
+    }
+    if (!String(template.id || '').trim()) {
+        return 'id is required';
+    }
+    if (!Array.isArray(template.detect) || template.detect.length === 0 ||
+        !template.detect.every(text => typeof text === 'string' && text.trim())) {
+        return 'detect must list the header text that identifies the bank';
+    }
+
+    const columnsError = validateColumns(template.columns, 'columns');
+    if (columnsError) return columnsError;
+
+    if (template.sections !== undefined) {
+        if (!Array.isArray(template.sections)) {
+            return 'sections must be an array';
+        }
+
+        for (const [idx, section] of template.sections.entries()) {
+            const label = `sections[${idx}]`;
+            if (!section || !String(section.title || '').trim()) {
+                return `${label}.title is required`;
+            }
+            if (section.direction !== undefined && !DIRECTIONS.includes(section.direction)) {
+                return `${label}.direction must be one of: ${DIRECTIONS.join(', ')}`;
+            }
+            if (section.columns !== undefined) {
+                const groups = Array.isArray(section.columns) ? section.columns : [section.columns];
+                if (groups.length === 0) {
+                    return `${label}.columns must not be empty`;
+                }
+                for (const [groupIdx, columns] of groups.entries()) {
+                    const error = validateColumns(columns, `${label}.columns[${groupIdx}]`);
+                    if (error) return error;
+                }
+            }
+        }
+    }
+
+    if (template.signs !== undefined && !SIGN_CONVENTIONS.includes(template.signs)) {
+        return `signs must be one of: ${SIGN_CONVENTIONS.join(', ')}`;
+    }
+    if (template.dateOrder !== undefined && !DATE_ORDERS.includes(template.dateOrder)) {
+        return `dateOrder must be one of: ${DATE_ORDERS.join(', ')}`;
+    }
+    if (template.ignore !== undefined &&
+        (!Array.isArray(template.ignore) || !template.ignore.every(text => typeof text === 'string'))) {
+        return 'ignore must be an array of strings';
+    }
+
+    return null;
+}
+
+/**
+ * Fill in defaults; every section's columns become a list of column sets
+ */
+function normalizeTemplate(template, source) {
+    return {
+        id: String(template.id).trim(),
+        name: String(template.name || template.id).trim(),
+        detect: template.detect.map(text => text.trim()),
+        columns: template.columns,
+        sections: (template.sections || []).map(section => ({
+            title: section.title.trim(),
+            direction: section.direction || null,
+            skip: section.skip === true,
+            columns: section.columns === undefined
+                ? [template.columns]
+                : (Array.isArray(section.columns) ? section.columns : [section.columns])
+        })),
+        signs: template.signs || 'minusIsDebit',
+        dateOrder: template.dateOrder || 'MDY',
+        ignore: (template.ignore || []).map(text => text.trim()).filter(Boolean),
+        source
+    };
+}
+
+/**
+ * Read every *.json template in a directory
+ * Files that cannot be read or fail validation are logged and skipped.
+ * @returns {Array} Normalized templates, in file name order
+ */
+function loadTemplateDir(dir) {
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.toLowerCase().endsWith('.json')).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`[PDF] Cannot read template directory ${dir}:`, error.message);
+        }
+        return [];
+    }
+
+    return files.flatMap(file => {
+        const source = path.join(dir, file);
+        try {
+            const template = JSON.parse(fs.readFileSync(source, 'utf8'));
+            const error = validateTemplate(template);
+            if (error) {
+                console.error(`[PDF] Skipping template ${source}: ${error}`);
+                return [];
+            }
+            return [normalizeTemplate(template, source)];
+        } catch (error) {
+            console.error(`[PDF] Skipping template ${source}:`, error.message);
+            return [];
+        }
+    });
+}
+
+/**
+ * Built-in templates plus those in PDF_TEMPLATES_DIR
+ * @returns {Array} Normalized templates
+ */
+function getTemplates() {
+    if (cachedTemplates) return cachedTemplates;
+
+    const byId = new Map();
+    const dirs = [BUILT_IN_DIR];
+    if (process.env.PDF_TEMPLATES_DIR) {
+        dirs.push(path.resolve(process.env.PDF_TEMPLATES_DIR));
+    }
+
+    dirs.forEach(dir => {
+        loadTemplateDir(dir).forEach(template => byId.set(template.id, template));
+    });
+
+    cachedTemplates = [...byId.values()];
+    console.log(`[PDF] Loaded ${cachedTemplates.length} statement template(s)`);
+    return cachedTemplates;
+}
+
+/**
+ * First template whose detect text all appears in the statement
+ * @param {string} text - Statement text
+ * @param {Array} templates - Defaults to the loaded templates
+ * @returns {Object|null} Template
+ */
+function findTemplate(text, templates = getTemplates()) {
+    const haystack = normalizeText(text);
+    return templates.find(template =>
+        template.detect.every(needle => haystack.includes(normalizeText(needle)))
+    ) || null;
+}
+
+/**
+ * Section a row heading opens, matched on the start of the row's text
+ * ("Checks Paid (continued)" still opens Checks Paid)
+ * @returns {Object|null} Section
+ */
+function findSection(rowText, template) {
+    const text = normalizeText(rowText);
+    return template.sections.find(section => text.startsWith(normalizeText(section.title))) || null;
+}
+
+/**
+ * Whether a row is one of the template's ignored lines (section totals and the like)
+ */
+function isIgnoredRow(rowText, template) {
+    const text = normalizeText(rowText);
+    return template.ignore.some(ignored => text.startsWith(normalizeText(ignored)));
+}
+
+function normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+module.exports = {
+    getTemplates,
+    loadTemplateDir,
+    findTemplate,
+    findSection,
+    isIgnoredRow,
+    validateTemplate,
+    COLUMN_KEYS,
+    SIGN_CONVENTIONS,
+    DATE_ORDERS
+};
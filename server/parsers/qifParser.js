@@ -1,187 +1,553 @@
 /**
  * QIF (Quicken Interchange Format) Parser
  * Parses line-based QIF format used by Quicken and many financial applications
+ *
+ * A file can hold several accounts: each !Account block names the account the
+ * following !Type: section belongs to, and the account list between
+ * !Option:AutoSwitch and !Clear:AutoSwitch only lists them. Every account's
+ * transactions are returned as a separate statement, in the same shape as the
+ * OFX parser's statements.
  */
 
+// How ambiguous dates such as 01/02/25 are read (the dateParsing setting)
+const DATE_ORDERS = ['MDY', 'DMY', 'YMD'];
+
+// Sections that list categories, classes, securities or prices - not transactions
+const LIST_TYPES = ['cat', 'class', 'memorized', 'prices', 'security'];
+
+// Investment actions that move cash into or out of the investment account.
+// Actions ending in X move the cash through another account (L), and share
+// transfers, reinvestments and splits move no cash at all.
+const INVESTMENT_CASH_IN = ['Sell', 'Div', 'IntInc', 'CGLong', 'CGMid', 'CGShort', 'MiscInc', 'RtrnCap', 'XIn'];
+const INVESTMENT_CASH_OUT = ['Buy', 'MiscExp', 'MargInt', 'XOut'];
+
 /**
  * Parse QIF content
  * @param {string} content - QIF file content as string
- * @returns {Array} Parsed transactions
+ * @param {Object} options - { dateOrder: MDY, DMY or YMD (default MDY) }
+ * @returns {Object} { statements: [{ account, period, balances, currency, transactions }], warnings }
  */
-function parse(content) {
-    const transactions = [];
+function parse(content, options = {}) {
     const lines = content.split(/\r?\n/);
-
-    console.log('[QIF] Parsing QIF content');
-
+    const dateOptions = {
+        dateOrder: options.dateOrder,
+        referenceYear: getReferenceYear(lines, options.dateOrder)
+    };
+
+    console.log(`[QIF] Parsing QIF content (${DATE_ORDERS.includes(options.dateOrder) ? options.dateOrder : 'MDY'} dates)`);
+
+    const statements = [];
+    const skipped = new Map(); // statement -> investment transactions without a cash movement
+    let mode = 'transactions'; // transactions, account (!Account block) or list
+    let autoSwitch = false; // Inside the account list of a multi-account export
+    let sectionType = 'Bank'; // Default account type
+    let currentAccount = null;
+    let statement = null;
     let current = {};
-    let accountType = 'Bank'; // Default account type
+
+    const getStatement = () => {
+        const name = currentAccount?.name || '';
+        let found = statements.find(s => s.account.accountName === name && s.account.accountType === sectionType);
+        if (!found) {
+            found = createStatement(currentAccount, sectionType, dateOptions);
+            statements.push(found);
+        }
+        return found;
+    };
 
     for (const line of lines) {
-        if (line.length === 0) continue;
+        if (line.trim().length === 0) continue;
 
         const code = line.charAt(0);
         const value = line.substring(1).trim();
 
-        switch (code) {
-            case '!':
-                // Account type header
-                if (value.startsWith('Type:')) {
-                    accountType = value.substring(5).trim();
+        if (code === '!') {
+            const header = value.toLowerCase();
+            current = {};
+
+            if (header === 'option:autoswitch') {
+                autoSwitch = true;
+                mode = null;
+            } else if (header === 'clear:autoswitch') {
+                autoSwitch = false;
+                mode = null;
+            } else if (header === 'account') {
+                mode = 'account';
+            } else if (header.startsWith('type:')) {
+                const type = value.substring(5).trim();
+                mode = LIST_TYPES.includes(type.toLowerCase()) ? 'list' : 'transactions';
+                if (mode === 'transactions') {
+                    sectionType = type;
+                    statement = getStatement();
                 }
-                break;
+            } else {
+                mode = null;
+            }
+            continue;
+        }
+
+        if (mode === 'account') {
+            if (code === '^') {
+                // The AutoSwitch list only names the accounts; outside it the block selects one
+                if (!autoSwitch) currentAccount = current;
+                current = {};
+            } else {
+                readAccountLine(current, code, value);
+            }
+            continue;
+        }
+
+        if (mode !== 'transactions') continue;
 
-            case 'D':
-                // Date
-                current.date = parseQIFDate(value);
-                break;
+        const investment = sectionType.toLowerCase() === 'invst';
 
-            case 'T':
-                // Amount (main transaction amount)
+        if (code !== '^') {
+            if (investment) {
+                readInvestmentLine(current, code, value, dateOptions);
+            } else {
+                readTransactionLine(current, code, value, dateOptions);
+            }
+            continue;
+        }
+
+        // End of transaction
+        if (current.date || current.amount !== undefined) {
+            statement = statement || getStatement();
+            const transaction = investment
+                ? buildInvestmentTransaction(current, sectionType)
+                : buildTransaction(current, sectionType);
+
+            if (transaction) {
+                statement.transactions.push(transaction);
+            } else {
+                skipped.set(statement, (skipped.get(statement) || 0) + 1);
+            }
+        }
+        current = {};
+    }
+
+    const warnings = [];
+    skipped.forEach((count, skippedFrom) => {
+        const name = skippedFrom.account.accountName ? ` "${skippedFrom.account.accountName}"` : '';
+        warnings.push(`Investment account${name}: ${count} transaction(s) without a cash movement ` +
+            '(share transfers, reinvestments, transfers through another account) were skipped');
+    });
+
+    const withTransactions = statements.filter(s => s.transactions.length > 0);
+    const total = withTransactions.reduce((sum, s) => sum + s.transactions.length, 0);
+    console.log(`[QIF] Extracted ${total} transactions from ${withTransactions.length} account(s)`);
+
+    return { statements: withTransactions, warnings };
+}
+
+/**
+ * Empty statement for an account section
+ * The !Account block's statement balance ($, as of /) feeds the proof.
+ */
+function createStatement(account, type, dateOptions) {
+    const name = account?.name || '';
+    const digits = name.match(/\d{4,}/);
+    const balance = account?.balance;
+
+    return {
+        account: {
+            accountNumber: digits ? digits[0] : '',
+            routingNumber: '',
+            accountType: type,
+            accountName: name
+        },
+        // QIF has no statement period or currency
+        period: { start: '', end: '' },
+        balances: {
+            ledger: balance !== undefined
+                ? { amount: parseQIFAmount(balance), asOf: parseQIFDate(account.balanceDate, dateOptions) || '' }
+                : null,
+            available: null
+        },
+        currency: '',
+        transactions: []
+    };
+}
+
+/**
+ * Read one line of an !Account block
+ */
+function readAccountLine(account, code, value) {
+    switch (code) {
+        case 'N':
+            account.name = value;
+            break;
+        case 'T':
+            account.type = value;
+            break;
+        case 'D':
+            account.description = value;
+            break;
+        case '$':
+            account.balance = value;
+            break;
+        case '/':
+            account.balanceDate = value;
+            break;
+    }
+}
+
+/**
+ * Read one line of a bank, cash, credit card or asset/liability transaction
+ */
+function readTransactionLine(current, code, value, dateOptions) {
+    switch (code) {
+        case 'D':
+            // Date
+            current.date = parseQIFDate(value, dateOptions);
+            break;
+
+        case 'T':
+            // Amount (main transaction amount)
+            current.amount = parseQIFAmount(value);
+            break;
+
+        case 'U':
+            // Amount (same as T, used by some versions)
+            if (current.amount === undefined) {
                 current.amount = parseQIFAmount(value);
-                break;
+            }
+            break;
+
+        case 'P':
+            // Payee
+            current.payee = value;
+            break;
+
+        case 'M':
+            // Memo
+            current.memo = value;
+            break;
+
+        case 'A':
+            // Address (multi-line, collect all)
+            current.address = (current.address || '') + value + '\n';
+            break;
+
+        case 'N':
+            // Number (check number or reference)
+            current.checkNumber = value;
+            break;
+
+        case 'C':
+            // Cleared status
+            current.clearedStatus = getClearedStatus(value);
+            break;
+
+        case 'L':
+            // Category
+            current.category = value;
+            break;
+
+        case 'S':
+            // Split category
+            if (!current.splits) current.splits = [];
+            current.splits.push({ category: value });
+            break;
+
+        case 'E':
+            // Split memo
+            if (current.splits && current.splits.length > 0) {
+                current.splits[current.splits.length - 1].memo = value;
+            }
+            break;
+
+        case '$':
+            // Split amount
+            if (current.splits && current.splits.length > 0) {
+                current.splits[current.splits.length - 1].amount = parseQIFAmount(value);
+            }
+            break;
+    }
+}
 
-            case 'U':
-                // Amount (same as T, used by some versions)
-                if (current.amount === undefined) {
-                    current.amount = parseQIFAmount(value);
-                }
-                break;
-
-            case 'P':
-                // Payee
-                current.payee = value;
-                break;
-
-            case 'M':
-                // Memo
-                current.memo = value;
-                break;
-
-            case 'A':
-                // Address (multi-line, collect all)
-                current.address = (current.address || '') + value + '\n';
-                break;
-
-            case 'N':
-                // Number (check number or reference)
-                current.checkNumber = value;
-                break;
-
-            case 'C':
-                // Cleared status
-                // * or c = cleared, X or R = reconciled
-                current.cleared = value === '*' || value.toLowerCase() === 'c' || value.toLowerCase() === 'x' || value.toLowerCase() === 'r';
-                break;
-
-            case 'L':
-                // Category
-                current.category = value;
-                break;
-
-            case 'S':
-                // Split category
-                if (!current.splits) current.splits = [];
-                current.splits.push({ category: value });
-                break;
-
-            case 'E':
-                // Split memo
-                if (current.splits && current.splits.length > 0) {
-                    current.splits[current.splits.length - 1].memo = value;
-                }
-                break;
+/**
+ * Read one line of an investment transaction
+ * N is the action (Buy, Sell, Div...) rather than a check number, and $ is
+ * the amount moved through the transfer account rather than a split amount.
+ */
+function readInvestmentLine(current, code, value, dateOptions) {
+    switch (code) {
+        case 'D':
+            current.date = parseQIFDate(value, dateOptions);
+            break;
+        case 'N':
+            current.action = value;
+            break;
+        case 'Y':
+            current.security = value;
+            break;
+        case 'I':
+            current.price = parseQIFAmount(value);
+            break;
+        case 'Q':
+            current.quantity = parseQIFAmount(value);
+            break;
+        case 'O':
+            current.commission = parseQIFAmount(value);
+            break;
+        case 'T':
+        case 'U':
+            if (current.amount === undefined) {
+                current.amount = parseQIFAmount(value);
+            }
+            break;
+        case 'P':
+            current.payee = value;
+            break;
+        case 'M':
+            current.memo = value;
+            break;
+        case 'L':
+            current.category = value;
+            break;
+        case 'C':
+            current.clearedStatus = getClearedStatus(value);
+            break;
+    }
+}
 
-            case '$':
-                // Split amount
-                if (current.splits && current.splits.length > 0) {
-                    current.splits[current.splits.length - 1].amount = parseQIFAmount(value);
-                }
-                break;
-
-            case '^':
-                // End of transaction
-                if (current.date || current.amount !== undefined) {
-                    // Build description
-                    current.description = [current.payee, current.memo]
-                        .filter(Boolean)
-                        .join(' - ') || 'QIF Transaction';
-
-                    // Determine credit/debit
-                    const amount = current.amount || 0;
-                    if (amount >= 0) {
-                        current.amountCredit = amount;
-                        current.amountDebit = 0;
-                    } else {
-                        current.amountCredit = 0;
-                        current.amountDebit = Math.abs(amount);
-                    }
-
-                    // Normalize amount
-                    current.amount = Math.abs(amount);
-
-                    transactions.push({
-                        date: current.date,
-                        description: current.description,
-                        payee: current.payee,
-                        memo: current.memo,
-                        checkNumber: current.checkNumber,
-                        amount: current.amount,
-                        amountCredit: current.amountCredit,
-                        amountDebit: current.amountDebit,
-                        category: current.category,
-                        cleared: current.cleared || false,
-                        splits: current.splits,
-                        accountType
-                    });
-                }
-                current = {};
-                break;
+/**
+ * Cleared state of the C field: * or c = cleared, X or R = reconciled
+ * @returns {string} 'cleared', 'reconciled' or ''
+ */
+function getClearedStatus(value) {
+    const flag = value.toLowerCase();
+    if (flag === 'x' || flag === 'r') return 'reconciled';
+    if (flag === '*' || flag === 'c') return 'cleared';
+    return '';
+}
+
+/**
+ * Transaction row from a bank/credit card record
+ * Credit card exports sign charges negative and payments positive, the
+ * same way round as a bank account's debits and credits.
+ */
+function buildTransaction(current, accountType) {
+    // Build description
+    const description = [current.payee, current.memo]
+        .filter(Boolean)
+        .join(' - ') || 'QIF Transaction';
+
+    // Determine credit/debit
+    const amount = current.amount || 0;
+
+    return {
+        date: current.date,
+        description,
+        payee: current.payee,
+        memo: current.memo,
+        checkNumber: current.checkNumber,
+        amount: Math.abs(amount),
+        amountCredit: amount >= 0 ? amount : 0,
+        amountDebit: amount < 0 ? Math.abs(amount) : 0,
+        category: current.category,
+        cleared: Boolean(current.clearedStatus),
+        clearedStatus: current.clearedStatus || '',
+        splits: current.splits,
+        accountType
+    };
+}
+
+/**
+ * Transaction row from an investment record, or null when the action moves
+ * no cash in the investment account
+ * Investment amounts are unsigned; the action gives the direction.
+ */
+function buildInvestmentTransaction(current, accountType) {
+    const action = current.action || '';
+    const cashIn = INVESTMENT_CASH_IN.some(name => name.toLowerCase() === action.toLowerCase());
+    const cashOut = INVESTMENT_CASH_OUT.some(name => name.toLowerCase() === action.toLowerCase());
+    if (!cashIn && !cashOut) return null;
+
+    let amount = Math.abs(current.amount || 0);
+    if (!amount && current.price && current.quantity) {
+        // Total left out - price × quantity, plus commission on a buy, less it on a sale
+        const commission = Math.abs(current.commission || 0);
+        amount = Math.abs(current.price * current.quantity) + (cashOut ? commission : -commission);
+    }
+
+    const description = [action, current.security, current.payee, current.memo]
+        .filter(Boolean)
+        .join(' - ') || 'QIF Investment Transaction';
+
+    return {
+        date: current.date,
+        description,
+        payee: current.payee,
+        memo: current.memo,
+        checkNumber: '',
+        amount,
+        amountCredit: cashIn ? amount : 0,
+        amountDebit: cashOut ? amount : 0,
+        category: current.category,
+        cleared: Boolean(current.clearedStatus),
+        clearedStatus: current.clearedStatus || '',
+        action,
+        security: current.security || '',
+        quantity: current.quantity ?? null,
+        price: current.price ?? null,
+        commission: current.commission ?? null,
+        accountType
+    };
+}
+
+/**
+ * Flatten a statement into the account info used for account detection and
+ * the reconciliation proof (same shape as the OFX parser)
+ * QIF has no account number field, so the name (often "Operating 1234")
+ * is what gets matched.
+ * @param {Object} statement - One of parse().statements
+ * @returns {Object} { accountNumber, routingNumber, accountType, accountName,
+ *                     statementStart, statementEnd, ledgerBalance, availableBalance,
+ *                     currency } - QIF has no statement dates or currency
+ */
+function toAccountInfo(statement) {
+    return {
+        ...statement.account,
+        statementStart: statement.period.start,
+        statementEnd: statement.period.end,
+        ledgerBalance: statement.balances.ledger?.amount ?? null,
+        availableBalance: null,
+        currency: statement.currency
+    };
+}
+
+/**
+ * Account info of the file's first account
+ * @param {string} content - QIF file content as string
+ * @param {Object} options - See parse()
+ * @returns {Object|null} See toAccountInfo()
+ */
+function parseAccountInfo(content, options = {}) {
+    const [statement] = parse(content, options).statements;
+    return statement ? toAccountInfo(statement) : null;
+}
+
+/**
+ * Year two-digit years are read around: the middle of the four-digit years
+ * the file's dates use, else the middle of its two-digit years, else the
+ * current year
+ */
+function getReferenceYear(lines, dateOrder) {
+    const fullYears = [];
+    const shortYears = new Set();
+    lines.forEach(line => {
+        const trimmed = line.replace(/\s/g, '');
+        const parts = trimmed.startsWith('D') ? splitQIFDate(trimmed.slice(1), dateOrder) : null;
+        if (!parts) return;
+        if (parts.year.length > 2) {
+            fullYears.push(parseInt(parts.year));
+        } else {
+            shortYears.add(parseInt(parts.year));
+        }
+    });
+
+    if (fullYears.length > 0) {
+        return Math.round((Math.min(...fullYears) + Math.max(...fullYears)) / 2);
+    }
+    if (shortYears.size > 0) {
+        return getShortYearReference([...shortYears]);
+    }
+    return new Date().getFullYear();
+}
+
+/**
+ * Middle of a file's two-digit years, as a full year
+ * The years are taken as the shortest run they fit in, so 98, 99, 00, 01
+ * centers on 2000 rather than splitting across a century. The middle is the
+ * latest such year no later than next year.
+ */
+function getShortYearReference(years) {
+    const sorted = years.sort((a, b) => a - b);
+
+    // The run starts after the widest gap between years, counting the wrap from 99 to 00
+    let start = sorted[0];
+    let widestGap = sorted[0] + 100 - sorted[sorted.length - 1];
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i] - sorted[i - 1] > widestGap) {
+            widestGap = sorted[i] - sorted[i - 1];
+            start = sorted[i];
         }
     }
 
-    console.log(`[QIF] Extracted ${transactions.length} transactions`);
-    return transactions;
+    const middle = (start + Math.round((100 - widestGap) / 2)) % 100;
+    const latestYear = new Date().getFullYear() + 1;
+    const reference = Math.floor(latestYear / 100) * 100 + middle;
+    return reference > latestYear ? reference - 100 : reference;
+}
+
+/**
+ * Expand a two-digit year to the one within 50 years of the reference year
+ */
+function toFullYear(year, referenceYear) {
+    if (year.length > 2) return parseInt(year);
+
+    let full = Math.floor(referenceYear / 100) * 100 + parseInt(year);
+    if (full > referenceYear + 50) full -= 100;
+    if (full <= referenceYear - 50) full += 100;
+    return full;
+}
+
+/**
+ * Split a QIF date into year, month and day in the given order
+ * The year stays a string as written; a Quicken apostrophe year ('05) comes
+ * back as four digits.
+ * @returns {Object|null} { year, month, day }
+ */
+function splitQIFDate(dateStr, dateOrder) {
+    const match = String(dateStr).replace(/\s/g, '').match(/^(\d{1,4})[\/\-.](\d{1,2})([\/\-.'])(\d{1,4})$/);
+    if (!match) return null;
+    const [, first, second, separator, third] = match;
+
+    if (first.length === 4 || dateOrder === 'YMD') {
+        return { year: first, month: parseInt(second), day: parseInt(third) };
+    }
+
+    const year = separator === "'" && third.length <= 2 ? String(2000 + parseInt(third)) : third;
+    return dateOrder === 'DMY'
+        ? { year, month: parseInt(second), day: parseInt(first) }
+        : { year, month: parseInt(first), day: parseInt(second) };
 }
 
 /**
  * Parse QIF date format
  * QIF dates can be in various formats:
- * - MM/DD/YY or MM/DD/YYYY
- * - M/D/YY or M/D/YYYY
- * - DD/MM/YY (UK format, less common)
- * - MM-DD-YY
- * - Special: 12/31'05 (apostrophe for year)
+ * - MM/DD/YY or MM/DD/YYYY (DD/MM with dateOrder DMY, YY/MM/DD with YMD)
+ * - M/D/YY or M/D/YYYY, padded with spaces (" 1/ 5/98")
+ * - MM-DD-YY or DD.MM.YYYY
+ * - YYYY-MM-DD, whatever the date order
+ * - Quicken's 12/31'05: an apostrophe before the year means 2000 or later
+ * A month over 12 means the file uses the other order, so the parts are swapped.
+ * @param {string} dateStr
+ * @param {Object} options - { dateOrder, referenceYear } (defaults MDY and the current year)
+ * @returns {string|null} YYYY-MM-DD
  */
-function parseQIFDate(dateStr) {
+function parseQIFDate(dateStr, options = {}) {
     if (!dateStr) return null;
 
-    // Handle apostrophe year format (12/31'05)
-    const apostropheMatch = dateStr.match(/(\d{1,2})\/(\d{1,2})'(\d{2})/);
-    if (apostropheMatch) {
-        const month = apostropheMatch[1].padStart(2, '0');
-        const day = apostropheMatch[2].padStart(2, '0');
-        let year = apostropheMatch[3];
-        year = parseInt(year) > 50 ? '19' + year : '20' + year;
-        return `${month}/${day}/${year}`;
-    }
+    const dateOrder = DATE_ORDERS.includes(options.dateOrder) ? options.dateOrder : 'MDY';
+    const referenceYear = options.referenceYear || new Date().getFullYear();
 
-    // Handle standard formats
-    const standardMatch = dateStr.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/);
-    if (standardMatch) {
-        const month = standardMatch[1].padStart(2, '0');
-        const day = standardMatch[2].padStart(2, '0');
-        let year = standardMatch[3];
+    const parts = splitQIFDate(dateStr, dateOrder);
+    if (!parts) return null;
+    const { year } = parts;
+    let { month, day } = parts;
 
-        // Handle 2-digit years
-        if (year.length === 2) {
-            year = parseInt(year) > 50 ? '19' + year : '20' + year;
-        }
-
-        return `${month}/${day}/${year}`;
+    if (month > 12 && day <= 12) {
+        [month, day] = [day, month];
     }
 
-    return null;
+    const fullYear = toFullYear(year, referenceYear);
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    return `${fullYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
 }
 
 /**
@@ -210,4 +576,4 @@ function parseQIFAmount(value) {
     return isNaN(amount) ? 0 : amount;
 }
 
-module.exports = { parse, parseQIFDate, parseQIFAmount };
+module.exports = { parse, parseAccountInfo, toAccountInfo, parseQIFDate, parseQIFAmount, DATE_ORDERS };
@@ -1,27 +1,100 @@
+const crypto = require('crypto');
 const router = require('express').Router();
-const { db } = require('../config/firebase');
-const { verifyToken } = require('../middleware/auth');
+const { getStore } = require('../stores');
+const { verifyToken, getAuthProvider } = require('../middleware/auth');
+const localAuth = require('../config/localAuth');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 /**
- * POST /api/auth/profile
- * Create or update user profile after Firebase Auth login
+ * GET /api/auth/config
+ * How the login page should sign users in (firebase, local or demo)
  */
-router.post('/profile', verifyToken, async (req, res, next) => {
+router.get('/config', (req, res) => {
+    res.json({ provider: getAuthProvider(getStore().backend) });
+});
+
+/**
+ * POST /api/auth/local/signup
+ * Create a local email/password account (file backend without Firebase)
+ */
+router.post('/local/signup', requireLocalAuth, async (req, res, next) => {
     try {
-        const { uid, email, name } = req.user;
+        const { email, password, displayName } = req.body || {};
+        const validationError = validateCredentials(email, password);
+        if (validationError) {
+            return res.status(400).json({ error: 'Validation error', message: validationError });
+        }
+
+        const store = getStore();
+        const normalizedEmail = email.trim().toLowerCase();
+
+        if (await store.credentials.get(normalizedEmail)) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'An account with this email already exists'
+            });
+        }
+
+        // A profile without credentials had its password reset by an
+        // administrator - signing up again keeps its data and membership
+        const existing = await store.users.findByEmail(normalizedEmail);
+        const user = {
+            uid: existing?.uid || `local-${crypto.randomBytes(10).toString('hex')}`,
+            email: normalizedEmail,
+            name: (displayName || '').trim() || existing?.displayName || normalizedEmail.split('@')[0]
+        };
 
-        if (!db) {
-            // Demo mode response
-            return res.json({
-                uid,
-                email,
-                displayName: name,
-                settings: getDefaultSettings()
+        await store.credentials.create(normalizedEmail, {
+            uid: user.uid,
+            passwordHash: await localAuth.hashPassword(password)
+        });
+
+        console.log(`[AUTH] Local account created for ${normalizedEmail}`);
+        res.status(201).json(createLocalSession(user));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/local/signin
+ * Sign in with a local email/password account
+ */
+router.post('/local/signin', requireLocalAuth, async (req, res, next) => {
+    try {
+        const { email, password } = req.body || {};
+        const normalizedEmail = String(email || '').trim().toLowerCase();
+        const store = getStore();
+        const credential = normalizedEmail ? await store.credentials.get(normalizedEmail) : null;
+
+        if (!credential || !(await localAuth.verifyPassword(password, credential.passwordHash))) {
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid email or password'
             });
         }
 
-        const userRef = db.collection('users').doc(uid);
-        const userDoc = await userRef.get();
+        const profile = await store.users.get(credential.uid);
+        res.json(createLocalSession({
+            uid: credential.uid,
+            email: normalizedEmail,
+            name: profile?.displayName || normalizedEmail.split('@')[0]
+        }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/profile
+ * Create or update user profile after Firebase Auth login
+ */
+router.post('/profile', verifyToken, async (req, res, next) => {
+    try {
+        const { uid, email, name } = req.user;
+        const users = getStore().users;
+        const existing = await users.get(uid);
 
         const userData = {
             email,
@@ -29,18 +102,17 @@ router.post('/profile', verifyToken, async (req, res, next) => {
             lastLogin: new Date()
         };
 
-        if (!userDoc.exists) {
+        if (!existing) {
             // Create new user with default settings
             userData.createdAt = new Date();
             userData.settings = getDefaultSettings();
         }
 
-        await userRef.set(userData, { merge: true });
-
-        const updatedDoc = await userRef.get();
+        const profile = await users.upsert(uid, userData);
         res.json({
             uid,
-            ...updatedDoc.data()
+            ...profile,
+            role: req.user.role
         });
     } catch (error) {
         next(error);
@@ -53,19 +125,9 @@ router.post('/profile', verifyToken, async (req, res, next) => {
  */
 router.get('/profile', verifyToken, async (req, res, next) => {
     try {
-        if (!db) {
-            // Demo mode response
-            return res.json({
-                uid: req.user.uid,
-                email: req.user.email,
-                displayName: req.user.name,
-                settings: getDefaultSettings()
-            });
-        }
-
-        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        const profile = await getStore().users.get(req.user.uid);
 
-        if (!userDoc.exists) {
+        if (!profile) {
             return res.status(404).json({
                 error: 'User not found',
                 message: 'User profile does not exist'
@@ -74,7 +136,8 @@ router.get('/profile', verifyToken, async (req, res, next) => {
 
         res.json({
             uid: req.user.uid,
-            ...userDoc.data()
+            ...profile,
+            role: req.user.role
         });
     } catch (error) {
         next(error);
@@ -87,40 +150,63 @@ router.get('/profile', verifyToken, async (req, res, next) => {
  */
 router.delete('/profile', verifyToken, async (req, res, next) => {
     try {
-        if (!db) {
-            return res.json({ message: 'Account deleted (demo mode)' });
-        }
-
+        const store = getStore();
         const userId = req.user.uid;
 
-        // Delete all user's reconciliations and subcollections
-        const reconciliations = await db.collection('reconciliations')
-            .where('userId', '==', userId)
-            .get();
-
-        const batch = db.batch();
-
-        for (const doc of reconciliations.docs) {
-            // Delete subcollections
-            const subcollections = ['matches', 'unmatchedBank', 'unmatchedGL'];
-            for (const subcol of subcollections) {
-                const subDocs = await doc.ref.collection(subcol).get();
-                subDocs.docs.forEach(subDoc => batch.delete(subDoc.ref));
-            }
-            batch.delete(doc.ref);
+        // Delete all user's reconciliations (with their items), then the profile
+        await store.reconciliations.deleteByUser(userId);
+        await store.users.delete(userId);
+        if (getAuthProvider(store.backend) === 'local') {
+            await store.credentials.delete(req.user.email);
         }
 
-        // Delete user document
-        batch.delete(db.collection('users').doc(userId));
-
-        await batch.commit();
-
         res.json({ message: 'Account and all associated data deleted successfully' });
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * Local sign-in routes only exist while the server signs users in locally
+ */
+function requireLocalAuth(req, res, next) {
+    if (getAuthProvider(getStore().backend) === 'local') return next();
+
+    res.status(404).json({
+        error: 'Not found',
+        message: 'Local sign-in is not enabled on this server'
+    });
+}
+
+/**
+ * Validate a new local account
+ * @returns {string|null} Error message or null if valid
+ */
+function validateCredentials(email, password) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+        return 'Please enter a valid email address';
+    }
+    if (typeof password !== 'string' || password.length < localAuth.MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${localAuth.MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Session token and user for a signed-in local account
+ */
+function createLocalSession(user) {
+    return {
+        token: localAuth.createSessionToken(user),
+        expiresIn: localAuth.TOKEN_LIFETIME_MS,
+        user: {
+            uid: user.uid,
+            email: user.email,
+            displayName: user.name
+        }
+    };
+}
+
 /**
  * Helper function to get default user settings
  */
@@ -133,7 +219,12 @@ function getDefaultSettings() {
         theme: 'light',
         exportFormat: 'xlsx',
         autoSaveEnabled: false,
-        showConfidenceScores: true
+        showConfidenceScores: true,
+        assignmentMode: 'greedy',
+        batchDeposits: true,
+        batchGroupBy: 'date',
+        splitSettlements: true,
+        matchingRules: []
     };
 }
 
@@ -0,0 +1,132 @@
+const router = require('express').Router();
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { getDataScope } = require('../middleware/access');
+const { getStore } = require('../stores');
+const { validateBankAccount, normalizeBankAccount } = require('../engine/bankAccounts');
+
+/**
+ * Load a bank account in the user's scope
+ * Sends the 404 response and returns null when it does not exist or belongs
+ * to someone else.
+ */
+async function getOwnedAccount(req, res) {
+    const account = await getStore().bankAccounts.get(req.params.id);
+
+    if (!account || account.scope !== getDataScope(req.user)) {
+        res.status(404).json({
+            error: 'Not found',
+            message: 'Bank account not found'
+        });
+        return null;
+    }
+
+    return account;
+}
+
+function toResponse(account) {
+    const { scope, ...fields } = account;
+    return {
+        ...fields,
+        createdAt: account.createdAt?.toDate?.() || account.createdAt,
+        updatedAt: account.updatedAt?.toDate?.() || account.updatedAt
+    };
+}
+
+/**
+ * GET /api/bank-accounts
+ * List the bank accounts of the user's organization (or their own)
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+    try {
+        const accounts = await getStore().bankAccounts.listByScope(getDataScope(req.user));
+        res.json({ accounts: accounts.map(toResponse) });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/bank-accounts
+ * Add a bank account (admins only)
+ * Body: { name, accountNumber, bankName, routingNumber, glCashAccount, fund }
+ */
+router.post('/', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const validationError = validateBankAccount(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid bank account',
+                message: validationError
+            });
+        }
+
+        const account = {
+            name: '',
+            maskedNumber: '',
+            last4: '',
+            bankName: '',
+            routingNumber: '',
+            glCashAccount: '',
+            fund: '',
+            ...normalizeBankAccount(req.body),
+            scope: getDataScope(req.user),
+            createdBy: req.user.uid,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const id = await getStore().bankAccounts.create(account);
+
+        console.log(`[ACCOUNTS] Created bank account ${id} in ${account.scope}`);
+
+        res.status(201).json(toResponse({ id, ...account }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/bank-accounts/:id
+ * Update a bank account (admins only)
+ */
+router.put('/:id', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const validationError = validateBankAccount(req.body, true);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid bank account',
+                message: validationError
+            });
+        }
+
+        const account = await getOwnedAccount(req, res);
+        if (!account) return;
+
+        const updates = { ...normalizeBankAccount(req.body), updatedAt: new Date() };
+        await getStore().bankAccounts.update(account.id, updates);
+
+        res.json(toResponse({ ...account, ...updates }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/bank-accounts/:id
+ * Remove a bank account (admins only)
+ * Saved reconciliations keep the account name they were saved with.
+ */
+router.delete('/:id', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const account = await getOwnedAccount(req, res);
+        if (!account) return;
+
+        await getStore().bankAccounts.delete(account.id);
+
+        res.json({ message: 'Bank account deleted successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,59 +1,65 @@
 const router = require('express').Router();
-const { db } = require('../config/firebase');
-const { verifyToken } = require('../middleware/auth');
+const { getStore } = require('../stores');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { canAccessReconciliation } = require('../middleware/access');
+const signoff = require('../engine/signoff');
+const { createAuditEntry } = require('../engine/audit');
+
+/**
+ * List a page of the sessions the user can see
+ * Organization members see the whole organization; scope=mine narrows it
+ * to the sessions they saved themselves.
+ */
+function listVisible(user, scope, options) {
+    const reconciliations = getStore().reconciliations;
+
+    if (user.organizationId && scope !== 'mine') {
+        return reconciliations.listByOrganization(user.organizationId, options);
+    }
+    return reconciliations.listByUser(user.uid, options);
+}
 
 /**
  * GET /api/history
  * Get reconciliation history with pagination and filtering
+ * Lists the whole organization for members (scope=mine for your own)
+ * Query: limit, startAfter, status, search, scope, bankAccountId
  */
 router.get('/', verifyToken, async (req, res, next) => {
     try {
-        if (!db) {
-            // Demo mode - return empty history
-            return res.json({
-                reconciliations: [],
-                hasMore: false
-            });
-        }
-
         const {
             limit = '20',
             startAfter,
             status,
-            search
+            search,
+            scope,
+            bankAccountId
         } = req.query;
 
         const pageLimit = Math.min(parseInt(limit) || 20, 100);
+        const listOptions = {
+            limit: pageLimit,
+            startAfter,
+            // Filter by status if provided
+            status: status && status !== 'all' ? status : null,
+            bankAccountId: bankAccountId && bankAccountId !== 'all' ? bankAccountId : null
+        };
 
-        // Build query
-        let query = db.collection('reconciliations')
-            .where('userId', '==', req.user.uid)
-            .orderBy('createdAt', 'desc');
-
-        // Filter by status if provided
-        if (status && status !== 'all') {
-            query = query.where('status', '==', status);
-        }
-
-        // Pagination
-        if (startAfter) {
-            const startDoc = await db.collection('reconciliations').doc(startAfter).get();
-            if (startDoc.exists) {
-                query = query.startAfter(startDoc);
-            }
-        }
-
-        query = query.limit(pageLimit);
-
-        const snapshot = await query.get();
+        const { records, lastId } = await listVisible(req.user, scope, listOptions);
 
-        let reconciliations = snapshot.docs.map(doc => {
-            const data = doc.data();
+        let reconciliations = records.map(data => {
             return {
-                id: doc.id,
+                id: data.id,
                 name: data.name,
                 description: data.description,
-                status: data.status,
+                status: signoff.normalizeStatus(data.status),
+                savedBy: data.userEmail || '',
+                savedByMe: data.userId === req.user.uid,
+                signoff: data.signoff || {},
+                nextStatuses: signoff.getNextStatuses(data, req.user),
+                bankAccountId: data.bankAccountId || null,
+                bankAccountName: data.bankAccountName || '',
+                period: data.period || null,
                 bankFileName: data.bankFileName,
                 glFileName: data.glFileName,
                 summary: data.summary,
@@ -62,12 +68,13 @@ router.get('/', verifyToken, async (req, res, next) => {
             };
         });
 
-        // Client-side search filtering (Firestore doesn't support full-text search)
+        // Search filtering after the page is loaded (Firestore doesn't support full-text search)
         if (search) {
             const searchLower = search.toLowerCase();
             reconciliations = reconciliations.filter(r =>
                 r.name?.toLowerCase().includes(searchLower) ||
                 r.description?.toLowerCase().includes(searchLower) ||
+                r.bankAccountName?.toLowerCase().includes(searchLower) ||
                 r.bankFileName?.toLowerCase().includes(searchLower) ||
                 r.glFileName?.toLowerCase().includes(searchLower)
             );
@@ -75,10 +82,8 @@ router.get('/', verifyToken, async (req, res, next) => {
 
         res.json({
             reconciliations,
-            hasMore: snapshot.docs.length === pageLimit,
-            lastId: snapshot.docs.length > 0
-                ? snapshot.docs[snapshot.docs.length - 1].id
-                : null
+            hasMore: records.length === pageLimit,
+            lastId
         });
     } catch (error) {
         next(error);
@@ -87,22 +92,15 @@ router.get('/', verifyToken, async (req, res, next) => {
 
 /**
  * GET /api/history/stats
- * Get user's reconciliation statistics
+ * Get reconciliation statistics (organization-wide for members; scope=mine for your own)
+ * Query: scope, bankAccountId
  */
 router.get('/stats', verifyToken, async (req, res, next) => {
     try {
-        if (!db) {
-            return res.json({
-                totalReconciliations: 0,
-                totalMatched: 0,
-                totalUnmatched: 0,
-                lastReconciliation: null
-            });
-        }
-
-        const snapshot = await db.collection('reconciliations')
-            .where('userId', '==', req.user.uid)
-            .get();
+        const { bankAccountId } = req.query;
+        const { records } = await listVisible(req.user, req.query.scope, {
+            bankAccountId: bankAccountId && bankAccountId !== 'all' ? bankAccountId : null
+        });
 
         let totalMatched = 0;
         let totalUnmatchedBank = 0;
@@ -110,8 +108,7 @@ router.get('/stats', verifyToken, async (req, res, next) => {
         let lastReconciliation = null;
         let latestDate = null;
 
-        snapshot.docs.forEach(doc => {
-            const data = doc.data();
+        records.forEach(data => {
             const summary = data.summary || {};
 
             totalMatched += summary.totalMatched || 0;
@@ -122,7 +119,7 @@ router.get('/stats', verifyToken, async (req, res, next) => {
             if (!latestDate || (createdAt && createdAt > latestDate)) {
                 latestDate = createdAt;
                 lastReconciliation = {
-                    id: doc.id,
+                    id: data.id,
                     name: data.name,
                     createdAt
                 };
@@ -130,7 +127,7 @@ router.get('/stats', verifyToken, async (req, res, next) => {
         });
 
         res.json({
-            totalReconciliations: snapshot.docs.length,
+            totalReconciliations: records.length,
             totalMatched,
             totalUnmatched: totalUnmatchedBank + totalUnmatchedGL,
             totalUnmatchedBank,
@@ -146,48 +143,43 @@ router.get('/stats', verifyToken, async (req, res, next) => {
  * DELETE /api/history/:id
  * Delete a reconciliation and all its data
  */
-router.delete('/:id', verifyToken, async (req, res, next) => {
+router.delete('/:id', verifyToken, requireRole('admin'), async (req, res, next) => {
     try {
-        if (!db) {
-            return res.json({ message: 'Deleted (demo mode)' });
-        }
+        const reconciliations = getStore().reconciliations;
+        const reconciliation = await reconciliations.get(req.params.id);
 
-        const docRef = db.collection('reconciliations').doc(req.params.id);
-        const doc = await docRef.get();
-
-        if (!doc.exists) {
+        if (!reconciliation) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Reconciliation not found'
             });
         }
 
-        // Check ownership
-        if (doc.data().userId !== req.user.uid) {
+        if (!canAccessReconciliation(reconciliation, req.user)) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have permission to delete this reconciliation'
             });
         }
 
-        // Delete subcollections first
-        const subcollections = ['matches', 'unmatchedBank', 'unmatchedGL'];
-
-        for (const subcol of subcollections) {
-            const subSnapshot = await docRef.collection(subcol).get();
+        if (signoff.isLocked(reconciliation)) {
+            return res.status(409).json({
+                error: 'Reconciliation locked',
+                message: 'Locked reconciliations cannot be deleted'
+            });
+        }
 
-            // Delete in batches
-            const BATCH_SIZE = 400;
-            for (let i = 0; i < subSnapshot.docs.length; i += BATCH_SIZE) {
-                const batch = db.batch();
-                const chunk = subSnapshot.docs.slice(i, i + BATCH_SIZE);
-                chunk.forEach(subDoc => batch.delete(subDoc.ref));
-                await batch.commit();
+        // Recorded first - the audit trail outlives the session
+        await reconciliations.appendAudit(req.params.id, createAuditEntry(req.user, 'delete', {
+            before: {
+                name: reconciliation.name,
+                status: signoff.normalizeStatus(reconciliation.status),
+                summary: reconciliation.summary
             }
-        }
+        }));
 
-        // Delete main document
-        await docRef.delete();
+        // Removes matched/unmatched items along with the session
+        await reconciliations.delete(req.params.id);
 
         res.json({ message: 'Reconciliation deleted successfully' });
     } catch (error) {
@@ -199,61 +191,49 @@ router.delete('/:id', verifyToken, async (req, res, next) => {
  * POST /api/history/:id/duplicate
  * Create a copy of an existing reconciliation
  */
-router.post('/:id/duplicate', verifyToken, async (req, res, next) => {
+router.post('/:id/duplicate', verifyToken, requireRole('preparer'), async (req, res, next) => {
     try {
-        if (!db) {
-            return res.json({
-                id: 'demo-duplicate-' + Date.now(),
-                message: 'Duplicated (demo mode)'
-            });
-        }
-
-        const sourceRef = db.collection('reconciliations').doc(req.params.id);
-        const sourceDoc = await sourceRef.get();
+        const reconciliations = getStore().reconciliations;
+        const source = await reconciliations.get(req.params.id);
 
-        if (!sourceDoc.exists) {
+        if (!source) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Reconciliation not found'
             });
         }
 
-        if (sourceDoc.data().userId !== req.user.uid) {
+        if (!canAccessReconciliation(source, req.user)) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have permission to duplicate this reconciliation'
             });
         }
 
-        // Create new document
-        const newRef = db.collection('reconciliations').doc();
-        const sourceData = sourceDoc.data();
-
-        await newRef.set({
-            ...sourceData,
-            name: `${sourceData.name} (Copy)`,
+        // Copies matched/unmatched items too; the copy belongs to whoever made it
+        const newId = await reconciliations.duplicate(req.params.id, {
+            userId: req.user.uid,
+            userEmail: req.user.email || '',
+            organizationId: req.user.organizationId || null,
+            name: `${source.name} (Copy)`,
             createdAt: new Date(),
             updatedAt: new Date(),
-            status: 'draft'
+            // The copy starts the sign-off workflow over
+            status: 'draft',
+            signoff: {},
+            signoffHistory: []
         });
 
-        // Copy subcollections
-        const subcollections = ['matches', 'unmatchedBank', 'unmatchedGL'];
-
-        for (const subcol of subcollections) {
-            const subSnapshot = await sourceRef.collection(subcol).get();
-            const batch = db.batch();
-
-            subSnapshot.docs.forEach(subDoc => {
-                const newSubRef = newRef.collection(subcol).doc();
-                batch.set(newSubRef, subDoc.data());
-            });
-
-            await batch.commit();
-        }
+        await reconciliations.appendAudit(req.params.id, createAuditEntry(req.user, 'duplicate', {
+            details: { copyId: newId }
+        }));
+        await reconciliations.appendAudit(newId, createAuditEntry(req.user, 'save', {
+            after: { name: `${source.name} (Copy)`, summary: source.summary },
+            details: { duplicatedFrom: req.params.id }
+        }));
 
         res.json({
-            id: newRef.id,
+            id: newId,
             message: 'Reconciliation duplicated successfully'
         });
     } catch (error) {
@@ -0,0 +1,141 @@
+const router = require('express').Router();
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { getStore } = require('../stores');
+const { getDataScope } = require('../middleware/access');
+const learning = require('../engine/learning');
+
+/**
+ * GET /api/learning
+ * Get Smart Match learning data for the user's organization
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+    try {
+        const scope = getDataScope(req.user);
+        const data = await getStore().learning.get(scope);
+
+        res.json({ scope, ...data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/learning
+ * Replace learning data
+ */
+router.put('/', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const validationError = learning.validateLearningData(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid learning data',
+                message: validationError
+            });
+        }
+
+        const scope = getDataScope(req.user);
+        const data = await getStore().learning.save(scope, req.body);
+
+        console.log(`[LEARNING] Replaced learning data for ${scope}`);
+
+        res.json({ scope, ...data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/learning/merge
+ * Add counts (a single accept/deny delta or a teammate's data) to the stored set
+ */
+router.post('/merge', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const validationError = learning.validateLearningData(req.body);
+        if (validationError) {
+            return res.status(400).json({
+                error: 'Invalid learning data',
+                message: validationError
+            });
+        }
+
+        const scope = getDataScope(req.user);
+        const data = await getStore().learning.update(scope, current =>
+            learning.mergeLearningData(current, req.body)
+        );
+
+        res.json({ scope, ...data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/learning/export
+ * Download learning data in the portable export format
+ */
+router.get('/export', verifyToken, async (req, res, next) => {
+    try {
+        const scope = getDataScope(req.user);
+        const data = await getStore().learning.get(scope);
+
+        res.json(learning.buildExport(data, scope));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/learning/import
+ * Import an export file; mode "merge" (default) adds counts, "replace" overwrites
+ */
+router.post('/import', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { mode = 'merge', file } = req.body;
+
+        if (!['merge', 'replace'].includes(mode)) {
+            return res.status(400).json({
+                error: 'Invalid mode',
+                message: 'mode must be merge or replace'
+            });
+        }
+
+        const parsed = learning.parseExport(file);
+        if (parsed.error) {
+            return res.status(400).json({
+                error: 'Invalid import file',
+                message: parsed.error
+            });
+        }
+
+        const scope = getDataScope(req.user);
+        const learningStore = getStore().learning;
+        const data = mode === 'replace'
+            ? await learningStore.save(scope, parsed.data)
+            : await learningStore.update(scope, current => learning.mergeLearningData(current, parsed.data));
+
+        console.log(`[LEARNING] Imported learning data for ${scope} (${mode})`);
+
+        res.json({ scope, ...data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/learning
+ * Reset learning data for the organization
+ */
+router.delete('/', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const scope = getDataScope(req.user);
+        const data = await getStore().learning.reset(scope);
+
+        console.log(`[LEARNING] Reset learning data for ${scope}`);
+
+        res.json({ scope, ...data });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
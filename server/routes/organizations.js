@@ -0,0 +1,301 @@
+const router = require('express').Router();
+const { verifyToken, requireRole, hasRole, normalizeRole, ROLES } = require('../middleware/auth');
+const { getStore } = require('../stores');
+
+/**
+ * Load the current user's organization (req.user.organizationId from verifyToken)
+ * Sends the 404 response and returns null when the user is not a member.
+ */
+async function getMembership(req, res) {
+    const organization = req.user.organizationId
+        ? await getStore().organizations.get(req.user.organizationId)
+        : null;
+
+    if (!organization) {
+        res.status(404).json({
+            error: 'Not found',
+            message: 'You are not a member of an organization'
+        });
+        return null;
+    }
+
+    return { organization, role: req.user.role };
+}
+
+function toMember(user) {
+    return {
+        uid: user.uid,
+        email: user.email || '',
+        displayName: user.displayName || '',
+        role: normalizeRole(user.organizationRole),
+        joinedAt: user.joinedOrganizationAt?.toDate?.() || user.joinedOrganizationAt || null
+    };
+}
+
+const leaveOrganization = (uid) => getStore().users.upsert(uid, {
+    organizationId: null,
+    organizationRole: null,
+    joinedOrganizationAt: null
+});
+
+/**
+ * GET /api/organizations/current
+ * Get the user's organization and its members
+ */
+router.get('/current', verifyToken, async (req, res, next) => {
+    try {
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const members = await getStore().users.listByOrganization(membership.organization.id);
+
+        res.json({
+            ...membership.organization,
+            role: membership.role,
+            members: members.map(toMember)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/organizations
+ * Create an organization (town, district) with the current user as admin
+ */
+router.post('/', verifyToken, async (req, res, next) => {
+    try {
+        const name = String(req.body.name || '').trim();
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'Invalid organization',
+                message: 'name is required'
+            });
+        }
+
+        const store = getStore();
+
+        if (req.user.organizationId) {
+            return res.status(409).json({
+                error: 'Already a member',
+                message: 'Leave your current organization before creating another'
+            });
+        }
+
+        const id = await store.organizations.create({
+            name,
+            createdBy: req.user.uid,
+            createdAt: new Date(),
+            updatedAt: new Date()
+        });
+
+        await store.users.upsert(req.user.uid, {
+            organizationId: id,
+            organizationRole: 'admin',
+            joinedOrganizationAt: new Date()
+        });
+
+        console.log(`[ORG] ${req.user.uid} created organization ${id}`);
+
+        res.status(201).json({
+            id,
+            name,
+            role: 'admin',
+            message: 'Organization created successfully'
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/organizations/current
+ * Rename the organization (admins only)
+ */
+router.put('/current', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const name = String(req.body.name || '').trim();
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'Invalid organization',
+                message: 'name is required'
+            });
+        }
+
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        await getStore().organizations.update(membership.organization.id, {
+            name,
+            updatedAt: new Date()
+        });
+
+        res.json({ message: 'Organization updated successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/organizations/current/members
+ * Add an existing user by email (admins only)
+ * Body: { email, role }
+ */
+router.post('/current/members', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const email = String(req.body.email || '').trim().toLowerCase();
+        const { role = 'preparer' } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                error: 'Invalid member',
+                message: 'email is required'
+            });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid member',
+                message: `role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const users = getStore().users;
+        const user = await users.findByEmail(email);
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'No user with that email - they need to sign in once before being added'
+            });
+        }
+
+        if (user.organizationId) {
+            return res.status(409).json({
+                error: 'Already a member',
+                message: user.organizationId === membership.organization.id
+                    ? 'That user is already in this organization'
+                    : 'That user belongs to another organization'
+            });
+        }
+
+        const updated = await users.upsert(user.uid, {
+            organizationId: membership.organization.id,
+            organizationRole: role,
+            joinedOrganizationAt: new Date()
+        });
+
+        console.log(`[ORG] Added ${user.uid} to ${membership.organization.id} as ${role}`);
+
+        res.status(201).json(toMember({ uid: user.uid, ...updated }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/organizations/current/members/:uid
+ * Change a member's role (admins only)
+ */
+router.put('/current/members/:uid', verifyToken, requireRole('admin'), async (req, res, next) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid member',
+                message: `role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const members = await getStore().users.listByOrganization(membership.organization.id);
+        const member = members.find(m => m.uid === req.params.uid);
+
+        if (!member) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Member not found'
+            });
+        }
+
+        const admins = members.filter(m => normalizeRole(m.organizationRole) === 'admin');
+        if (role !== 'admin' && normalizeRole(member.organizationRole) === 'admin' && admins.length === 1) {
+            return res.status(409).json({
+                error: 'Last admin',
+                message: 'An organization needs at least one admin'
+            });
+        }
+
+        const updated = await getStore().users.upsert(member.uid, { organizationRole: role });
+
+        res.json(toMember({ uid: member.uid, ...updated }));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/organizations/current/members/:uid
+ * Remove a member (admins) or leave the organization (yourself)
+ * Reconciliations the member saved stay with the organization.
+ */
+router.delete('/current/members/:uid', verifyToken, async (req, res, next) => {
+    try {
+        const isSelf = req.params.uid === req.user.uid;
+
+        // Anyone can leave; only admins remove others
+        if (!isSelf && !hasRole(req.user, 'admin')) {
+            return res.status(403).json({
+                error: 'Insufficient role',
+                message: 'This action requires the admin role or higher'
+            });
+        }
+
+        const membership = await getMembership(req, res);
+        if (!membership) return;
+
+        const members = await getStore().users.listByOrganization(membership.organization.id);
+        const member = members.find(m => m.uid === req.params.uid);
+
+        if (!member) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Member not found'
+            });
+        }
+
+        // Organization reconciliations would become unreachable without members
+        if (members.length === 1) {
+            return res.status(409).json({
+                error: 'Last member',
+                message: 'The last member cannot leave the organization'
+            });
+        }
+
+        const admins = members.filter(m => normalizeRole(m.organizationRole) === 'admin');
+        if (normalizeRole(member.organizationRole) === 'admin' && admins.length === 1) {
+            return res.status(409).json({
+                error: 'Last admin',
+                message: 'Make another member an admin first'
+            });
+        }
+
+        await leaveOrganization(member.uid);
+
+        console.log(`[ORG] Removed ${member.uid} from ${membership.organization.id}`);
+
+        res.json({ message: isSelf ? 'You left the organization' : 'Member removed successfully' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -1,10 +1,18 @@
 const router = require('express').Router();
 const multer = require('multer');
-const { db } = require('../config/firebase');
-const { verifyToken } = require('../middleware/auth');
+const { getStore } = require('../stores');
+const { verifyToken, requireRole, hasRole } = require('../middleware/auth');
+const { canAccessReconciliation, getDataScope } = require('../middleware/access');
 const pdfParser = require('../parsers/pdfParser');
 const ofxParser = require('../parsers/ofxParser');
 const qifParser = require('../parsers/qifParser');
+const reconciliationEngine = require('../engine/reconciliationEngine');
+const signoff = require('../engine/signoff');
+const carryForward = require('../engine/carryForward');
+const proof = require('../engine/proof');
+const statementBalance = require('../engine/statementBalance');
+const { createAuditEntry, getMatchAction, CLIENT_AUDIT_ACTIONS } = require('../engine/audit');
+const { getEffectiveSettings } = require('./settings');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -35,8 +43,14 @@ const upload = multer({
 /**
  * POST /api/reconciliation/parse
  * Parse uploaded file (server-side parsing for PDF, OFX, QIF)
+ * OFX and QIF files also return every statement/account they hold
+ * (statements: [{ account, period, balances, currency, transactions, accountInfo }]);
+ * data and accountInfo are those of the first one. Sections that cannot be
+ * reconciled (investment statements, investment lines without cash) are
+ * listed in warnings. Body field dateParsing (MDY, DMY or YMD) says how
+ * ambiguous QIF dates are read.
  */
-router.post('/parse', verifyToken, upload.single('file'), async (req, res, next) => {
+router.post('/parse', verifyToken, requireRole('preparer'), upload.single('file'), async (req, res, next) => {
     try {
         if (!req.file) {
             return res.status(400).json({
@@ -51,6 +65,10 @@ router.post('/parse', verifyToken, upload.single('file'), async (req, res, next)
 
         let parsedData;
         let parserUsed;
+        // Statement header account, used to pick the bank account in the wizard
+        let accountInfo = null;
+        let statements = null;
+        let warnings = [];
 
         switch (ext) {
             case 'pdf':
@@ -59,15 +77,40 @@ router.post('/parse', verifyToken, upload.single('file'), async (req, res, next)
                 break;
 
             case 'ofx':
-            case 'qfx':
-                parsedData = ofxParser.parse(buffer.toString('utf-8'));
+            case 'qfx': {
+                const ofx = ofxParser.parse(buffer.toString('utf-8'));
+                warnings = ofx.unsupported.map(section => section.message);
+
+                if (ofx.statements.length === 0 && warnings.length > 0) {
+                    return res.status(400).json({
+                        error: 'Unsupported statement',
+                        message: warnings.join('; ')
+                    });
+                }
+
+                statements = ofx.statements.map(statement => ({
+                    ...statement,
+                    accountInfo: ofxParser.toAccountInfo(statement)
+                }));
+                parsedData = statements[0]?.transactions || [];
+                accountInfo = statements[0]?.accountInfo || null;
                 parserUsed = 'ofx';
                 break;
+            }
+
+            case 'qif': {
+                const qif = qifParser.parse(buffer.toString('utf-8'), { dateOrder: req.body.dateParsing });
+                warnings = qif.warnings;
 
-            case 'qif':
-                parsedData = qifParser.parse(buffer.toString('utf-8'));
+                statements = qif.statements.map(statement => ({
+                    ...statement,
+                    accountInfo: qifParser.toAccountInfo(statement)
+                }));
+                parsedData = statements[0]?.transactions || [];
+                accountInfo = statements[0]?.accountInfo || null;
                 parserUsed = 'qif';
                 break;
+            }
 
             default:
                 return res.status(400).json({
@@ -81,6 +124,9 @@ router.post('/parse', verifyToken, upload.single('file'), async (req, res, next)
             data: parsedData,
             fileName: originalname,
             parser: parserUsed,
+            accountInfo,
+            statements,
+            warnings,
             rowCount: parsedData.length
         });
     } catch (error) {
@@ -88,17 +134,142 @@ router.post('/parse', verifyToken, upload.single('file'), async (req, res, next)
     }
 });
 
+/**
+ * Send the 400 for a bad balances object, returning true when one was sent
+ */
+function rejectInvalidBalances(balances, res) {
+    const balancesError = balances !== undefined ? proof.validateBalances(balances) : null;
+    if (!balancesError) return false;
+
+    res.status(400).json({
+        error: 'Invalid balances',
+        message: balancesError
+    });
+    return true;
+}
+
+/**
+ * POST /api/reconciliation/run
+ * Run the matching engine on normalized bank and GL data
+ * Body: { bankData, glData, settings, balances, glCashAccount }
+ * Matching rules come from the stored settings (the organization's shared
+ * rules where set), not from the request.
+ * Balances left blank are read from the bank balance and GL ending balance
+ * columns; the response carries them and the proof in summary.proof.
+ */
+router.post('/run', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const { bankData, glData, settings, balances = {}, glCashAccount } = req.body;
+
+        if (!Array.isArray(bankData) || !Array.isArray(glData)) {
+            return res.status(400).json({
+                error: 'Invalid data',
+                message: 'bankData and glData must be arrays'
+            });
+        }
+
+        if (rejectInvalidBalances(balances, res)) return;
+
+        const { matchingRules } = await getEffectiveSettings(req.user);
+        const result = reconciliationEngine.reconcile(bankData, glData, { ...settings, matchingRules });
+
+        const normalized = proof.normalizeBalances(balances);
+        const resolvedBalances = {
+            statementBalance: normalized.statementBalance ?? proof.detectStatementBalance(bankData),
+            bookBalance: normalized.bookBalance ?? proof.detectBookBalance(glData, glCashAccount),
+            bankErrors: normalized.bankErrors
+        };
+
+        res.json({
+            success: true,
+            ...result,
+            balances: resolvedBalances,
+            summary: {
+                ...result.summary,
+                proof: proof.buildProof(resolvedBalances, result.unmatchedBank, result.unmatchedGL)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/reconciliation/validate-statement
+ * Check the running balance of imported bank rows and the statement's
+ * opening/closing totals before reconciling
+ * Body: { rows, openingBalance, closingBalance }
+ */
+router.post('/validate-statement', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const { rows, openingBalance, closingBalance } = req.body;
+
+        if (!Array.isArray(rows)) {
+            return res.status(400).json({
+                error: 'Invalid data',
+                message: 'rows must be an array'
+            });
+        }
+
+        const totals = { openingBalance, closingBalance };
+        const totalsError = statementBalance.validateStatementTotals(totals);
+        if (totalsError) {
+            return res.status(400).json({
+                error: 'Invalid totals',
+                message: totalsError
+            });
+        }
+
+        const result = statementBalance.checkBalanceContinuity(rows, totals);
+        if (!result.isValid) {
+            console.log(`[IMPORT] Statement balance check failed: ${result.issues.join('; ')}`);
+        }
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Resolve the bank account a session is saved against
+ * The name is copied so history still reads well after the account is deleted.
+ * @returns {Object|null} { bankAccountId, bankAccountName }, or null when the ID
+ *                        is not one of the user's accounts
+ */
+async function resolveBankAccount(bankAccountId, user) {
+    if (!bankAccountId) {
+        return { bankAccountId: null, bankAccountName: '' };
+    }
+
+    const account = await getStore().bankAccounts.get(bankAccountId);
+    if (!account || account.scope !== getDataScope(user)) return null;
+
+    return { bankAccountId: account.id, bankAccountName: account.name };
+}
+
+function sendInvalidBankAccount(res) {
+    return res.status(400).json({
+        error: 'Invalid bank account',
+        message: 'bankAccountId is not one of your bank accounts'
+    });
+}
+
 /**
  * POST /api/reconciliation/save
  * Save reconciliation session
  */
-router.post('/save', verifyToken, async (req, res, next) => {
+router.post('/save', verifyToken, requireRole('preparer'), async (req, res, next) => {
     try {
         const {
             name,
             description,
             bankFileName,
             glFileName,
+            bankAccountId,
+            period,
+            carriedForwardFrom,
+            balances,
             settings,
             matchedTransactions,
             unmatchedBank,
@@ -113,98 +284,124 @@ router.post('/save', verifyToken, async (req, res, next) => {
             });
         }
 
+        const bankAccount = await resolveBankAccount(bankAccountId, req.user);
+        if (!bankAccount) return sendInvalidBankAccount(res);
+
+        const periodError = period ? carryForward.validatePeriod(period) : null;
+        if (periodError) {
+            return res.status(400).json({
+                error: 'Invalid period',
+                message: periodError
+            });
+        }
+
+        if (rejectInvalidBalances(balances, res)) return;
+
         // Calculate summary
         const summary = {
-            totalMatched: matchedTransactions?.length || 0,
-            totalUnmatchedBank: unmatchedBank?.length || 0,
-            totalUnmatchedGL: unmatchedGL?.length || 0,
-            totalMatchedAmount: (matchedTransactions || []).reduce(
-                (sum, m) => sum + Math.abs(m.bankTransaction?.amount || 0),
-                0
-            )
+            ...reconciliationEngine.buildSummary(
+                matchedTransactions || [],
+                unmatchedBank || [],
+                unmatchedGL || []
+            ),
+            proof: proof.buildProof(balances, unmatchedBank || [], unmatchedGL || [])
         };
 
-        if (!db) {
-            // Demo mode - return mock response
-            return res.json({
-                id: 'demo-' + Date.now(),
-                message: 'Reconciliation saved (demo mode)',
-                summary
-            });
-        }
+        const reconciliationName = name || `Reconciliation ${new Date().toLocaleDateString()}`;
 
-        // Create main reconciliation document
-        const reconciliationRef = db.collection('reconciliations').doc();
-        const reconciliationData = {
+        // Create the session with its matched and unmatched items
+        const id = await getStore().reconciliations.create({
             userId: req.user.uid,
-            name: name || `Reconciliation ${new Date().toLocaleDateString()}`,
+            userEmail: req.user.email || '',
+            // Sessions saved by organization members belong to the organization
+            organizationId: req.user.organizationId || null,
+            name: reconciliationName,
             description: description || '',
             createdAt: new Date(),
             updatedAt: new Date(),
-            status: 'completed',
+            status: 'draft',
+            signoff: {},
+            signoffHistory: [],
             bankFileName: bankFileName || '',
             glFileName: glFileName || '',
+            ...bankAccount,
+            period: period ? { start: period.start, end: period.end } : null,
+            carriedForwardFrom: carriedForwardFrom || null,
             settings: settings || {},
             summary
-        };
-
-        await reconciliationRef.set(reconciliationData);
+        }, {
+            matches: (matchedTransactions || []).map(match => ({
+                ...match,
+                createdAt: new Date()
+            })),
+            unmatchedBank: unmatchedBank || [],
+            unmatchedGL: unmatchedGL || []
+        });
 
-        // Save matches and unmatched items in batches
-        const BATCH_SIZE = 400; // Firestore batch limit is 500
+        await getStore().reconciliations.appendAudit(id, createAuditEntry(req.user, 'save', {
+            after: { name: reconciliationName, description: description || '', summary },
+            details: {
+                bankFileName,
+                glFileName,
+                bankAccountId: bankAccount.bankAccountId,
+                period: period || null,
+                carriedForwardFrom: carriedForwardFrom || null
+            }
+        }));
 
-        // Save matched transactions
-        if (matchedTransactions?.length > 0) {
-            for (let i = 0; i < matchedTransactions.length; i += BATCH_SIZE) {
-                const batch = db.batch();
-                const chunk = matchedTransactions.slice(i, i + BATCH_SIZE);
+        res.json({
+            id,
+            message: 'Reconciliation saved successfully',
+            summary
+        });
+    } catch (error) {
+        next(error);
+    }
+});
 
-                chunk.forEach(match => {
-                    const matchRef = reconciliationRef.collection('matches').doc();
-                    batch.set(matchRef, {
-                        ...match,
-                        createdAt: new Date()
-                    });
-                });
+/**
+ * GET /api/reconciliation/carry-forward
+ * Outstanding items from the bank account's previous period
+ * Query: bankAccountId, periodStart (YYYY-MM-DD)
+ */
+router.get('/carry-forward', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const { bankAccountId, periodStart } = req.query;
 
-                await batch.commit();
-            }
+        if (!bankAccountId || carryForward.validatePeriod({ start: periodStart, end: periodStart })) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'bankAccountId and periodStart (YYYY-MM-DD) are required'
+            });
         }
 
-        // Save unmatched bank items
-        if (unmatchedBank?.length > 0) {
-            for (let i = 0; i < unmatchedBank.length; i += BATCH_SIZE) {
-                const batch = db.batch();
-                const chunk = unmatchedBank.slice(i, i + BATCH_SIZE);
-
-                chunk.forEach(item => {
-                    const ref = reconciliationRef.collection('unmatchedBank').doc();
-                    batch.set(ref, item);
-                });
-
-                await batch.commit();
-            }
+        if (!await resolveBankAccount(bankAccountId, req.user)) {
+            return sendInvalidBankAccount(res);
         }
 
-        // Save unmatched GL items
-        if (unmatchedGL?.length > 0) {
-            for (let i = 0; i < unmatchedGL.length; i += BATCH_SIZE) {
-                const batch = db.batch();
-                const chunk = unmatchedGL.slice(i, i + BATCH_SIZE);
+        // Same visibility as History: the organization's sessions, or your own
+        const reconciliations = getStore().reconciliations;
+        const { records } = req.user.organizationId
+            ? await reconciliations.listByOrganization(req.user.organizationId, { bankAccountId })
+            : await reconciliations.listByUser(req.user.uid, { bankAccountId });
 
-                chunk.forEach(item => {
-                    const ref = reconciliationRef.collection('unmatchedGL').doc();
-                    batch.set(ref, item);
-                });
+        const source = carryForward.selectPriorReconciliation(records, periodStart);
 
-                await batch.commit();
-            }
+        if (!source) {
+            return res.json({ source: null, unmatchedBank: [], unmatchedGL: [] });
         }
 
+        const items = await reconciliations.getItems(source.id);
+
         res.json({
-            id: reconciliationRef.id,
-            message: 'Reconciliation saved successfully',
-            summary
+            source: {
+                id: source.id,
+                name: source.name,
+                period: source.period,
+                status: signoff.normalizeStatus(source.status)
+            },
+            unmatchedBank: carryForward.carryForwardItems(items.unmatchedBank, source, periodStart),
+            unmatchedGL: carryForward.carryForwardItems(items.unmatchedGL, source, periodStart)
         });
     } catch (error) {
         next(error);
@@ -217,57 +414,36 @@ router.post('/save', verifyToken, async (req, res, next) => {
  */
 router.get('/:id', verifyToken, async (req, res, next) => {
     try {
-        if (!db) {
-            return res.status(404).json({
-                error: 'Not found',
-                message: 'Reconciliation not found (demo mode)'
-            });
-        }
+        const reconciliations = getStore().reconciliations;
+        const data = await reconciliations.get(req.params.id);
 
-        const docRef = db.collection('reconciliations').doc(req.params.id);
-        const doc = await docRef.get();
-
-        if (!doc.exists) {
+        if (!data) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Reconciliation not found'
             });
         }
 
-        const data = doc.data();
-
-        // Check ownership
-        if (data.userId !== req.user.uid) {
+        if (!canAccessReconciliation(data, req.user)) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have permission to access this reconciliation'
             });
         }
 
-        // Get subcollections
-        const [matchesSnap, unmatchedBankSnap, unmatchedGLSnap] = await Promise.all([
-            docRef.collection('matches').get(),
-            docRef.collection('unmatchedBank').get(),
-            docRef.collection('unmatchedGL').get()
-        ]);
+        // Get matched and unmatched items
+        const items = await reconciliations.getItems(req.params.id);
 
         res.json({
-            id: doc.id,
             ...data,
+            status: signoff.normalizeStatus(data.status),
+            canEdit: !signoff.isLocked(data) && hasRole(req.user, 'preparer'),
+            nextStatuses: signoff.getNextStatuses(data, req.user),
             createdAt: data.createdAt?.toDate?.() || data.createdAt,
             updatedAt: data.updatedAt?.toDate?.() || data.updatedAt,
-            matchedTransactions: matchesSnap.docs.map(d => ({
-                id: d.id,
-                ...d.data()
-            })),
-            unmatchedBank: unmatchedBankSnap.docs.map(d => ({
-                id: d.id,
-                ...d.data()
-            })),
-            unmatchedGL: unmatchedGLSnap.docs.map(d => ({
-                id: d.id,
-                ...d.data()
-            }))
+            matchedTransactions: items.matches,
+            unmatchedBank: items.unmatchedBank,
+            unmatchedGL: items.unmatchedGL
         });
     } catch (error) {
         next(error);
@@ -276,41 +452,537 @@ router.get('/:id', verifyToken, async (req, res, next) => {
 
 /**
  * PUT /api/reconciliation/:id
- * Update reconciliation (e.g., add manual matches)
+ * Update reconciliation details (name, description, bankAccountId, period, balances)
+ * New balances rebuild summary.proof from the stored unmatched items.
  */
-router.put('/:id', verifyToken, async (req, res, next) => {
+router.put('/:id', verifyToken, requireRole('preparer'), async (req, res, next) => {
     try {
-        if (!db) {
-            return res.json({ message: 'Updated (demo mode)' });
-        }
-
-        const docRef = db.collection('reconciliations').doc(req.params.id);
-        const doc = await docRef.get();
+        const reconciliations = getStore().reconciliations;
+        const reconciliation = await reconciliations.get(req.params.id);
 
-        if (!doc.exists) {
+        if (!reconciliation) {
             return res.status(404).json({
                 error: 'Not found',
                 message: 'Reconciliation not found'
             });
         }
 
-        if (doc.data().userId !== req.user.uid) {
+        if (!canAccessReconciliation(reconciliation, req.user)) {
             return res.status(403).json({
                 error: 'Access denied',
                 message: 'You do not have permission to modify this reconciliation'
             });
         }
 
-        const { name, description, status } = req.body;
+        if (signoff.isLocked(reconciliation)) {
+            return sendLocked(res);
+        }
+
+        const { name, description, bankAccountId, period, balances, status } = req.body;
+
+        if (status !== undefined) {
+            return res.status(400).json({
+                error: 'Invalid update',
+                message: `Change status with POST /api/reconciliation/${req.params.id}/status`
+            });
+        }
+
         const updates = { updatedAt: new Date() };
 
         if (name !== undefined) updates.name = name;
         if (description !== undefined) updates.description = description;
-        if (status !== undefined) updates.status = status;
 
-        await docRef.update(updates);
+        if (bankAccountId !== undefined) {
+            const bankAccount = await resolveBankAccount(bankAccountId, req.user);
+            if (!bankAccount) return sendInvalidBankAccount(res);
+            Object.assign(updates, bankAccount);
+        }
+
+        if (period !== undefined) {
+            const periodError = period ? carryForward.validatePeriod(period) : null;
+            if (periodError) {
+                return res.status(400).json({
+                    error: 'Invalid period',
+                    message: periodError
+                });
+            }
+            updates.period = period ? { start: period.start, end: period.end } : null;
+        }
+
+        if (balances !== undefined) {
+            if (rejectInvalidBalances(balances, res)) return;
+            const items = await reconciliations.getItems(req.params.id);
+            updates.summary = {
+                ...reconciliation.summary,
+                proof: proof.buildProof(balances, items.unmatchedBank, items.unmatchedGL)
+            };
+        }
+
+        const { updatedAt, ...changed } = updates;
+        // New balances change the proof, and a new account or period changes
+        // what was reconciled, so a signed-off session goes back to draft
+        const resetReason = balances !== undefined ? BALANCE_RESET_REASON
+            : period !== undefined || bankAccountId !== undefined ? DETAILS_RESET_REASON
+                : null;
+        // The update and its audit entry are written together
+        const result = await reconciliations.applyChanges(req.params.id, {
+            updateRecord: (record) => ({
+                ...updates,
+                ...(resetReason ? signoff.resetForEdit(record, req.user, resetReason) : {})
+            }),
+            audit: () => createAuditEntry(req.user, 'update', {
+                before: Object.fromEntries(Object.keys(changed).map(field => [field, reconciliation[field] ?? null])),
+                after: changed
+            })
+        });
+        await auditSignoffReset(req, reconciliation, result.record, resetReason);
+
+        res.json({
+            message: 'Reconciliation updated successfully',
+            status: signoff.normalizeStatus(result.record.status)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ==================== Sign-off ====================
+
+// Sign-off history comments when an edit sends a signed-off session back to draft
+const MATCH_RESET_REASON = 'Matches changed after sign-off';
+const BALANCE_RESET_REASON = 'Balances changed after sign-off';
+const DETAILS_RESET_REASON = 'Bank account or period changed after sign-off';
+
+function sendLocked(res) {
+    return res.status(409).json({
+        error: 'Reconciliation locked',
+        message: 'Locked reconciliations cannot be changed'
+    });
+}
+
+/**
+ * Audit a sign-off reset caused by an edit (signoff.resetForEdit), if there was one
+ * @param {Object} before - Session as loaded before the edit
+ * @param {Object} record - Session after the edit
+ */
+async function auditSignoffReset(req, before, record, reason) {
+    const fromStatus = signoff.normalizeStatus(before.status);
+    const toStatus = signoff.normalizeStatus(record.status);
+    if (fromStatus === toStatus) return;
+
+    await getStore().reconciliations.appendAudit(req.params.id, createAuditEntry(req.user, 'status', {
+        reason,
+        before: { status: fromStatus },
+        after: { status: toStatus, signoff: record.signoff }
+    }));
+    console.log(`[SIGNOFF] ${req.params.id}: ${fromStatus} → ${toStatus} by ${req.user.uid} (${reason})`);
+}
+
+/**
+ * POST /api/reconciliation/:id/status
+ * Move a reconciliation through the sign-off workflow
+ * Body: { status, comment }
+ */
+router.post('/:id/status', verifyToken, async (req, res, next) => {
+    try {
+        const { status, comment } = req.body;
+        const reconciliations = getStore().reconciliations;
+        const reconciliation = await reconciliations.get(req.params.id);
+
+        if (!reconciliation) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Reconciliation not found'
+            });
+        }
+
+        if (!canAccessReconciliation(reconciliation, req.user)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You do not have permission to sign off this reconciliation'
+            });
+        }
+
+        const requiredRole = signoff.SIGNOFF_ROLES[status];
+        if (requiredRole && !hasRole(req.user, requiredRole)) {
+            return res.status(403).json({
+                error: 'Insufficient role',
+                message: `Moving to ${status} requires the ${requiredRole} role or higher`
+            });
+        }
+
+        const transitionError = signoff.validateTransition(reconciliation, status, req.user, comment);
+        if (transitionError) {
+            return res.status(signoff.isLocked(reconciliation) ? 409 : 400).json({
+                error: 'Invalid transition',
+                message: transitionError
+            });
+        }
+
+        const updates = signoff.buildTransition(reconciliation, status, req.user, comment);
+        await reconciliations.update(req.params.id, updates);
+        await reconciliations.appendAudit(req.params.id, createAuditEntry(req.user, 'status', {
+            reason: comment,
+            before: { status: signoff.normalizeStatus(reconciliation.status) },
+            after: { status, signoff: updates.signoff }
+        }));
+
+        console.log(`[SIGNOFF] ${req.params.id}: ${signoff.normalizeStatus(reconciliation.status)} → ${status} by ${req.user.uid}`);
+
+        res.json({
+            message: `Reconciliation marked ${status}`,
+            status,
+            signoff: updates.signoff,
+            signoffHistory: updates.signoffHistory,
+            nextStatuses: signoff.getNextStatuses(updates, req.user)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ==================== Match Edits ====================
+// Saved sessions can be edited one match at a time. Each change moves items
+// between the matches/unmatchedBank/unmatchedGL collections in one atomic
+// store call and keeps the session summary in step.
+
+// Match fields a client may change after the match exists
+const EDITABLE_MATCH_FIELDS = ['matchType', 'customNotes', 'notes'];
+
+/**
+ * Load a reconciliation the current user may edit
+ * Sends the 404/403/409 response and returns null otherwise.
+ */
+async function getEditableReconciliation(req, res) {
+    const reconciliation = await getStore().reconciliations.get(req.params.id);
+
+    if (!reconciliation) {
+        res.status(404).json({
+            error: 'Not found',
+            message: 'Reconciliation not found'
+        });
+        return null;
+    }
+
+    if (!canAccessReconciliation(reconciliation, req.user)) {
+        res.status(403).json({
+            error: 'Access denied',
+            message: 'You do not have permission to modify this reconciliation'
+        });
+        return null;
+    }
+
+    if (signoff.isLocked(reconciliation)) {
+        sendLocked(res);
+        return null;
+    }
+
+    return reconciliation;
+}
+
+/**
+ * Apply count/amount deltas to a stored session summary
+ * @param {Object} summary - Stored summary
+ * @param {Object} delta - { matched, unmatchedBank, unmatchedGL, matchedAmount }
+ * @param {Object} moved - { removed, added } unmatched items, to keep summary.proof current
+ */
+function adjustSummary(summary = {}, delta, moved = {}) {
+    return {
+        ...summary,
+        totalMatched: (summary.totalMatched || 0) + (delta.matched || 0),
+        totalUnmatchedBank: (summary.totalUnmatchedBank || 0) + (delta.unmatchedBank || 0),
+        totalUnmatchedGL: (summary.totalUnmatchedGL || 0) + (delta.unmatchedGL || 0),
+        totalMatchedAmount: (summary.totalMatchedAmount || 0) + (delta.matchedAmount || 0),
+        proof: proof.adjustProof(summary.proof, moved.removed, moved.added) ?? null
+    };
+}
+
+/**
+ * Items a match goes back to when it is undone (and so the items it consumed)
+ * Mirrors the browser: combined items return individually, the other side as-is.
+ */
+function getRestoredItems(match) {
+    if (match.isMultiMatch && match.bankTransaction?.combinedItems) {
+        return { unmatchedBank: match.bankTransaction.combinedItems, unmatchedGL: [match.glEntry] };
+    }
+    if (match.isMultiMatch && match.glEntry?.combinedItems) {
+        return { unmatchedBank: [match.bankTransaction], unmatchedGL: match.glEntry.combinedItems };
+    }
+    return { unmatchedBank: [match.bankTransaction], unmatchedGL: [match.glEntry] };
+}
+
+/**
+ * Check the unmatched item IDs a new match consumes
+ * @param {boolean} allowEmpty - Custom matches create one side, so consume none of it
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateItemIds(itemIds, label, allowEmpty = false) {
+    if (!Array.isArray(itemIds) || (itemIds.length === 0 && !allowEmpty)) {
+        return `${label} must list at least one item`;
+    }
+    if (!itemIds.every(itemId => typeof itemId === 'string' && itemId)) {
+        return `${label} must contain item IDs`;
+    }
+    if (new Set(itemIds).size !== itemIds.length) {
+        return `${label} lists the same item more than once`;
+    }
+    return null;
+}
+
+/**
+ * POST /api/reconciliation/:id/matches
+ * Add a match, removing the unmatched items it consumes
+ * Body: { match, bankItemIds, glItemIds, reason }
+ */
+router.post('/:id/matches', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const { match, bankItemIds = [], glItemIds = [], reason } = req.body;
+
+        if (!match?.bankTransaction || !match?.glEntry) {
+            return res.status(400).json({
+                error: 'Invalid match',
+                message: 'match must include bankTransaction and glEntry'
+            });
+        }
+
+        const isCustom = Boolean(match.isCustom);
+        const idsError = validateItemIds(bankItemIds, 'bankItemIds', isCustom) ||
+            validateItemIds(glItemIds, 'glItemIds', isCustom) ||
+            (bankItemIds.length + glItemIds.length === 0 ? 'A match must consume at least one unmatched item' : null);
+        if (idsError) {
+            return res.status(400).json({
+                error: 'Invalid match',
+                message: idsError
+            });
+        }
+
+        const reconciliation = await getEditableReconciliation(req, res);
+        if (!reconciliation) return;
+
+        // IDs no longer in the unmatched lists fail with 409; the counts are
+        // adjusted by the items actually removed, not by what the body claims,
+        // and the amount by the match itself, as undoing it subtracts
+        const { id: ignoredId, ...matchData } = match;
+        const result = await getStore().reconciliations.applyChanges(req.params.id, {
+            remove: { unmatchedBank: bankItemIds, unmatchedGL: glItemIds },
+            add: { matches: [{ ...matchData, createdAt: new Date() }] },
+            updateRecord: (record, { removed }) => ({
+                ...signoff.resetForEdit(record, req.user, MATCH_RESET_REASON),
+                updatedAt: new Date(),
+                summary: adjustSummary(record.summary, {
+                    matched: 1,
+                    unmatchedBank: -removed.unmatchedBank.length,
+                    unmatchedGL: -removed.unmatchedGL.length,
+                    matchedAmount: reconciliationEngine.getMatchedAmount(matchData)
+                }, { removed })
+            }),
+            audit: (changed) => createAuditEntry(req.user, getMatchAction(match), {
+                reason: reason || match.customNotes,
+                before: changed.removed,
+                after: changed.added.matches[0],
+                details: { matchType: match.matchType }
+            })
+        });
+
+        const saved = result.added.matches[0];
+        console.log(`[RECONCILE] Added match ${saved.id} to ${req.params.id}`);
+        await auditSignoffReset(req, reconciliation, result.record, MATCH_RESET_REASON);
+
+        res.status(201).json({
+            id: saved.id,
+            match: saved,
+            summary: result.record.summary,
+            status: signoff.normalizeStatus(result.record.status)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PUT /api/reconciliation/:id/matches/:matchId
+ * Update editable fields of a match (matchType, customNotes, notes)
+ */
+router.put('/:id/matches/:matchId', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const updates = {};
+        EDITABLE_MATCH_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) updates[field] = req.body[field];
+        });
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                error: 'Invalid update',
+                message: `Provide at least one of: ${EDITABLE_MATCH_FIELDS.join(', ')}`
+            });
+        }
+
+        const reconciliation = await getEditableReconciliation(req, res);
+        if (!reconciliation) return;
+
+        const reconciliations = getStore().reconciliations;
+        const match = await reconciliations.getItem(req.params.id, 'matches', req.params.matchId);
+
+        if (!match) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Match not found'
+            });
+        }
+
+        const result = await reconciliations.applyChanges(req.params.id, {
+            update: { matches: { [req.params.matchId]: { ...updates, updatedAt: new Date() } } },
+            updateRecord: (record) => ({
+                ...signoff.resetForEdit(record, req.user, MATCH_RESET_REASON),
+                updatedAt: new Date()
+            }),
+            audit: () => createAuditEntry(req.user, 'match_update', {
+                reason: req.body.reason,
+                before: Object.fromEntries(Object.keys(updates).map(field => [field, match[field] ?? null])),
+                after: updates,
+                details: { matchId: req.params.matchId }
+            })
+        });
+
+        await auditSignoffReset(req, reconciliation, result.record, MATCH_RESET_REASON);
+
+        res.json({
+            message: 'Match updated successfully',
+            status: signoff.normalizeStatus(result.record.status)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * DELETE /api/reconciliation/:id/matches/:matchId
+ * Undo a match, returning its items to the unmatched lists
+ * Body (optional): { reason }
+ */
+router.delete('/:id/matches/:matchId', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const reconciliation = await getEditableReconciliation(req, res);
+        if (!reconciliation) return;
+
+        const reconciliations = getStore().reconciliations;
+        const match = await reconciliations.getItem(req.params.id, 'matches', req.params.matchId);
+
+        if (!match) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Match not found'
+            });
+        }
+
+        const restored = getRestoredItems(match);
+
+        // Removing the match fails with 409 if someone else undid it first
+        const result = await reconciliations.applyChanges(req.params.id, {
+            remove: { matches: [req.params.matchId] },
+            add: restored,
+            updateRecord: (record) => ({
+                ...signoff.resetForEdit(record, req.user, MATCH_RESET_REASON),
+                updatedAt: new Date(),
+                summary: adjustSummary(record.summary, {
+                    matched: -1,
+                    unmatchedBank: restored.unmatchedBank.length,
+                    unmatchedGL: restored.unmatchedGL.length,
+                    matchedAmount: -reconciliationEngine.getMatchedAmount(match)
+                }, { added: restored })
+            }),
+            audit: (changed) => createAuditEntry(req.user, 'unmatch', {
+                reason: req.body?.reason,
+                before: match,
+                after: changed.added,
+                details: { matchType: match.matchType }
+            })
+        });
+
+        console.log(`[RECONCILE] Removed match ${req.params.matchId} from ${req.params.id}`);
+        await auditSignoffReset(req, reconciliation, result.record, MATCH_RESET_REASON);
+
+        res.json({
+            message: 'Match removed successfully',
+            unmatchedBank: result.added.unmatchedBank,
+            unmatchedGL: result.added.unmatchedGL,
+            summary: result.record.summary,
+            status: signoff.normalizeStatus(result.record.status)
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ==================== Audit Trail ====================
+
+/**
+ * GET /api/reconciliation/:id/audit
+ * Audit trail, newest first
+ * Query: limit (default 50, max 200), startAfter (entry ID for the next page)
+ */
+router.get('/:id/audit', verifyToken, async (req, res, next) => {
+    try {
+        const reconciliations = getStore().reconciliations;
+        const reconciliation = await reconciliations.get(req.params.id);
+
+        if (!reconciliation) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Reconciliation not found'
+            });
+        }
+
+        if (!canAccessReconciliation(reconciliation, req.user)) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You do not have permission to access this reconciliation'
+            });
+        }
+
+        const pageLimit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const { entries, lastId } = await reconciliations.listAudit(req.params.id, {
+            limit: pageLimit,
+            startAfter: req.query.startAfter
+        });
+
+        res.json({
+            entries: entries.map(entry => ({
+                ...entry,
+                at: entry.at?.toDate?.() || entry.at
+            })),
+            hasMore: entries.length === pageLimit,
+            lastId
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/reconciliation/:id/audit
+ * Record a browser-side event that changes no stored data (Smart Match denials)
+ * Body: { action, reason, details }
+ */
+router.post('/:id/audit', verifyToken, requireRole('preparer'), async (req, res, next) => {
+    try {
+        const { action, reason, details } = req.body;
+
+        if (!CLIENT_AUDIT_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                error: 'Invalid audit entry',
+                message: `action must be one of: ${CLIENT_AUDIT_ACTIONS.join(', ')}`
+            });
+        }
+
+        if (!await getEditableReconciliation(req, res)) return;
+
+        await getStore().reconciliations.appendAudit(
+            req.params.id,
+            createAuditEntry(req.user, action, { reason, details })
+        );
 
-        res.json({ message: 'Reconciliation updated successfully' });
+        res.status(201).json({ message: 'Audit entry recorded' });
     } catch (error) {
         next(error);
     }
@@ -1,55 +1,178 @@
 const router = require('express').Router();
-const { db } = require('../config/firebase');
-const { verifyToken } = require('../middleware/auth');
+const { getStore } = require('../stores');
+const { verifyToken, hasRole } = require('../middleware/auth');
+const { getDataScope } = require('../middleware/access');
+const { validateRules } = require('../engine/matchingRules');
+const { BANK_DATE_FIELDS } = require('../engine/reconciliationEngine');
+const { RECONCILED_MODES } = require('../engine/clearedStatus');
+const { DATE_ORDERS } = require('../parsers/qifParser');
 
 // Valid settings keys
 const VALID_SETTINGS = [
     'defaultDateRange',
     'defaultAmountTolerance',
     'dateFormat',
+    'dateParsing',
     'currencyFormat',
     'theme',
     'exportFormat',
     'autoSaveEnabled',
-    'showConfidenceScores'
+    'showConfidenceScores',
+    'assignmentMode',
+    'batchDeposits',
+    'batchGroupBy',
+    'splitSettlements',
+    'expandSplits',
+    'reconciledItems',
+    'bankDateField',
+    'matchingRules'
 ];
 
+// Settings an organization shares (per user outside one), stored under
+// its data scope; until the organization sets one, each member's own applies.
+// Only admins change them.
+const SHARED_SETTINGS = ['matchingRules', 'defaultDateRange', 'defaultAmountTolerance'];
+
 // Default settings
 const DEFAULT_SETTINGS = {
     defaultDateRange: 3,
     defaultAmountTolerance: 0.00,
     dateFormat: 'MM/DD/YYYY',
+    dateParsing: 'MDY',
     currencyFormat: 'USD',
     theme: 'light',
     exportFormat: 'xlsx',
     autoSaveEnabled: false,
-    showConfidenceScores: true
+    showConfidenceScores: true,
+    assignmentMode: 'greedy',
+    batchDeposits: true,
+    batchGroupBy: 'date',
+    splitSettlements: true,
+    expandSplits: false,
+    reconciledItems: 'exclude',
+    bankDateField: 'posted',
+    matchingRules: []
 };
 
 /**
- * GET /api/settings
- * Get user settings
+ * Validate one setting
+ * @returns {string|null} Error message, or null when valid
  */
-router.get('/', verifyToken, async (req, res, next) => {
-    try {
-        if (!db) {
-            // Demo mode - return default settings
-            return res.json(DEFAULT_SETTINGS);
-        }
+function validateSetting(key, value) {
+    switch (key) {
+        case 'defaultDateRange':
+            if (typeof value !== 'number' || value < 0 || value > 30) {
+                return 'defaultDateRange must be a number between 0 and 30';
+            }
+            break;
 
-        const userDoc = await db.collection('users').doc(req.user.uid).get();
+        case 'defaultAmountTolerance':
+            if (typeof value !== 'number' || value < 0) {
+                return 'defaultAmountTolerance must be a non-negative number';
+            }
+            break;
 
-        if (!userDoc.exists) {
-            return res.json(DEFAULT_SETTINGS);
-        }
+        case 'dateFormat':
+            if (!['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'].includes(value)) {
+                return 'Invalid date format';
+            }
+            break;
 
-        const settings = userDoc.data()?.settings || {};
+        case 'dateParsing':
+            if (!DATE_ORDERS.includes(value)) {
+                return `dateParsing must be one of: ${DATE_ORDERS.join(', ')}`;
+            }
+            break;
+
+        case 'currencyFormat':
+            if (!['USD', 'EUR', 'GBP'].includes(value)) {
+                return 'Invalid currency format';
+            }
+            break;
 
-        // Merge with defaults to ensure all keys exist
-        res.json({
-            ...DEFAULT_SETTINGS,
-            ...settings
-        });
+        case 'theme':
+            if (!['light', 'dark', 'system'].includes(value)) {
+                return 'Invalid theme';
+            }
+            break;
+
+        case 'exportFormat':
+            if (!['xlsx', 'csv'].includes(value)) {
+                return 'Invalid export format';
+            }
+            break;
+
+        case 'reconciledItems':
+            if (!RECONCILED_MODES.includes(value)) {
+                return `reconciledItems must be one of: ${RECONCILED_MODES.join(', ')}`;
+            }
+            break;
+
+        case 'assignmentMode':
+            if (!['greedy', 'optimal'].includes(value)) {
+                return 'assignmentMode must be greedy or optimal';
+            }
+            break;
+
+        case 'bankDateField':
+            if (!Object.hasOwn(BANK_DATE_FIELDS, value)) {
+                return 'bankDateField must be posted, user or available';
+            }
+            break;
+
+        case 'batchGroupBy':
+            if (!['date', 'dateAndRef'].includes(value)) {
+                return 'batchGroupBy must be date or dateAndRef';
+            }
+            break;
+
+        case 'matchingRules':
+            return validateRules(value);
+
+        case 'autoSaveEnabled':
+        case 'showConfidenceScores':
+        case 'batchDeposits':
+        case 'splitSettlements':
+        case 'expandSplits':
+            if (typeof value !== 'boolean') {
+                return `${key} must be a boolean`;
+            }
+            break;
+    }
+
+    return null;
+}
+
+/**
+ * Defaults, then the user's own settings, then the shared ones
+ * sharedSettings tells the client which settings are shared and whether
+ * this user may change them.
+ */
+async function getEffectiveSettings(user) {
+    const store = getStore();
+    const [profile, shared] = await Promise.all([
+        store.users.get(user.uid),
+        store.sharedSettings.get(getDataScope(user))
+    ]);
+
+    return {
+        ...DEFAULT_SETTINGS,
+        ...(profile?.settings || {}),
+        ...shared,
+        sharedSettings: {
+            keys: SHARED_SETTINGS,
+            canEdit: hasRole(user, 'admin')
+        }
+    };
+}
+
+/**
+ * GET /api/settings
+ * Get user settings, with the organization's shared settings applied
+ */
+router.get('/', verifyToken, async (req, res, next) => {
+    try {
+        res.json(await getEffectiveSettings(req.user));
     } catch (error) {
         next(error);
     }
@@ -57,116 +180,57 @@ router.get('/', verifyToken, async (req, res, next) => {
 
 /**
  * PUT /api/settings
- * Update user settings
+ * Update user settings; shared settings are saved for the whole organization
+ * and need the admin role
  */
 router.put('/', verifyToken, async (req, res, next) => {
     try {
         // Validate and extract only valid settings
         const updates = {};
+        const sharedUpdates = {};
         for (const key of VALID_SETTINGS) {
-            if (req.body[key] !== undefined) {
-                // Type validation
-                const value = req.body[key];
-
-                switch (key) {
-                    case 'defaultDateRange':
-                        if (typeof value !== 'number' || value < 0 || value > 30) {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: 'defaultDateRange must be a number between 0 and 30'
-                            });
-                        }
-                        break;
-
-                    case 'defaultAmountTolerance':
-                        if (typeof value !== 'number' || value < 0) {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: 'defaultAmountTolerance must be a non-negative number'
-                            });
-                        }
-                        break;
-
-                    case 'dateFormat':
-                        if (!['MM/DD/YYYY', 'DD/MM/YYYY', 'YYYY-MM-DD'].includes(value)) {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: 'Invalid date format'
-                            });
-                        }
-                        break;
-
-                    case 'currencyFormat':
-                        if (!['USD', 'EUR', 'GBP'].includes(value)) {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: 'Invalid currency format'
-                            });
-                        }
-                        break;
-
-                    case 'theme':
-                        if (!['light', 'dark', 'system'].includes(value)) {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: 'Invalid theme'
-                            });
-                        }
-                        break;
-
-                    case 'exportFormat':
-                        if (!['xlsx', 'csv'].includes(value)) {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: 'Invalid export format'
-                            });
-                        }
-                        break;
-
-                    case 'autoSaveEnabled':
-                    case 'showConfidenceScores':
-                        if (typeof value !== 'boolean') {
-                            return res.status(400).json({
-                                error: 'Invalid value',
-                                message: `${key} must be a boolean`
-                            });
-                        }
-                        break;
-                }
-
-                updates[`settings.${key}`] = value;
+            const value = req.body[key];
+            if (value === undefined) continue;
+
+            const validationError = validateSetting(key, value);
+            if (validationError) {
+                return res.status(400).json({
+                    error: 'Invalid value',
+                    message: validationError
+                });
+            }
+
+            if (SHARED_SETTINGS.includes(key)) {
+                sharedUpdates[key] = value;
+            } else {
+                updates[key] = value;
             }
         }
 
-        if (Object.keys(updates).length === 0) {
+        if (Object.keys(updates).length === 0 && Object.keys(sharedUpdates).length === 0) {
             return res.status(400).json({
                 error: 'No updates',
                 message: 'No valid settings provided'
             });
         }
 
-        if (!db) {
-            // Demo mode - return merged settings
-            const mergedSettings = { ...DEFAULT_SETTINGS };
-            for (const key of VALID_SETTINGS) {
-                if (req.body[key] !== undefined) {
-                    mergedSettings[key] = req.body[key];
-                }
-            }
-            return res.json(mergedSettings);
+        if (Object.keys(sharedUpdates).length > 0 && !hasRole(req.user, 'admin')) {
+            return res.status(403).json({
+                error: 'Insufficient role',
+                message: `Only admins can change organization-wide settings (${Object.keys(sharedUpdates).join(', ')})`
+            });
         }
 
-        // Update settings in Firestore
-        await db.collection('users').doc(req.user.uid).update(updates);
-
-        // Return updated settings
-        const userDoc = await db.collection('users').doc(req.user.uid).get();
-        const settings = userDoc.data()?.settings || {};
+        if (Object.keys(updates).length > 0) {
+            await getStore().users.updateSettings(req.user.uid, updates);
+        }
+        if (Object.keys(sharedUpdates).length > 0) {
+            const scope = getDataScope(req.user);
+            await getStore().sharedSettings.update(scope, sharedUpdates);
+            console.log(`[SETTINGS] Updated shared ${Object.keys(sharedUpdates).join(', ')} for ${scope}`);
+        }
 
-        res.json({
-            ...DEFAULT_SETTINGS,
-            ...settings
-        });
+        res.json(await getEffectiveSettings(req.user));
     } catch (error) {
         next(error);
     }
@@ -174,22 +238,17 @@ router.put('/', verifyToken, async (req, res, next) => {
 
 /**
  * POST /api/settings/reset
- * Reset settings to defaults
+ * Reset the user's own settings to defaults (shared settings are kept)
  */
 router.post('/reset', verifyToken, async (req, res, next) => {
     try {
-        if (!db) {
-            return res.json(DEFAULT_SETTINGS);
-        }
-
-        await db.collection('users').doc(req.user.uid).update({
-            settings: DEFAULT_SETTINGS
-        });
+        await getStore().users.replaceSettings(req.user.uid, DEFAULT_SETTINGS);
 
-        res.json(DEFAULT_SETTINGS);
+        res.json(await getEffectiveSettings(req.user));
     } catch (error) {
         next(error);
     }
 });
 
 module.exports = router;
+module.exports.getEffectiveSettings = getEffectiveSettings;
@@ -0,0 +1,16 @@
+/**
+ * Store errors
+ * Carry a statusCode so the global error handler returns the right response.
+ */
+
+/**
+ * An item changed by someone else since it was loaded (HTTP 409)
+ */
+function createConflictError(message) {
+    const error = new Error(message);
+    error.name = 'Conflict';
+    error.statusCode = 409;
+    return error;
+}
+
+module.exports = { createConflictError };
@@ -0,0 +1,422 @@
+/**
+ * Firestore Store
+ * Cloud persistence used when Firebase credentials are configured.
+ *
+ * Collections:
+ *   users/{uid}                                  profile + settings + organization membership
+ *   organizations/{id}                           town/district name
+ *   bankAccounts/{id}                            bank accounts, by owner scope
+ *   reconciliations/{id}                         session summary
+ *   reconciliations/{id}/matches|unmatchedBank|unmatchedGL/{itemId}
+ *   reconciliations/{id}/audit/{entryId}         append-only audit trail (kept on delete)
+ *   smartMatchLearning/{scope}                   shared Smart Match learning
+ *   sharedSettings/{scope}                       settings shared by an organization (matching rules)
+ */
+
+const learning = require('../engine/learning');
+const { createConflictError } = require('./errors');
+
+const ITEM_COLLECTIONS = ['matches', 'unmatchedBank', 'unmatchedGL'];
+
+// Firestore batch limit is 500
+const BATCH_SIZE = 400;
+
+function createFirestoreStore(db) {
+    const reconciliationsRef = () => db.collection('reconciliations');
+
+    const writeInBatches = async (items, writeOne) => {
+        for (let i = 0; i < items.length; i += BATCH_SIZE) {
+            const batch = db.batch();
+            items.slice(i, i + BATCH_SIZE).forEach(item => writeOne(batch, item));
+            await batch.commit();
+        }
+    };
+
+    const toRecord = (doc) => ({ id: doc.id, ...doc.data() });
+
+    const users = {
+        async get(uid) {
+            const doc = await db.collection('users').doc(uid).get();
+            return doc.exists ? doc.data() : null;
+        },
+
+        async upsert(uid, data) {
+            await db.collection('users').doc(uid).set(data, { merge: true });
+            return users.get(uid);
+        },
+
+        async updateSettings(uid, settings) {
+            const updates = {};
+            Object.entries(settings).forEach(([key, value]) => {
+                updates[`settings.${key}`] = value;
+            });
+            await db.collection('users').doc(uid).update(updates);
+            return (await users.get(uid))?.settings || {};
+        },
+
+        async replaceSettings(uid, settings) {
+            await db.collection('users').doc(uid).update({ settings });
+            return settings;
+        },
+
+        async delete(uid) {
+            await db.collection('users').doc(uid).delete();
+        },
+
+        async findByEmail(email) {
+            const snapshot = await db.collection('users').where('email', '==', email).limit(1).get();
+            return snapshot.empty ? null : { uid: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+        },
+
+        async listByOrganization(organizationId) {
+            const snapshot = await db.collection('users').where('organizationId', '==', organizationId).get();
+            return snapshot.docs.map(doc => ({ uid: doc.id, ...doc.data() }));
+        }
+    };
+
+    const organizations = {
+        async create(data) {
+            const ref = db.collection('organizations').doc();
+            await ref.set(data);
+            return ref.id;
+        },
+
+        async get(id) {
+            const doc = await db.collection('organizations').doc(id).get();
+            return doc.exists ? toRecord(doc) : null;
+        },
+
+        async update(id, updates) {
+            await db.collection('organizations').doc(id).update(updates);
+        },
+
+        async delete(id) {
+            await db.collection('organizations').doc(id).delete();
+        }
+    };
+
+    const bankAccounts = {
+        async create(data) {
+            const ref = db.collection('bankAccounts').doc();
+            await ref.set(data);
+            return ref.id;
+        },
+
+        async get(id) {
+            const doc = await db.collection('bankAccounts').doc(id).get();
+            return doc.exists ? toRecord(doc) : null;
+        },
+
+        async update(id, updates) {
+            await db.collection('bankAccounts').doc(id).update(updates);
+        },
+
+        async delete(id) {
+            await db.collection('bankAccounts').doc(id).delete();
+        },
+
+        async listByScope(scope) {
+            const snapshot = await db.collection('bankAccounts').where('scope', '==', scope).get();
+            return snapshot.docs.map(toRecord).sort((a, b) => a.name.localeCompare(b.name));
+        }
+    };
+
+    // Newest-first page of sessions where field == value
+    const listWhere = async (field, value, { limit, startAfter, status, bankAccountId } = {}) => {
+        let query = reconciliationsRef()
+            .where(field, '==', value)
+            .orderBy('createdAt', 'desc');
+
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+
+        if (bankAccountId) {
+            query = query.where('bankAccountId', '==', bankAccountId);
+        }
+
+        if (startAfter) {
+            const startDoc = await reconciliationsRef().doc(startAfter).get();
+            if (startDoc.exists) {
+                query = query.startAfter(startDoc);
+            }
+        }
+
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        const snapshot = await query.get();
+        return {
+            records: snapshot.docs.map(toRecord),
+            lastId: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null
+        };
+    };
+
+    const reconciliations = {
+        async create(data, items = {}) {
+            const ref = reconciliationsRef().doc();
+            await ref.set(data);
+
+            for (const collection of ITEM_COLLECTIONS) {
+                await writeInBatches(items[collection] || [], (batch, item) => {
+                    batch.set(ref.collection(collection).doc(), item);
+                });
+            }
+
+            return ref.id;
+        },
+
+        async get(id) {
+            const doc = await reconciliationsRef().doc(id).get();
+            return doc.exists ? toRecord(doc) : null;
+        },
+
+        async getItems(id) {
+            const ref = reconciliationsRef().doc(id);
+            const snapshots = await Promise.all(ITEM_COLLECTIONS.map(c => ref.collection(c).get()));
+
+            const result = {};
+            ITEM_COLLECTIONS.forEach((collection, i) => {
+                result[collection] = snapshots[i].docs.map(toRecord);
+            });
+            return result;
+        },
+
+        async update(id, updates) {
+            await reconciliationsRef().doc(id).update(updates);
+        },
+
+        /**
+         * Add, remove and update items across collections in one transaction
+         * @param {string} id - Reconciliation ID
+         * @param {Object} changes - { add: {collection: [items]}, remove: {collection: [itemIds]},
+         *                            update: {collection: {itemId: fields}}, updateRecord: (record, { removed }) => fields,
+         *                            audit: (result) => entry }
+         * @returns {Object} { added: {collection: [items]}, removed: {collection: [items]}, record }
+         */
+        async applyChanges(id, changes) {
+            const ref = reconciliationsRef().doc(id);
+
+            return db.runTransaction(async (transaction) => {
+                // Firestore transactions need every read before the first write
+                const recordDoc = await transaction.get(ref);
+                const removed = {};
+                for (const [collection, itemIds] of Object.entries(changes.remove || {})) {
+                    removed[collection] = [];
+                    for (const itemId of itemIds) {
+                        const doc = await transaction.get(ref.collection(collection).doc(itemId));
+                        if (!doc.exists) {
+                            throw createConflictError(`Item ${itemId} is no longer in ${collection}`);
+                        }
+                        removed[collection].push(toRecord(doc));
+                    }
+                }
+                for (const [collection, itemUpdates] of Object.entries(changes.update || {})) {
+                    for (const itemId of Object.keys(itemUpdates)) {
+                        const doc = await transaction.get(ref.collection(collection).doc(itemId));
+                        if (!doc.exists) {
+                            throw createConflictError(`Item ${itemId} is no longer in ${collection}`);
+                        }
+                    }
+                }
+
+                Object.entries(changes.remove || {}).forEach(([collection, itemIds]) => {
+                    itemIds.forEach(itemId => transaction.delete(ref.collection(collection).doc(itemId)));
+                });
+
+                const added = {};
+                Object.entries(changes.add || {}).forEach(([collection, items]) => {
+                    added[collection] = items.map(({ id: itemId, ...item }) => {
+                        // Restored items keep their original ID
+                        const itemRef = itemId
+                            ? ref.collection(collection).doc(itemId)
+                            : ref.collection(collection).doc();
+                        transaction.set(itemRef, item);
+                        return { id: itemRef.id, ...item };
+                    });
+                });
+
+                Object.entries(changes.update || {}).forEach(([collection, itemUpdates]) => {
+                    Object.entries(itemUpdates).forEach(([itemId, fields]) => {
+                        transaction.update(ref.collection(collection).doc(itemId), fields);
+                    });
+                });
+
+                const record = { id, ...recordDoc.data() };
+                if (changes.updateRecord) {
+                    const recordUpdates = changes.updateRecord(record, { removed });
+                    transaction.update(ref, recordUpdates);
+                    Object.assign(record, recordUpdates);
+                }
+
+                const result = { added, removed, record };
+                if (changes.audit) {
+                    transaction.set(ref.collection('audit').doc(), changes.audit(result));
+                }
+
+                return result;
+            });
+        },
+
+        async getItem(id, collection, itemId) {
+            const doc = await reconciliationsRef().doc(id).collection(collection).doc(itemId).get();
+            return doc.exists ? toRecord(doc) : null;
+        },
+
+        async appendAudit(id, entry) {
+            await reconciliationsRef().doc(id).collection('audit').add(entry);
+        },
+
+        /**
+         * Audit entries, newest first
+         * @returns {Object} { entries, lastId }
+         */
+        async listAudit(id, { limit, startAfter } = {}) {
+            const auditRef = reconciliationsRef().doc(id).collection('audit');
+            let query = auditRef.orderBy('at', 'desc');
+
+            if (startAfter) {
+                const startDoc = await auditRef.doc(startAfter).get();
+                if (startDoc.exists) {
+                    query = query.startAfter(startDoc);
+                }
+            }
+
+            if (limit) {
+                query = query.limit(limit);
+            }
+
+            const snapshot = await query.get();
+            return {
+                entries: snapshot.docs.map(toRecord),
+                lastId: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null
+            };
+        },
+
+        async delete(id) {
+            const ref = reconciliationsRef().doc(id);
+
+            for (const collection of ITEM_COLLECTIONS) {
+                const snapshot = await ref.collection(collection).get();
+                await writeInBatches(snapshot.docs, (batch, doc) => batch.delete(doc.ref));
+            }
+
+            await ref.delete();
+        },
+
+        /**
+         * Page through a user's reconciliations, newest first
+         * @returns {Object} { records, lastId }
+         */
+        async listByUser(userId, options) {
+            return listWhere('userId', userId, options);
+        },
+
+        /**
+         * Page through an organization's reconciliations (sign-off queue)
+         * @returns {Object} { records, lastId }
+         */
+        async listByOrganization(organizationId, options) {
+            return listWhere('organizationId', organizationId, options);
+        },
+
+        async duplicate(id, overrides) {
+            const source = reconciliationsRef().doc(id);
+            const sourceDoc = await source.get();
+            const target = reconciliationsRef().doc();
+
+            await target.set({ ...sourceDoc.data(), ...overrides });
+
+            for (const collection of ITEM_COLLECTIONS) {
+                const snapshot = await source.collection(collection).get();
+                await writeInBatches(snapshot.docs, (batch, doc) => {
+                    batch.set(target.collection(collection).doc(), doc.data());
+                });
+            }
+
+            return target.id;
+        },
+
+        // Organization-owned sessions stay with the organization
+        async deleteByUser(userId) {
+            const snapshot = await reconciliationsRef().where('userId', '==', userId).get();
+            for (const doc of snapshot.docs) {
+                if (doc.data().organizationId) continue;
+                await reconciliations.delete(doc.id);
+            }
+        }
+    };
+
+    const learningRef = (scope) => db.collection('smartMatchLearning').doc(scope);
+
+    const learningStore = {
+        async get(scope) {
+            const doc = await learningRef(scope).get();
+            return doc.exists ? learning.normalizeLearningData(doc.data()) : learning.createEmptyLearningData();
+        },
+
+        async save(scope, data) {
+            const normalized = learning.normalizeLearningData(data);
+            await learningRef(scope).set(normalized);
+            return normalized;
+        },
+
+        // Read-modify-write in a transaction so concurrent team updates are not lost
+        async update(scope, updater) {
+            return db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(learningRef(scope));
+                const current = doc.exists
+                    ? learning.normalizeLearningData(doc.data())
+                    : learning.createEmptyLearningData();
+                const next = updater(current);
+                transaction.set(learningRef(scope), next);
+                return next;
+            });
+        },
+
+        async reset(scope) {
+            await learningRef(scope).delete();
+            return learning.createEmptyLearningData();
+        }
+    };
+
+    const sharedSettingsRef = (scope) => db.collection('sharedSettings').doc(scope);
+
+    const sharedSettings = {
+        async get(scope) {
+            const doc = await sharedSettingsRef(scope).get();
+            return doc.exists ? doc.data() : {};
+        },
+
+        // null removes a setting, so members fall back to their own
+        async update(scope, updates) {
+            return db.runTransaction(async (transaction) => {
+                const doc = await transaction.get(sharedSettingsRef(scope));
+                const next = { ...(doc.exists ? doc.data() : {}) };
+                Object.entries(updates).forEach(([key, value]) => {
+                    if (value === null) delete next[key];
+                    else next[key] = value;
+                });
+                transaction.set(sharedSettingsRef(scope), next);
+                return next;
+            });
+        }
+    };
+
+    return {
+        backend: 'firestore',
+        users,
+        organizations,
+        bankAccounts,
+        reconciliations,
+        learning: learningStore,
+        sharedSettings,
+
+        async ping() {
+            await db.collection('_health').doc('check').get();
+        }
+    };
+}
+
+module.exports = { createFirestoreStore };
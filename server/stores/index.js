@@ -0,0 +1,77 @@
+/**
+ * Persistence Layer
+ * Routes talk to a store instead of Firestore directly. The backend is chosen
+ * with STORAGE_BACKEND:
+ *   firestore - Firebase Firestore (default when Firebase credentials are set)
+ *   file      - JSON files under DATA_DIR (default ./data), for on-prem installs
+ *   memory    - in-process only (default without Firebase; also for tests)
+ *
+ * Every store exposes the same shape:
+ *   { backend, users, organizations, bankAccounts, reconciliations, learning, sharedSettings, ping }
+ * The file and memory stores also keep local sign-in credentials.
+ */
+
+const path = require('path');
+const { db, hasCredentials } = require('../config/firebase');
+const { createFirestoreStore } = require('./firestoreStore');
+const { createLocalStore } = require('./localStore');
+
+const STORAGE_BACKENDS = ['firestore', 'file', 'memory'];
+
+let store = null;
+
+function resolveBackend() {
+    const requested = (process.env.STORAGE_BACKEND || '').trim().toLowerCase();
+
+    if (requested) {
+        if (!STORAGE_BACKENDS.includes(requested)) {
+            throw new Error(`Invalid STORAGE_BACKEND "${requested}". Use one of: ${STORAGE_BACKENDS.join(', ')}`);
+        }
+        return requested;
+    }
+
+    return db && hasCredentials ? 'firestore' : 'memory';
+}
+
+function createStore(backend) {
+    switch (backend) {
+        case 'firestore':
+            if (!db) {
+                throw new Error('STORAGE_BACKEND=firestore requires Firebase to be configured');
+            }
+            return createFirestoreStore(db);
+
+        case 'file':
+            return createLocalStore({
+                dir: path.resolve(process.env.DATA_DIR || path.join(__dirname, '../../data'))
+            });
+
+        default:
+            return createLocalStore();
+    }
+}
+
+/**
+ * Get the configured store (created on first use)
+ */
+function getStore() {
+    if (!store) {
+        store = createStore(resolveBackend());
+        console.log(`[STORE] Using ${store.backend} storage`);
+    }
+    return store;
+}
+
+/**
+ * Swap the store (integration tests, custom backends)
+ */
+function setStore(customStore) {
+    store = customStore;
+}
+
+module.exports = {
+    getStore,
+    setStore,
+    createStore,
+    STORAGE_BACKENDS
+};
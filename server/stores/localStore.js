@@ -0,0 +1,631 @@
+/**
+ * Local Store
+ * Embedded persistence for on-prem installs and integration tests - no cloud
+ * account needed. Data lives in memory and, when a directory is given, is
+ * written to JSON files:
+ *
+ *   <dir>/users.json                  { uid: profile + settings + membership }
+ *   <dir>/credentials.json            { email: local sign-in (uid + password hash) }
+ *   <dir>/organizations.json          { id: organization }
+ *   <dir>/bank-accounts.json          { id: bank account }
+ *   <dir>/learning.json               { scope: Smart Match learning }
+ *   <dir>/shared-settings.json        { scope: settings shared by an organization }
+ *   <dir>/reconciliations/<id>.json   session summary + items
+ *   <dir>/audit/<id>.jsonl            append-only audit trail (kept on delete)
+ *
+ * Without a directory (memory backend) nothing survives a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const learning = require('../engine/learning');
+const { createConflictError } = require('./errors');
+
+const ITEM_COLLECTIONS = ['matches', 'unmatchedBank', 'unmatchedGL'];
+
+// Fields stored as ISO strings on disk and returned as Date objects
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastLogin'];
+
+/**
+ * @param {Object} options
+ * @param {string|null} options.dir - Data directory (null = memory only)
+ */
+function createLocalStore({ dir = null } = {}) {
+    const state = {
+        users: new Map(),
+        credentials: new Map(), // email -> { uid, passwordHash }
+        organizations: new Map(),
+        bankAccounts: new Map(),
+        learning: new Map(),
+        sharedSettings: new Map(),
+        reconciliations: new Map(), // id -> { record, items }
+        audit: new Map() // id -> [entries], oldest first
+    };
+
+    const reconciliationDir = dir ? path.join(dir, 'reconciliations') : null;
+    const auditDir = dir ? path.join(dir, 'audit') : null;
+
+    if (dir) {
+        fs.mkdirSync(reconciliationDir, { recursive: true });
+        fs.mkdirSync(auditDir, { recursive: true });
+        loadFromDisk();
+        console.log(`[STORE] Local file store at ${dir} (${state.users.size} users, ${state.reconciliations.size} reconciliations)`);
+    }
+
+    // ==================== Persistence ====================
+
+    function loadFromDisk() {
+        Object.entries(readJson(path.join(dir, 'users.json')) || {}).forEach(([uid, data]) => {
+            state.users.set(uid, reviveDates(data));
+        });
+
+        Object.entries(readJson(path.join(dir, 'credentials.json')) || {}).forEach(([email, data]) => {
+            state.credentials.set(email, reviveDates(data));
+        });
+
+        Object.entries(readJson(path.join(dir, 'organizations.json')) || {}).forEach(([id, data]) => {
+            state.organizations.set(id, reviveDates(data));
+        });
+
+        Object.entries(readJson(path.join(dir, 'bank-accounts.json')) || {}).forEach(([id, data]) => {
+            state.bankAccounts.set(id, reviveDates(data));
+        });
+
+        Object.entries(readJson(path.join(dir, 'learning.json')) || {}).forEach(([scope, data]) => {
+            state.learning.set(scope, data);
+        });
+
+        Object.entries(readJson(path.join(dir, 'shared-settings.json')) || {}).forEach(([scope, data]) => {
+            state.sharedSettings.set(scope, data);
+        });
+
+        fs.readdirSync(reconciliationDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                const saved = readJson(path.join(reconciliationDir, file));
+                if (!saved) return;
+                const { items, ...record } = saved;
+                state.reconciliations.set(path.basename(file, '.json'), {
+                    record: reviveDates(record),
+                    items: items || {}
+                });
+            });
+
+        fs.readdirSync(auditDir)
+            .filter(file => file.endsWith('.jsonl'))
+            .forEach(file => {
+                state.audit.set(path.basename(file, '.jsonl'), readAuditLines(path.join(auditDir, file)));
+            });
+    }
+
+    // Writes to the same file are chained so they land in order
+    const writeQueues = new Map();
+
+    function persist(file, getContent) {
+        if (!dir) return Promise.resolve();
+
+        const previous = writeQueues.get(file) || Promise.resolve();
+        const next = previous.then(async () => {
+            const content = getContent();
+            if (content === null) {
+                await fs.promises.rm(file, { force: true });
+                return;
+            }
+            // Write and flush a temp file, then rename it over the old one, so a
+            // crash leaves either the old file or the new one - never half a file
+            const tmp = `${file}.tmp`;
+            const handle = await fs.promises.open(tmp, 'w');
+            try {
+                await handle.writeFile(JSON.stringify(content));
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tmp, file);
+        });
+
+        writeQueues.set(file, next.catch(error => {
+            console.error(`[STORE] Failed to write ${file}:`, error.message);
+        }));
+        return next;
+    }
+
+    // Audit entries are appended, never rewritten
+    function appendLine(file, value) {
+        if (!dir) return Promise.resolve();
+
+        const previous = writeQueues.get(file) || Promise.resolve();
+        const next = previous.then(() => fs.promises.appendFile(file, JSON.stringify(value) + '\n'));
+
+        writeQueues.set(file, next.catch(error => {
+            console.error(`[STORE] Failed to write ${file}:`, error.message);
+        }));
+        return next;
+    }
+
+    const persistUsers = () => persist(path.join(dir || '', 'users.json'), () => Object.fromEntries(state.users));
+    const persistCredentials = () => persist(path.join(dir || '', 'credentials.json'), () => Object.fromEntries(state.credentials));
+    const persistOrganizations = () => persist(path.join(dir || '', 'organizations.json'), () => Object.fromEntries(state.organizations));
+    const persistBankAccounts = () => persist(path.join(dir || '', 'bank-accounts.json'), () => Object.fromEntries(state.bankAccounts));
+    const persistLearning = () => persist(path.join(dir || '', 'learning.json'), () => Object.fromEntries(state.learning));
+    const persistSharedSettings = () => persist(path.join(dir || '', 'shared-settings.json'), () => Object.fromEntries(state.sharedSettings));
+    const persistReconciliation = (id) => persist(
+        path.join(reconciliationDir || '', `${id}.json`),
+        () => {
+            const entry = state.reconciliations.get(id);
+            return entry ? { ...entry.record, items: entry.items } : null;
+        }
+    );
+
+    // ==================== Users ====================
+
+    const users = {
+        async get(uid) {
+            return clone(state.users.get(uid) || null);
+        },
+
+        async upsert(uid, data) {
+            state.users.set(uid, { ...(state.users.get(uid) || {}), ...clone(data) });
+            await persistUsers();
+            return users.get(uid);
+        },
+
+        async updateSettings(uid, settings) {
+            const user = state.users.get(uid) || {};
+            user.settings = { ...(user.settings || {}), ...clone(settings) };
+            state.users.set(uid, user);
+            await persistUsers();
+            return clone(user.settings);
+        },
+
+        async replaceSettings(uid, settings) {
+            const user = state.users.get(uid) || {};
+            user.settings = clone(settings);
+            state.users.set(uid, user);
+            await persistUsers();
+            return clone(settings);
+        },
+
+        async delete(uid) {
+            state.users.delete(uid);
+            await persistUsers();
+        },
+
+        async findByEmail(email) {
+            const entry = [...state.users.entries()].find(([, user]) => user.email === email);
+            return entry ? { uid: entry[0], ...clone(entry[1]) } : null;
+        },
+
+        async listByOrganization(organizationId) {
+            return [...state.users.entries()]
+                .filter(([, user]) => user.organizationId === organizationId)
+                .map(([uid, user]) => ({ uid, ...clone(user) }));
+        }
+    };
+
+    // ==================== Credentials ====================
+
+    // Local sign-in accounts, keyed by lower-cased email - kept out of the
+    // user profiles so password hashes never reach a profile response
+    const credentials = {
+        async get(email) {
+            return clone(state.credentials.get(normalizeEmail(email)) || null);
+        },
+
+        async create(email, data) {
+            const key = normalizeEmail(email);
+            if (state.credentials.has(key)) {
+                throw createConflictError('An account with this email already exists');
+            }
+            state.credentials.set(key, { ...clone(data), createdAt: new Date() });
+            await persistCredentials();
+        },
+
+        async delete(email) {
+            state.credentials.delete(normalizeEmail(email));
+            await persistCredentials();
+        }
+    };
+
+    // ==================== Organizations ====================
+
+    const organizations = {
+        async create(data) {
+            const id = newId();
+            state.organizations.set(id, clone(data));
+            await persistOrganizations();
+            return id;
+        },
+
+        async get(id) {
+            const org = state.organizations.get(id);
+            return org ? { id, ...clone(org) } : null;
+        },
+
+        async update(id, updates) {
+            const org = state.organizations.get(id);
+            if (!org) throw new Error(`Organization ${id} not found`);
+            state.organizations.set(id, { ...org, ...clone(updates) });
+            await persistOrganizations();
+        },
+
+        async delete(id) {
+            state.organizations.delete(id);
+            await persistOrganizations();
+        }
+    };
+
+    // ==================== Bank Accounts ====================
+
+    const bankAccounts = {
+        async create(data) {
+            const id = newId();
+            state.bankAccounts.set(id, clone(data));
+            await persistBankAccounts();
+            return id;
+        },
+
+        async get(id) {
+            const account = state.bankAccounts.get(id);
+            return account ? { id, ...clone(account) } : null;
+        },
+
+        async update(id, updates) {
+            const account = state.bankAccounts.get(id);
+            if (!account) throw new Error(`Bank account ${id} not found`);
+            state.bankAccounts.set(id, { ...account, ...clone(updates) });
+            await persistBankAccounts();
+        },
+
+        async delete(id) {
+            state.bankAccounts.delete(id);
+            await persistBankAccounts();
+        },
+
+        async listByScope(scope) {
+            return [...state.bankAccounts.entries()]
+                .filter(([, account]) => account.scope === scope)
+                .map(([id, account]) => ({ id, ...clone(account) }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }
+    };
+
+    // ==================== Reconciliations ====================
+
+    const withItemIds = (list = []) => list.map(item => ({ ...item, id: item.id || newId() }));
+
+    // Newest-first page of sessions where record[field] == value
+    const listWhere = (field, value, { limit, startAfter, status, bankAccountId } = {}) => {
+        let records = [...state.reconciliations.entries()]
+            .filter(([, entry]) => entry.record[field] === value)
+            .filter(([, entry]) => !status || entry.record.status === status)
+            .filter(([, entry]) => !bankAccountId || entry.record.bankAccountId === bankAccountId)
+            .map(([id, entry]) => ({ id, ...clone(entry.record) }))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (startAfter) {
+            const startIdx = records.findIndex(r => r.id === startAfter);
+            if (startIdx >= 0) records = records.slice(startIdx + 1);
+        }
+
+        if (limit) {
+            records = records.slice(0, limit);
+        }
+
+        return {
+            records,
+            lastId: records.length > 0 ? records[records.length - 1].id : null
+        };
+    };
+
+    const reconciliations = {
+        async create(data, items = {}) {
+            const id = newId();
+            const stored = {};
+            ITEM_COLLECTIONS.forEach(collection => {
+                stored[collection] = withItemIds(clone(items[collection] || []));
+            });
+
+            state.reconciliations.set(id, { record: clone(data), items: stored });
+            await persistReconciliation(id);
+            return id;
+        },
+
+        async get(id) {
+            const entry = state.reconciliations.get(id);
+            return entry ? { id, ...clone(entry.record) } : null;
+        },
+
+        async getItems(id) {
+            const entry = state.reconciliations.get(id);
+            const result = {};
+            ITEM_COLLECTIONS.forEach(collection => {
+                result[collection] = clone(entry?.items[collection] || []);
+            });
+            return result;
+        },
+
+        async update(id, updates) {
+            const entry = state.reconciliations.get(id);
+            if (!entry) throw new Error(`Reconciliation ${id} not found`);
+            entry.record = { ...entry.record, ...clone(updates) };
+            await persistReconciliation(id);
+        },
+
+        /**
+         * Add, remove and update items across collections in one step
+         * @param {string} id - Reconciliation ID
+         * @param {Object} changes - { add: {collection: [items]}, remove: {collection: [itemIds]},
+         *                            update: {collection: {itemId: fields}}, updateRecord: (record, { removed }) => fields,
+         *                            audit: (result) => entry }
+         * @returns {Object} { added: {collection: [items]}, removed: {collection: [items]}, record }
+         */
+        async applyChanges(id, changes) {
+            const entry = state.reconciliations.get(id);
+            if (!entry) throw new Error(`Reconciliation ${id} not found`);
+
+            const findIndex = (collection, itemId) => {
+                const idx = (entry.items[collection] || []).findIndex(item => item.id === itemId);
+                if (idx < 0) {
+                    throw createConflictError(`Item ${itemId} is no longer in ${collection}`);
+                }
+                return idx;
+            };
+
+            // Validate everything first so a failure leaves the session untouched
+            Object.entries(changes.remove || {}).forEach(([collection, itemIds]) => {
+                itemIds.forEach(itemId => findIndex(collection, itemId));
+            });
+            Object.entries(changes.update || {}).forEach(([collection, itemUpdates]) => {
+                Object.keys(itemUpdates).forEach(itemId => findIndex(collection, itemId));
+            });
+
+            const removed = {};
+            Object.entries(changes.remove || {}).forEach(([collection, itemIds]) => {
+                const ids = new Set(itemIds);
+                removed[collection] = clone(entry.items[collection].filter(item => ids.has(item.id)));
+                entry.items[collection] = entry.items[collection].filter(item => !ids.has(item.id));
+            });
+
+            const added = {};
+            Object.entries(changes.add || {}).forEach(([collection, items]) => {
+                // Restored items keep their original ID
+                added[collection] = withItemIds(clone(items));
+                entry.items[collection] = [...(entry.items[collection] || []), ...added[collection]];
+            });
+
+            Object.entries(changes.update || {}).forEach(([collection, itemUpdates]) => {
+                Object.entries(itemUpdates).forEach(([itemId, fields]) => {
+                    const idx = findIndex(collection, itemId);
+                    entry.items[collection][idx] = { ...entry.items[collection][idx], ...clone(fields) };
+                });
+            });
+
+            if (changes.updateRecord) {
+                entry.record = { ...entry.record, ...clone(changes.updateRecord({ id, ...clone(entry.record) }, { removed: clone(removed) })) };
+            }
+
+            const result = { added: clone(added), removed, record: { id, ...clone(entry.record) } };
+
+            await persistReconciliation(id);
+            if (changes.audit) {
+                await reconciliations.appendAudit(id, changes.audit(result));
+            }
+            return result;
+        },
+
+        async getItem(id, collection, itemId) {
+            const entry = state.reconciliations.get(id);
+            const item = entry?.items[collection]?.find(i => i.id === itemId);
+            return clone(item || null);
+        },
+
+        async delete(id) {
+            state.reconciliations.delete(id);
+            await persistReconciliation(id);
+        },
+
+        async appendAudit(id, entry) {
+            const entryWithId = { id: newId(), ...clone(entry) };
+            state.audit.set(id, [...(state.audit.get(id) || []), entryWithId]);
+            await appendLine(path.join(auditDir || '', `${id}.jsonl`), entryWithId);
+        },
+
+        /**
+         * Audit entries, newest first
+         * @returns {Object} { entries, lastId }
+         */
+        async listAudit(id, { limit, startAfter } = {}) {
+            let entries = [...(state.audit.get(id) || [])].reverse();
+
+            if (startAfter) {
+                const startIdx = entries.findIndex(e => e.id === startAfter);
+                if (startIdx >= 0) entries = entries.slice(startIdx + 1);
+            }
+
+            if (limit) {
+                entries = entries.slice(0, limit);
+            }
+
+            return {
+                entries: clone(entries),
+                lastId: entries.length > 0 ? entries[entries.length - 1].id : null
+            };
+        },
+
+        /**
+         * Page through a user's reconciliations, newest first
+         * @returns {Object} { records, lastId }
+         */
+        async listByUser(userId, options) {
+            return listWhere('userId', userId, options);
+        },
+
+        /**
+         * Page through an organization's reconciliations (sign-off queue)
+         * @returns {Object} { records, lastId }
+         */
+        async listByOrganization(organizationId, options) {
+            return listWhere('organizationId', organizationId, options);
+        },
+
+        async duplicate(id, overrides) {
+            const source = state.reconciliations.get(id);
+            return reconciliations.create(
+                { ...source.record, ...overrides },
+                Object.fromEntries(ITEM_COLLECTIONS.map(c => [
+                    c,
+                    (source.items[c] || []).map(({ id: itemId, ...item }) => item)
+                ]))
+            );
+        },
+
+        // Organization-owned sessions stay with the organization
+        async deleteByUser(userId) {
+            const ids = [...state.reconciliations.entries()]
+                .filter(([, entry]) => entry.record.userId === userId && !entry.record.organizationId)
+                .map(([id]) => id);
+
+            for (const id of ids) {
+                await reconciliations.delete(id);
+            }
+        }
+    };
+
+    // ==================== Smart Match Learning ====================
+
+    const learningStore = {
+        async get(scope) {
+            return clone(state.learning.get(scope) || learning.createEmptyLearningData());
+        },
+
+        async save(scope, data) {
+            const normalized = learning.normalizeLearningData(data);
+            state.learning.set(scope, normalized);
+            await persistLearning();
+            return clone(normalized);
+        },
+
+        // Single process, so a plain read-modify-write is safe here
+        async update(scope, updater) {
+            const next = updater(state.learning.get(scope) || learning.createEmptyLearningData());
+            state.learning.set(scope, next);
+            await persistLearning();
+            return clone(next);
+        },
+
+        async reset(scope) {
+            state.learning.delete(scope);
+            await persistLearning();
+            return learning.createEmptyLearningData();
+        }
+    };
+
+    // ==================== Shared Settings ====================
+
+    const sharedSettings = {
+        async get(scope) {
+            return clone(state.sharedSettings.get(scope) || {});
+        },
+
+        // null removes a setting, so members fall back to their own
+        async update(scope, updates) {
+            const next = { ...(state.sharedSettings.get(scope) || {}) };
+            Object.entries(updates).forEach(([key, value]) => {
+                if (value === null) delete next[key];
+                else next[key] = clone(value);
+            });
+            state.sharedSettings.set(scope, next);
+            await persistSharedSettings();
+            return clone(next);
+        }
+    };
+
+    return {
+        backend: dir ? 'file' : 'memory',
+        users,
+        credentials,
+        organizations,
+        bankAccounts,
+        reconciliations,
+        learning: learningStore,
+        sharedSettings,
+
+        async ping() {
+            if (dir) await fs.promises.access(dir, fs.constants.W_OK);
+        }
+    };
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function newId() {
+    return crypto.randomBytes(10).toString('hex');
+}
+
+function clone(value) {
+    return value === null || value === undefined ? value : structuredClone(value);
+}
+
+/**
+ * Read a data file; null when it does not exist yet
+ * Any other failure (a corrupt file, no permission) is thrown so the server
+ * stops instead of starting empty and overwriting the data on the next save.
+ */
+function readJson(file) {
+    let content;
+    try {
+        content = fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Cannot read ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${file} is not valid JSON (${error.message}) - restore it from a backup before starting`);
+    }
+}
+
+/**
+ * Read an audit trail file, one JSON entry per line
+ * A last line cut off by a crash mid-append was never fully recorded; it is
+ * cut from the file so the next entry starts on a line of its own. A bad
+ * line anywhere else is thrown like a corrupt data file.
+ */
+function readAuditLines(file) {
+    const content = fs.readFileSync(file, 'utf-8');
+    const lines = content.split('\n');
+    const entries = [];
+
+    lines.forEach((line, idx) => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            if (entry.at) entry.at = new Date(entry.at);
+            entries.push(entry);
+        } catch (error) {
+            if (idx === lines.length - 1) {
+                console.warn(`[STORE] Dropping incomplete last audit entry in ${file}`);
+                fs.truncateSync(file, Buffer.byteLength(content) - Buffer.byteLength(line));
+                return;
+            }
+            throw new Error(`${file} line ${idx + 1} is not valid JSON (${error.message}) - restore it from a backup before starting`);
+        }
+    });
+
+    return entries;
+}
+
+function reviveDates(record) {
+    DATE_FIELDS.forEach(field => {
+        if (typeof record[field] === 'string') record[field] = new Date(record[field]);
+    });
+    return record;
+}
+
+module.exports = { createLocalStore };
@@ -0,0 +1,78 @@
+const assignment = require('../../server/engine/assignment');
+
+// Bank 0 prefers GL 0, but GL 0 is the only entry bank 1 can take
+const CONTESTED = [
+    { bankIdx: 0, glIdx: 0, score: 0.9 },
+    { bankIdx: 0, glIdx: 1, score: 0.8 },
+    { bankIdx: 1, glIdx: 0, score: 0.85 }
+];
+
+describe('assignGreedy', () => {
+    test('gives each bank row, in order, its best unclaimed GL entry', () => {
+        const pairs = assignment.assignGreedy(2, CONTESTED);
+
+        expect(pairs).toEqual([{ bankIdx: 0, glIdx: 0, score: 0.9 }]);
+    });
+
+    test('lets the earlier GL row win a tie', () => {
+        const pairs = assignment.assignGreedy(1, [
+            { bankIdx: 0, glIdx: 3, score: 0.7 },
+            { bankIdx: 0, glIdx: 1, score: 0.7 }
+        ]);
+
+        expect(pairs.map(p => p.glIdx)).toEqual([1]);
+    });
+});
+
+describe('assignOptimal', () => {
+    test('maximizes the total score across competing rows', () => {
+        const { pairs, greedyRows } = assignment.assignOptimal(CONTESTED);
+
+        expect(pairs.map(p => [p.bankIdx, p.glIdx])).toEqual([[0, 1], [1, 0]]);
+        expect(greedyRows).toBe(0);
+    });
+
+    test('solves independent components separately and sorts by bank row', () => {
+        const { pairs } = assignment.assignOptimal([
+            { bankIdx: 5, glIdx: 9, score: 0.6 },
+            ...CONTESTED
+        ]);
+
+        expect(pairs.map(p => p.bankIdx)).toEqual([0, 1, 5]);
+    });
+
+    test('assigns components larger than maxSize greedily and reports their rows', () => {
+        const { pairs, greedyRows } = assignment.assignOptimal(CONTESTED, 1);
+
+        expect(pairs.map(p => [p.bankIdx, p.glIdx])).toEqual([[0, 0]]);
+        expect(greedyRows).toBe(2);
+        expect(console.log).toHaveBeenCalledWith(expect.stringContaining('assigned greedily (limit 1)'));
+    });
+});
+
+describe('compareAssignments', () => {
+    test('reports totals and the bank rows assigned differently', () => {
+        const greedy = assignment.assignGreedy(2, CONTESTED);
+        const { pairs: optimal } = assignment.assignOptimal(CONTESTED);
+        const report = assignment.compareAssignments(greedy, optimal);
+
+        expect(report.greedyMatched).toBe(1);
+        expect(report.optimalMatched).toBe(2);
+        expect(report.greedyTotalScore).toBeCloseTo(0.9);
+        expect(report.optimalTotalScore).toBeCloseTo(1.65);
+        expect(report.differences).toEqual([
+            { bankIndex: 0, greedyGLIndex: 0, greedyScore: 0.9, optimalGLIndex: 1, optimalScore: 0.8 },
+            { bankIndex: 1, greedyGLIndex: null, greedyScore: null, optimalGLIndex: 0, optimalScore: 0.85 }
+        ]);
+    });
+});
+
+describe('hungarian', () => {
+    test('finds the minimum-cost assignment of a square matrix', () => {
+        expect(assignment.hungarian([
+            [4, 1, 3],
+            [2, 0, 5],
+            [3, 2, 2]
+        ])).toEqual([1, 0, 2]);
+    });
+});
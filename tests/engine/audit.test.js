@@ -0,0 +1,30 @@
+const audit = require('../../server/engine/audit');
+
+describe('createAuditEntry', () => {
+    test('records the actor and strips undefined values', () => {
+        const entry = audit.createAuditEntry(
+            { uid: 'u1', email: 'clerk@town.gov' },
+            'unmatch',
+            { reason: '  Wrong check  ', details: { matchId: 'm1', note: undefined } }
+        );
+
+        expect(entry).toEqual({
+            action: 'unmatch',
+            actor: { uid: 'u1', email: 'clerk@town.gov', role: null },
+            at: expect.any(Date),
+            reason: 'Wrong check',
+            before: null,
+            after: null,
+            details: { matchId: 'm1' }
+        });
+    });
+});
+
+describe('getMatchAction', () => {
+    test('tells custom and Smart Match matches apart', () => {
+        expect(audit.getMatchAction({ isCustom: true, isSmartMatch: true })).toBe('custom_match');
+        expect(audit.getMatchAction({ isSmartMatch: true })).toBe('smart_match_accept');
+        expect(audit.getMatchAction({})).toBe('match');
+        expect(audit.AUDIT_ACTIONS).toEqual(expect.arrayContaining(audit.CLIENT_AUDIT_ACTIONS));
+    });
+});
@@ -0,0 +1,41 @@
+const bankAccounts = require('../../server/engine/bankAccounts');
+
+describe('validateBankAccount', () => {
+    test('needs a name on create but not on a partial update', () => {
+        expect(bankAccounts.validateBankAccount({ name: 'Operating' })).toBeNull();
+        expect(bankAccounts.validateBankAccount({})).toBe('name is required');
+        expect(bankAccounts.validateBankAccount({}, true)).toBeNull();
+        expect(bankAccounts.validateBankAccount({ name: ' ' }, true)).toBe('name is required');
+        expect(bankAccounts.validateBankAccount(null)).toBe('Bank account data is required');
+    });
+
+    test('checks lengths, account numbers and routing numbers', () => {
+        expect(bankAccounts.validateBankAccount({ name: 'x'.repeat(101) })).toBe('name must be 100 characters or fewer');
+        expect(bankAccounts.validateBankAccount({ name: 'Payroll', accountNumber: '12-3' }))
+            .toBe('accountNumber must contain at least 4 digits');
+        expect(bankAccounts.validateBankAccount({ name: 'Payroll', routingNumber: '12345' })).toBe('routingNumber must be 9 digits');
+        expect(bankAccounts.validateBankAccount({ name: 'Payroll', accountNumber: '', routingNumber: '' })).toBeNull();
+    });
+});
+
+describe('normalizeBankAccount', () => {
+    test('keeps only the last four digits of the account number', () => {
+        expect(bankAccounts.normalizeBankAccount({
+            name: ' Operating ',
+            accountNumber: '12-3456-789',
+            routingNumber: '011-000-015',
+            glCashAccount: '1010',
+            ignored: 'x'
+        })).toEqual({
+            name: 'Operating',
+            glCashAccount: '1010',
+            last4: '6789',
+            maskedNumber: '****6789',
+            routingNumber: '011000015'
+        });
+    });
+
+    test('clears the masked number when the account number is removed', () => {
+        expect(bankAccounts.normalizeBankAccount({ accountNumber: '' })).toEqual({ last4: '', maskedNumber: '' });
+    });
+});
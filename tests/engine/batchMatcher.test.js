@@ -0,0 +1,86 @@
+const batchMatcher = require('../../server/engine/batchMatcher');
+const engine = require('../../server/engine/reconciliationEngine');
+
+const settings = engine.normalizeSettings();
+
+describe('isBankCredit and isGLReceipt', () => {
+    test('read the direction from columns, flags or the sign of the amount', () => {
+        expect(batchMatcher.isBankCredit({ amountCredit: '10.00', amount: 10 })).toBe(true);
+        expect(batchMatcher.isBankCredit({ isDebit: true, amount: 10 })).toBe(false);
+        expect(batchMatcher.isBankCredit({ amountDebit: 10, amount: 10 })).toBe(false);
+        expect(batchMatcher.isBankCredit({ amount: 10 })).toBe(true);
+        expect(batchMatcher.isBankCredit({ amount: -10 })).toBe(false);
+
+        expect(batchMatcher.isGLReceipt({ debit: 5 })).toBe(true);
+        expect(batchMatcher.isGLReceipt({ isDebit: false, debit: 5 })).toBe(false);
+        expect(batchMatcher.isGLReceipt({ credit: 5 })).toBe(false);
+        expect(batchMatcher.isGLReceipt({ debit: 5, combinedItems: [] })).toBe(false);
+    });
+});
+
+describe('groupReceipts', () => {
+    const glItems = [
+        { date: '2025-01-10', debit: 100.1, refNumber: 'B1' },
+        { date: '1/10/2025', debit: 200.2, refNumber: 'B2' },
+        { date: '2025-01-10', credit: 50 },
+        { date: '2025-01-11', amount: 75, debit: 75, refNumber: 'B1' }
+    ];
+
+    test('groups receipts by posting day and rounds the totals', () => {
+        const groups = batchMatcher.groupReceipts(glItems, 'date');
+
+        expect(groups.map(g => [g.key, g.indices, g.total])).toEqual([
+            ['2025-01-10', [0, 1], 300.3],
+            ['2025-01-11', [3], 75]
+        ]);
+    });
+
+    test('splits a day by batch number with dateAndRef', () => {
+        const groups = batchMatcher.groupReceipts(glItems, 'dateAndRef');
+
+        expect(groups.map(g => g.key)).toEqual(['2025-01-10 #B1', '2025-01-10 #B2', '2025-01-11 #B1']);
+    });
+});
+
+describe('matchDepositBatches', () => {
+    const glItems = [
+        { date: '2025-01-10', amount: 100, debit: 100, accountNumber: '4100', description: 'Taxes' },
+        { date: '2025-01-10', amount: 200, debit: 200, accountNumber: '4200', description: 'Permits' },
+        { date: '2025-01-10', amount: 40, credit: 40, accountNumber: '5100', description: 'Refund' }
+    ];
+
+    test('matches the closest-dated deposit for the day\'s receipts', () => {
+        const bankItems = [
+            { date: '2025-01-10', amount: -300 },
+            { date: '2025-01-13', amount: 300 },
+            { date: '2025-01-11', amount: 300 }
+        ];
+        const { matches, usedBank, usedGL } = batchMatcher.matchDepositBatches(bankItems, glItems, settings);
+
+        expect([...usedBank]).toEqual([2]);
+        expect([...usedGL]).toEqual([0, 1]);
+        expect(matches[0]).toMatchObject({
+            bankTransaction: bankItems[2],
+            glEntry: {
+                accountNumber: '4100, 4200',
+                description: '[2 items combined] Taxes; Permits',
+                amount: 300,
+                combinedItems: [glItems[0], glItems[1]]
+            },
+            matchType: 'Deposit Batch (2 GL → 1 Bank)',
+            dayGap: 1,
+            matchRule: { id: 'batch' },
+            matchedCount: 2
+        });
+        expect(matches[0].matchScore).toBeCloseTo(0.95);
+    });
+
+    test('skips deposits outside the date range or off by more than the tolerance', () => {
+        const { matches } = batchMatcher.matchDepositBatches([
+            { date: '2025-01-20', amount: 300 },
+            { date: '2025-01-10', amount: 300.02 }
+        ], glItems, settings);
+
+        expect(matches).toEqual([]);
+    });
+});
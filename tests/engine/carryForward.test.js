@@ -0,0 +1,50 @@
+const carryForward = require('../../server/engine/carryForward');
+
+describe('validatePeriod', () => {
+    test('needs ordered YYYY-MM-DD dates', () => {
+        expect(carryForward.validatePeriod({ start: '2025-01-01', end: '2025-01-31' })).toBeNull();
+        expect(carryForward.validatePeriod(null)).toBe('period must be an object with start and end dates');
+        expect(carryForward.validatePeriod({ start: '1/1/2025', end: '2025-01-31' })).toBe('period.start must be a date (YYYY-MM-DD)');
+        expect(carryForward.validatePeriod({ start: '2025-01-01', end: 'month end' })).toBe('period.end must be a date (YYYY-MM-DD)');
+        expect(carryForward.validatePeriod({ start: '2025-02-01', end: '2025-01-31' })).toBe('period.start must be on or before period.end');
+    });
+});
+
+describe('selectPriorReconciliation', () => {
+    test('picks the latest earlier period, then the furthest signed off, then the latest saved', () => {
+        const records = [
+            { id: 'draft', period: { end: '2025-01-31' }, status: 'draft' },
+            { id: 'approved-old', period: { end: '2025-01-31' }, status: 'approved', createdAt: { toDate: () => new Date('2025-02-03') } },
+            { id: 'approved-new', period: { end: '2025-01-31' }, status: 'approved', createdAt: '2025-02-05T12:00:00Z' },
+            { id: 'december', period: { end: '2024-12-31' }, status: 'locked' },
+            { id: 'february', period: { end: '2025-02-28' }, status: 'locked' },
+            { id: 'no-period' }
+        ];
+
+        expect(carryForward.selectPriorReconciliation(records, '2025-02-01').id).toBe('approved-new');
+        expect(carryForward.selectPriorReconciliation(records, '2024-12-01')).toBeNull();
+    });
+});
+
+describe('carryForwardItems', () => {
+    test('tags the items with their source and age, dropping stored IDs and ignored lines', () => {
+        const source = { id: 'jan', period: { start: '2025-01-01', end: '2025-01-31' } };
+        const items = carryForward.carryForwardItems([
+            { id: 'i1', date: '2025-01-10', amount: 120 },
+            { id: 'i2', amount: 5, ignoredByRule: { id: 'r1', name: 'Rule' } },
+            { id: 'i3', amount: 40, outstandingSince: '2024-10-31', carriedFromId: 'oct' }
+        ], source, '2025-02-01');
+
+        expect(items).toEqual([
+            { date: '2025-01-10', amount: 120, carriedForward: true, carriedFromId: 'jan', outstandingSince: '2025-01-31', ageDays: 22, ageBucket: '0-30' },
+            { amount: 40, carriedForward: true, carriedFromId: 'jan', outstandingSince: '2024-10-31', ageDays: 93, ageBucket: '90+' }
+        ]);
+    });
+});
+
+describe('getAgeBucket', () => {
+    test('buckets ages by their upper bound', () => {
+        expect([0, 30, 31, 60, 61, 90, 91].map(carryForward.getAgeBucket))
+            .toEqual(['0-30', '0-30', '31-60', '31-60', '61-90', '61-90', '90+']);
+    });
+});
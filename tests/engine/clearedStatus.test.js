@@ -0,0 +1,51 @@
+const clearedStatus = require('../../server/engine/clearedStatus');
+const engine = require('../../server/engine/reconciliationEngine');
+
+describe('getClearedStatus and getClearedBoost', () => {
+    test('read the Quicken cleared state', () => {
+        expect(clearedStatus.getClearedStatus({ clearedStatus: 'reconciled', cleared: true })).toBe('reconciled');
+        expect(clearedStatus.getClearedStatus({ cleared: true })).toBe('cleared');
+        expect(clearedStatus.getClearedStatus({ clearedStatus: 'bogus' })).toBe('');
+        expect(clearedStatus.getClearedStatus(null)).toBe('');
+    });
+
+    test('boost a pair when either side is cleared', () => {
+        expect(clearedStatus.getClearedBoost({}, { clearedStatus: 'cleared' })).toBe(clearedStatus.CLEARED_BOOST);
+        expect(clearedStatus.getClearedBoost({ clearedStatus: 'reconciled' }, {})).toBe(0);
+    });
+});
+
+describe('separateReconciled', () => {
+    const bankData = [
+        { date: '2025-01-02', amount: -50, clearedStatus: 'reconciled' },
+        { date: '2025-01-05', amount: -75 }
+    ];
+    const glData = [
+        { date: '2025-01-02', amount: 50, accountNumber: 'open' },
+        { date: '2025-01-03', amount: 50, accountNumber: 'settled', clearedStatus: 'reconciled' },
+        { date: '2024-12-01', amount: 20, clearedStatus: 'reconciled' }
+    ];
+
+    test('sets reconciled lines aside with exclude', () => {
+        const result = clearedStatus.separateReconciled(bankData, glData, engine.normalizeSettings());
+
+        expect(result.bankData).toEqual([bankData[1]]);
+        expect(result.glData).toEqual([glData[0]]);
+        expect(result.matches).toEqual([]);
+        expect(result.previouslyReconciled).toEqual({ bank: [bankData[0]], gl: [glData[1], glData[2]] });
+    });
+
+    test('pairs reconciled lines first with prematch, preferring a reconciled partner', () => {
+        const result = clearedStatus.separateReconciled(bankData, glData, engine.normalizeSettings({ reconciledItems: 'prematch' }));
+
+        expect(result.matches).toEqual([expect.objectContaining({
+            bankTransaction: bankData[0],
+            glEntry: glData[1],
+            matchType: 'Previously Reconciled',
+            dayGap: 1,
+            matchRule: { id: 'reconciled', name: 'Previously reconciled' }
+        })]);
+        expect(result.glData).toEqual([glData[0]]);
+        expect(result.previouslyReconciled).toEqual({ bank: [], gl: [glData[2]] });
+    });
+});
@@ -0,0 +1,104 @@
+const glSplits = require('../../server/engine/glSplits');
+const engine = require('../../server/engine/reconciliationEngine');
+
+const settings = engine.normalizeSettings({ expandSplits: true });
+
+const check = (splits, fields = {}) => ({
+    id: 'gl-1',
+    date: '2025-01-06',
+    description: 'Check 1042',
+    checkNumber: '1042',
+    amount: 100,
+    credit: 100,
+    isDebit: false,
+    splits,
+    ...fields
+});
+
+describe('parseSplitCategory', () => {
+    test('reads the fund from the QIF class', () => {
+        expect(glSplits.parseSplitCategory('Roads:Salt / Highway')).toEqual({ category: 'Roads:Salt', fund: 'Highway' });
+        expect(glSplits.parseSplitCategory(undefined)).toEqual({ category: '', fund: '' });
+    });
+});
+
+describe('expandSplits', () => {
+    test('turns each split into its own GL line', () => {
+        const lines = glSplits.expandSplits([check([
+            { category: 'Water/General', memo: 'Jan', amount: -60 },
+            { category: 'Sewer/Sewer Fund', amount: -40 }
+        ])], settings);
+
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatchObject({
+            id: 'gl-1-1',
+            description: 'Check 1042 - Water',
+            memo: 'Jan',
+            category: 'Water',
+            fund: 'General',
+            amount: 60,
+            debit: 0,
+            credit: 60,
+            isDebit: false,
+            checkNumber: '1042',
+            splitOf: { id: 'gl-1', description: 'Check 1042', amount: 100, isDebit: false, count: 2, index: 1 }
+        });
+        expect(lines[0].splits).toBeUndefined();
+        expect(lines[1]).toMatchObject({ id: 'gl-1-2', fund: 'Sewer Fund', amount: 40 });
+    });
+
+    test('runs a split signed against the others the other way', () => {
+        const lines = glSplits.expandSplits([check([
+            { category: 'Supplies', amount: -120 },
+            { category: 'Refund', amount: 20 }
+        ])], settings);
+
+        expect(lines.map(line => [line.amount, line.isDebit])).toEqual([[120, false], [20, true]]);
+    });
+
+    test('keeps entries whole when the splits do not add up', () => {
+        const entry = check([{ category: 'Water', amount: -60 }, { category: 'Sewer', amount: -30 }]);
+
+        expect(glSplits.expandSplits([entry], settings)).toEqual([entry]);
+    });
+});
+
+describe('findWholeSplits and matchSplitGroups', () => {
+    const expandCheck = () => glSplits.expandSplits([check([
+        { category: 'Water', amount: -60 },
+        { category: 'Sewer', amount: -40 }
+    ])], settings);
+
+    test('find splits cleared as one bank line within the date range', () => {
+        const lines = expandCheck();
+
+        expect([...glSplits.findWholeSplits([{ date: '2025-01-07', amount: -100 }], lines, settings)]).toEqual(['gl-1']);
+        expect(glSplits.findWholeSplits([{ date: '2025-01-20', amount: -100 }], lines, settings).size).toBe(0);
+    });
+
+    test('prefer the bank line carrying the check number', () => {
+        const lines = expandCheck();
+        const bankItems = [
+            { date: '2025-01-06', amount: -100 },
+            { date: '2025-01-09', amount: -100, checkNumber: '1042' }
+        ];
+        const { matches, usedBank, usedGL } = glSplits.matchSplitGroups(bankItems, lines, settings);
+
+        expect([...usedBank]).toEqual([1]);
+        expect([...usedGL]).toEqual([0, 1]);
+        expect(matches[0]).toMatchObject({
+            glEntry: { description: '[2 splits] Check 1042', type: 'Split', amount: 100, credit: 100, isDebit: false },
+            matchType: 'GL Split (2 GL → 1 Bank)',
+            dayGap: 3,
+            matchRule: { id: 'glSplit' }
+        });
+        expect(matches[0].matchScore).toBeCloseTo(0.925);
+    });
+
+    test('leave a split alone once one of its lines is matched elsewhere', () => {
+        const lines = expandCheck();
+        const { matches } = glSplits.matchSplitGroups([{ date: '2025-01-06', amount: -100 }], [lines[1]], settings);
+
+        expect(matches).toEqual([]);
+    });
+});
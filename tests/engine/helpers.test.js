@@ -0,0 +1,41 @@
+const helpers = require('../../server/engine/helpers');
+
+describe('engine helpers', () => {
+    test('toDate reads ISO and MM/DD/YYYY strings as local calendar days', () => {
+        const iso = helpers.toDate('2025-01-31');
+        const us = helpers.toDate('1/31/2025');
+
+        expect([iso.getFullYear(), iso.getMonth(), iso.getDate(), iso.getHours()]).toEqual([2025, 0, 31, 0]);
+        expect(us.getTime()).toBe(iso.getTime());
+        expect(helpers.toDate('not a date')).toBeNull();
+        expect(helpers.toDate('')).toBeNull();
+    });
+
+    test('toDateKey formats a local day and is blank without a date', () => {
+        expect(helpers.toDateKey('3/5/2025')).toBe('2025-03-05');
+        expect(helpers.toDateKey(null)).toBe('');
+    });
+
+    test('getDayGap counts whole days either way round', () => {
+        expect(helpers.getDayGap('2025-03-01', '2025-03-04')).toBe(3);
+        expect(helpers.getDayGap('2025-03-04', '3/1/2025')).toBe(3);
+        // Spans the US daylight saving change
+        expect(helpers.getDayGap('2025-03-08', '2025-03-10')).toBe(2);
+        expect(helpers.getDayGap('2025-03-01', '')).toBeNull();
+    });
+
+    test('toNumber coerces JSON amounts', () => {
+        expect(helpers.toNumber('12.50')).toBe(12.5);
+        expect(helpers.toNumber(-3)).toBe(-3);
+        expect(helpers.toNumber('')).toBe(0);
+        expect(helpers.toNumber(undefined)).toBe(0);
+    });
+
+    test('roundCents and isBlank', () => {
+        expect(helpers.roundCents(0.1 + 0.2)).toBe(0.3);
+        expect(helpers.roundCents(-2.456)).toBe(-2.46);
+        expect([undefined, null, ''].every(helpers.isBlank)).toBe(true);
+        expect(helpers.isBlank(0)).toBe(false);
+        expect(helpers.BALANCE_TOLERANCE).toBe(0.005);
+    });
+});
@@ -0,0 +1,92 @@
+const learning = require('../../server/engine/learning');
+
+const counts = (accepted, denied = 0) => ({ accepted, denied });
+
+describe('validateLearningData', () => {
+    test('accepts empty and well-formed data', () => {
+        expect(learning.validateLearningData({})).toBeNull();
+        expect(learning.validateLearningData(learning.createEmptyLearningData())).toBeNull();
+    });
+
+    test('rejects the wrong shape', () => {
+        expect(learning.validateLearningData([])).toBe('Learning data must be an object');
+        expect(learning.validateLearningData({ version: 2 })).toBe('Unsupported learning data version 2');
+        expect(learning.validateLearningData({ patterns: { descToDesc: [] } })).toBe('patterns.descToDesc must be an object');
+        expect(learning.validateLearningData({ patterns: { amountToAccount: { '12.50': { '5100': counts(-1) } } } }))
+            .toBe('patterns.amountToAccount counts must be non-negative numbers');
+        expect(learning.validateLearningData({ feedbackLog: {} })).toBe('feedbackLog must be an array');
+    });
+
+    test('rejects patterns with more keys than MAX_PATTERN_KEYS', () => {
+        const descToAccount = {};
+        for (let i = 0; i <= learning.MAX_PATTERN_KEYS; i++) descToAccount[`key${i}`] = { '5100': counts(1) };
+
+        expect(learning.validateLearningData({ patterns: { descToAccount } }))
+            .toBe(`patterns.descToAccount has more than ${learning.MAX_PATTERN_KEYS} keys`);
+    });
+});
+
+describe('mergeLearningData', () => {
+    test('adds counts and totals, dropping empty keys', () => {
+        const base = {
+            totalAccepted: 1,
+            patterns: { descToAccount: { water: { '5100': counts(1) } } }
+        };
+        const delta = {
+            totalAccepted: 1,
+            totalDenied: 1,
+            patterns: {
+                descToAccount: { water: { '5100': { accepted: 1 }, '5200': { denied: 1 } }, '': { '5100': counts(9) } }
+            }
+        };
+        const merged = learning.mergeLearningData(base, delta);
+
+        expect(merged.patterns.descToAccount).toEqual({ water: { '5100': counts(2), '5200': counts(0, 1) } });
+        expect(merged.patterns.amountToAccount).toEqual({});
+        expect([merged.totalAccepted, merged.totalDenied]).toEqual([2, 1]);
+    });
+
+    test('keeps the feedback log in time order and bounded', () => {
+        const entry = (i) => ({ timestamp: `2025-01-01T00:${String(Math.floor(i / 60)).padStart(2, '0')}:${String(i % 60).padStart(2, '0')}Z` });
+        const base = { feedbackLog: Array.from({ length: 150 }, (_, i) => entry(i * 2)) };
+        const incoming = { feedbackLog: Array.from({ length: 150 }, (_, i) => entry(i * 2 + 1)) };
+        const { feedbackLog } = learning.mergeLearningData(base, incoming);
+
+        expect(feedbackLog).toHaveLength(200);
+        expect(feedbackLog[0]).toEqual(entry(100));
+        expect(feedbackLog[199]).toEqual(entry(299));
+    });
+
+    test('caps each pattern at MAX_PATTERN_KEYS, keeping the keys with the most feedback', () => {
+        const descToAccount = {};
+        for (let i = 0; i < learning.MAX_PATTERN_KEYS; i++) descToAccount[`key${i}`] = { '5100': counts(1) };
+        const merged = learning.mergeLearningData(
+            { patterns: { descToAccount } },
+            { patterns: { descToAccount: { busy: { '5100': counts(5) } } } }
+        );
+        const keys = Object.keys(merged.patterns.descToAccount);
+
+        expect(keys).toHaveLength(learning.MAX_PATTERN_KEYS);
+        expect(keys).toContain('busy');
+        expect(keys).toContain('key0');
+        expect(keys).not.toContain(`key${learning.MAX_PATTERN_KEYS - 1}`);
+        expect(console.log).toHaveBeenCalledWith('[LEARNING] Dropped 1 pattern keys with the least feedback');
+    });
+});
+
+describe('buildExport and parseExport', () => {
+    test('round-trip learning data through the export format', () => {
+        const data = learning.mergeLearningData({}, { totalAccepted: 3, patterns: { descToDesc: { a: { b: counts(3) } } } });
+        const exported = learning.buildExport(data, 'user');
+
+        expect(exported).toMatchObject({ format: learning.EXPORT_FORMAT, version: 1, scope: 'user' });
+        expect(learning.parseExport(JSON.parse(JSON.stringify(exported)))).toEqual({ data: exported.data });
+    });
+
+    test('accept plain learning data and reject other formats', () => {
+        expect(learning.parseExport({ totalDenied: 2 }).data.totalDenied).toBe(2);
+        expect(learning.parseExport({ format: 'other' })).toEqual({ error: 'Unknown export format other' });
+        expect(learning.parseExport({ format: learning.EXPORT_FORMAT, data: { version: 9 } }))
+            .toEqual({ error: 'Unsupported learning data version 9' });
+    });
+});
@@ -0,0 +1,91 @@
+const matchingRules = require('../../server/engine/matchingRules');
+const engine = require('../../server/engine/reconciliationEngine');
+
+const rule = (fields) => ({
+    id: 'r1', name: 'Rule', priority: 1,
+    field: 'description', operator: 'contains', value: 'ACH', action: 'ignore',
+    ...fields
+});
+
+describe('validateRules', () => {
+    test('accepts a well-formed list', () => {
+        expect(matchingRules.validateRules([rule(), rule({ id: 'r2', action: 'matchAccount', accountNumber: '1010' })])).toBeNull();
+    });
+
+    test('names the first problem it finds', () => {
+        expect(matchingRules.validateRules({})).toBe('matchingRules must be an array');
+        expect(matchingRules.validateRules([rule(), rule()])).toBe('matchingRules[1].id must be unique');
+        expect(matchingRules.validateRules([rule({ priority: '1' })])).toBe('matchingRules[0].priority must be a number');
+        expect(matchingRules.validateRules([rule({ operator: 'regex' })]))
+            .toBe('matchingRules[0].operator must be one of contains, equals, startsWith');
+        expect(matchingRules.validateRules([rule({ action: 'matchAccount' })]))
+            .toBe('matchingRules[0].accountNumber is required for matchAccount rules');
+        expect(matchingRules.validateRules(Array.from({ length: 51 }, (_, i) => rule({ id: `r${i}` }))))
+            .toBe('matchingRules may contain at most 50 rules');
+    });
+});
+
+describe('normalizeRules and findRule', () => {
+    test('drop disabled rules and evaluate the rest by priority', () => {
+        const rules = matchingRules.normalizeRules([
+            rule({ id: 'late', priority: 5 }),
+            rule({ id: 'off', priority: 0, enabled: false }),
+            rule({ id: 'early', priority: 2, operator: 'startsWith', value: 'ach' })
+        ]);
+
+        expect(rules.map(r => r.id)).toEqual(['early', 'late']);
+        expect(matchingRules.findRule({ description: 'ACH STATE AID' }, rules).id).toBe('early');
+        expect(matchingRules.findRule({ description: 'STATE AID ACH' }, rules).id).toBe('late');
+        expect(matchingRules.findRule({ description: '' }, rules)).toBeNull();
+    });
+
+    test('compare whole values with equals', () => {
+        const [equals] = matchingRules.normalizeRules([rule({ operator: 'equals', field: 'type', value: 'fee' })]);
+
+        expect(matchingRules.findRule({ type: 'FEE' }, [equals])).toBe(equals);
+        expect(matchingRules.findRule({ type: 'FEES' }, [equals])).toBeNull();
+    });
+});
+
+describe('scoreWithRule', () => {
+    const settings = engine.normalizeSettings();
+    const defaultScore = () => 0.75;
+
+    test('matchAccount pairs only with the account, on amount alone', () => {
+        const matchAccount = rule({ action: 'matchAccount', accountNumber: '1010' });
+        const bankTx = { amount: -42 };
+
+        expect(matchingRules.scoreWithRule(matchAccount, bankTx, { accountNumber: '1010', amount: 42 }, settings, defaultScore)).toBe(1);
+        expect(matchingRules.scoreWithRule(matchAccount, bankTx, { accountNumber: '1010', amount: 43 }, settings, defaultScore)).toBe(0);
+        expect(matchingRules.scoreWithRule(matchAccount, bankTx, { accountNumber: '2020', amount: 42 }, settings, defaultScore)).toBe(0);
+    });
+
+    test('requireCheckNumber needs the same number on the GL side', () => {
+        const requireCheck = rule({ action: 'requireCheckNumber' });
+
+        expect(matchingRules.scoreWithRule(requireCheck, { checkNumber: '1042' }, { refNumber: '1042' }, settings, defaultScore)).toBe(0.75);
+        expect(matchingRules.scoreWithRule(requireCheck, { checkNumber: '1042' }, { refNumber: '1043' }, settings, defaultScore)).toBe(0);
+        expect(matchingRules.scoreWithRule(requireCheck, {}, { refNumber: '1042' }, settings, defaultScore)).toBe(0);
+    });
+
+    test('ignore never scores', () => {
+        expect(matchingRules.scoreWithRule(rule(), {}, {}, settings, defaultScore)).toBe(0);
+    });
+});
+
+test('reconcile labels matches made by a matchAccount rule', () => {
+    const result = engine.reconcile(
+        [{ date: '2025-02-03', amount: -310.25, description: 'ACH EVERSOURCE' }],
+        [
+            { date: '2025-02-03', amount: 310.25, accountNumber: '5400' },
+            { date: '2025-01-25', amount: 310.25, accountNumber: '5410' }
+        ],
+        { dateRange: 10, matchingRules: [rule({ action: 'matchAccount', accountNumber: '5410', value: 'EVERSOURCE' })] }
+    );
+
+    expect(result.matchedTransactions[0]).toMatchObject({
+        matchType: 'Rule: Account by Amount',
+        matchRule: { id: 'r1', name: 'Rule' },
+        glEntry: { accountNumber: '5410' }
+    });
+});
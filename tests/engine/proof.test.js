@@ -0,0 +1,105 @@
+const proof = require('../../server/engine/proof');
+
+const unmatchedGL = [
+    { amount: 200, debit: 200, description: 'Deposit in transit' },
+    { amount: 150, credit: 150, description: 'Outstanding check' }
+];
+const unmatchedBank = [
+    { amount: 10, description: 'Interest' },
+    { amount: -60, description: 'Service charge' },
+    { amount: -5, description: 'Ignored', ignoredByRule: { id: 'r1', name: 'Rule' } }
+];
+
+describe('validateBalances and normalizeBalances', () => {
+    test('allow blanks but not text', () => {
+        expect(proof.validateBalances({ statementBalance: '1000.00', bookBalance: '' })).toBeNull();
+        expect(proof.validateBalances({ bankErrors: 'ten' })).toBe('balances.bankErrors must be a number');
+        expect(proof.validateBalances(null)).toBe('balances must be an object');
+    });
+
+    test('round to cents, keep unknown balances null and default bank errors to 0', () => {
+        expect(proof.normalizeBalances({ statementBalance: '1000.004', bookBalance: null })).toEqual({
+            statementBalance: 1000,
+            bookBalance: null,
+            bankErrors: 0
+        });
+    });
+});
+
+describe('summarizeOutstanding', () => {
+    test('sorts unmatched items onto proof lines, skipping lines a rule ignored', () => {
+        expect(proof.summarizeOutstanding(unmatchedBank, unmatchedGL)).toEqual({
+            depositsInTransit: { count: 1, total: 200 },
+            outstandingChecks: { count: 1, total: 150 },
+            bankCredits: { count: 1, total: 10 },
+            bankDebits: { count: 1, total: 60 }
+        });
+    });
+});
+
+describe('buildProof', () => {
+    test('balances when the adjusted bank and book balances agree', () => {
+        const result = proof.buildProof({ statementBalance: 1000, bookBalance: 1100 }, unmatchedBank, unmatchedGL);
+
+        expect(result).toMatchObject({
+            adjustedBankBalance: 1050,
+            adjustedBookBalance: 1050,
+            difference: 0,
+            isBalanced: true
+        });
+    });
+
+    test('includes bank errors and reports what is left unexplained', () => {
+        const result = proof.buildProof({ statementBalance: 1000, bookBalance: 1100, bankErrors: -20.5 }, unmatchedBank, unmatchedGL);
+
+        expect(result.adjustedBankBalance).toBe(1029.5);
+        expect(result.difference).toBe(-20.5);
+        expect(result.isBalanced).toBe(false);
+    });
+
+    test('cannot compare without both balances', () => {
+        const result = proof.buildProof({ statementBalance: 1000 }, unmatchedBank, unmatchedGL);
+
+        expect(result).toMatchObject({ adjustedBankBalance: 1050, adjustedBookBalance: null, difference: null, isBalanced: false });
+    });
+});
+
+describe('adjustProof', () => {
+    test('moves matched items off the proof and undone matches back on', () => {
+        const stored = proof.buildProof({ statementBalance: 1000, bookBalance: 1100 }, unmatchedBank, unmatchedGL);
+        const matched = proof.adjustProof(stored, { unmatchedGL: [unmatchedGL[0]] });
+
+        expect(matched.depositsInTransit).toEqual({ count: 0, total: 0 });
+        expect(matched.difference).toBe(-200);
+
+        const undone = proof.adjustProof(matched, {}, { unmatchedGL: [unmatchedGL[0]] });
+        expect(undone).toEqual(stored);
+    });
+
+    test('leaves sessions without a proof alone', () => {
+        expect(proof.adjustProof(undefined, { unmatchedGL })).toBeUndefined();
+    });
+});
+
+describe('detectStatementBalance and detectBookBalance', () => {
+    test('take the balance on the latest-dated statement row', () => {
+        expect(proof.detectStatementBalance([
+            { date: '2025-01-31', balance: 500 },
+            { date: '2025-01-15', balance: 300 },
+            { date: '2025-01-31', balance: '450.10' },
+            { date: '2025-01-31', balance: 0 }
+        ])).toBe(450.1);
+        expect(proof.detectStatementBalance([{ date: '2025-01-31' }])).toBeNull();
+    });
+
+    test('prefer the bank account\'s GL cash account rows', () => {
+        const glData = [
+            { accountNumber: '1010', endingBalance: 100 },
+            { accountNumber: '2000', endingBalance: 999 }
+        ];
+
+        expect(proof.detectBookBalance(glData, '1010')).toBe(100);
+        expect(proof.detectBookBalance(glData)).toBe(999);
+        expect(proof.detectBookBalance([{ accountNumber: '1010' }])).toBeNull();
+    });
+});
@@ -0,0 +1,222 @@
+const engine = require('../../server/engine/reconciliationEngine');
+
+const settings = engine.normalizeSettings();
+
+describe('calculateMatchScore', () => {
+    test('weighs amount, check number and date proximity', () => {
+        const bankTx = { amount: -1250, checkNumber: '1042', date: '2025-01-06' };
+
+        expect(engine.calculateMatchScore(bankTx, { amount: 1250, accountNumber: '1042', date: '2025-01-06' }, settings)).toBe(1);
+        expect(engine.calculateMatchScore(bankTx, { amount: 1250, date: '2025-01-06' }, settings)).toBeCloseTo(0.7);
+        expect(engine.calculateMatchScore(bankTx, { amount: 1250, date: '2025-01-05' }, settings)).toBeCloseTo(0.65);
+    });
+
+    test('gives partial date credit without a GL date', () => {
+        expect(engine.calculateMatchScore({ amount: 100, date: '2025-01-06' }, { amount: 100 }, settings)).toBeCloseTo(0.6);
+    });
+
+    test('keeps amounts within 1% at the threshold unless the check number agrees', () => {
+        const sameDay = { amount: 1009, date: '2025-01-06', accountNumber: '5100' };
+
+        expect(engine.calculateMatchScore({ amount: -1000, date: '2025-01-06' }, sameDay, settings)).toBe(0.5);
+        expect(engine.calculateMatchScore({ amount: -1000, date: '2025-01-06', cleared: true }, sameDay, settings)).toBe(0.5);
+        expect(engine.calculateMatchScore(
+            { amount: -1000, date: '2025-01-06', checkNumber: '1042' },
+            { ...sameDay, accountNumber: '1042' },
+            settings
+        )).toBeCloseTo(0.9);
+    });
+
+    test('rejects pairs dated outside the date range', () => {
+        expect(engine.calculateMatchScore(
+            { amount: 100, date: '2025-01-01' },
+            { amount: 100, date: '2025-01-05' },
+            settings
+        )).toBe(0);
+    });
+
+    test('boosts a pair whose amounts agree when one side is marked cleared', () => {
+        const score = engine.calculateMatchScore(
+            { amount: 100, date: '2025-01-06', cleared: true },
+            { amount: 100, date: '2025-01-06' },
+            settings
+        );
+
+        expect(score).toBeCloseTo(0.8);
+    });
+});
+
+describe('getMatchType', () => {
+    test('names the criteria a pair matched on', () => {
+        expect(engine.getMatchType({ amount: 50, checkNumber: '#1042' }, { amount: 50, accountNumber: '1042' }, settings))
+            .toBe('Exact Amount + Check #');
+        expect(engine.getMatchType({ amount: 50 }, { amount: 50.2 }, settings)).toBe('Amount Match');
+    });
+});
+
+describe('normalizeSettings', () => {
+    test('fills defaults and coerces values sent as strings', () => {
+        const config = engine.normalizeSettings({
+            dateRange: '5',
+            amountTolerance: 'abc',
+            assignmentMode: 'fastest',
+            batchDeposits: 'false',
+            batchGroupBy: 'week',
+            reconciledItems: 'prematch',
+            bankDateField: 'toString',
+            matchingRules: 'none'
+        });
+
+        expect(config).toMatchObject({
+            dateRange: 5,
+            amountTolerance: 0,
+            assignmentMode: 'greedy',
+            batchDeposits: false,
+            batchGroupBy: 'date',
+            splitSettlements: true,
+            expandSplits: false,
+            reconciledItems: 'prematch',
+            bankDateField: 'posted',
+            matchingRules: []
+        });
+    });
+});
+
+describe('selectBankDates', () => {
+    test('matches on the chosen OFX date and keeps the posting date', () => {
+        const [withUserDate, withoutUserDate] = engine.selectBankDates([
+            { date: '2025-01-02', dateUser: '2024-12-30' },
+            { date: '2025-01-03' }
+        ], 'user');
+
+        expect(withUserDate).toEqual({ date: '2024-12-30', dateUser: '2024-12-30', datePosted: '2025-01-02' });
+        expect(withoutUserDate).toEqual({ date: '2025-01-03' });
+    });
+});
+
+describe('buildSummary', () => {
+    test('counts the lists and totals the matched bank amounts', () => {
+        const summary = engine.buildSummary(
+            [{ bankTransaction: { amount: -25 } }, { bankTransaction: { amount: 10 } }],
+            [{}],
+            []
+        );
+
+        expect(summary).toEqual({
+            totalMatched: 2,
+            totalUnmatchedBank: 1,
+            totalUnmatchedGL: 0,
+            totalMatchedAmount: 35
+        });
+    });
+});
+
+describe('reconcile', () => {
+    const bankData = [
+        { date: '2025-01-06', amount: -1250, checkNumber: '1042', description: 'CHECK 1042' },
+        { date: '2025-01-10', amount: 500, description: 'DEPOSIT' },
+        { date: '2025-01-15', amount: -15, description: 'SERVICE FEE' }
+    ];
+    const glData = [
+        { accountNumber: '1042', date: '2025-01-05', amount: 1250, credit: 1250, description: 'Springfield Water' },
+        { accountNumber: '4100', date: '2025-01-10', amount: 200, debit: 200, description: 'Property taxes' },
+        { accountNumber: '4200', date: '2025-01-10', amount: 300, debit: 300, description: 'Permit fees' }
+    ];
+
+    test('matches one-to-one, then batches the day\'s receipts into the deposit', () => {
+        const result = engine.reconcile(bankData, glData, {});
+
+        expect(result.matchedTransactions.map(m => m.matchType)).toEqual([
+            'Exact Amount + Check #',
+            'Deposit Batch (2 GL → 1 Bank)'
+        ]);
+        expect(result.matchedTransactions[0].matchRule).toEqual({ id: 'default', name: 'Default scoring' });
+        expect(result.unmatchedBank.map(tx => tx.description)).toEqual(['SERVICE FEE']);
+        expect(result.unmatchedGL).toEqual([]);
+        expect(result.summary).toEqual({
+            totalMatched: 2,
+            totalUnmatchedBank: 1,
+            totalUnmatchedGL: 0,
+            totalMatchedAmount: 1750,
+            totalPreviouslyReconciled: 0
+        });
+        expect(result.assignmentReport).toBeNull();
+    });
+
+    test('does not auto-match amounts that only come within 1%', () => {
+        const result = engine.reconcile(
+            [{ date: '2025-01-06', amount: -1000, description: 'ACH EVERSOURCE' }],
+            [{ date: '2025-01-06', amount: 1009, credit: 1009, accountNumber: '5400' }],
+            {}
+        );
+
+        expect(result.matchedTransactions).toEqual([]);
+        expect(result.summary.totalUnmatchedBank).toBe(1);
+        expect(result.summary.totalUnmatchedGL).toBe(1);
+    });
+
+    test('leaves the receipts unmatched with batch deposits off', () => {
+        const result = engine.reconcile(bankData, glData, { batchDeposits: false });
+
+        expect(result.matchedTransactions).toHaveLength(1);
+        expect(result.unmatchedGL).toHaveLength(2);
+    });
+
+    test('reports lines a rule ignored as unmatched, tagged with the rule', () => {
+        const result = engine.reconcile(bankData, glData, {
+            matchingRules: [{
+                id: 'fees', name: 'Skip fees', priority: 1,
+                field: 'description', operator: 'contains', value: 'fee', action: 'ignore'
+            }]
+        });
+
+        expect(result.unmatchedBank).toEqual([
+            expect.objectContaining({ description: 'SERVICE FEE', ignoredByRule: { id: 'fees', name: 'Skip fees' } })
+        ]);
+    });
+
+    test('sets aside lines the source file marks reconciled', () => {
+        const result = engine.reconcile(
+            [...bankData, { date: '2024-12-20', amount: -80, clearedStatus: 'reconciled' }],
+            glData,
+            {}
+        );
+
+        expect(result.previouslyReconciled.bank).toHaveLength(1);
+        expect(result.summary.totalPreviouslyReconciled).toBe(1);
+        expect(result.summary.totalUnmatchedBank).toBe(1);
+    });
+
+    test('matches the lines of a split check to the single bank line with expandSplits', () => {
+        const result = engine.reconcile(
+            [{ date: '2025-01-07', amount: -100, checkNumber: '1050' }],
+            [{
+                id: 'gl-1', date: '2025-01-06', amount: 100, credit: 100, isDebit: false,
+                checkNumber: '1050', description: 'Check 1050',
+                splits: [{ category: 'Water/General', amount: -60 }, { category: 'Sewer/Sewer Fund', amount: -40 }]
+            }],
+            { expandSplits: true }
+        );
+
+        expect(result.matchedTransactions).toHaveLength(1);
+        expect(result.matchedTransactions[0]).toMatchObject({
+            matchType: 'GL Split (2 GL → 1 Bank)',
+            glEntry: { description: '[2 splits] Check 1050', amount: 100 }
+        });
+        expect(result.unmatchedGL).toEqual([]);
+    });
+
+    test('reports where optimal assignment differs from greedy', () => {
+        const result = engine.reconcile(
+            [{ date: '2025-01-10', amount: 100 }, { date: '2025-01-12', amount: 100 }],
+            [{ date: '2025-01-11', amount: 100, accountNumber: 'A' }, { date: '2025-01-09', amount: 100, accountNumber: 'B' }],
+            { assignmentMode: 'optimal' }
+        );
+
+        expect(result.matchedTransactions.map(m => m.glEntry.accountNumber)).toEqual(['B', 'A']);
+        expect(result.assignmentReport.greedyRows).toBe(0);
+        expect(result.assignmentReport.optimalTotalScore).toBeGreaterThan(result.assignmentReport.greedyTotalScore);
+        expect(result.assignmentReport.differences.map(d => [d.bankIndex, d.greedyGLEntry.accountNumber, d.optimalGLEntry.accountNumber]))
+            .toEqual([[0, 'A', 'B'], [1, 'B', 'A']]);
+    });
+});
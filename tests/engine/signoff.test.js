@@ -0,0 +1,99 @@
+const signoff = require('../../server/engine/signoff');
+
+const preparer = { uid: 'prep', email: 'prep@town.gov', role: 'preparer' };
+const reviewer = { uid: 'rev', email: 'rev@town.gov', role: 'reviewer' };
+const admin = { uid: 'admin', email: 'admin@town.gov', role: 'admin' };
+
+describe('normalizeStatus and isLocked', () => {
+    test('read legacy and unknown statuses as draft', () => {
+        expect(signoff.normalizeStatus('completed')).toBe('draft');
+        expect(signoff.normalizeStatus(undefined)).toBe('draft');
+        expect(signoff.isLocked({ status: 'locked' })).toBe(true);
+        expect(signoff.isLocked(null)).toBe(false);
+    });
+});
+
+describe('getNextStatuses', () => {
+    test('lists the moves the user\'s role allows', () => {
+        expect(signoff.getNextStatuses({ status: 'reviewed' })).toEqual(['approved', 'draft']);
+        expect(signoff.getNextStatuses({ status: 'reviewed' }, reviewer)).toEqual(['draft']);
+        expect(signoff.getNextStatuses({ status: 'locked' }, admin)).toEqual([]);
+    });
+});
+
+describe('validateTransition', () => {
+    const reviewed = { status: 'reviewed', userId: 'someone', signoff: { prepared: { by: 'prep' } } };
+
+    test('allows each step to a user with the role', () => {
+        expect(signoff.validateTransition({ status: 'draft' }, 'prepared', preparer)).toBeNull();
+        expect(signoff.validateTransition({ status: 'prepared' }, 'reviewed', reviewer)).toBeNull();
+        expect(signoff.validateTransition(reviewed, 'approved', admin)).toBeNull();
+    });
+
+    test('rejects unknown statuses, skipped steps and locked sessions', () => {
+        expect(signoff.validateTransition({ status: 'draft' }, 'done', admin))
+            .toBe('status must be one of: draft, prepared, reviewed, approved, locked');
+        expect(signoff.validateTransition({ status: 'draft' }, 'approved', admin)).toBe('Cannot move from draft to approved');
+        expect(signoff.validateTransition({ status: 'locked' }, 'draft', admin, 'fix')).toBe('Locked reconciliations cannot change status');
+    });
+
+    test('needs the minimum role for the step', () => {
+        expect(signoff.validateTransition({ status: 'prepared' }, 'reviewed', preparer))
+            .toBe('Moving to reviewed requires the reviewer role or higher');
+    });
+
+    test('keeps the preparer and the user who saved the session from approving it', () => {
+        const prepAdmin = { ...admin, uid: 'prep' };
+
+        expect(signoff.validateTransition(reviewed, 'approved', prepAdmin))
+            .toBe('The preparer cannot approve their own reconciliation');
+        expect(signoff.validateTransition({ ...reviewed, userId: 'admin' }, 'approved', admin))
+            .toBe('The user who saved a reconciliation cannot approve it');
+    });
+
+    test('needs a comment to send a session back to draft', () => {
+        expect(signoff.validateTransition({ status: 'prepared' }, 'draft', reviewer, '  '))
+            .toBe('A comment is required when sending a reconciliation back to draft');
+        expect(signoff.validateTransition({ status: 'prepared' }, 'draft', reviewer, 'Missing fee')).toBeNull();
+    });
+});
+
+describe('buildTransition', () => {
+    test('stamps the step and appends to the history', () => {
+        const record = { status: 'prepared', signoff: { prepared: { by: 'prep' } }, signoffHistory: [{ to: 'prepared' }] };
+        const update = signoff.buildTransition(record, 'reviewed', reviewer, ' Looks right ');
+
+        expect(update.status).toBe('reviewed');
+        expect(update.signoff).toEqual({
+            prepared: { by: 'prep' },
+            reviewed: { by: 'rev', email: 'rev@town.gov', at: update.updatedAt }
+        });
+        expect(update.signoffHistory).toEqual([
+            { to: 'prepared' },
+            { from: 'prepared', to: 'reviewed', by: 'rev', email: 'rev@town.gov', at: update.updatedAt, comment: 'Looks right' }
+        ]);
+    });
+
+    test('clears the stamps when sent back to draft', () => {
+        const update = signoff.buildTransition({ status: 'approved', signoff: { approved: {} } }, 'draft', admin, 'Redo');
+
+        expect(update.signoff).toEqual({});
+    });
+});
+
+describe('resetForEdit', () => {
+    test('sends a signed-off session back to draft with the reason', () => {
+        const update = signoff.resetForEdit({ status: 'approved', signoff: { approved: {} } }, preparer, 'Matches changed after sign-off');
+
+        expect(update.status).toBe('draft');
+        expect(update.signoff).toEqual({});
+        expect(update.signoffHistory).toEqual([
+            expect.objectContaining({ from: 'approved', to: 'draft', by: 'prep', comment: 'Matches changed after sign-off' })
+        ]);
+    });
+
+    test('leaves draft and locked sessions alone', () => {
+        expect(signoff.resetForEdit({ status: 'completed' }, preparer, 'x')).toEqual({});
+        expect(signoff.resetForEdit({ status: 'locked' }, preparer, 'x')).toEqual({});
+    });
+});
@@ -0,0 +1,60 @@
+const splitMatcher = require('../../server/engine/splitMatcher');
+const engine = require('../../server/engine/reconciliationEngine');
+
+describe('findBankSubset', () => {
+    test('combines credits with a separate fee line to reach the GL amount', () => {
+        const subset = splitMatcher.findBankSubset(
+            100,
+            [{ idx: 0, amount: 60, fees: 0 }, { idx: 1, amount: 38, fees: 0 }, { idx: 3, amount: 55, fees: 0 }],
+            [{ idx: 2, amount: 2 }],
+            0.005
+        );
+
+        expect(subset).toEqual({ creditIndices: [0, 1], feeIndex: 2, creditTotal: 98, feeAmount: 2, diff: 0, itemCount: 3 });
+    });
+
+    test('uses the fee a settlement reports on itself', () => {
+        const subset = splitMatcher.findBankSubset(100, [{ idx: 4, amount: 97, fees: 3 }], [], 0.005);
+
+        expect(subset).toMatchObject({ creditIndices: [4], feeIndex: null, feeAmount: 3 });
+    });
+
+    test('leaves a single exact credit to the one-to-one pass', () => {
+        expect(splitMatcher.findBankSubset(100, [{ idx: 0, amount: 100, fees: 0 }], [], 0.005)).toBeNull();
+    });
+
+    test('combines no more than maxItems credits', () => {
+        const credits = [1, 2, 3].map(idx => ({ idx, amount: 10, fees: 0 }));
+
+        expect(splitMatcher.findBankSubset(30, credits, [], 0.005, 2)).toBeNull();
+        expect(splitMatcher.findBankSubset(30, credits, [], 0.005, 3).creditIndices).toHaveLength(3);
+    });
+});
+
+describe('matchBankSplits', () => {
+    test('matches card settlements net of the processor fee to the gross GL entry', () => {
+        const bankItems = [
+            { date: '2025-01-10', amount: 60, description: 'CARD SETTLEMENT' },
+            { date: '2025-01-11', amount: 38, description: 'CARD SETTLEMENT' },
+            { date: '2025-01-11', amount: -2, isFee: true, description: 'PROCESSOR FEE' },
+            { date: '2025-01-11', amount: -38, description: 'CHECK' }
+        ];
+        const glItems = [{ date: '2025-01-10', amount: 100, isDebit: true, accountNumber: '4300' }];
+        const { matches, usedBank, usedGL } = splitMatcher.matchBankSplits(bankItems, glItems, engine.normalizeSettings());
+
+        expect([...usedBank].sort()).toEqual([0, 1, 2]);
+        expect([...usedGL]).toEqual([0]);
+        expect(matches[0]).toMatchObject({
+            bankTransaction: {
+                description: '[3 items combined] CARD SETTLEMENT; CARD SETTLEMENT; PROCESSOR FEE',
+                amount: 98,
+                feeAmount: 2
+            },
+            glEntry: glItems[0],
+            matchType: 'Bank Split (3 Bank → 1 GL + fees)',
+            dayGap: 1,
+            feeDifference: 2,
+            matchRule: { id: 'split' }
+        });
+    });
+});
@@ -0,0 +1,94 @@
+const statementBalance = require('../../server/engine/statementBalance');
+
+const rows = [
+    { date: '2025-01-02', amount: -100, description: 'CHECK 1042', balance: 900 },
+    { date: '2025-01-03', amount: 50, amountCredit: 50, description: 'DEPOSIT', balance: 950 },
+    { date: '2025-01-04', amount: 25, description: 'TRANSFER' },
+    { date: '2025-01-05', amount: -10, description: 'FEE', balance: 965 }
+];
+
+describe('checkBalanceContinuity', () => {
+    test('walks an unbroken statement and proves the entered totals', () => {
+        const result = statementBalance.checkBalanceContinuity(rows, { openingBalance: 1000, closingBalance: '965.00' });
+
+        expect(result).toMatchObject({
+            checked: true,
+            isValid: true,
+            rowsChecked: 3,
+            breakCount: 0,
+            firstBreak: null,
+            openingBalance: 1000,
+            closingBalance: 965,
+            issues: []
+        });
+        expect(result.totals.closing).toEqual({ entered: 965, statement: 965, difference: 0, matches: true });
+    });
+
+    test('walks statements listed newest first oldest first', () => {
+        const result = statementBalance.checkBalanceContinuity([...rows].reverse());
+
+        expect(result).toMatchObject({ isValid: true, openingBalance: 1000, closingBalance: 965 });
+    });
+
+    test('reports a missing row', () => {
+        const result = statementBalance.checkBalanceContinuity([
+            rows[0],
+            { date: '2025-01-03', amount: -50, balance: 800 }
+        ]);
+
+        expect(result.firstBreak).toMatchObject({
+            rowNumber: 2,
+            previousRowNumber: 1,
+            expectedBalance: 850,
+            actualBalance: 800,
+            difference: -50,
+            cause: 'missing_row'
+        });
+        expect(result.issues).toEqual(['Balance on row 2 is off by -50.00 - a row between row 1 and row 2 may be missing']);
+    });
+
+    test('reports a missing page across a long date gap', () => {
+        const result = statementBalance.checkBalanceContinuity([
+            rows[0],
+            { date: '2025-01-20', amount: -50, balance: 500 }
+        ]);
+
+        expect(result.firstBreak.cause).toBe('missing_page');
+        expect(result.firstBreak.message).toContain('(18 days apart) - a page of the statement may be missing');
+    });
+
+    test('reports a duplicated row and counts later breaks', () => {
+        const result = statementBalance.checkBalanceContinuity([
+            rows[0],
+            { ...rows[0] },
+            { date: '2025-01-03', amount: -10, balance: 100 }
+        ]);
+
+        expect(result.breakCount).toBe(2);
+        expect(result.firstBreak.cause).toBe('duplicate_row');
+        expect(result.issues[0]).toBe('Row 2 repeats row 1 without moving the balance - it looks duplicated (1 more break(s) after it)');
+    });
+
+    test('proves the totals from the amounts when there is no running balance', () => {
+        const result = statementBalance.checkBalanceContinuity(
+            [{ amount: -100 }, { amount: -20 }],
+            { openingBalance: 1000, closingBalance: 900 }
+        );
+
+        expect(result.checked).toBe(true);
+        expect(result.closingBalance).toBe(880);
+        expect(result.issues).toEqual(['Closing balance from the rows is 880.00, statement shows 900.00']);
+    });
+
+    test('has nothing to check without balances or totals', () => {
+        expect(statementBalance.checkBalanceContinuity([{ amount: 5 }])).toMatchObject({ checked: false, isValid: true });
+    });
+});
+
+describe('validateStatementTotals', () => {
+    test('allows blank totals and rejects text', () => {
+        expect(statementBalance.validateStatementTotals({ openingBalance: '', closingBalance: '12.5' })).toBeNull();
+        expect(statementBalance.validateStatementTotals({ closingBalance: 'x' })).toBe('closingBalance must be a number');
+        expect(statementBalance.validateStatementTotals([])).toBe('totals must be an object');
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const ofxParser = require('../../server/parsers/ofxParser');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/ofx', name), 'utf8');
+
+describe('ofxParser.parse', () => {
+    test('reads an OFX 1.x SGML checking statement', () => {
+        const { statements, unsupported } = ofxParser.parse(readFixture('checking-sgml.ofx'));
+
+        expect(unsupported).toEqual([]);
+        expect(statements).toHaveLength(1);
+
+        const [statement] = statements;
+        expect(statement.account).toEqual({
+            accountNumber: '000123456789',
+            routingNumber: '011000015',
+            accountType: 'CHECKING',
+            accountName: ''
+        });
+        expect(statement.period).toEqual({ start: '2025-01-01', end: '2025-01-31' });
+        expect(statement.balances).toEqual({
+            ledger: { amount: 10135.5, asOf: '2025-01-31' },
+            available: { amount: 10000, asOf: '2025-01-31' }
+        });
+        expect(statement.currency).toBe('USD');
+
+        expect(statement.transactions.map(tx => [tx.date, tx.amount, tx.amountDebit, tx.amountCredit])).toEqual([
+            ['2025-01-06', 1250, 1250, 0],
+            ['2025-01-10', 3400.5, 0, 3400.5],
+            ['2025-01-31', 15, 15, 0]
+        ]);
+    });
+
+    test('decodes entities and keeps check numbers, memos and the posting instant', () => {
+        const [statement] = ofxParser.parse(readFixture('checking-sgml.ofx')).statements;
+        const [check, deposit] = statement.transactions;
+
+        expect(check.name).toBe('SPRINGFIELD WATER & SEWER');
+        expect(check.checkNumber).toBe('1042');
+        expect(check.postedAt).toBeNull();
+
+        expect(deposit.description).toBe('PROPERTY TAX RECEIPTS - Batch 17');
+        expect(deposit.postedAt).toBe('2025-01-11T04:30:00.000Z');
+        expect(deposit.dateUser).toBe('2025-01-10');
+        expect(deposit.dateAvailable).toBe('2025-01-11');
+    });
+
+    test('reads OFX 2.x XML with namespaces, CDATA, attributes and several statements', () => {
+        const { statements } = ofxParser.parse(readFixture('checking-xml.ofx'));
+
+        expect(statements.map(s => [s.account.accountType, s.account.accountNumber, s.transactions.length])).toEqual([
+            ['CHECKING', '000123456789', 2],
+            ['SAVINGS', '000987654321', 1]
+        ]);
+
+        const [debit, credit] = statements[0].transactions;
+        expect(debit.name).toBe('Smith & Sons <Hardware>');
+        expect(debit.memo).toBe('');
+        expect(debit.amountDebit).toBe(89.99);
+        expect(credit.type).toBe('CREDIT');
+        expect(credit.name).toBe('State grant – Q1');
+        expect(statements[0].balances.ledger).toEqual({ amount: 4410.01, asOf: '2025-01-31' });
+        expect(statements[1].balances.ledger).toBeNull();
+    });
+
+    test('reads credit card statements as CREDITCARD accounts', () => {
+        const [statement] = ofxParser.parse(readFixture('creditcard.qfx')).statements;
+
+        expect(statement.account.accountType).toBe('CREDITCARD');
+        expect(statement.account.accountNumber).toBe('4111111111111111');
+        expect(statement.transactions.map(tx => [tx.name, tx.amountDebit, tx.amountCredit])).toEqual([
+            ['OFFICE SUPPLY CO', 42.1, 0],
+            ['PAYMENT THANK YOU', 0, 42.1]
+        ]);
+    });
+
+    test('reports investment statements instead of reading their bank transactions', () => {
+        const { statements, unsupported } = ofxParser.parse(readFixture('investment.ofx'));
+
+        expect(statements).toHaveLength(1);
+        expect(statements[0].transactions.map(tx => tx.fitId)).toEqual(['B-1']);
+        expect(unsupported).toEqual([{
+            type: 'INVSTMTRS',
+            accountNumber: '55554444',
+            message: 'Skipped investment statement ****4444 - only bank and credit card statements can be reconciled'
+        }]);
+    });
+
+    test('returns nothing for content without an OFX element', () => {
+        expect(ofxParser.parse('not an ofx file')).toEqual({ statements: [], unsupported: [] });
+    });
+});
+
+describe('ofxParser.parseAccountInfo', () => {
+    test('flattens the first statement', () => {
+        expect(ofxParser.parseAccountInfo(readFixture('checking-sgml.ofx'))).toEqual({
+            accountNumber: '000123456789',
+            routingNumber: '011000015',
+            accountType: 'CHECKING',
+            accountName: '',
+            statementStart: '2025-01-01',
+            statementEnd: '2025-01-31',
+            ledgerBalance: 10135.5,
+            availableBalance: 10000,
+            currency: 'USD'
+        });
+    });
+
+    test('returns null when the file has no statement', () => {
+        expect(ofxParser.parseAccountInfo('<OFX></OFX>')).toBeNull();
+    });
+});
+
+describe('ofxParser.parseOFXDate', () => {
+    test.each([
+        ['20250105', { date: '2025-01-05', timestamp: null }],
+        ['20250105000000', { date: '2025-01-05', timestamp: null }],
+        ['20250105120000', { date: '2025-01-05', timestamp: '2025-01-05T12:00:00.000Z' }],
+        ['20250105233000.000[-5:EST]', { date: '2025-01-05', timestamp: '2025-01-06T04:30:00.000Z' }],
+        ['20250105083000[+5.5:IST]', { date: '2025-01-05', timestamp: '2025-01-05T03:00:00.000Z' }]
+    ])('%s', (value, expected) => {
+        expect(ofxParser.parseOFXDate(value)).toEqual(expected);
+    });
+
+    test.each(['', 'garbage', '20251305', '18000101'])('rejects %p', (value) => {
+        expect(ofxParser.parseOFXDate(value)).toBeNull();
+    });
+});
+
+describe('ofxParser.extractTag', () => {
+    test('reads closed and unclosed elements', () => {
+        expect(ofxParser.extractTag('<NAME>Closed</NAME>', 'NAME')).toBe('Closed');
+        expect(ofxParser.extractTag('<NAME>Open\n<MEMO>x', 'NAME')).toBe('Open');
+        expect(ofxParser.extractTag('<MEMO>x', 'NAME')).toBe('');
+    });
+});
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const pdfParser = require('../../server/parsers/pdfParser');
+const { loadTemplateDir } = require('../../server/parsers/pdfTemplates');
+
+// Positioned text as pdf.js reports it; roughly 5 units per character
+const piece = (text, x, y) => ({ text, x, y, width: text.length * 5 });
+
+describe('pdfParser.parse', () => {
+    // One page: Date/Description/Debits/Credits/Balance table with a wrapped
+    // description and an ending balance row. Padded past 4 KB so Node gives it
+    // a buffer of its own rather than a slice of the shared pool.
+    const statement = fs.readFileSync(path.join(__dirname, '../fixtures/pdf/statement.pdf'));
+
+    test('reads a bank statement from its column layout', async () => {
+        const transactions = await pdfParser.parse(statement, 'bank');
+
+        expect(transactions.map(tx => [tx.date, tx.description, tx.amount, tx.isDebit, tx.balance])).toEqual([
+            ['01/02/2025', 'Opening deposit', 500, false, 1500],
+            ['01/05/2025', 'Check 1001', 200, true, 1300],
+            ['01/09/2025', 'ACH PAYROLL CITY OF SPRINGFIELD', 250.25, true, 1049.75]
+        ]);
+    });
+
+    test('rejects content that is not a PDF', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await expect(pdfParser.parse(Buffer.from('not a pdf'.repeat(600)), 'bank'))
+            .rejects.toThrow('Failed to parse PDF');
+    });
+});
+
+describe('pdfParser.parseBankStatementLayout', () => {
+    test('takes the direction of a single amount column from the running balance', () => {
+        const page = [
+            piece('Date', 40, 700), piece('Description', 100, 700), piece('Amount', 350, 700), piece('Balance', 450, 700),
+            piece('Beginning balance', 100, 688), piece('1,000.00', 450, 688),
+            piece('03/02', 40, 676), piece('Deposit', 100, 676), piece('250.00', 350, 676), piece('1,250.00', 450, 676),
+            piece('03/04', 40, 664), piece('Check 2001', 100, 664), piece('100.00', 350, 664), piece('1,150.00', 450, 664),
+            piece('03/05', 40, 652), piece('Fee', 100, 652), piece('5.00-', 350, 652), piece('1,145.00', 450, 652),
+            piece('Page 1 of 1', 40, 40)
+        ];
+        const period = { start: { year: 2025, month: 3, day: 1 }, end: { year: 2025, month: 3, day: 31 } };
+
+        const transactions = pdfParser.parseBankStatementLayout([page], period);
+
+        // The beginning balance row is skipped, so the first row has no earlier balance to compare with
+        expect(transactions.map(tx => [tx.date, tx.description, tx.amount, tx.isDebit])).toEqual([
+            ['03/02/2025', 'Deposit', 250, undefined],
+            ['03/04/2025', 'Check 2001', 100, true],
+            ['03/05/2025', 'Fee', 5, true]
+        ]);
+    });
+
+    test('gives year-less dates the year of their part of a period over the new year', () => {
+        const page = [
+            piece('Date', 40, 700), piece('Description', 100, 700), piece('Debit', 350, 700), piece('Credit', 450, 700),
+            piece('12/30', 40, 688), piece('Wire', 100, 688), piece('10.00', 350, 688),
+            piece('01/02', 40, 676), piece('Deposit', 100, 676), piece('20.00', 450, 676)
+        ];
+        const period = { start: { year: 2024, month: 12, day: 15 }, end: { year: 2025, month: 1, day: 14 } };
+
+        expect(pdfParser.parseBankStatementLayout([page], period).map(tx => tx.date)).toEqual(['12/30/2024', '01/02/2025']);
+    });
+
+    test('returns nothing without a table header', () => {
+        expect(pdfParser.parseBankStatementLayout([[piece('01/02/2025 Deposit 20.00', 40, 700)]])).toEqual([]);
+    });
+});
+
+describe('pdfParser.parseTemplateLayout', () => {
+    const [template] = loadTemplateDir(path.join(__dirname, '../../docs/examples'));
+
+    test('reads sections, side-by-side check listings and skips totals and summaries', () => {
+        const page = [
+            piece('Example Community Bank', 36, 760),
+            piece('Deposits and Other Credits', 36, 720),
+            piece('04/01', 40, 708), piece('Property tax receipts', 100, 708), piece('2,500.00', 480, 708),
+            piece('04/03', 40, 696), piece('State aid', 100, 696), piece('300.00', 480, 696),
+            piece('Total Deposits', 36, 684), piece('2,800.00', 480, 684),
+            piece('Checks Paid', 36, 660),
+            piece('1001', 40, 648), piece('04/02', 82, 648), piece('75.00', 150, 648),
+            piece('1002*', 220, 648), piece('04/05', 262, 648), piece('60.00', 330, 648),
+            piece('1005', 400, 648), piece('04/06', 442, 648), piece('15.50', 500, 648),
+            piece('Daily Balance Summary', 36, 620),
+            piece('04/01', 40, 608), piece('3,500.00', 480, 608)
+        ];
+        const period = { start: { year: 2025, month: 4, day: 1 }, end: { year: 2025, month: 4, day: 30 } };
+
+        const transactions = pdfParser.parseTemplateLayout([page], template, period);
+
+        expect(transactions.map(tx => [tx.date, tx.description, tx.amount, tx.isDebit, tx.checkNumber])).toEqual([
+            ['04/01/2025', 'Property tax receipts', 2500, false, undefined],
+            ['04/03/2025', 'State aid', 300, false, undefined],
+            ['04/02/2025', 'Check 1001', 75, true, '1001'],
+            ['04/05/2025', 'Check 1002', 60, true, '1002'],
+            ['04/06/2025', 'Check 1005', 15.5, true, '1005']
+        ]);
+    });
+});
+
+describe('pdfParser.parseAmountToken', () => {
+    test.each([
+        ['1,234.56', { value: 1234.56, negative: false, marker: null, signed: false }],
+        ['-12.00', { value: 12, negative: true, marker: null, signed: true }],
+        ['(12.00)', { value: 12, negative: true, marker: null, signed: true }],
+        ['12.00-', { value: 12, negative: true, marker: null, signed: true }],
+        ['$ 45.10 CR', { value: 45.1, negative: false, marker: 'CR', signed: true }],
+        ['45.10DR', { value: 45.1, negative: true, marker: 'DR', signed: true }]
+    ])('%p', (text, expected) => {
+        expect(pdfParser.parseAmountToken(text)).toEqual(expected);
+    });
+
+    test.each(['12', '1,23.45', 'abc'])('rejects %p', (text) => {
+        expect(pdfParser.parseAmountToken(text)).toBeNull();
+    });
+});
+
+describe('pdfParser.parseDateToken', () => {
+    test.each([
+        ['2025-03-04 ACH', 'MDY', { date: '03/04/2025', rest: 'ACH' }],
+        ['3/4/25', 'MDY', { date: '03/04/2025', rest: '' }],
+        ['04/03/2025', 'DMY', { date: '03/04/2025', rest: '' }],
+        ['Mar 4, 2025 Deposit', 'MDY', { date: '03/04/2025', rest: 'Deposit' }]
+    ])('%p (%s)', (text, dateOrder, expected) => {
+        expect(pdfParser.parseDateToken(text, null, dateOrder)).toEqual(expected);
+    });
+
+    test('takes the year of a year-less date from the period', () => {
+        const period = { start: { year: 2023, month: 6, day: 1 }, end: { year: 2023, month: 6, day: 30 } };
+        expect(pdfParser.parseDateToken('Jun 5 Check', period)).toEqual({ date: '06/05/2023', rest: 'Check' });
+    });
+
+    test('rejects text that does not start with a date', () => {
+        expect(pdfParser.parseDateToken('Deposit 03/04', null)).toBeNull();
+        expect(pdfParser.parseDateToken('13/45/2025', null)).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const pdfTemplates = require('../../server/parsers/pdfTemplates');
+
+const EXAMPLES_DIR = path.join(__dirname, '../../docs/examples');
+
+const validTemplate = () => ({
+    id: 'springfield-national',
+    detect: ['Springfield National Bank'],
+    columns: { date: [0, 70], description: [70, 400], amount: [400, 500] }
+});
+
+describe('pdfTemplates.validateTemplate', () => {
+    test('accepts a minimal template', () => {
+        expect(pdfTemplates.validateTemplate(validTemplate())).toBeNull();
+    });
+
+    test.each([
+        [{ id: '' }, 'id is required'],
+        [{ detect: [] }, 'detect must list the header text that identifies the bank'],
+        [{ columns: { description: [0, 10], amount: [10, 20] } }, 'columns needs a date column'],
+        [{ columns: { date: [0, 10], description: [10, 20] } }, 'columns needs an amount, debit or credit column'],
+        [{ columns: { date: [10, 0], amount: [10, 20] } }, 'columns.date must be [from, to] with from < to'],
+        [{ columns: { date: [0, 10], total: [10, 20] } }, expect.stringMatching(/^columns\.total is not a column/)],
+        [{ sections: [{ title: 'Checks', direction: 'out' }] }, 'sections[0].direction must be one of: credit, debit'],
+        [{ sections: [{ title: 'Checks', columns: [] }] }, 'sections[0].columns must not be empty'],
+        [{ signs: 'plusIsDebit' }, 'signs must be one of: minusIsDebit, minusIsCredit'],
+        [{ dateOrder: 'YMD' }, 'dateOrder must be one of: MDY, DMY'],
+        [{ ignore: 'Total' }, 'ignore must be an array of strings']
+    ])('rejects %p', (overrides, message) => {
+        expect(pdfTemplates.validateTemplate({ ...validTemplate(), ...overrides })).toEqual(message);
+    });
+});
+
+describe('pdfTemplates.loadTemplateDir', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-templates-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('loads valid templates with defaults filled in and skips the rest', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        fs.writeFileSync(path.join(dir, 'b-valid.json'), JSON.stringify(validTemplate()));
+        fs.writeFileSync(path.join(dir, 'a-broken.json'), '{ not json');
+        fs.writeFileSync(path.join(dir, 'c-invalid.json'), JSON.stringify({ id: 'x' }));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+        const templates = pdfTemplates.loadTemplateDir(dir);
+
+        expect(templates).toEqual([{
+            ...validTemplate(),
+            name: 'springfield-national',
+            sections: [],
+            signs: 'minusIsDebit',
+            dateOrder: 'MDY',
+            ignore: [],
+            source: path.join(dir, 'b-valid.json')
+        }]);
+        expect(console.error).toHaveBeenCalledTimes(2);
+    });
+
+    test('returns nothing for a missing directory', () => {
+        expect(pdfTemplates.loadTemplateDir(path.join(dir, 'missing'))).toEqual([]);
+    });
+
+    test('the documented example is a valid template', () => {
+        const [example] = pdfTemplates.loadTemplateDir(EXAMPLES_DIR);
+
+        expect(example.id).toBe('example-community-bank');
+        expect(example.sections.map(section => section.columns.length)).toEqual([1, 3, 1, 1]);
+    });
+});
+
+describe('pdfTemplates.getTemplates', () => {
+    const originalDir = process.env.PDF_TEMPLATES_DIR;
+
+    afterEach(() => {
+        if (originalDir === undefined) {
+            delete process.env.PDF_TEMPLATES_DIR;
+        } else {
+            process.env.PDF_TEMPLATES_DIR = originalDir;
+        }
+    });
+
+    test('adds the templates in PDF_TEMPLATES_DIR to the built-in ones', () => {
+        process.env.PDF_TEMPLATES_DIR = EXAMPLES_DIR;
+
+        jest.isolateModules(() => {
+            const isolated = require('../../server/parsers/pdfTemplates');
+            expect(isolated.getTemplates().map(template => template.id)).toContain('example-community-bank');
+        });
+    });
+});
+
+describe('pdfTemplates matching', () => {
+    const [template] = pdfTemplates.loadTemplateDir(EXAMPLES_DIR);
+
+    test('findTemplate needs every detect text, ignoring case and spacing', () => {
+        expect(pdfTemplates.findTemplate('EXAMPLE  COMMUNITY BANK\nDeposits and other credits', [template])).toBe(template);
+        expect(pdfTemplates.findTemplate('Example Community Bank', [template])).toBeNull();
+    });
+
+    test('findSection matches on the start of the row', () => {
+        expect(pdfTemplates.findSection('Checks Paid (continued)', template).title).toBe('Checks Paid');
+        expect(pdfTemplates.findSection('Paid checks', template)).toBeNull();
+    });
+
+    test('isIgnoredRow matches on the start of the row', () => {
+        expect(pdfTemplates.isIgnoredRow('Total Deposits 2,800.00', template)).toBe(true);
+        expect(pdfTemplates.isIgnoredRow('Deposit total', template)).toBe(false);
+    });
+});
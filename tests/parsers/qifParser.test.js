@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const qifParser = require('../../server/parsers/qifParser');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../fixtures/qif', name), 'utf8');
+
+describe('qifParser.parse', () => {
+    test('reads a bank register with cleared flags, check numbers and splits', () => {
+        const { statements, warnings } = qifParser.parse(readFixture('bank.qif'));
+
+        expect(warnings).toEqual([]);
+        expect(statements).toHaveLength(1);
+
+        const [water, receipts, payroll, fee] = statements[0].transactions;
+        expect(water).toMatchObject({
+            date: '2025-01-06',
+            description: 'Springfield Water - January service',
+            checkNumber: '1042',
+            amount: 1250,
+            amountDebit: 1250,
+            amountCredit: 0,
+            clearedStatus: 'reconciled'
+        });
+        expect(receipts).toMatchObject({ date: '2025-01-10', amountCredit: 3400.5, clearedStatus: 'cleared' });
+        expect(payroll.splits).toEqual([
+            { category: 'Payroll:Wages', memo: 'January', amount: -200 },
+            { category: 'Payroll:Taxes', amount: -100 }
+        ]);
+        expect(fee).toMatchObject({ date: '2025-01-31', amountDebit: 15, cleared: false });
+    });
+
+    test('keeps each account of a multi-account export as its own statement', () => {
+        const { statements } = qifParser.parse(readFixture('multi-account.qif'));
+
+        expect(statements.map(s => [s.account.accountName, s.account.accountType, s.transactions.length])).toEqual([
+            ['Operating 1234', 'Bank', 2],
+            ['Purchasing Card', 'CCard', 2]
+        ]);
+        expect(statements[0].account.accountNumber).toBe('1234');
+        expect(statements[0].balances.ledger).toEqual({ amount: 10135.5, asOf: '2025-01-31' });
+        expect(statements[1].transactions.map(tx => [tx.amountDebit, tx.amountCredit])).toEqual([[42.1, 0], [0, 42.1]]);
+    });
+
+    test('turns investment actions into cash movements and warns about the rest', () => {
+        const { statements, warnings } = qifParser.parse(readFixture('investment.qif'));
+        const transactions = statements[0].transactions;
+
+        expect(transactions.map(tx => [tx.action, tx.amountDebit, tx.amountCredit])).toEqual([
+            ['Buy', 505, 0],
+            ['Div', 0, 12.5],
+            ['Sell', 0, 250]
+        ]);
+        expect(warnings).toEqual([
+            'Investment account "Trust Fund": 1 transaction(s) without a cash movement ' +
+            '(share transfers, reinvestments, transfers through another account) were skipped'
+        ]);
+    });
+
+    test('reads day-first dates with dateOrder DMY', () => {
+        const { statements } = qifParser.parse('!Type:Bank\nD05/01/2025\nT-1.00\n^\n', { dateOrder: 'DMY' });
+        expect(statements[0].transactions[0].date).toBe('2025-01-05');
+    });
+
+    test('centers two-digit years on the years in the file', () => {
+        const content = ['12/30/99', '01/02/00', '1/3/01']
+            .map(date => `D${date}\nT-1.00\n^`)
+            .join('\n');
+        const { statements } = qifParser.parse(`!Type:Bank\n${content}\n`);
+
+        expect(statements[0].transactions.map(tx => tx.date)).toEqual(['1999-12-30', '2000-01-02', '2001-01-03']);
+    });
+
+    test('reads a Quicken apostrophe year as 2000 or later', () => {
+        const { statements } = qifParser.parse("!Type:Bank\nD12/31/99\nT-1.00\n^\nD1/5'25\nT-1.00\n^\n");
+        expect(statements[0].transactions.map(tx => tx.date)).toEqual(['1999-12-31', '2025-01-05']);
+    });
+
+    test('skips category and class lists', () => {
+        const { statements } = qifParser.parse('!Type:Cat\nNUtilities\nE\n^\n!Type:Bank\nD01/02/2025\nT5.00\n^\n');
+        expect(statements).toHaveLength(1);
+        expect(statements[0].transactions).toHaveLength(1);
+    });
+});
+
+describe('qifParser.parseQIFDate', () => {
+    test.each([
+        ['01/15/2025', {}, '2025-01-15'],
+        [' 1/ 5/25', { referenceYear: 2025 }, '2025-01-05'],
+        ['15.01.2025', { dateOrder: 'DMY' }, '2025-01-15'],
+        ['25/01/15', { dateOrder: 'YMD', referenceYear: 2025 }, '2025-01-15'],
+        ['2025-01-15', { dateOrder: 'DMY' }, '2025-01-15'],
+        ['13/01/2025', {}, '2025-01-13'],
+        ["12/31'05", {}, '2005-12-31']
+    ])('%p %p', (value, options, expected) => {
+        expect(qifParser.parseQIFDate(value, options)).toBe(expected);
+    });
+
+    test.each(['', 'soon', '02/30/2025'])('rejects %p', (value) => {
+        expect(qifParser.parseQIFDate(value)).toBeNull();
+    });
+});
+
+describe('qifParser.parseQIFAmount', () => {
+    test.each([
+        ['1,234.56', 1234.56],
+        ['-42.10', -42.1],
+        ['$ 99.00', 99],
+        ['(15.00)', -15],
+        ['', 0]
+    ])('%p', (value, expected) => {
+        expect(qifParser.parseQIFAmount(value)).toBe(expected);
+    });
+});
@@ -0,0 +1,40 @@
+const { parseTextNumber, parseAmount, containsTextNumbers } = require('../../server/parsers/textNumberParser');
+
+describe('textNumberParser.parseTextNumber', () => {
+    test.each([
+        ['one thousand five hundred', 1500],
+        ['Twenty-one', 21],
+        ['two hundred and fifty dollars', 250],
+        ['three million forty thousand', 3040000],
+        ['negative twelve', -12],
+        ['1250.75', 1250.75]
+    ])('%p', (text, expected) => {
+        expect(parseTextNumber(text)).toBe(expected);
+    });
+
+    test.each(['', 'payroll', null, 42])('returns null for %p', (text) => {
+        expect(parseTextNumber(text)).toBeNull();
+    });
+});
+
+describe('textNumberParser.parseAmount', () => {
+    test.each([
+        [12.5, 12.5],
+        ['$1,234.56', 1234.56],
+        ['(300.00)', -300],
+        ['five hundred', 500],
+        ['n/a', 0],
+        ['--', 0],
+        [undefined, 0]
+    ])('%p', (value, expected) => {
+        expect(parseAmount(value)).toBe(expected);
+    });
+});
+
+describe('textNumberParser.containsTextNumbers', () => {
+    test('finds number words', () => {
+        expect(containsTextNumbers('Check for two hundred dollars')).toBe(true);
+        expect(containsTextNumbers('Check 1042')).toBe(false);
+        expect(containsTextNumbers(null)).toBe(false);
+    });
+});
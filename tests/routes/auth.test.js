@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { setStore, getStore } = require('../../server/stores');
+const { createLocalStore } = require('../../server/stores/localStore');
+const { createSessionToken, TOKEN_LIFETIME_MS } = require('../../server/config/localAuth');
+const authRoutes = require('../../server/routes/auth');
+const errorHandler = require('../../server/middleware/errorHandler');
+
+// No Firebase: the file backend signs users in locally, the others run as the demo user
+jest.mock('../../server/config/firebase', () => ({
+    admin: null,
+    db: null,
+    hasCredentials: false,
+    auth: null
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+let dir;
+
+beforeAll(done => {
+    server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+        done();
+    });
+});
+
+afterAll(done => {
+    server.close(done);
+});
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankrec-auth-'));
+    setStore(createLocalStore({ dir }));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, path, body, token) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token && { Authorization: `Bearer ${token}` })
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+function signUp(email = 'alice@town.gov', password = 'ledger-2025') {
+    return call('POST', '/local/signup', { email, password, displayName: 'Alice' });
+}
+
+describe('local sign-in (file backend without Firebase)', () => {
+    test('reports local sign-in to the login page', async () => {
+        expect((await call('GET', '/config')).body).toEqual({ provider: 'local' });
+    });
+
+    test('signs up, signs in and uses the session token', async () => {
+        const signup = await signUp('Alice@Town.gov');
+        expect(signup.status).toBe(201);
+        expect(signup.body.user).toEqual({ uid: expect.stringMatching(/^local-/), email: 'alice@town.gov', displayName: 'Alice' });
+
+        const profile = await call('POST', '/profile', undefined, signup.body.token);
+        expect(profile.status).toBe(200);
+        expect(profile.body).toMatchObject({ uid: signup.body.user.uid, email: 'alice@town.gov', displayName: 'Alice', role: 'admin' });
+        expect(profile.body.passwordHash).toBeUndefined();
+
+        const signin = await call('POST', '/local/signin', { email: 'alice@town.gov', password: 'ledger-2025' });
+        expect(signin.status).toBe(200);
+        expect(signin.body.user.uid).toBe(signup.body.user.uid);
+    });
+
+    test('keeps password hashes out of the user profiles on disk', async () => {
+        await signUp();
+        await getStore().users.upsert('someone', { email: 'someone@town.gov' });
+
+        const credentials = JSON.parse(fs.readFileSync(path.join(dir, 'credentials.json'), 'utf-8'));
+        expect(credentials['alice@town.gov'].passwordHash).toMatch(/^scrypt\$/);
+        expect(fs.readFileSync(path.join(dir, 'users.json'), 'utf-8')).not.toContain('scrypt');
+        expect(JSON.stringify(credentials)).not.toContain('ledger-2025');
+    });
+
+    test('rejects wrong passwords, unknown emails and duplicate accounts', async () => {
+        await signUp();
+
+        expect((await call('POST', '/local/signin', { email: 'alice@town.gov', password: 'wrong-password' })).status).toBe(401);
+        expect((await call('POST', '/local/signin', { email: 'eve@town.gov', password: 'ledger-2025' })).status).toBe(401);
+        expect((await signUp()).status).toBe(409);
+        expect((await signUp('not-an-email')).status).toBe(400);
+        expect((await signUp('bob@town.gov', '12345')).status).toBe(400);
+    });
+
+    test('rejects forged and expired session tokens', async () => {
+        const { body } = await signUp();
+        const [payload] = body.token.split('.');
+        const forged = `${payload}.${Buffer.from('forged').toString('base64url')}`;
+        const expired = createSessionToken(
+            { uid: body.user.uid, email: 'alice@town.gov', name: 'Alice' },
+            Date.now() - TOKEN_LIFETIME_MS - 1000
+        );
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        expect((await call('GET', '/profile', undefined, 'demo-token')).status).toBe(401);
+        expect((await call('GET', '/profile', undefined, forged)).status).toBe(401);
+        expect(await call('GET', '/profile', undefined, expired)).toEqual({
+            status: 401,
+            body: { error: 'Token expired', message: 'Your session has expired. Please sign in again.' }
+        });
+        console.error.mockRestore();
+    });
+
+    test('signing up again after a password reset keeps the profile', async () => {
+        const first = await signUp();
+        await call('POST', '/profile', undefined, first.body.token);
+        await getStore().users.upsert(first.body.user.uid, { organizationId: 'springfield', organizationRole: 'reviewer' });
+
+        // The administrator removes the credentials
+        await getStore().credentials.delete('alice@town.gov');
+
+        const again = await signUp('alice@town.gov', 'new-ledger-2025');
+        expect(again.body.user.uid).toBe(first.body.user.uid);
+        expect((await call('GET', '/profile', undefined, again.body.token)).body.role).toBe('reviewer');
+    });
+});
+
+describe('without Firebase on the memory backend', () => {
+    beforeEach(() => {
+        setStore(createLocalStore());
+    });
+
+    test('runs as the demo user and has no local sign-in', async () => {
+        expect((await call('GET', '/config')).body).toEqual({ provider: 'demo' });
+        expect((await signUp()).status).toBe(404);
+
+        const profile = await call('POST', '/profile', undefined, 'demo-token');
+        expect(profile.body).toMatchObject({ uid: 'demo-user', role: 'admin' });
+    });
+});
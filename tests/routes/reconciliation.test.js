@@ -0,0 +1,339 @@
+const express = require('express');
+const { setStore, getStore } = require('../../server/stores');
+const { createLocalStore } = require('../../server/stores/localStore');
+const reconciliationRoutes = require('../../server/routes/reconciliation');
+const errorHandler = require('../../server/middleware/errorHandler');
+
+// Every bearer token is accepted as the uid it names
+jest.mock('../../server/config/firebase', () => ({
+    admin: null,
+    db: null,
+    hasCredentials: true,
+    auth: { verifyIdToken: async (token) => ({ uid: token, email: `${token}@town.gov` }) }
+}));
+
+const app = express();
+app.use(express.json());
+app.use('/api/reconciliation', reconciliationRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+
+beforeAll(done => {
+    server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/reconciliation`;
+        done();
+    });
+});
+
+afterAll(done => {
+    server.close(done);
+});
+
+beforeEach(async () => {
+    setStore(createLocalStore());
+    // Springfield: alice saves, carol prepares, bob reviews, dave approves
+    await getStore().users.upsert('alice', { organizationId: 'springfield', organizationRole: 'admin' });
+    await getStore().users.upsert('bob', { organizationId: 'springfield', organizationRole: 'reviewer' });
+    await getStore().users.upsert('carol', { organizationId: 'springfield', organizationRole: 'preparer' });
+    await getStore().users.upsert('dave', { organizationId: 'springfield', organizationRole: 'admin' });
+});
+
+async function call(user, method, path, body) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${user}` },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Balanced proof: 1250 - 40 outstanding = 1000 + 250 deposit - 40 check
+async function saveSession(user = 'alice') {
+    const { status, body } = await call(user, 'POST', '/save', {
+        name: 'January',
+        balances: { statementBalance: 1250, bookBalance: 1000 },
+        matchedTransactions: [],
+        unmatchedBank: [
+            { date: '2025-01-06', amount: -40, checkNumber: '1042', description: 'CHECK 1042' },
+            { date: '2025-01-10', amount: 250, description: 'DEPOSIT' }
+        ],
+        unmatchedGL: [{ date: '2025-01-05', amount: 40, credit: 40, accountNumber: '1042' }]
+    });
+    expect(status).toBe(200);
+    return body.id;
+}
+
+async function matchCheck(user, id) {
+    const { unmatchedBank, unmatchedGL } = await getStore().reconciliations.getItems(id);
+    return call(user, 'POST', `/${id}/matches`, {
+        match: { bankTransaction: unmatchedBank[0], glEntry: unmatchedGL[0], matchType: 'Manual', isManual: true },
+        bankItemIds: [unmatchedBank[0].id],
+        glItemIds: [unmatchedGL[0].id],
+        summary: { totalMatchedAmount: 99999 }
+    });
+}
+
+describe('saving and loading a session', () => {
+    test('stores the items and an audited summary with its proof', async () => {
+        const id = await saveSession();
+        const { status, body } = await call('bob', 'GET', `/${id}`);
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({
+            name: 'January',
+            status: 'draft',
+            organizationId: 'springfield',
+            canEdit: true,
+            nextStatuses: ['prepared'],
+            summary: { totalMatched: 0, totalUnmatchedBank: 2, totalUnmatchedGL: 1, proof: { isBalanced: true } }
+        });
+        expect(body.unmatchedBank).toHaveLength(2);
+
+        const audit = await call('bob', 'GET', `/${id}/audit`);
+        expect(audit.body.entries.map(entry => [entry.action, entry.actor.uid])).toEqual([['save', 'alice']]);
+    });
+
+    test('writes detail edits and their audit entry in one store change', async () => {
+        const id = await saveSession();
+        const applyChanges = jest.spyOn(getStore().reconciliations, 'applyChanges');
+
+        const { status } = await call('carol', 'PUT', `/${id}`, { name: 'January (final)' });
+
+        expect(status).toBe(200);
+        expect(applyChanges).toHaveBeenCalledTimes(1);
+        expect((await getStore().reconciliations.get(id)).name).toBe('January (final)');
+
+        const audit = await call('carol', 'GET', `/${id}/audit`);
+        expect(audit.body.entries[0]).toMatchObject({
+            action: 'update',
+            actor: { uid: 'carol' },
+            before: { name: 'January' },
+            after: { name: 'January (final)' }
+        });
+    });
+
+    test('keeps sessions away from users outside the organization', async () => {
+        const id = await saveSession();
+
+        expect((await call('mallory', 'GET', `/${id}`)).status).toBe(403);
+        expect((await matchCheck('mallory', id)).status).toBe(403);
+    });
+});
+
+describe('running the engine', () => {
+    const rule = (id, value) => ({
+        id, name: `Skip ${value}`, priority: 1, field: 'description', operator: 'contains', value, action: 'ignore'
+    });
+
+    test('applies the organization\'s stored rules, not rules sent with the request', async () => {
+        await getStore().sharedSettings.update('org:springfield', { matchingRules: [rule('org', 'ACH')] });
+
+        const { status, body } = await call('carol', 'POST', '/run', {
+            bankData: [
+                { date: '2025-01-06', amount: -40, description: 'CHECK 1042' },
+                { date: '2025-01-08', amount: 75, description: 'ACH STATE AID' }
+            ],
+            glData: [{ date: '2025-01-08', amount: 75, debit: 75, accountNumber: '1010' }],
+            settings: { matchingRules: [rule('client', 'CHECK')] }
+        });
+
+        expect(status).toBe(200);
+        expect(body.matchedTransactions).toHaveLength(0);
+        expect(body.unmatchedBank.map(item => [item.description, item.ignoredByRule?.id ?? null])).toEqual([
+            ['CHECK 1042', null],
+            ['ACH STATE AID', 'org']
+        ]);
+    });
+});
+
+describe('editing matches', () => {
+    test('adjusts the summary and proof from the items the match removed', async () => {
+        const id = await saveSession();
+        const { status, body } = await matchCheck('carol', id);
+
+        expect(status).toBe(201);
+        expect(body.summary).toMatchObject({
+            totalMatched: 1,
+            totalUnmatchedBank: 1,
+            totalUnmatchedGL: 0,
+            totalMatchedAmount: 40,
+            proof: {
+                outstandingChecks: { count: 0, total: 0 },
+                bankDebits: { count: 0, total: 0 },
+                isBalanced: true
+            }
+        });
+        expect(body.status).toBe('draft');
+
+        const audit = await call('carol', 'GET', `/${id}/audit`);
+        expect(audit.body.entries[0]).toMatchObject({ action: 'match', details: { matchType: 'Manual' } });
+    });
+
+    test('rejects empty or repeated item lists and items already taken', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const id = await saveSession();
+        const { unmatchedBank, unmatchedGL } = await getStore().reconciliations.getItems(id);
+        const match = { bankTransaction: {}, glEntry: {} };
+
+        const repeated = await call('carol', 'POST', `/${id}/matches`, {
+            match, bankItemIds: [unmatchedBank[0].id, unmatchedBank[0].id], glItemIds: [unmatchedGL[0].id]
+        });
+        expect(repeated).toEqual({
+            status: 400,
+            body: { error: 'Invalid match', message: 'bankItemIds lists the same item more than once' }
+        });
+
+        const empty = await call('carol', 'POST', `/${id}/matches`, { match, bankItemIds: [unmatchedBank[0].id] });
+        expect(empty.body.message).toBe('glItemIds must list at least one item');
+
+        expect((await matchCheck('carol', id)).status).toBe(201);
+        const taken = await call('carol', 'POST', `/${id}/matches`, {
+            match, bankItemIds: [unmatchedBank[0].id], glItemIds: [unmatchedGL[0].id]
+        });
+        expect(taken.status).toBe(409);
+        expect((await getStore().reconciliations.get(id)).summary.totalMatched).toBe(1);
+    });
+
+    test('undoing a match returns its items and restores the summary', async () => {
+        const id = await saveSession();
+        const added = await matchCheck('carol', id);
+        const { status, body } = await call('carol', 'DELETE', `/${id}/matches/${added.body.id}`, { reason: 'Wrong check' });
+
+        expect(status).toBe(200);
+        expect(body.unmatchedBank).toHaveLength(1);
+        expect(body.summary).toMatchObject({
+            totalMatched: 0,
+            totalUnmatchedBank: 2,
+            totalUnmatchedGL: 1,
+            totalMatchedAmount: 0,
+            proof: { outstandingChecks: { count: 1, total: 40 }, isBalanced: true }
+        });
+
+        const items = await getStore().reconciliations.getItems(id);
+        expect(items.matches).toEqual([]);
+        expect(items.unmatchedGL).toHaveLength(1);
+    });
+
+    test('stores custom matches that consume one side and undoes them to the same totals', async () => {
+        const id = await saveSession();
+        const { unmatchedGL } = await getStore().reconciliations.getItems(id);
+        const bankFee = { date: '2025-01-05', amount: 40, description: 'Bank fee', isCustom: true };
+
+        const added = await call('carol', 'POST', `/${id}/matches`, {
+            match: { bankTransaction: bankFee, glEntry: unmatchedGL[0], matchType: 'Custom Fee', isManual: true, isCustom: true },
+            bankItemIds: [],
+            glItemIds: [unmatchedGL[0].id]
+        });
+        expect(added.status).toBe(201);
+        expect(added.body.summary).toMatchObject({ totalMatched: 1, totalUnmatchedGL: 0, totalMatchedAmount: 40 });
+        expect((await getStore().reconciliations.getItems(id)).matches).toEqual([
+            expect.objectContaining({ id: added.body.id, matchType: 'Custom Fee', isCustom: true })
+        ]);
+
+        const neither = await call('carol', 'POST', `/${id}/matches`, {
+            match: { bankTransaction: bankFee, glEntry: bankFee, isCustom: true }, bankItemIds: [], glItemIds: []
+        });
+        expect(neither.body.message).toBe('A match must consume at least one unmatched item');
+
+        const removed = await call('carol', 'DELETE', `/${id}/matches/${added.body.id}`);
+        expect(removed.body.summary).toMatchObject({ totalMatched: 0, totalUnmatchedGL: 1, totalMatchedAmount: 0 });
+    });
+});
+
+describe('sign-off', () => {
+    const signOff = async (id, steps) => {
+        for (const [user, status, comment] of steps) {
+            const result = await call(user, 'POST', `/${id}/status`, { status, comment });
+            expect(result.status).toBe(200);
+        }
+    };
+
+    test('keeps the user who saved a session from approving it', async () => {
+        const id = await saveSession();
+        await signOff(id, [['carol', 'prepared'], ['bob', 'reviewed']]);
+
+        const bySaver = await call('alice', 'POST', `/${id}/status`, { status: 'approved' });
+        expect(bySaver).toEqual({
+            status: 400,
+            body: { error: 'Invalid transition', message: 'The user who saved a reconciliation cannot approve it' }
+        });
+
+        const byReviewer = await call('bob', 'POST', `/${id}/status`, { status: 'approved' });
+        expect(byReviewer.status).toBe(403);
+
+        const approved = await call('dave', 'POST', `/${id}/status`, { status: 'approved' });
+        expect(approved.body.status).toBe('approved');
+    });
+
+    test('sends an approved session back to draft when its matches change', async () => {
+        const id = await saveSession();
+        await signOff(id, [['carol', 'prepared'], ['bob', 'reviewed'], ['dave', 'approved']]);
+
+        const { body } = await matchCheck('carol', id);
+        expect(body.status).toBe('draft');
+
+        const record = await getStore().reconciliations.get(id);
+        expect(record.signoff).toEqual({});
+        expect(record.signoffHistory[record.signoffHistory.length - 1]).toMatchObject({
+            from: 'approved',
+            to: 'draft',
+            by: 'carol',
+            comment: 'Matches changed after sign-off'
+        });
+
+        const audit = await call('carol', 'GET', `/${id}/audit`);
+        expect(audit.body.entries.slice(0, 2).map(entry => entry.action)).toEqual(['status', 'match']);
+        expect(audit.body.entries[0]).toMatchObject({
+            reason: 'Matches changed after sign-off',
+            before: { status: 'approved' },
+            after: { status: 'draft' }
+        });
+    });
+
+    test('sends a reviewed session back to draft when its balances change', async () => {
+        const id = await saveSession();
+        await signOff(id, [['carol', 'prepared'], ['bob', 'reviewed']]);
+
+        const renamed = await call('carol', 'PUT', `/${id}`, { name: 'January (final)' });
+        expect(renamed.body.status).toBe('reviewed');
+
+        const rebalanced = await call('carol', 'PUT', `/${id}`, { balances: { statementBalance: 1300, bookBalance: 1000 } });
+        expect(rebalanced.body.status).toBe('draft');
+
+        const record = await getStore().reconciliations.get(id);
+        expect(record.summary.proof).toMatchObject({ difference: 50, isBalanced: false });
+        expect(record.signoffHistory[record.signoffHistory.length - 1].comment).toBe('Balances changed after sign-off');
+    });
+
+    test('sends a signed-off session back to draft when its period or bank account changes', async () => {
+        const id = await saveSession();
+        await signOff(id, [['carol', 'prepared'], ['bob', 'reviewed']]);
+
+        const moved = await call('carol', 'PUT', `/${id}`, { period: { start: '2025-02-01', end: '2025-02-28' } });
+        expect(moved.body.status).toBe('draft');
+
+        await signOff(id, [['carol', 'prepared']]);
+        const reassigned = await call('carol', 'PUT', `/${id}`, { bankAccountId: null });
+        expect(reassigned.body.status).toBe('draft');
+
+        const record = await getStore().reconciliations.get(id);
+        const resets = record.signoffHistory.filter(entry => entry.to === 'draft');
+        expect(resets.map(entry => [entry.from, entry.comment])).toEqual([
+            ['reviewed', 'Bank account or period changed after sign-off'],
+            ['prepared', 'Bank account or period changed after sign-off']
+        ]);
+    });
+
+    test('refuses match edits on a locked session', async () => {
+        const id = await saveSession();
+        await signOff(id, [['carol', 'prepared'], ['bob', 'reviewed'], ['dave', 'approved'], ['dave', 'locked']]);
+
+        const { status, body } = await matchCheck('carol', id);
+
+        expect(status).toBe(409);
+        expect(body.error).toBe('Reconciliation locked');
+        expect((await getStore().reconciliations.getItems(id)).matches).toEqual([]);
+    });
+});
@@ -0,0 +1,14 @@
+/**
+ * Jest setup
+ * Parsers, engine and routes log each step with [TAG] lines; silence them so
+ * test output shows failures only. console.error is left alone.
+ */
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../../server/stores/localStore');
+
+const items = {
+    matches: [],
+    unmatchedBank: [{ amount: -40, description: 'CHECK 1042' }, { amount: 250, description: 'DEPOSIT' }],
+    unmatchedGL: [{ amount: 40, accountNumber: '1042' }]
+};
+
+describe('local store (memory)', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createLocalStore();
+    });
+
+    test('creates sessions with item IDs and returns copies', async () => {
+        const id = await store.reconciliations.create({ userId: 'u1', summary: { totalMatched: 0 } }, items);
+        const record = await store.reconciliations.get(id);
+        const stored = await store.reconciliations.getItems(id);
+
+        expect(store.backend).toBe('memory');
+        expect(record).toEqual({ id, userId: 'u1', summary: { totalMatched: 0 } });
+        expect(stored.unmatchedBank.map(item => typeof item.id)).toEqual(['string', 'string']);
+
+        stored.unmatchedBank[0].amount = 0;
+        record.summary.totalMatched = 99;
+        expect((await store.reconciliations.getItems(id)).unmatchedBank[0].amount).toBe(-40);
+        expect((await store.reconciliations.get(id)).summary.totalMatched).toBe(0);
+    });
+
+    test('applyChanges moves items, updates the record from what was removed and audits the result', async () => {
+        const id = await store.reconciliations.create({ userId: 'u1', summary: { totalMatched: 0 } }, items);
+        const { unmatchedBank, unmatchedGL } = await store.reconciliations.getItems(id);
+
+        const result = await store.reconciliations.applyChanges(id, {
+            remove: { unmatchedBank: [unmatchedBank[0].id], unmatchedGL: [unmatchedGL[0].id] },
+            add: { matches: [{ matchType: 'Manual' }] },
+            updateRecord: (record, { removed }) => ({
+                summary: { totalMatched: record.summary.totalMatched + 1, removedBank: removed.unmatchedBank.length }
+            }),
+            audit: (changed) => ({ action: 'match', after: changed.added.matches[0] })
+        });
+
+        expect(result.removed.unmatchedBank).toEqual([unmatchedBank[0]]);
+        expect(result.record.summary).toEqual({ totalMatched: 1, removedBank: 1 });
+
+        const after = await store.reconciliations.getItems(id);
+        expect(after.unmatchedBank).toEqual([unmatchedBank[1]]);
+        expect(after.unmatchedGL).toEqual([]);
+        expect(after.matches).toEqual([result.added.matches[0]]);
+
+        const { entries } = await store.reconciliations.listAudit(id);
+        expect(entries).toEqual([expect.objectContaining({ action: 'match', after: result.added.matches[0] })]);
+    });
+
+    test('applyChanges rejects items no longer in the session with a 409 and changes nothing', async () => {
+        const id = await store.reconciliations.create({ userId: 'u1' }, items);
+        const { unmatchedBank } = await store.reconciliations.getItems(id);
+
+        await expect(store.reconciliations.applyChanges(id, {
+            remove: { unmatchedBank: [unmatchedBank[0].id, 'gone'] },
+            add: { matches: [{}] }
+        })).rejects.toMatchObject({ statusCode: 409, message: 'Item gone is no longer in unmatchedBank' });
+
+        const after = await store.reconciliations.getItems(id);
+        expect(after.unmatchedBank).toHaveLength(2);
+        expect(after.matches).toEqual([]);
+    });
+
+    test('pages sessions newest first and keeps the audit trail after a delete', async () => {
+        const first = await store.reconciliations.create({ userId: 'u1', createdAt: new Date('2025-01-01') });
+        const second = await store.reconciliations.create({ userId: 'u1', createdAt: new Date('2025-02-01') });
+        await store.reconciliations.create({ userId: 'u2', createdAt: new Date('2025-03-01') });
+        await store.reconciliations.appendAudit(first, { action: 'save' });
+
+        const page = await store.reconciliations.listByUser('u1', { limit: 1 });
+        expect(page.records.map(r => r.id)).toEqual([second]);
+        const next = await store.reconciliations.listByUser('u1', { startAfter: page.lastId });
+        expect(next.records.map(r => r.id)).toEqual([first]);
+
+        await store.reconciliations.delete(first);
+        expect(await store.reconciliations.get(first)).toBeNull();
+        expect((await store.reconciliations.listAudit(first)).entries).toHaveLength(1);
+    });
+
+    test('shared settings drop keys set to null', async () => {
+        await store.sharedSettings.update('org:o1', { dateRange: 5, amountTolerance: 0.01 });
+        const settings = await store.sharedSettings.update('org:o1', { amountTolerance: null });
+
+        expect(settings).toEqual({ dateRange: 5 });
+        expect(await store.sharedSettings.get('org:o2')).toEqual({});
+    });
+});
+
+describe('local store (files)', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bankrec-store-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps data across a restart', async () => {
+        const store = createLocalStore({ dir });
+        await store.users.upsert('u1', { email: 'clerk@town.gov', lastLogin: new Date('2025-01-05T10:00:00Z') });
+        const orgId = await store.organizations.create({ name: 'Springfield' });
+        const accountId = await store.bankAccounts.create({ name: 'Operating', scope: `org:${orgId}` });
+        const id = await store.reconciliations.create({ userId: 'u1', createdAt: new Date('2025-02-01T00:00:00Z') }, items);
+        await store.reconciliations.appendAudit(id, { action: 'save', at: new Date('2025-02-01T00:00:00Z') });
+        await store.learning.save(`org:${orgId}`, { totalAccepted: 3 });
+        await store.sharedSettings.update(`org:${orgId}`, { dateRange: 4 });
+
+        const reopened = createLocalStore({ dir });
+
+        expect(reopened.backend).toBe('file');
+        expect(await reopened.users.get('u1')).toEqual({ email: 'clerk@town.gov', lastLogin: new Date('2025-01-05T10:00:00Z') });
+        expect(await reopened.organizations.get(orgId)).toEqual({ id: orgId, name: 'Springfield' });
+        expect(await reopened.bankAccounts.listByScope(`org:${orgId}`)).toEqual([{ id: accountId, name: 'Operating', scope: `org:${orgId}` }]);
+        expect((await reopened.reconciliations.get(id)).createdAt).toEqual(new Date('2025-02-01T00:00:00Z'));
+        expect(await reopened.reconciliations.getItems(id)).toEqual(await store.reconciliations.getItems(id));
+        expect((await reopened.reconciliations.listAudit(id)).entries[0]).toMatchObject({ action: 'save', at: new Date('2025-02-01T00:00:00Z') });
+        expect((await reopened.learning.get(`org:${orgId}`)).totalAccepted).toBe(3);
+        expect(await reopened.sharedSettings.get(`org:${orgId}`)).toEqual({ dateRange: 4 });
+        await expect(reopened.ping()).resolves.toBeUndefined();
+    });
+
+    test('writes each file whole, leaving no temp files behind', async () => {
+        const store = createLocalStore({ dir });
+        const id = await store.reconciliations.create({ userId: 'u1' }, items);
+        await Promise.all([1, 2, 3].map(n => store.reconciliations.update(id, { name: `Run ${n}` })));
+
+        expect(fs.readdirSync(path.join(dir, 'reconciliations'))).toEqual([`${id}.json`]);
+        expect(JSON.parse(fs.readFileSync(path.join(dir, 'reconciliations', `${id}.json`), 'utf8')).name).toBe('Run 3');
+
+        await store.reconciliations.delete(id);
+        expect(fs.readdirSync(path.join(dir, 'reconciliations'))).toEqual([]);
+    });
+
+    test('refuses to start on a corrupt data file', () => {
+        fs.writeFileSync(path.join(dir, 'users.json'), '{"u1": {');
+
+        expect(() => createLocalStore({ dir })).toThrow(/users\.json is not valid JSON .* restore it from a backup before starting/);
+    });
+
+    test('drops an audit entry cut off mid-append and keeps appending after it', async () => {
+        const store = createLocalStore({ dir });
+        const id = await store.reconciliations.create({ userId: 'u1' });
+        await store.reconciliations.appendAudit(id, { action: 'save' });
+        const auditFile = path.join(dir, 'audit', `${id}.jsonl`);
+        fs.appendFileSync(auditFile, '{"action":"upd');
+
+        const reopened = createLocalStore({ dir });
+        await reopened.reconciliations.appendAudit(id, { action: 'update' });
+
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Dropping incomplete last audit entry'));
+        await expect(createLocalStore({ dir }).reconciliations.listAudit(id)).resolves.toMatchObject({
+            entries: [{ action: 'update' }, { action: 'save' }]
+        });
+    });
+
+    test('refuses to start on an audit file corrupted before its last line', async () => {
+        const store = createLocalStore({ dir });
+        const id = await store.reconciliations.create({ userId: 'u1' });
+        fs.writeFileSync(path.join(dir, 'audit', `${id}.jsonl`), 'not json\n{"action":"save"}\n');
+
+        expect(() => createLocalStore({ dir })).toThrow(/line 1 is not valid JSON/);
+    });
+});